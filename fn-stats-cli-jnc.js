@@ -1,32 +1,53 @@
 #!/usr/bin/env node
 
-import { EpicClient } from './src/epicWrapper.js';
+import { EpicClient, setupHttpFixtures } from './src/epicWrapper.js';
 import { writeFileSync } from 'node:fs';
-import { dirname, join } from 'node:path';
-import { fileURLToPath } from 'node:url';
-import { seasonTimestamps } from './src/getSeasonTimes.js';
+import { join } from 'node:path';
+import { seasonTimestamps, seasonDefinitions, loadUserSeasonDefinitions, saveUserSeasonDefinitions,
+         getUserSeasonsFilePath } from './src/getSeasonTimes.js';
+import { renderSeasonTable } from './src/seasonValidation.js';
+import { detectMatchEvents, formatMatchEvent, minWatchInterval } from './src/matchTracker.js';
+import { appendMatchLog, loadMatchLog, getPlayerMatchLog, getMatchLogPath } from './src/matchLog.js';
+import { defaultSessionIdleGap, filterLoggedMatches, groupPlaySessions, renderSessionTable } from './src/playSessions.js';
+import { snapshotGroupings, defaultSnapshotSpan, defaultSnapshotResolution, findSnapshotChanges,
+         renderSnapshotTable } from './src/snapshotFinder.js';
+import { findSeasonWindow, formatSeasonWindowReport } from './src/seasonWindow.js';
+import { defaultHistoryDelay, createStatsHistory, loadStatsHistory, saveStatsHistory, crawlStatsHistory,
+         summarizeHistoryDifferences } from './src/statsHistory.js';
+import { timeSeriesUnits, getTimeSeriesBoundaries, buildTimeSeries, renderTimeSeriesTable,
+         exportTimeSeries } from './src/timeSeries.js';
+import { getTimelineSeason, mergeTimelineSeason } from './src/seasonTimeline.js';
 import { filterRawFortniteStats, getSortedStats, getModifiedTimes, 
-         filterByStatPatterns, getLatestModifiedTimestamp, 
-         getStatsDifference } from './src/fortniteRawStatOps.js';
+         filterByStatPatterns, applyStatFilters, sumRawFortniteStats } from './src/fortniteRawStatOps.js';
 import { statPattern } from './src/fortniteModeConstants.js';
+import { findUnclassifiedStatKeys } from './src/fortniteStatKeys.js';
 import { createFortniteStatObject, addFortniteRateStats, 
          transformToTRNFormat } from './src/fortniteStructuredStatOps.js';
-import { parseFilterArgs, parseTimeWindowArg, parseStartEndTimeArgs } from './src/argParser.js';
-import { getFortniteStats, authenticateClient } from './src/statsRetriever.js';
-import { formatTime, adjustToEndOfDay, getMidnightGMT} from './src/dateUtils.js';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-
-/**
- * Conditional logging function that respects quiet mode
- * @param {string} message - Message to log
- * @param {boolean} quietMode - Whether quiet mode is enabled
- */
-function conditionalLog(message, quietMode) {
-    if (!quietMode) {
-        console.log(message);
-    }
-}
+import { parseFilterArgs, parseStatQueryArgs, parseTimeWindowArg, parseDiffWindowArgs, extractOptionValue,
+         splitPlayerNames, getDefaultSeason, parseOutputFlags } from './src/argParser.js';
+import { getFortniteStats, getBulkFortniteStats, getRankedProgress, getRankedTrackHistory,
+         getCumulativeSnapshots, getCumulativeSnapshotReader, authenticateClient } from './src/statsRetriever.js';
+import { formatTime, adjustToEndOfDay, getLastTimeWindow, parseDuration,
+         parseDate } from './src/dateUtils.js';
+import { conditionalLog, setLogToStderr } from './src/logger.js';
+import { now, nowSeconds } from './src/clock.js';
+import { createStatsDocument, createComparisonDocument, createGroupDocument, createLeaderboardDocument,
+         createBulkDocument, createRankedDocument,
+         createRankedHistoryDocument, createSessionsDocument, createTimeSeriesDocument, createSnapshotsDocument,
+         createDiffDocument, writeJSONDocument, writeJSONLine } from './src/jsonOutput.js';
+import { exportStatStructure, exportRawStats, exportPlayerStatStructures } from './src/delimitedExport.js';
+import { renderStatTable, renderRawStatTable, shouldUseColor, getColumnLabel } from './src/tableRenderer.js';
+import { generateReport, reportFormats } from './src/reportGenerator.js';
+import { getCachedStats, setStatsCacheEnabled, clearStatsCache, getStatsCacheInfo } from './src/statsCache.js';
+import { buildComparison, renderComparisonTable, exportComparison } from './src/statComparison.js';
+import { buildStatDiff, renderStatDiffTable, exportStatDiff } from './src/statDiff.js';
+import { loadGroups, saveGroup, removeGroup, resolveGroupArg, parsePlayerList } from './src/playerGroups.js';
+import { calculatePlayerShares, renderShareTable } from './src/groupStats.js';
+import { leaderboardMetrics, parseModePath, getModePathStats, rankPlayers, renderLeaderboardTable,
+         exportLeaderboard } from './src/leaderboard.js';
+import { generateBulkStatKeys } from './src/bulkStats.js';
+import { getActiveTracks, buildRankedSummary, renderRankedTable, getRankingTypeModePath,
+         renderRankedHistoryTable } from './src/rankedProgress.js';
 
 /**
  * Retrieves and processes Fortnite stats for a player in a specific time window
@@ -39,10 +60,17 @@ function conditionalLog(message, quietMode) {
  * @param {boolean} useAdvancedMethod - Whether to use the advanced triple API call technique
  * @param {boolean} quietMode - Whether to suppress logs
  * @param {EpicClient} [epicClient] - Optional existing authenticated client
+ * @param {string} [outputFormat='text'] - Output format ('text', 'json', 'csv' or 'tsv')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ * @param {boolean} [showUnclassified=false] - Whether to list unclassified raw stats instead of just counting them
  */
 async function retrieveAndProcessFortniteStats(playerName, timeWindow, filters = [], statPatternKeys = [], 
                                               showRawStats = false, useTRNFormat = false, useAdvancedMethod = true,
-                                              quietMode = false, epicClient = null) {
+                                              quietMode = false, epicClient = null, outputFormat = 'text',
+                                              useColor = false, showUnclassified = false) {
+    const jsonOutput = outputFormat === 'json';
+    const delimitedOutput = outputFormat === 'csv' || outputFormat === 'tsv';
+    
     try {
         // Get raw stats
         const rawStats = await getFortniteStats(playerName, timeWindow, useAdvancedMethod, quietMode, epicClient);
@@ -75,6 +103,65 @@ async function retrieveAndProcessFortniteStats(playerName, timeWindow, filters =
         
         const filteredCount = Object.keys(filteredStats.stats || {}).length;
         
+        // Build the stats payload for the requested view
+        let view;
+        let statsPayload = {};
+        if (showRawStats) {
+            view = 'raw';
+            statsPayload = getSortedStats(filteredStats.stats);
+        } else {
+            view = useTRNFormat ? 'trn' : 'nested';
+            if (filteredCount > 0) {
+                // Check if bots should be included (explicitly requested in filters)
+                const includeBots = filters.includes('bots');
+                
+                // Create nested structure from filtered raw stats
+                let nestedStats = createFortniteStatObject(filteredStats, includeBots);
+                
+                // Count keys whose playlist or input isn't recognised (unknown modes are left out of the structure);
+                // accounts with creative history have many, so they're only listed on request
+                const unclassified = findUnclassifiedStatKeys(filteredStats.stats);
+                if (unclassified.length > 0 && showUnclassified) {
+                    conditionalLog(`Couldn't classify ${unclassified.length} raw stats:`, quietMode);
+                    unclassified.forEach(({ key, missing }) =>
+                        conditionalLog(`  ${key} (unknown ${missing.join(', ')})`, quietMode));
+                } else if (unclassified.length > 0) {
+                    conditionalLog(`Couldn't classify ${unclassified.length} raw stats (use --show-unclassified to list them)`, quietMode);
+                }
+                
+                // If TRN format is requested, transform the stats before adding rates
+                if (useTRNFormat) {
+                    // First transform to TRN format (just raw stats)
+                    nestedStats = transformToTRNFormat(nestedStats);
+                }
+                
+                // Add rate calculations to either the normal structure or the TRN structure
+                statsPayload = addFortniteRateStats(nestedStats);
+            }
+        }
+        
+        if (jsonOutput) {
+            // JSON mode - write a single document to stdout
+            writeJSONDocument(createStatsDocument({
+                player: { displayName: rawStats.displayName, accountId: rawStats.accountId },
+                timeWindow,
+                filters,
+                statPatternKeys,
+                useAdvancedMethod,
+                view,
+                stats: statsPayload
+            }));
+            return;
+        }
+        
+        if (delimitedOutput) {
+            // CSV/TSV mode - write spreadsheet rows to stdout
+            process.stdout.write(showRawStats ? 
+                exportRawStats(statsPayload, outputFormat) : 
+                exportStatStructure(statsPayload, useTRNFormat, outputFormat));
+            return;
+        }
+        
         // Build filter description for output
         const filterDesc = [
             ...(filters.length > 0 ? [`modes: ${filters.join(', ')}`] : []),
@@ -93,18 +180,12 @@ async function retrieveAndProcessFortniteStats(playerName, timeWindow, filters =
                 console.log("  No matching stats found");
             } else {
                 if (!quietMode) console.log(`  Found ${filteredCount} matching stats`);
-                const sortedStats = getSortedStats(filteredStats.stats);
-                console.dir(sortedStats, { depth: null });
                 
-                // Show lastmodified dates for stats
-                const lastModifiedTimes = getModifiedTimes(filteredStats.stats, { ascending: true });
-                if (Object.keys(lastModifiedTimes).length > 0) {
-                    console.log("\nLast Modified Times (GMT):");
-                    console.dir(lastModifiedTimes, { depth: null });
-                }
+                // Key, value and last-modified time (GMT) for each stat
+                console.log(renderRawStatTable(statsPayload, { color: useColor }));
             }
         } else {
-            // Nested structure mode - create structure from already filtered raw stats
+            // Nested structure mode - display the structure built from the filtered raw stats
             let nestedStatsHeader;
             if (useTRNFormat) {
                 nestedStatsHeader = filterDesc ? 
@@ -118,374 +199,1548 @@ async function retrieveAndProcessFortniteStats(playerName, timeWindow, filters =
             
             if (!quietMode) console.log(nestedStatsHeader);
             
-            if (filteredCount === 0) {
+            if (filteredCount === 0 || Object.keys(statsPayload).length === 0) {
                 console.log("  No matching stats found");
             } else {
-                // Check if bots should be included (explicitly requested in filters)
-                const includeBots = filters.includes('bots');
-                
-                // Create nested structure from filtered raw stats
-                let nestedStats = createFortniteStatObject(filteredStats, includeBots);
-                
-                // If TRN format is requested, transform the stats before adding rates
-                if (useTRNFormat) {
-                    // First transform to TRN format (just raw stats)
-                    nestedStats = transformToTRNFormat(nestedStats);
-                }
-                
-                // Add rate calculations to either the normal structure or the TRN structure
-                const statsWithRates = addFortniteRateStats(nestedStats);
-                
-                // Display the final structure
-                console.dir(statsWithRates, { depth: null });
+                // Display the final structure as a table with one row per mode path
+                console.log(renderStatTable(statsPayload, useTRNFormat, { color: useColor }));
             }
         }
         
     } catch (error) {
         console.error("Error retrieving stats:", error);
+        if (jsonOutput || delimitedOutput) process.exitCode = 1;
     }
 }
 
 /**
- * Search back through time to find stat changes
+ * Corrects a season window from the player's retained snapshots (--auto-window)
+ * The adjustments and findings are always reported (on stderr in machine-readable
+ * modes), since they change which stats the window holds.
  * @param {string} playerName - Epic Games display name
- * @param {Array<string>} filters - Game mode filters to apply
+ * @param {string} season - Season name
+ * @param {Object} timeWindow - Season window from parseStatQueryArgs {startTime, endTime}
+ * @param {Array<string>} filters - Game mode filters (only matching modes are probed)
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @returns {Promise<Object>} Corrected time window {startTime, endTime}
  */
-async function searchStatsHistory(playerName, filters = []) {
-    const epicClient = new EpicClient();
-    const accumulatedStats = [];
-    const statDifferences = [];
+async function correctSeasonWindow(playerName, season, timeWindow, filters, quietMode, epicClient) {
+    const { readSnapshot } = await getCumulativeSnapshotReader(playerName, quietMode, epicClient);
+    conditionalLog(`Probing the snapshots around the start and end of ${season}`, quietMode);
+    
+    const readFilteredSnapshot = async time => applyStatFilters({ stats: await readSnapshot(time) }, filters, []).stats;
+    const result = await findSeasonWindow(readFilteredSnapshot, seasonTimestamps[season], timeWindow, {
+        onProbe: (time, count) => conditionalLog(`Query #${count}: cumulative stats up to ${formatTime(time)}`, quietMode)
+    });
     
+    conditionalLog(`Auto window for ${season} (${result.probes} queries):`, false);
+    formatSeasonWindowReport(result).forEach(line => conditionalLog(`  ${line}`, false));
+    return result.timeWindow;
+}
+
+/**
+ * Shows a player's stats per day, week or month of a time window
+ * Every bucket boundary is fetched once as a cumulative snapshot and shared by the
+ * buckets on either side of it (see getCumulativeSnapshots).
+ * @param {string} playerName - Epic Games display name
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @param {string} unit - Bucket size ('day', 'week' or 'month')
+ * @param {Array<string>} filters - Game mode filters to apply
+ * @param {Array<string>} statPatternKeys - Optional stat pattern keys to filter by
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @param {string} [outputFormat='text'] - Output format ('text', 'json', 'csv' or 'tsv')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+async function showTimeSeries(playerName, timeWindow, unit, filters, statPatternKeys, quietMode, epicClient,
+                              outputFormat = 'text', useColor = false) {
     try {
-        // Authenticate
-        await authenticateClient(epicClient);
+        const boundaries = getTimeSeriesBoundaries(timeWindow, unit);
+        const seriesWindow = { startTime: boundaries[0], endTime: boundaries[boundaries.length - 1] };
+        conditionalLog(`Splitting ${formatTime(seriesWindow.startTime)} to ${formatTime(seriesWindow.endTime)} into ${boundaries.length - 1} ${unit} buckets`, quietMode);
         
-        // Get player ID
-        const playerInfo = await epicClient.getAccountByDisplayName(playerName);
-        console.log(`Found player: ${playerInfo.displayName} (${playerInfo.id})\n`);
+        const { accountId, displayName, snapshots } = await getCumulativeSnapshots(playerName, boundaries, quietMode, epicClient);
+        const timeSeries = buildTimeSeries(snapshots, filters, statPatternKeys);
+        
+        if (outputFormat === 'json') {
+            writeJSONDocument(createTimeSeriesDocument({
+                player: { displayName, accountId },
+                timeWindow: seriesWindow,
+                unit,
+                timeSeries,
+                filters,
+                statPatternKeys
+            }));
+            return;
+        }
         
-        // Get ch1s1 start (earliest date to search from)
-        const ch1s1Start = seasonTimestamps.ch1s1.startTime;
+        if (outputFormat === 'csv' || outputFormat === 'tsv') {
+            process.stdout.write(exportTimeSeries(timeSeries, outputFormat));
+            return;
+        }
         
-        // Get ch5s1 start (earliest date to go back to)
-        const ch5s1Start = seasonTimestamps.ch5s1.startTime;
+        if (!quietMode) {
+            console.log(`\nStats per ${unit} for ${displayName}:`);
+            console.log(`  ${formatTime(seriesWindow.startTime)} to ${formatTime(seriesWindow.endTime)}`);
+        }
+        if (timeSeries.series.length === 0) {
+            console.log("  No matching stats found");
+            return;
+        }
+        console.log(renderTimeSeriesTable(timeSeries, unit, { color: useColor }));
+    } catch (error) {
+        console.error("Error retrieving stats time series:", error);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Generates a Markdown or HTML stats report for a player in a specific time window
+ * @param {string} playerName - Epic Games display name
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @param {Array<string>} filters - Game mode filters to apply
+ * @param {Array<string>} statPatternKeys - Optional stat pattern keys to filter by
+ * @param {boolean} useAdvancedMethod - Whether to use the advanced triple API call technique
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @param {string} format - Report format ('md' or 'html')
+ * @param {string|null} outPath - File to write the report to (stdout if null)
+ */
+async function generateFortniteReport(playerName, timeWindow, filters, statPatternKeys, useAdvancedMethod,
+                                      quietMode, epicClient, format, outPath) {
+    try {
+        const rawStats = await getFortniteStats(playerName, timeWindow, useAdvancedMethod, quietMode, epicClient);
+        const filteredStats = applyStatFilters(rawStats, filters, statPatternKeys);
+        conditionalLog(`Building report from ${Object.keys(filteredStats.stats).length} filtered raw stats`, quietMode);
         
-        // Calculate tonight's midnight in GMT
-        const now = new Date();
-        now.setUTCDate(now.getUTCDate() + 1); // tomorrow
-        now.setUTCHours(0, 0, 0, 0); // midnight
-        const tonightMidnight = Math.floor(now.getTime() / 1000);
+        // Build both views from the same filtered raw stats
+        const nestedStats = createFortniteStatObject(filteredStats, filters.includes('bots'));
         
-        // Initial time window
-        let endTime = tonightMidnight;
-        let step = 1;
+        const report = generateReport({
+            player: { displayName: rawStats.displayName, accountId: rawStats.accountId },
+            timeWindow,
+            filters,
+            statPatternKeys,
+            useAdvancedMethod,
+            nestedStats: addFortniteRateStats(nestedStats),
+            trnStats: addFortniteRateStats(transformToTRNFormat(nestedStats)),
+            lastModified: getModifiedTimes(filteredStats.stats),
+            generatedAt: new Date().toISOString()
+        }, format);
         
-        // Loop until we reach ch5s1 start
-        while (true) {
-            console.log(`\n=== Step ${step}: Retrieving stats from ${formatTime(ch1s1Start)} to ${formatTime(endTime)} ===`);
-            
-            // Get stats for time window
-            const timeWindow = { startTime: ch1s1Start, endTime: endTime };
-            const rawStats = await epicClient.fortnite.getStats(playerInfo.id, timeWindow);
-            
-            // Filter stats if filters provided
-            let filteredStats = rawStats;
-            if (filters.length > 0) {
-                filteredStats = filterRawFortniteStats(rawStats, filters);
-                console.log(`Applied filters: ${filters.join(', ')}`);
-            }
-            
-            // Get sorted stats
-            const sortedStats = getSortedStats(filteredStats.stats || {});
+        if (outPath) {
+            writeFileSync(outPath, report);
+            conditionalLog(`Saved ${format} report to ${outPath}`, quietMode);
+        } else {
+            process.stdout.write(report);
+        }
+    } catch (error) {
+        console.error("Error generating report:", error);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Compares several players side by side for the same time window
+ * @param {Array<string>} playerNames - Epic Games display names
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @param {Array<string>} filters - Game mode filters to apply
+ * @param {Array<string>} statPatternKeys - Optional stat pattern keys to filter by
+ * @param {boolean} useTRNFormat - Whether to use TRN-style format for team sizes
+ * @param {boolean} useAdvancedMethod - Whether to use the advanced triple API call technique
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client shared by all players
+ * @param {string} [outputFormat='text'] - Output format ('text', 'json', 'csv' or 'tsv')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+async function compareFortnitePlayers(playerNames, timeWindow, filters, statPatternKeys, useTRNFormat,
+                                      useAdvancedMethod, quietMode, epicClient, outputFormat = 'text',
+                                      useColor = false) {
+    try {
+        // Fetch players one after another to stay gentle on the API
+        const playerResults = [];
+        for (const playerName of playerNames) {
+            const rawStats = await getFortniteStats(playerName, timeWindow, useAdvancedMethod, quietMode, epicClient);
+            const filteredStats = applyStatFilters(rawStats, filters, statPatternKeys);
+            let nestedStats = createFortniteStatObject(filteredStats, filters.includes('bots'));
+            if (useTRNFormat) nestedStats = transformToTRNFormat(nestedStats);
             
-            // Add to accumulated stats
-            accumulatedStats.push({
-                endTime: endTime,
-                endTimeFormatted: formatTime(endTime),
-                stats: sortedStats
+            playerResults.push({
+                player: { displayName: rawStats.displayName, accountId: rawStats.accountId },
+                stats: addFortniteRateStats(nestedStats)
             });
-            
-            // Calculate differences if not first step
-            if (step > 1) {
-                const prevStats = accumulatedStats[step - 2].stats;
-                const currentStats = sortedStats;
-                const diff = getStatsDifference(currentStats, prevStats);
-                
-                statDifferences.push({
-                    endTime: endTime,
-                    endTimeFormatted: formatTime(endTime),
-                    differences: diff
-                });
-                
-                // Display differences
-                console.log(`\nStat changes at this step (${Object.keys(diff).length} changes):`);
-                if (Object.keys(diff).length === 0) {
-                    console.log("  No changes detected");
-                } else {
-                    // Display the raw differences
-                    console.dir(diff, { depth: null });
-                }
-            }
-            
-            // Show 5 most recent lastmodified times
-            const recentModified = getModifiedTimes(sortedStats, { limit: 5 });
-            console.log("\n5 most recent lastmodified times:");
-            if (Object.keys(recentModified).length === 0) {
-                console.log("  No lastmodified entries found");
-            } else {
-                console.dir(recentModified, { depth: null });
-            }
-            
-            // Find latest lastmodified time for next step
-            const latestTimestamp = getLatestModifiedTimestamp(sortedStats);
-            
-            // If no lastmodified times found or we've reached ch5s1, stop
-            if (latestTimestamp === 0 || latestTimestamp <= ch5s1Start) {
-                console.log("\nReached end of search (no earlier lastmodified times or hit ch5s1 start date)");
-                break;
-            }
-            
-            // Set next end time to midnight GMT of the latest lastmodified date
-            endTime = getMidnightGMT(latestTimestamp);
-            
-            // Break if we've gone back too far
-            if (endTime <= ch5s1Start) {
-                console.log("\nReached ch5s1 start date, stopping");
-                break;
-            }
-            
-            console.log(`\nWaiting 5 seconds before next step...`);
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            
-            step++;
         }
         
-        // Save results to JSON file
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `${playerName}_stat_history_${timestamp}.json`;
-        const filePath = join(__dirname, filename);
+        const comparison = buildComparison(playerResults, useTRNFormat);
         
-        const result = {
-            playerName: playerInfo.displayName,
-            playerId: playerInfo.id,
-            filters: filters,
-            generatedAt: new Date().toISOString(),
-            accumulatedStats: accumulatedStats,
-            statDifferences: statDifferences
-        };
+        if (outputFormat === 'json') {
+            writeJSONDocument(createComparisonDocument({
+                playerResults,
+                comparison,
+                timeWindow,
+                filters,
+                statPatternKeys,
+                useAdvancedMethod,
+                view: useTRNFormat ? 'trn' : 'nested'
+            }));
+            return;
+        }
         
-        writeFileSync(filePath, JSON.stringify(result, null, 2));
-        console.log(`\nSaved results to ${filename}`);
+        if (outputFormat === 'csv' || outputFormat === 'tsv') {
+            process.stdout.write(exportComparison(comparison, outputFormat));
+            return;
+        }
+        
+        if (!quietMode) {
+            console.log(`\nComparison: ${comparison.players.map(player => player.displayName).join(' vs ')}`);
+            console.log(`  ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`);
+        }
         
+        if (comparison.rows.length === 0) {
+            console.log("  No matching stats found");
+        } else {
+            console.log(renderComparisonTable(comparison, useTRNFormat, { color: useColor }));
+            if (!useColor) console.log("\n* best value in the row");
+        }
     } catch (error) {
-        console.error("Error searching stats history:", error);
+        console.error("Error comparing players:", error);
+        process.exitCode = 1;
     }
 }
 
-// Parse command line args
-const args = process.argv.slice(2);
-if (args.length < 1) {
-    console.log("Usage:");
-    console.log("  Normal mode: node fortniteRawStatDebug.js <playerName> [season|timeWindow] [...filters] [...statPatterns]");
-    console.log("  History search: node fortniteRawStatDebug.js --history <playerName> [...filters]");
-    console.log("  Raw stats mode: node fortniteRawStatDebug.js --raw <playerName> [season|timeWindow] [...filters] [...statPatterns]");
-    console.log("  TRN format: node fortniteRawStatDebug.js --TRN <playerName> [season|timeWindow] [...filters] [...statPatterns]");
-    console.log("  Direct API mode: node fortniteRawStatDebug.js --direct <playerName> [season|timeWindow] [...filters] [...statPatterns]");
-    console.log("  Quiet mode: node fortniteRawStatDebug.js --quiet <playerName> [season|timeWindow] [...filters] [...statPatterns]");
-    console.log("  Combined modes: Can combine flags (e.g., --direct --raw --quiet <playerName>)");
-    console.log("\nExamples:");
-    console.log("  Season: node fortniteRawStatDebug.js PlayerName ch5s2 zeroBuild solo ranked kills wins");
-    console.log("  Special season: node fortniteRawStatDebug.js PlayerName og zeroBuild duo pubs");
-    console.log("  Custom time window: node fortniteRawStatDebug.js PlayerName starttime=\"2023-01-01\" endtime=\"2023-01-31\" zeroBuild");
-    console.log("  Last N days: node fortniteRawStatDebug.js PlayerName lastday=3 zeroBuild solo");
-    console.log("  Last N weeks: node fortniteRawStatDebug.js PlayerName lastweek=2 duo pubs");
-    console.log("  Last N months: node fortniteRawStatDebug.js PlayerName lastmonth=1 squad");
-    console.log("  History search: node fortniteRawStatDebug.js --history PlayerName zeroBuild solo");
-    console.log("  Raw stats: node fortniteRawStatDebug.js --raw PlayerName ch6s2 zeroBuild");
-    console.log("  TRN-style: node fortniteRawStatDebug.js --TRN PlayerName ch6s2 solo");
-    console.log("  Direct API: node fortniteRawStatDebug.js --direct PlayerName ch6s2 zeroBuild");
-    console.log("  Quiet output: node fortniteRawStatDebug.js --quiet PlayerName ch6s2 zeroBuild");
-    console.log("\nAvailable filters:");
-    console.log("  Team sizes: solo, duo, trio, squad");
-    console.log("  Build modes: zeroBuild, build");
-    console.log("  Competitive modes: pubs, ranked, bots");
-    console.log("  Game modes: regular, reload");
-    console.log("\nAvailable stat patterns (can use multiple):");
-    console.log("  matches, kills, wins, top3, top5, top6, top10, top12, top25, minutes");
-    console.log("\nAvailable seasons:");
-    console.log("  " + Object.keys(seasonTimestamps).join(", "));
-    console.log("\nDefault season: ch6s2");
-    process.exit(1);
-}
-
-// Check for special modes
-if (args[0] === '--history') {
-    if (args.length < 2) {
-        console.log("Error: Player name required for history search");
-        process.exit(1);
-    }
-    
-    const playerName = args[1];
-    
-    // Extract mode filters
-    const { modeFilters } = parseFilterArgs(args.slice(2));
-    
-    // Run history search
-    searchStatsHistory(playerName, modeFilters);
-} else {
-    // Check for special modes - use includes() to allow flags in any position
-    const showRawStats = args.includes('--raw') || args.includes('-r');
-    const useTRNFormat = args.includes('--TRN') || args.includes('-t');
-    let useDirectMethod = args.includes('--direct') || args.includes('-d');
-    const quietMode = args.includes('--quiet') || args.includes('-q');
-    
-    
-    // Remove all option flags to get the real arguments
-    const realArgs = args.filter(arg => 
-        arg !== '--raw' && arg !== '-r' && 
-        arg !== '--TRN' && arg !== '-t' && 
-        arg !== '--direct' && arg !== '-d' &&
-        arg !== '--quiet' && arg !== '-q'
-    );
-    
-    // Ensure there's at least one real argument (player name)
-    if (realArgs.length < 1) {
-        console.log("Error: Player name required");
-        process.exit(1);
-    }
-    
-    const playerName = realArgs[0];
-    let timeWindow = {};
-    let filters = [];
-    let statPatternKeys = [];
-    
-    // Process remaining arguments after player name
-    const offsetArgs = realArgs.slice(1);
-
-    // Get default time window (ch6s2)
-    const defaultSeason = 'ch6s2';
-    const defaultTimeWindow = {
-        startTime: useDirectMethod ? 
-            seasonTimestamps[defaultSeason].startTime : 
-            adjustToEndOfDay(seasonTimestamps[defaultSeason].startTime),
-        endTime: adjustToEndOfDay(seasonTimestamps[defaultSeason].endTime)
-    };
-
-    // First check for starttime= and endtime= parameters
-    const { timeWindow: customTimeWindow, foundCustomTime, remainingArgs: argsAfterCustomTime } = parseStartEndTimeArgs(offsetArgs, quietMode);
-
-    // Then check for time window shortcuts if custom time wasn't found
-    let timeWindowFound = foundCustomTime;
-    let argsToProcess = argsAfterCustomTime;
-
-    if (foundCustomTime) {
-        // Use the custom time window, filling in any missing parts with defaults
-        timeWindow = {
-            startTime: customTimeWindow.startTime !== null ? customTimeWindow.startTime : defaultTimeWindow.startTime,
-            endTime: customTimeWindow.endTime !== null ? customTimeWindow.endTime : defaultTimeWindow.endTime
-        };
-    } else {
-        // Check for lastday/lastweek/lastmonth time shortcuts
-        const remainingArgsAfterShortcuts = [];
-
-        for (const arg of argsAfterCustomTime) {
-            const parsedTimeWindow = parseTimeWindowArg(arg);
-            if (parsedTimeWindow) {
-                timeWindow = parsedTimeWindow;
-                timeWindowFound = true;
-                conditionalLog(`Using time window: ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`, quietMode);
-            } else {
-                remainingArgsAfterShortcuts.push(arg);
+/**
+ * Compares one player's stats in two time windows
+ * @param {string} playerName - Epic Games display name
+ * @param {Array<Object>} windows - The two windows {label, timeWindow, useDirectMethod} (see parseDiffWindowArgs)
+ * @param {Array<string>} filters - Game mode filters to apply
+ * @param {Array<string>} statPatternKeys - Optional stat pattern keys to filter by
+ * @param {boolean} useTRNFormat - Whether to use TRN-style format for team sizes
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @param {string} [outputFormat='text'] - Output format ('text', 'json', 'csv' or 'tsv')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+async function compareTimeWindows(playerName, windows, filters, statPatternKeys, useTRNFormat, quietMode,
+                                  epicClient, outputFormat = 'text', useColor = false) {
+    try {
+        const windowResults = [];
+        for (const window of windows) {
+            const rawStats = await getFortniteStats(playerName, window.timeWindow, !window.useDirectMethod, quietMode, epicClient);
+            const filteredStats = applyStatFilters(rawStats, filters, statPatternKeys);
+            let nestedStats = createFortniteStatObject(filteredStats, filters.includes('bots'));
+            if (useTRNFormat) nestedStats = transformToTRNFormat(nestedStats);
+            
+            windowResults.push({
+                player: { displayName: rawStats.displayName, accountId: rawStats.accountId },
+                label: window.label,
+                timeWindow: window.timeWindow,
+                useAdvancedMethod: !window.useDirectMethod,
+                stats: addFortniteRateStats(nestedStats)
+            });
+        }
+        
+        const diff = buildStatDiff(windowResults[0].stats, windowResults[1].stats, useTRNFormat);
+        const player = windowResults[0].player;
+        
+        if (outputFormat === 'json') {
+            writeJSONDocument(createDiffDocument({
+                player,
+                windows: windowResults,
+                diff,
+                filters,
+                statPatternKeys,
+                view: useTRNFormat ? 'trn' : 'nested'
+            }));
+            return;
+        }
+        
+        if (outputFormat === 'csv' || outputFormat === 'tsv') {
+            process.stdout.write(exportStatDiff(diff, outputFormat));
+            return;
+        }
+        
+        if (!quietMode) {
+            console.log(`\nChanges for ${player.displayName}:`);
+            for (const result of windowResults) {
+                console.log(`  ${result.label}: ${formatTime(result.timeWindow.startTime)} to ${formatTime(result.timeWindow.endTime)}`);
             }
         }
-
-        argsToProcess = remainingArgsAfterShortcuts;
-    }
-
-    // Only process season args if no time window was found yet
-    if (!timeWindowFound) {
-        // Check if the first argument is a valid season name
-        if (argsToProcess.length >= 1 && seasonTimestamps[argsToProcess[0]]) {
-            const season = argsToProcess[0];
-            
-            // For season queries, only adjust startTime to end-of-day when using advanced method
-            timeWindow = {
-                // Only adjust startTime to end-of-day when using advanced method
-                startTime: useDirectMethod ? 
-                    seasonTimestamps[season].startTime : 
-                    adjustToEndOfDay(seasonTimestamps[season].startTime), 
-                endTime: adjustToEndOfDay(seasonTimestamps[season].endTime)
-            };
-            
-            const startTimeAdjustMsg = useDirectMethod ? 
-                "adjusted end time to end of day" : 
-                "adjusted start and end times to end of day";
-                
-            conditionalLog(`Using season ${season} (${startTimeAdjustMsg})`, quietMode);
-            
-            // Remove season from args
-            argsToProcess = argsToProcess.slice(1);
+        
+        if (diff.rows.length === 0) {
+            console.log("  No matching stats found in either window");
         } else {
-            // Default to ch6s2
-            timeWindow = defaultTimeWindow;
-            
-            const startTimeAdjustMsg = useDirectMethod ? 
-                "adjusted end time to end of day" : 
-                "adjusted start and end times to end of day";
-                
-            conditionalLog(`No time window specified. Using default season ${defaultSeason} (${startTimeAdjustMsg}).`, quietMode);
+            console.log(renderStatDiffTable(diff, windowResults.map(result => result.label), useTRNFormat, { color: useColor }));
         }
+    } catch (error) {
+        console.error("Error comparing time windows:", error);
+        process.exitCode = 1;
     }
+}
 
-    // Process remaining arguments as filters and stat patterns
-    if (argsToProcess.length > 0) {
-        const { modeFilters, statPatterns } = parseFilterArgs(argsToProcess);
-        filters = modeFilters;
-        statPatternKeys = statPatterns;
-    }
-
-    // Handle special case: If either startTime or endTime is 0, use ch1s1 startTime
-    if (timeWindow.startTime === 0) {
-        timeWindow.startTime = seasonTimestamps.ch1s1.startTime;
-        conditionalLog(`Using Ch1S1 start time (${formatTime(timeWindow.startTime)}) for startTime=0`, quietMode);
-    }
-    
-    if (timeWindow.endTime === 0) {
-        timeWindow.endTime = seasonTimestamps.ch1s1.startTime;
-        conditionalLog(`Using Ch1S1 start time (${formatTime(timeWindow.endTime)}) for endTime=0`, quietMode);
-    }
-
-    // Force direct method if startTime is lifetime stats (≤ ch1s1 start time)
-    if (timeWindow.startTime <= seasonTimestamps.ch1s1.startTime) {
-        conditionalLog(`Start time (${formatTime(timeWindow.startTime)}) is at or before Ch1S1 start time (${formatTime(seasonTimestamps.ch1s1.startTime)})`, quietMode);
-        conditionalLog("Automatically using direct API method for lifetime stats", quietMode);
-        useDirectMethod = true;
+/**
+ * Shows combined stats for a group of players plus each player's share
+ * @param {Array<string>} playerNames - Epic Games display names
+ * @param {string|null} groupName - Saved group name (null for an ad-hoc list)
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @param {Array<string>} filters - Game mode filters to apply
+ * @param {Array<string>} statPatternKeys - Optional stat pattern keys to filter by
+ * @param {boolean} useTRNFormat - Whether to use TRN-style format for team sizes
+ * @param {boolean} useAdvancedMethod - Whether to use the advanced triple API call technique
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client shared by all players
+ * @param {string} [outputFormat='text'] - Output format ('text', 'json', 'csv' or 'tsv')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+async function showGroupStats(playerNames, groupName, timeWindow, filters, statPatternKeys, useTRNFormat,
+                              useAdvancedMethod, quietMode, epicClient, outputFormat = 'text', useColor = false) {
+    try {
+        // Fetch and filter each player's raw stats
+        const playerResults = [];
+        for (const playerName of playerNames) {
+            const rawStats = await getFortniteStats(playerName, timeWindow, useAdvancedMethod, quietMode, epicClient);
+            playerResults.push({
+                player: { displayName: rawStats.displayName, accountId: rawStats.accountId },
+                // Bots are left out unless requested, matching the combined structure
+                stats: filterByStatPatterns(filterRawFortniteStats(rawStats, filters).stats, statPatternKeys)
+            });
+        }
+        
+        // Sum the raw stats, then build the usual structure from the combined totals
+        const combinedStats = sumRawFortniteStats(playerResults.map(result => ({ stats: result.stats })));
+        conditionalLog(`Combined ${Object.keys(combinedStats.stats).length} raw stats from ${playerResults.length} players`, quietMode);
+        
+        let nestedStats = createFortniteStatObject(combinedStats, filters.includes('bots'));
+        if (useTRNFormat) nestedStats = transformToTRNFormat(nestedStats);
+        const groupStats = addFortniteRateStats(nestedStats);
+        const shares = calculatePlayerShares(playerResults);
+        
+        if (outputFormat === 'json') {
+            writeJSONDocument(createGroupDocument({
+                groupName,
+                shares,
+                timeWindow,
+                filters,
+                statPatternKeys,
+                useAdvancedMethod,
+                view: useTRNFormat ? 'trn' : 'nested',
+                stats: groupStats
+            }));
+            return;
+        }
+        
+        if (outputFormat === 'csv' || outputFormat === 'tsv') {
+            process.stdout.write(exportStatStructure(groupStats, useTRNFormat, outputFormat));
+            return;
+        }
+        
+        const groupLabel = groupName ? `@${groupName}` : 'Group';
+        if (!quietMode) {
+            console.log(`\n${groupLabel}: ${shares.map(share => share.displayName).join(', ')}`);
+            console.log(`  ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`);
+            console.log(useTRNFormat ? "\nCombined TRN-Style Stats (bots excluded):" : "\nCombined Stat Structure:");
+        }
+        
+        if (Object.keys(groupStats).length === 0) {
+            console.log("  No matching stats found");
+            return;
+        }
+        console.log(renderStatTable(groupStats, useTRNFormat, { color: useColor }));
+        
+        if (!quietMode) console.log("\nShare of group totals:");
+        console.log(renderShareTable(shares, { color: useColor }));
+    } catch (error) {
+        console.error("Error retrieving group stats:", error);
+        process.exitCode = 1;
     }
+}
+
+/**
+ * Shows stats for several players fetched together with the bulk stats endpoint
+ * @param {Array<string>} playerNames - Epic Games display names
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @param {Array<string>} filters - Game mode filters to apply
+ * @param {Array<string>} statPatternKeys - Optional stat pattern keys to request (all when empty)
+ * @param {boolean} useTRNFormat - Whether to use TRN-style format for team sizes
+ * @param {boolean} useAdvancedMethod - Whether to use the cumulative window technique
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @param {string} [outputFormat='text'] - Output format ('text', 'json', 'csv' or 'tsv')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+async function showBulkStats(playerNames, timeWindow, filters, statPatternKeys, useTRNFormat,
+                             useAdvancedMethod, quietMode, epicClient, outputFormat = 'text', useColor = false) {
+    try {
+        // Only the keys that would survive the filters are requested
+        const statKeys = generateBulkStatKeys(statPatternKeys, filters);
+        if (statKeys.length === 0) {
+            console.log("Error: The filters leave no stats to request");
+            process.exitCode = 1;
+            return;
+        }
+        
+        const rawStatsList = await getBulkFortniteStats(playerNames, timeWindow, statKeys,
+                                                        useAdvancedMethod, quietMode, epicClient);
+        
+        const playerResults = rawStatsList.map(rawStats => {
+            let nestedStats = createFortniteStatObject(rawStats, filters.includes('bots'));
+            if (useTRNFormat) nestedStats = transformToTRNFormat(nestedStats);
+            return {
+                player: { displayName: rawStats.displayName, accountId: rawStats.accountId },
+                stats: addFortniteRateStats(nestedStats)
+            };
+        });
+        
+        if (outputFormat === 'json') {
+            writeJSONDocument(createBulkDocument({
+                playerResults,
+                timeWindow,
+                filters,
+                statPatternKeys,
+                statKeyCount: statKeys.length,
+                useAdvancedMethod,
+                view: useTRNFormat ? 'trn' : 'nested'
+            }));
+            return;
+        }
+        
+        if (outputFormat === 'csv' || outputFormat === 'tsv') {
+            process.stdout.write(exportPlayerStatStructures(playerResults, useTRNFormat, outputFormat));
+            return;
+        }
+        
+        for (const { player, stats } of playerResults) {
+            console.log(`\n${player.displayName}:`);
+            if (!quietMode) console.log(`  ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`);
+            if (Object.keys(stats).length === 0) {
+                console.log("  No matching stats found");
+            } else {
+                console.log(renderStatTable(stats, useTRNFormat, { color: useColor }));
+            }
+        }
+    } catch (error) {
+        console.error("Error retrieving bulk stats:", error);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Shows a player's current division and promotion progress for each active ranking type
+ * @param {string} playerName - Epic Games display name
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @param {string} [outputFormat='text'] - Output format ('text' or 'json')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+async function showRankedProgress(playerName, quietMode, epicClient, outputFormat = 'text', useColor = false) {
+    try {
+        const ranked = await getRankedProgress(playerName, quietMode, epicClient);
+        const time = nowSeconds();
+        const ranks = buildRankedSummary(getActiveTracks(ranked.tracks, time), ranked.progress);
+        
+        if (outputFormat === 'json') {
+            writeJSONDocument(createRankedDocument({
+                player: { displayName: ranked.displayName, accountId: ranked.accountId },
+                time,
+                ranks
+            }));
+            return;
+        }
+        
+        if (!quietMode) console.log(`\nRanked progress for ${ranked.displayName}:`);
+        if (ranks.length === 0) {
+            console.log("  No active ranked seasons");
+            return;
+        }
+        console.log(renderRankedTable(ranks, { color: useColor }));
+    } catch (error) {
+        console.error("Error retrieving ranked progress:", error);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Shows a player's ranked career: the final and highest division of every played
+ * ranked season, paired with the ranked stats played during that season
+ * @param {string} playerName - Epic Games display name
+ * @param {boolean} useAdvancedMethod - Whether to use the advanced triple API call technique
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @param {string} [outputFormat='text'] - Output format ('text' or 'json')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+async function showRankedHistory(playerName, useAdvancedMethod, quietMode, epicClient, outputFormat = 'text',
+                                 useColor = false) {
+    try {
+        const ranked = await getRankedTrackHistory(playerName, quietMode, epicClient);
+        
+        // Pair each season with the ranked stats of its mode, played within the track's window
+        // (the tracks of one ranked season share a window, so each window is fetched once)
+        const windowStats = new Map();
+        const history = [];
+        for (const entry of buildRankedSummary(ranked.tracks, ranked.progress)) {
+            const modePath = getRankingTypeModePath(entry.rankingType);
+            let stats = null;
+            if (modePath) {
+                const windowKey = `${entry.startTime}-${entry.endTime}`;
+                if (!windowStats.has(windowKey)) {
+                    const timeWindow = { startTime: entry.startTime, endTime: entry.endTime };
+                    windowStats.set(windowKey, await getFortniteStats(ranked.displayName, timeWindow, useAdvancedMethod,
+                                                                      quietMode, epicClient));
+                }
+                const rankedStats = filterRawFortniteStats(windowStats.get(windowKey), modePath);
+                stats = getModePathStats(createFortniteStatObject(rankedStats), modePath);
+            }
+            history.push({ ...entry, stats });
+        }
+        
+        if (outputFormat === 'json') {
+            writeJSONDocument(createRankedHistoryDocument({
+                player: { displayName: ranked.displayName, accountId: ranked.accountId },
+                history,
+                useAdvancedMethod
+            }));
+            return;
+        }
+        
+        if (!quietMode) console.log(`\nRanked history for ${ranked.displayName}:`);
+        if (history.length === 0) {
+            console.log("  No ranked seasons played");
+            return;
+        }
+        console.log(renderRankedHistoryTable(history, { color: useColor }));
+    } catch (error) {
+        console.error("Error retrieving ranked history:", error);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Ranks a roster of players on one metric
+ * @param {Array<string>} playerNames - Epic Games display names
+ * @param {string|null} groupName - Saved group name (null for an ad-hoc list)
+ * @param {string} metric - Metric to rank by (e.g. 'winRate')
+ * @param {string|null} modePath - Mode path to take the metric from (null for all modes)
+ * @param {number} minMatches - Minimum matches to be ranked
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @param {Array<string>} filters - Game mode filters to apply
+ * @param {boolean} useAdvancedMethod - Whether to use the advanced triple API call technique
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client shared by all players
+ * @param {string} [outputFormat='text'] - Output format ('text', 'json', 'csv' or 'tsv')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+async function showLeaderboard(playerNames, groupName, metric, modePath, minMatches, timeWindow, filters,
+                               useAdvancedMethod, quietMode, epicClient, outputFormat = 'text', useColor = false) {
+    try {
+        const pathSegments = parseModePath(modePath);
+
+        const playerResults = [];
+        for (const playerName of playerNames) {
+            const rawStats = await getFortniteStats(playerName, timeWindow, useAdvancedMethod, quietMode, epicClient);
+            const filteredStats = applyStatFilters(rawStats, filters, []);
+            const nestedStats = createFortniteStatObject(filteredStats, filters.includes('bots'));
+            playerResults.push({
+                player: { displayName: rawStats.displayName, accountId: rawStats.accountId },
+                stats: getModePathStats(nestedStats, pathSegments)
+            });
+        }
+
+        const leaderboard = rankPlayers(playerResults, metric, minMatches);
+
+        if (outputFormat === 'json') {
+            writeJSONDocument(createLeaderboardDocument({
+                groupName,
+                leaderboard,
+                metric,
+                modePath,
+                minMatches,
+                timeWindow,
+                filters,
+                useAdvancedMethod
+            }));
+            return;
+        }
+
+        if (outputFormat === 'csv' || outputFormat === 'tsv') {
+            process.stdout.write(exportLeaderboard(leaderboard, metric, outputFormat));
+            return;
+        }
+
+        if (!quietMode) {
+            console.log(`\n${groupName ? `@${groupName}` : 'Leaderboard'}: ${getColumnLabel(metric)}` +
+                ` (${modePath ?? 'all modes'}, min ${minMatches} matches)`);
+            console.log(`  ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`);
+        }
+
+        if (leaderboard.entries.length === 0) {
+            console.log("  No players qualified");
+        } else {
+            console.log(renderLeaderboardTable(leaderboard, metric, { color: useColor }));
+        }
+
+        if (leaderboard.excluded.length > 0 && !quietMode) {
+            console.log("\nNot ranked:");
+            leaderboard.excluded.forEach(player => console.log(`  ${player.displayName}: ${player.reason}`));
+        }
+    } catch (error) {
+        console.error("Error building leaderboard:", error);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Prints the resolved season table and, for check, every validation problem
+ * @param {string} action - 'list' or 'check'
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+function showSeasonDefinitions(action, useColor = false) {
+    const { seasons, errors, warnings, files } = seasonDefinitions;
+    
+    if (action === 'list') {
+        console.log(renderSeasonTable(seasons, { color: useColor }));
+        return;
+    }
+    
+    console.log("Season files:");
+    files.forEach(file => console.log(`  ${file.source}: ${file.path}`));
+    console.log(`\n${Object.keys(seasons).length} seasons resolved`);
+    
+    if (errors.length > 0) {
+        console.log(`\nErrors (${errors.length}, entries ignored):`);
+        errors.forEach(error => console.log(`  ${error.message}`));
+        process.exitCode = 1;
+    }
+    if (warnings.length > 0) {
+        console.log(`\nWarnings (${warnings.length}):`);
+        warnings.forEach(warning => console.log(`  ${warning.message}`));
+    }
+    if (errors.length === 0 && warnings.length === 0) console.log("No problems found");
+}
+
+/**
+ * Merges the current season's boundaries from the calendar timeline into the user season file
+ * @param {string|null} seasonName - Name to store the season under (null to derive it from the season number)
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ */
+async function syncSeasonDefinitions(seasonName, quietMode, epicClient) {
+    try {
+        const timeline = await epicClient.fortnite.getTimeline();
+        const timelineSeason = getTimelineSeason(timeline);
+        const season = { ...timelineSeason, name: seasonName ?? timelineSeason.name };
+        conditionalLog(`Timeline season ${season.seasonNumber}: ${season.start} to ${season.end}`, quietMode);
+        
+        const { definitions, status } = mergeTimelineSeason(loadUserSeasonDefinitions(), season);
+        if (status === 'unchanged') {
+            console.log(`${season.name} is already up to date in ${getUserSeasonsFilePath()}`);
+            return;
+        }
+        
+        saveUserSeasonDefinitions(definitions);
+        console.log(`${status === 'added' ? 'Added' : 'Updated'} ${season.name} ` +
+            `(${formatTime(Date.parse(season.start) / 1000)} to ${formatTime(Date.parse(season.end) / 1000)}) ` +
+            `in ${getUserSeasonsFilePath()}`);
+    } catch (error) {
+        console.error("Error syncing season definitions:", error);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Polls today's snapshot and reports each detected match until interrupted
+ * Matches are appended to the match log together with gaps where polling was missed
+ * (failed polls, and the last stretch before midnight GMT).
+ * @param {string} playerName - Epic Games display name
+ * @param {Array<string>} filters - Game mode filters to apply
+ * @param {number} intervalSeconds - Seconds between polls
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @param {string} [outputFormat='text'] - Output format ('text' or 'json' for one JSON line per match)
+ * @param {boolean} [logMatches=true] - Whether to append matches to the match log
+ */
+async function watchPlayerMatches(playerName, filters, intervalSeconds, quietMode, epicClient, outputFormat = 'text',
+                                  logMatches = true) {
+    try {
+        const playerInfo = await epicClient.getAccountByDisplayName(playerName);
+        const player = { accountId: playerInfo.id, displayName: playerInfo.displayName };
+        conditionalLog(`Found player: ${playerInfo.displayName} (${playerInfo.id})`, quietMode);
+        
+        // Polls bypass the response cache: its live-window TTL is longer than the poll interval
+        const pollTodayStats = async timeWindow => filterRawFortniteStats(
+            await epicClient.fortnite.getStats(playerInfo.id, timeWindow), filters);
+        const logGap = (from, to, reason) => {
+            if (logMatches) appendMatchLog([{ type: 'gap', ...player, from, to, reason }]);
+        };
+        
+        let timeWindow = getLastTimeWindow(1, 'day');
+        let previousStats = await pollTodayStats(timeWindow);
+        let lastPollTime = nowSeconds();
+        // Time of the last successful poll before failed ones (null while polls succeed)
+        let missedSince = null;
+        conditionalLog(`Watching ${playerInfo.displayName} every ${intervalSeconds}s ` +
+            `(${filters.length > 0 ? `modes: ${filters.join(', ')}` : 'all modes'}). Press Ctrl+C to stop.`, quietMode);
+        if (logMatches) conditionalLog(`Logging matches to ${getMatchLogPath()}`, quietMode);
+        
+        while (true) {
+            await new Promise(resolve => setTimeout(resolve, intervalSeconds * 1000));
+            
+            // At midnight GMT the window moves on and the new day starts from zero
+            const currentWindow = getLastTimeWindow(1, 'day');
+            if (currentWindow.startTime !== timeWindow.startTime) {
+                conditionalLog(`New day (${formatTime(currentWindow.startTime)}): matches finished since the last poll ` +
+                    "before midnight are only in yesterday's totals", quietMode);
+                logGap(missedSince ?? lastPollTime, currentWindow.startTime, 'day-change');
+                timeWindow = currentWindow;
+                previousStats = { stats: {} };
+                lastPollTime = currentWindow.startTime;
+                missedSince = null;
+            }
+            
+            let currentStats;
+            try {
+                currentStats = await pollTodayStats(timeWindow);
+            } catch (error) {
+                // Keep the previous baseline; the next successful poll reports the missed matches merged
+                console.error(`Poll failed (${error.message}), retrying in ${intervalSeconds}s`);
+                missedSince ??= lastPollTime;
+                continue;
+            }
+            
+            const pollTime = nowSeconds();
+            const aggregated = missedSince !== null;
+            if (aggregated) logGap(missedSince, pollTime, 'poll-failed');
+            
+            const events = detectMatchEvents(previousStats, currentStats, filters.includes('bots'))
+                .map(event => ({ ...event, aggregated }));
+            if (logMatches) appendMatchLog(events.map(event => ({ type: 'match', ...player, ...event })));
+            
+            for (const event of events) {
+                if (outputFormat === 'json') {
+                    writeJSONLine({ player, ...event });
+                } else {
+                    console.log(formatMatchEvent(event));
+                }
+            }
+            previousStats = currentStats;
+            lastPollTime = pollTime;
+            missedSince = null;
+        }
+    } catch (error) {
+        console.error("Error watching matches:", error);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Shows a player's logged matches grouped into play sessions
+ * @param {string} playerName - Display name or account ID in the match log
+ * @param {Object|null} timeWindow - Time window to limit matches to (null for all)
+ * @param {Array<string>} filters - Game mode filters to apply
+ * @param {number} idleGap - Idle seconds that end a session
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {string} [outputFormat='text'] - Output format ('text' or 'json')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+function showPlaySessions(playerName, timeWindow, filters, idleGap, quietMode, outputFormat = 'text', useColor = false) {
+    const playerLog = getPlayerMatchLog(loadMatchLog(), playerName);
+    if (!playerLog) {
+        console.log(`Error: No logged matches for '${playerName}' in ${getMatchLogPath()} (record some with: fn-stats watch ${playerName})`);
+        process.exitCode = 1;
+        return;
+    }
+    
+    const inWindow = time => !timeWindow || (time >= timeWindow.startTime && time < timeWindow.endTime);
+    const matches = filterLoggedMatches(playerLog.matches, filters).filter(match => inWindow(match.time));
+    const gaps = playerLog.gaps.filter(gap => !timeWindow || (gap.from < timeWindow.endTime && gap.to > timeWindow.startTime));
+    const sessions = groupPlaySessions(matches, gaps, idleGap);
+    
+    if (outputFormat === 'json') {
+        writeJSONDocument(createSessionsDocument({
+            player: playerLog,
+            sessions,
+            gaps,
+            idleGap,
+            timeWindow,
+            filters
+        }));
+        return;
+    }
+    
+    if (!quietMode) {
+        console.log(`\nPlay sessions for ${playerLog.displayName} (new session after ${Math.round(idleGap / 60)} idle minutes):`);
+        if (timeWindow) console.log(`  ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`);
+    }
+    if (sessions.length === 0) {
+        console.log("  No logged matches");
+        return;
+    }
+    console.log(renderSessionTable(sessions, { color: useColor }));
+    if (!quietMode && sessions.some(session => session.aggregated)) {
+        console.log("\n* includes merged matches or missed polls (totals are aggregated, not per match)");
+    }
+}
+
+/**
+ * Locates the snapshots around a date that changed a player's stats
+ * @param {string} playerName - Epic Games display name
+ * @param {Object} timeWindow - Search bounds {startTime, endTime}
+ * @param {string} per - Group changes per 'mode' or per raw 'key'
+ * @param {number} resolution - Precision in seconds
+ * @param {Array<string>} filters - Game mode filters to apply
+ * @param {Array<string>} statPatternKeys - Optional stat pattern keys to filter by
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @param {string} [outputFormat='text'] - Output format ('text' or 'json')
+ * @param {boolean} [useColor=false] - Whether to colour table output
+ */
+async function findStatSnapshots(playerName, timeWindow, per, resolution, filters, statPatternKeys, quietMode,
+                                 epicClient, outputFormat = 'text', useColor = false) {
+    try {
+        const { accountId, displayName, readSnapshot } = await getCumulativeSnapshotReader(playerName, quietMode, epicClient);
+        conditionalLog(`Searching ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)} for snapshots (resolution ${resolution}s)`, quietMode);
+        
+        const readFilteredSnapshot = async time => 
+            applyStatFilters({ stats: await readSnapshot(time) }, filters, statPatternKeys).stats;
+        const { changes, probes } = await findSnapshotChanges(readFilteredSnapshot, timeWindow.startTime, timeWindow.endTime, {
+            per,
+            resolution,
+            onProbe: (time, count) => conditionalLog(`Query #${count}: cumulative stats up to ${formatTime(time)}`, quietMode)
+        });
+        conditionalLog(`Found ${changes.length} changes with ${probes} queries`, quietMode);
+        
+        if (outputFormat === 'json') {
+            writeJSONDocument(createSnapshotsDocument({
+                player: { displayName, accountId },
+                timeWindow,
+                per,
+                resolution,
+                probes,
+                changes,
+                filters,
+                statPatternKeys
+            }));
+            return;
+        }
+        
+        if (!quietMode) {
+            console.log(`\nSnapshots for ${displayName}:`);
+            console.log(`  ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`);
+        }
+        if (changes.length === 0) {
+            console.log("  No stats changed in this window");
+            return;
+        }
+        console.log(renderSnapshotTable(changes, per, { color: useColor }));
+        
+        if (!quietMode) {
+            console.log("\nA window only sees a snapshot when it contains it: use an endtime= at or after its");
+            console.log("'At or before' time to include it, and a starttime= at or after it to leave it out.");
+        }
+    } catch (error) {
+        console.error("Error locating snapshots:", error);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Crawls a player's stats history back in time, saving it after every step
+ * @param {string} playerName - Epic Games display name
+ * @param {Object} options - Crawl settings
+ * @param {Array<string>} [options.filters=[]] - Game mode filters to apply
+ * @param {Array<string>} [options.statPatternKeys=[]] - Stat pattern keys to filter by
+ * @param {number} options.since - Unix timestamp to go back to
+ * @param {number} options.delay - Seconds to wait between steps
+ * @param {string|null} options.outPath - Output file (defaults to a timestamped file in the working directory)
+ * @param {Object|null} options.resumed - Saved history to continue (see loadStatsHistory)
+ * @param {boolean} quietMode - Whether to suppress progress output
+ * @param {EpicClient} epicClient - Authenticated client
+ */
+async function searchStatsHistory(playerName, options, quietMode, epicClient) {
+    const { filters = [], statPatternKeys = [], since, delay, resumed = null } = options;
+    
+    try {
+        const { accountId, displayName, readSnapshot } = await getCumulativeSnapshotReader(playerName, quietMode, epicClient);
+        if (resumed && resumed.playerId && resumed.playerId !== accountId) {
+            throw new Error(`${displayName} (${accountId}) isn't the player of the resumed history (${resumed.playerId})`);
+        }
+        
+        const history = resumed ? { ...resumed, since } : 
+            createStatsHistory({ player: { displayName, accountId }, filters, statPatternKeys, since });
+        const timestamp = new Date(now()).toISOString().replace(/[:.]/g, '-');
+        const outPath = options.outPath ?? join(process.cwd(), `${displayName}_stat_history_${timestamp}.json`);
+        
+        if (resumed) {
+            conditionalLog(`Resuming from ${history.accumulatedStats.length} saved steps`, quietMode);
+        }
+        if (filters.length > 0 || statPatternKeys.length > 0) {
+            conditionalLog(`Applied filters: ${[...filters, ...statPatternKeys].join(', ')}`, quietMode);
+        }
+        conditionalLog(`Going back to ${formatTime(since)}, ${delay}s between steps`, quietMode);
+        
+        const readFilteredSnapshot = async time => 
+            applyStatFilters({ stats: await readSnapshot(time) }, filters, statPatternKeys).stats;
+        const added = await crawlStatsHistory(readFilteredSnapshot, history, {
+            delay,
+            onStep: ({ step, endTime, differences, nextEndTime }) => {
+                saveStatsHistory(outPath, history);
+                
+                const changes = differences === null ? 'first step' :
+                    summarizeHistoryDifferences(differences) || 'no counter changes';
+                const next = nextEndTime === null ? 'done' : `next up to ${formatTime(nextEndTime)}`;
+                conditionalLog(`Step ${step}: stats up to ${formatTime(endTime)} (${changes}); ${next}`, quietMode);
+            }
+        });
+        
+        if (added === 0) {
+            conditionalLog(`The history already goes back to ${formatTime(since)}; nothing to add`, quietMode);
+            return;
+        }
+        console.log(`Saved ${history.accumulatedStats.length} steps to ${outPath}`);
+    } catch (error) {
+        console.error("Error searching stats history:", error);
+        process.exitCode = 1;
+    }
+}
+
+// Parse command line args
+const allArgs = process.argv.slice(2);
+
+// --no-cache, --record and --replay apply to every mode, so handle them before mode dispatch
+if (allArgs.includes('--no-cache')) setStatsCacheEnabled(false);
+const { value: recordDir, remainingArgs: argsAfterRecord } = extractOptionValue(allArgs, ['--record']);
+const { value: replayDir, remainingArgs: argsAfterReplay } = extractOptionValue(argsAfterRecord, ['--replay']);
+const args = argsAfterReplay.filter(arg => arg !== '--no-cache');
+
+try {
+    const fixtureMode = setupHttpFixtures({ recordDir, replayDir });
+    if (fixtureMode === 'record') console.error(`Recording Epic API exchanges to ${recordDir ?? process.env.FN_STATS_RECORD_DIR}`);
+    if (fixtureMode === 'replay') console.error(`Replaying Epic API exchanges from ${replayDir ?? process.env.FN_STATS_REPLAY_DIR} (offline)`);
+} catch (error) {
+    console.log(`Error: ${error.message}`);
+    process.exit(1);
+}
+
+// Rejected season definitions are reported on every run; "seasons check" shows the details
+if (args[0] !== 'seasons') {
+    seasonDefinitions.errors.forEach(error => console.warn(`Warning: ignoring season definition: ${error.message}`));
+    if (seasonDefinitions.warnings.length > 0) {
+        console.warn(`Warning: ${seasonDefinitions.warnings.length} season definition warnings (run: fn-stats seasons check)`);
+    }
+}
+
+if (args.length < 1) {
+    console.log("Usage:");
+    console.log("  Normal mode: node fortniteRawStatDebug.js <playerName> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  History search: node fortniteRawStatDebug.js history <playerName> [...filters] [...statPatterns] [--since <season|date>] [--delay <duration>] [--out <path>]");
+    console.log("  Resume history: node fortniteRawStatDebug.js history --resume <path> [--since <season|date>] [--delay <duration>] [--out <path>]");
+    console.log("  Compare players: node fortniteRawStatDebug.js compare <player1> <player2> [...playerN] [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  Compare windows: node fortniteRawStatDebug.js diff <playerName> <windowA> <windowB> [...filters] [...statPatterns]");
+    console.log("  Group totals: node fortniteRawStatDebug.js group <player1,player2,...|@group> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  Saved groups: node fortniteRawStatDebug.js group save <name> <player1,player2,...> | group list | group remove <name>");
+    console.log("  Bulk stats: node fortniteRawStatDebug.js bulk <player1,player2,...|@group> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  Ranked progress: node fortniteRawStatDebug.js ranked <playerName>");
+    console.log("  Ranked history: node fortniteRawStatDebug.js ranked history <playerName>");
+    console.log("  Leaderboard: node fortniteRawStatDebug.js leaderboard <player1,player2,...|@group> [--by metric] [--mode path] [--min-matches N] [season|timeWindow] [...filters]");
+    console.log("  Report: node fortniteRawStatDebug.js report <playerName> [season|timeWindow] [...filters] [...statPatterns] [--format md|html] [--out file]");
+    console.log("  Raw stats mode: node fortniteRawStatDebug.js --raw <playerName> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  TRN format: node fortniteRawStatDebug.js --TRN <playerName> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  Direct API mode: node fortniteRawStatDebug.js --direct <playerName> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  Quiet mode: node fortniteRawStatDebug.js --quiet <playerName> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  JSON output: node fortniteRawStatDebug.js --json <playerName> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  CSV/TSV export: node fortniteRawStatDebug.js --csv|--tsv <playerName> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  Auto season window: node fortniteRawStatDebug.js <playerName> <season> --auto-window [...filters] [...statPatterns]");
+    console.log("  Time series: node fortniteRawStatDebug.js <playerName> --by day|week|month [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  List unclassified stats: node fortniteRawStatDebug.js --show-unclassified <playerName> [season|timeWindow] [...filters]");
+    console.log("  Colour output: node fortniteRawStatDebug.js --color|--no-color <playerName> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  Bypass cache: node fortniteRawStatDebug.js --no-cache <playerName> [season|timeWindow] [...filters] [...statPatterns]");
+    console.log("  Cache management: node fortniteRawStatDebug.js cache clear|stats");
+    console.log("  Watch matches: node fortniteRawStatDebug.js watch <playerName> [...filters] [--interval 60s] [--no-log]");
+    console.log("  Play sessions: node fortniteRawStatDebug.js sessions <playerName> [lastday=N|lastweek=N|lastmonth=N] [...filters] [--idle 30m]");
+    console.log("  Find snapshots: node fortniteRawStatDebug.js snapshots <playerName> --around <date> [--span 3d] [--resolution 1m] [--per mode|key] [...filters] [...statPatterns]");
+    console.log("  Season definitions: node fortniteRawStatDebug.js seasons list|check|sync [--name season]");
+    console.log("  Record session: node fortniteRawStatDebug.js --record <dir> <playerName> [season|timeWindow] [...filters]");
+    console.log("  Replay session: node fortniteRawStatDebug.js --replay <dir> <playerName> [season|timeWindow] [...filters]");
+    console.log("  Combined modes: Can combine flags (e.g., --direct --raw --quiet <playerName>)");
+    console.log("\nExamples:");
+    console.log("  Season: node fortniteRawStatDebug.js PlayerName ch5s2 zeroBuild solo ranked kills wins");
+    console.log("  Special season: node fortniteRawStatDebug.js PlayerName og zeroBuild duo pubs");
+    console.log("  Custom time window: node fortniteRawStatDebug.js PlayerName starttime=\"2023-01-01\" endtime=\"2023-01-31\" zeroBuild");
+    console.log("  Last N days: node fortniteRawStatDebug.js PlayerName lastday=3 zeroBuild solo");
+    console.log("  Last N weeks: node fortniteRawStatDebug.js PlayerName lastweek=2 duo pubs");
+    console.log("  Last N months: node fortniteRawStatDebug.js PlayerName lastmonth=1 squad");
+    console.log("  History search: node fortniteRawStatDebug.js history PlayerName zeroBuild solo kills --since ch5s1 --out history.json");
+    console.log("  Resume history: node fortniteRawStatDebug.js history --resume history.json --delay 10s");
+    console.log("  Compare: node fortniteRawStatDebug.js compare PlayerOne PlayerTwo PlayerThree lastweek=1 zeroBuild --TRN");
+    console.log("  Season to season: node fortniteRawStatDebug.js diff PlayerName ch6s1 ch6s2 zeroBuild");
+    console.log("  Week over week: node fortniteRawStatDebug.js diff PlayerName previous lastweek=1 --TRN");
+    console.log("  Group: node fortniteRawStatDebug.js group save mysquad PlayerOne,PlayerTwo,PlayerThree");
+    console.log("         node fortniteRawStatDebug.js group @mysquad ch6s2 zeroBuild");
+    console.log("  Bulk: node fortniteRawStatDebug.js bulk PlayerOne,PlayerTwo,PlayerThree lastweek=1 zeroBuild kills wins matches");
+    console.log("  Ranked: node fortniteRawStatDebug.js ranked PlayerName");
+    console.log("         node fortniteRawStatDebug.js ranked history PlayerName --json > ranked.json");
+    console.log("  Leaderboard: node fortniteRawStatDebug.js leaderboard @mysquad --by killsPer20 --mode zeroBuild.regular.ranked.duo --min-matches 10 lastweek=1");
+    console.log("  Watch: node fortniteRawStatDebug.js watch PlayerName zeroBuild --interval 30s");
+    console.log("  Sessions: node fortniteRawStatDebug.js sessions PlayerName lastweek=1 --idle 45m");
+    console.log("  Snapshots: node fortniteRawStatDebug.js snapshots PlayerName --around \"Dec 1 2023 GMT\" --span 5d zeroBuild gamepad");
+    console.log("  HTML report: node fortniteRawStatDebug.js report PlayerName lastweek=1 --format html --out weekly.html");
+    console.log("  Raw stats: node fortniteRawStatDebug.js --raw PlayerName ch6s2 zeroBuild");
+    console.log("  TRN-style: node fortniteRawStatDebug.js --TRN PlayerName ch6s2 solo");
+    console.log("  Direct API: node fortniteRawStatDebug.js --direct PlayerName ch6s2 zeroBuild");
+    console.log("  Quiet output: node fortniteRawStatDebug.js --quiet PlayerName ch6s2 zeroBuild");
+    console.log("  JSON output: node fortniteRawStatDebug.js --json PlayerName ch6s2 zeroBuild > stats.json");
+    console.log("  CSV export: node fortniteRawStatDebug.js --csv --TRN PlayerName ch6s2 > stats.csv");
+    console.log("  Old season: node fortniteRawStatDebug.js PlayerName ch4s4 --auto-window zeroBuild");
+    console.log("  Daily stats: node fortniteRawStatDebug.js PlayerName --by day lastweek=2 zeroBuild --csv > daily.csv");
+    console.log("\nAvailable filters:");
+    console.log("  Team sizes: solo, duo, trio, squad");
+    console.log("  Build modes: zeroBuild, build");
+    console.log("  Competitive modes: pubs, ranked, bots");
+    console.log("  Game modes: regular, reload");
+    console.log("\nAvailable stat patterns (can use multiple):");
+    console.log("  matches, kills, wins, top3, top5, top6, top10, top12, top25, minutes");
+    console.log("\nAvailable seasons:");
+    console.log("  " + Object.keys(seasonTimestamps).join(", "));
+    console.log(`\nDefault season: ${getDefaultSeason()}`);
+    process.exit(1);
+}
+
+// Check for special modes
+// --history is the old spelling of the history command
+if (args[0] === 'history' || args[0] === '--history') {
+    const quietMode = args.includes('--quiet') || args.includes('-q');
+    
+    // Extract --since, --delay, --out and --resume values
+    const { value: sinceArg, remainingArgs: argsAfterSince } = extractOptionValue(args.slice(1), ['--since']);
+    const { value: delayArg, remainingArgs: argsAfterDelay } = extractOptionValue(argsAfterSince, ['--delay']);
+    const { value: outArg, remainingArgs: argsAfterOut } = extractOptionValue(argsAfterDelay, ['--out']);
+    const { value: resumeArg, remainingArgs: historyArgs } = extractOptionValue(argsAfterOut, ['--resume']);
+    
+    const realArgs = historyArgs.filter(arg => arg !== '--quiet' && arg !== '-q');
+    
+    let playerName;
+    let options;
+    try {
+        let resumed = null;
+        let { modeFilters, statPatterns } = parseFilterArgs(realArgs.slice(1));
+        if (resumeArg !== null) {
+            // A resumed history keeps its player and filters
+            resumed = loadStatsHistory(resumeArg);
+            if (realArgs.length > 0) {
+                throw new Error(`--resume continues ${resumed.playerName}'s history with its saved filters; leave out the player and filters`);
+            }
+            playerName = resumed.playerName;
+            modeFilters = resumed.filters;
+            statPatterns = resumed.statPatterns;
+        } else if (realArgs.length < 1) {
+            throw new Error("Player name required for history search");
+        } else {
+            playerName = realArgs[0];
+        }
+        
+        // --since takes a season name (its start) or a date; the crawl never goes before Ch1S1
+        let since = resumed?.since ?? seasonTimestamps.ch1s1.startTime;
+        if (sinceArg !== null) {
+            since = sinceArg in seasonTimestamps ? seasonTimestamps[sinceArg].startTime : parseDate(sinceArg);
+        }
+        
+        const delay = delayArg === null ? defaultHistoryDelay : parseDuration(delayArg);
+        options = {
+            filters: modeFilters,
+            statPatternKeys: statPatterns,
+            since: Math.max(since, seasonTimestamps.ch1s1.startTime),
+            delay,
+            outPath: outArg ?? resumeArg,
+            resumed
+        };
+    } catch (error) {
+        console.log(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    
+    const epicClient = new EpicClient();
+    await authenticateClient(epicClient, quietMode);
+    
+    searchStatsHistory(playerName, options, quietMode, epicClient);
+} else if (args[0] === 'cache') {
+    const action = args[1];
+    
+    if (action === 'clear') {
+        const removed = clearStatsCache();
+        console.log(`Removed ${removed} cached stats responses`);
+    } else if (action === 'stats') {
+        const info = getStatsCacheInfo();
+        console.log(`Cache directory: ${info.directory}`);
+        console.log(`Entries: ${info.entries} (${info.closed} closed windows, ${info.live} live, ${info.expired} expired)`);
+        console.log(`Size: ${(info.bytes / 1024).toFixed(1)} KiB`);
+    } else {
+        console.log("Usage: fn-stats cache clear|stats");
+        process.exit(1);
+    }
+} else if (args[0] === 'seasons') {
+    const quietMode = args.includes('--quiet') || args.includes('-q');
+    const { value: seasonName, remainingArgs } = extractOptionValue(args.slice(1), ['--name']);
+    const action = remainingArgs.filter(arg => 
+        arg !== '--quiet' && arg !== '-q' &&
+        arg !== '--color' && arg !== '--no-color'
+    )[0];
+    const useColor = args.includes('--no-color') ? false : 
+        args.includes('--color') ? true : shouldUseColor();
+    
+    if (action === 'list' || action === 'check') {
+        showSeasonDefinitions(action, useColor);
+    } else if (action === 'sync') {
+        const epicClient = new EpicClient();
+        await authenticateClient(epicClient, quietMode);
+        
+        syncSeasonDefinitions(seasonName, quietMode, epicClient);
+    } else {
+        console.log("Usage: fn-stats seasons list|check|sync [--name season]");
+        process.exit(1);
+    }
+} else if (args[0] === 'watch') {
+    const quietMode = args.includes('--quiet') || args.includes('-q');
+    const jsonOutput = args.includes('--json') || args.includes('-j');
+    
+    // In JSON mode stdout carries only the match events, so logs go to stderr
+    if (jsonOutput) setLogToStderr(true);
+    
+    const { value: intervalArg, remainingArgs: watchArgs } = extractOptionValue(args.slice(1), ['--interval', '-i']);
+    const realArgs = watchArgs.filter(arg => 
+        arg !== '--quiet' && arg !== '-q' &&
+        arg !== '--json' && arg !== '-j' &&
+        arg !== '--no-log'
+    );
+    
+    if (realArgs.length < 1) {
+        console.log("Error: Player name required for watch");
+        process.exit(1);
+    }
+    
+    let intervalSeconds;
+    try {
+        intervalSeconds = parseDuration(intervalArg ?? '60s');
+    } catch (error) {
+        console.log(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    if (intervalSeconds < minWatchInterval) {
+        console.log(`Error: --interval must be at least ${minWatchInterval}s`);
+        process.exit(1);
+    }
+    
+    const { modeFilters } = parseFilterArgs(realArgs.slice(1));
+    
+    const epicClient = new EpicClient();
+    await authenticateClient(epicClient, quietMode);
+    
+    watchPlayerMatches(realArgs[0], modeFilters, intervalSeconds, quietMode, epicClient, jsonOutput ? 'json' : 'text',
+                       !args.includes('--no-log'));
+} else if (args[0] === 'sessions') {
+    const quietMode = args.includes('--quiet') || args.includes('-q');
+    const jsonOutput = args.includes('--json') || args.includes('-j');
+    const useColor = args.includes('--no-color') ? false : 
+        args.includes('--color') ? true : shouldUseColor();
+    
+    const { value: idleArg, remainingArgs: sessionArgs } = extractOptionValue(args.slice(1), ['--idle']);
+    const realArgs = sessionArgs.filter(arg => 
+        arg !== '--quiet' && arg !== '-q' &&
+        arg !== '--json' && arg !== '-j' &&
+        arg !== '--color' && arg !== '--no-color'
+    );
+    
+    if (realArgs.length < 1) {
+        console.log("Error: Player name required for sessions");
+        process.exit(1);
+    }
+    
+    let idleGap = defaultSessionIdleGap;
+    try {
+        if (idleArg !== null) idleGap = parseDuration(idleArg);
+    } catch (error) {
+        console.log(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    
+    // Matches can be limited to a recent window; without one every logged match is used
+    const timeWindow = realArgs.slice(1).map(parseTimeWindowArg).find(window => window) ?? null;
+    const { modeFilters } = parseFilterArgs(realArgs.slice(1));
+    
+    showPlaySessions(realArgs[0], timeWindow, modeFilters, idleGap, quietMode, jsonOutput ? 'json' : 'text', useColor);
+} else if (args[0] === 'snapshots') {
+    const quietMode = args.includes('--quiet') || args.includes('-q');
+    const jsonOutput = args.includes('--json') || args.includes('-j');
+    const useColor = args.includes('--no-color') ? false : 
+        args.includes('--color') ? true : shouldUseColor();
+    
+    // In JSON mode stdout carries only the document, so logs go to stderr
+    if (jsonOutput) setLogToStderr(true);
+    
+    // Extract --around, --span, --resolution and --per values
+    const { value: aroundArg, remainingArgs: argsAfterAround } = extractOptionValue(args.slice(1), ['--around']);
+    const { value: spanArg, remainingArgs: argsAfterSpan } = extractOptionValue(argsAfterAround, ['--span']);
+    const { value: resolutionArg, remainingArgs: argsAfterResolution } = extractOptionValue(argsAfterSpan, ['--resolution']);
+    const { value: perArg, remainingArgs: snapshotArgs } = extractOptionValue(argsAfterResolution, ['--per']);
+    
+    const realArgs = snapshotArgs.filter(arg => 
+        arg !== '--quiet' && arg !== '-q' &&
+        arg !== '--json' && arg !== '-j' &&
+        arg !== '--color' && arg !== '--no-color'
+    );
+    
+    const per = perArg ?? 'mode';
+    let timeWindow;
+    let resolution;
+    try {
+        if (realArgs.length < 1) throw new Error("Player name required for snapshots");
+        if (aroundArg === null) throw new Error("--around <date> required for snapshots");
+        if (!snapshotGroupings.includes(per)) {
+            throw new Error(`Unknown --per grouping '${per}' (expected ${snapshotGroupings.join(' or ')})`);
+        }
+        
+        const around = parseDate(aroundArg);
+        const span = spanArg === null ? defaultSnapshotSpan : parseDuration(spanArg);
+        resolution = resolutionArg === null ? defaultSnapshotResolution : parseDuration(resolutionArg);
+        if (span <= 0 || resolution <= 0) throw new Error("--span and --resolution must be positive");
+        
+        // Search no earlier than Ch1S1 and no later than tonight's snapshot
+        timeWindow = {
+            startTime: Math.max(around - span, seasonTimestamps.ch1s1.startTime),
+            endTime: Math.min(around + span, getLastTimeWindow(1, 'day').endTime)
+        };
+        if (timeWindow.endTime <= timeWindow.startTime) throw new Error(`Nothing to search around ${formatTime(around)}`);
+    } catch (error) {
+        console.log(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    
+    const { modeFilters, statPatterns } = parseFilterArgs(realArgs.slice(1));
+    
+    const epicClient = new EpicClient();
+    await authenticateClient(epicClient, quietMode);
+    
+    findStatSnapshots(realArgs[0], timeWindow, per, resolution, modeFilters, statPatterns, quietMode, epicClient,
+                      jsonOutput ? 'json' : 'text', useColor);
+} else if (args[0] === 'diff') {
+    const { useTRNFormat, forceDirectMethod, quietMode, outputFormat, useColor, realArgs } = 
+        parseOutputFlags(args.slice(1));
+    
+    // diff <player> <windowA> <windowB> [...filters] [...statPatterns]
+    let windows;
+    try {
+        if (realArgs.length < 3) throw new Error("Player name and two time windows required for diff");
+        windows = parseDiffWindowArgs(realArgs.slice(1, 3), forceDirectMethod, quietMode);
+    } catch (error) {
+        console.log(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    const { modeFilters, statPatterns } = parseFilterArgs(realArgs.slice(3));
+    
+    const epicClient = new EpicClient();
+    await authenticateClient(epicClient, quietMode);
+    
+    compareTimeWindows(realArgs[0], windows, modeFilters, statPatterns, useTRNFormat, quietMode, epicClient,
+                       outputFormat, useColor);
+} else if (args[0] === 'compare') {
+    const { useTRNFormat, forceDirectMethod, quietMode, outputFormat, useColor, realArgs } = 
+        parseOutputFlags(args.slice(1));
+    
+    // Player names come first, followed by the usual window/filter arguments
+    const { playerNames, queryArgs } = splitPlayerNames(realArgs);
+    if (playerNames.length < 2) {
+        console.log("Error: At least two player names required for compare");
+        process.exit(1);
+    }
+    
+    const { timeWindow, filters, statPatternKeys, useDirectMethod } = 
+        parseStatQueryArgs(queryArgs, forceDirectMethod, quietMode);
+    
+    // One authenticated client is shared by every player lookup
+    const epicClient = new EpicClient();
+    await authenticateClient(epicClient, quietMode);
+    
+    compareFortnitePlayers(playerNames, timeWindow, filters, statPatternKeys, useTRNFormat,
+                           !useDirectMethod, quietMode, epicClient, outputFormat, useColor);
+} else if (args[0] === 'group') {
+    const action = args[1];
+    
+    if (action === 'save') {
+        const groupName = args[2];
+        const playerNames = args.slice(3).flatMap(parsePlayerList);
+        try {
+            saveGroup(groupName ?? '', playerNames);
+            console.log(`Saved group @${groupName}: ${playerNames.join(', ')}`);
+        } catch (error) {
+            console.log(`Error: ${error.message}`);
+            process.exit(1);
+        }
+    } else if (action === 'list') {
+        const groups = loadGroups();
+        if (Object.keys(groups).length === 0) {
+            console.log("No saved groups (create one with: fn-stats group save <name> <player1,player2,...>)");
+        }
+        for (const [name, players] of Object.entries(groups)) {
+            console.log(`@${name}: ${players.join(', ')}`);
+        }
+    } else if (action === 'remove') {
+        if (removeGroup(args[2] ?? '')) {
+            console.log(`Removed group @${args[2]}`);
+        } else {
+            console.log(`Error: Unknown group '@${args[2] ?? ''}'`);
+            process.exit(1);
+        }
+    } else {
+        const { useTRNFormat, forceDirectMethod, quietMode, outputFormat, useColor, realArgs } = 
+            parseOutputFlags(args.slice(1));
+        
+        if (realArgs.length < 1) {
+            console.log("Error: Player list (name1,name2,...) or saved group (@name) required");
+            process.exit(1);
+        }
+        
+        let group;
+        try {
+            group = resolveGroupArg(realArgs[0]);
+        } catch (error) {
+            console.log(`Error: ${error.message}`);
+            process.exit(1);
+        }
+        if (group.playerNames.length === 0) {
+            console.log("Error: The group has no players");
+            process.exit(1);
+        }
+        
+        const { timeWindow, filters, statPatternKeys, useDirectMethod } = 
+            parseStatQueryArgs(realArgs.slice(1), forceDirectMethod, quietMode);
+        
+        // One authenticated client is shared by every player lookup
+        const epicClient = new EpicClient();
+        await authenticateClient(epicClient, quietMode);
+        
+        showGroupStats(group.playerNames, group.groupName, timeWindow, filters, statPatternKeys, useTRNFormat,
+                       !useDirectMethod, quietMode, epicClient, outputFormat, useColor);
+    }
+} else if (args[0] === 'bulk') {
+    const { useTRNFormat, forceDirectMethod, quietMode, outputFormat, useColor, realArgs } = 
+        parseOutputFlags(args.slice(1));
+    
+    if (realArgs.length < 1) {
+        console.log("Error: Player list (name1,name2,...) or saved group (@name) required");
+        process.exit(1);
+    }
+    
+    let group;
+    try {
+        group = resolveGroupArg(realArgs[0]);
+    } catch (error) {
+        console.log(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    if (group.playerNames.length === 0) {
+        console.log("Error: The group has no players");
+        process.exit(1);
+    }
+    
+    const { timeWindow, filters, statPatternKeys, useDirectMethod } = 
+        parseStatQueryArgs(realArgs.slice(1), forceDirectMethod, quietMode);
+    
+    const epicClient = new EpicClient();
+    await authenticateClient(epicClient, quietMode);
+    
+    showBulkStats(group.playerNames, timeWindow, filters, statPatternKeys, useTRNFormat,
+                  !useDirectMethod, quietMode, epicClient, outputFormat, useColor);
+} else if (args[0] === 'ranked') {
+    const forceDirectMethod = args.includes('--direct') || args.includes('-d');
+    const quietMode = args.includes('--quiet') || args.includes('-q');
+    const jsonOutput = args.includes('--json') || args.includes('-j');
+    const useColor = args.includes('--no-color') ? false : 
+        args.includes('--color') ? true : shouldUseColor();
+    
+    // In JSON mode stdout carries only the document, so logs go to stderr
+    if (jsonOutput) setLogToStderr(true);
+    
+    const realArgs = args.slice(1).filter(arg => 
+        arg !== '--direct' && arg !== '-d' &&
+        arg !== '--quiet' && arg !== '-q' &&
+        arg !== '--json' && arg !== '-j' &&
+        arg !== '--color' && arg !== '--no-color'
+    );
+    
+    // "ranked history <player>" shows every past season instead of the current ranks
+    const showHistory = realArgs[0] === 'history';
+    const playerName = showHistory ? realArgs[1] : realArgs[0];
+    if (!playerName) {
+        console.log("Error: Player name required for ranked");
+        process.exit(1);
+    }
+    
+    const epicClient = new EpicClient();
+    await authenticateClient(epicClient, quietMode);
+    
+    if (showHistory) {
+        showRankedHistory(playerName, !forceDirectMethod, quietMode, epicClient, jsonOutput ? 'json' : 'text', useColor);
+    } else {
+        showRankedProgress(playerName, quietMode, epicClient, jsonOutput ? 'json' : 'text', useColor);
+    }
+} else if (args[0] === 'leaderboard') {
+    // Extract --by, --mode and --min-matches values
+    const { value: metricArg, remainingArgs: argsAfterBy } = extractOptionValue(args.slice(1), ['--by']);
+    const { value: modePath, remainingArgs: argsAfterMode } = extractOptionValue(argsAfterBy, ['--mode']);
+    const { value: minMatchesArg, remainingArgs: leaderboardArgs } = extractOptionValue(argsAfterMode, ['--min-matches']);
+    
+    const { forceDirectMethod, quietMode, outputFormat, useColor, realArgs } = parseOutputFlags(leaderboardArgs);
+    
+    const metric = metricArg ?? 'winRate';
+    if (!leaderboardMetrics.includes(metric)) {
+        console.log(`Error: Unknown metric '${metric}' (available: ${leaderboardMetrics.join(', ')})`);
+        process.exit(1);
+    }
+    
+    const minMatches = minMatchesArg === null ? 1 : Number(minMatchesArg);
+    if (!Number.isInteger(minMatches) || minMatches < 1) {
+        console.log("Error: --min-matches must be a positive whole number");
+        process.exit(1);
+    }
+    
+    let group;
+    try {
+        parseModePath(modePath);
+        if (realArgs.length < 1) throw new Error("Player list (name1,name2,...) or saved group (@name) required");
+        group = resolveGroupArg(realArgs[0]);
+    } catch (error) {
+        console.log(`Error: ${error.message}`);
+        process.exit(1);
+    }
+    if (group.playerNames.length === 0) {
+        console.log("Error: The group has no players");
+        process.exit(1);
+    }
+    
+    const { timeWindow, filters, useDirectMethod } = 
+        parseStatQueryArgs(realArgs.slice(1), forceDirectMethod, quietMode);
+    
+    // One authenticated client is shared by every player lookup
+    const epicClient = new EpicClient();
+    await authenticateClient(epicClient, quietMode);
+    
+    showLeaderboard(group.playerNames, group.groupName, metric, modePath, minMatches, timeWindow, filters,
+                    !useDirectMethod, quietMode, epicClient, outputFormat, useColor);
+} else if (args[0] === 'report') {
+    const forceDirectMethod = args.includes('--direct') || args.includes('-d');
+    const quietMode = args.includes('--quiet') || args.includes('-q');
+    
+    // Extract --format and --out values
+    const { value: outPath, remainingArgs: argsAfterOut } = extractOptionValue(args.slice(1), ['--out', '-o']);
+    const { value: formatArg, remainingArgs: reportArgs } = extractOptionValue(argsAfterOut, ['--format', '-f']);
+    
+    // Infer the format from the output file extension when not given explicitly
+    const format = formatArg ?? (outPath && /\.html?$/i.test(outPath) ? 'html' : 'md');
+    if (!reportFormats.includes(format)) {
+        console.log(`Error: Unsupported report format '${format}' (expected ${reportFormats.join(' or ')})`);
+        process.exit(1);
+    }
+    
+    // Reports written to stdout keep stdout clean for the document
+    if (!outPath) setLogToStderr(true);
+    
+    const realArgs = reportArgs.filter(arg => 
+        arg !== '--direct' && arg !== '-d' &&
+        arg !== '--quiet' && arg !== '-q'
+    );
+    
+    if (realArgs.length < 1) {
+        console.log("Error: Player name required for report");
+        process.exit(1);
+    }
+    
+    const playerName = realArgs[0];
+    const { timeWindow, filters, statPatternKeys, useDirectMethod } = 
+        parseStatQueryArgs(realArgs.slice(1), forceDirectMethod, quietMode);
+    
+    const epicClient = new EpicClient();
+    await authenticateClient(epicClient, quietMode);
+    
+    generateFortniteReport(playerName, timeWindow, filters, statPatternKeys, !useDirectMethod,
+                           quietMode, epicClient, format, outPath);
+} else {
+    // Check for special modes - use includes() to allow flags in any position
+    const showRawStats = args.includes('--raw') || args.includes('-r');
+    const autoWindowRequested = args.includes('--auto-window');
+    const showUnclassified = args.includes('--show-unclassified');
+    
+    // --by day|week|month splits the window into a time series
+    const { value: timeSeriesUnit, remainingArgs: statArgs } = extractOptionValue(args, ['--by']);
+    
+    // Remove all option flags to get the real arguments
+    const { useTRNFormat, forceDirectMethod, quietMode, outputFormat, useColor, realArgs } = 
+        parseOutputFlags(statArgs, ['--raw', '-r', '--auto-window', '--show-unclassified']);
+    
+    if (timeSeriesUnit !== null && !timeSeriesUnits.includes(timeSeriesUnit)) {
+        console.log(`Error: Unknown --by unit '${timeSeriesUnit}' (expected ${timeSeriesUnits.join(', ')})`);
+        process.exit(1);
+    }
+    if (timeSeriesUnit !== null && (showRawStats || useTRNFormat)) {
+        console.log("Error: --by can't be combined with --raw or --TRN");
+        process.exit(1);
+    }
+    
+    // Ensure there's at least one real argument (player name)
+    if (realArgs.length < 1) {
+        console.log("Error: Player name required");
+        process.exit(1);
+    }
+    
+    const playerName = realArgs[0];
+    
+    // Resolve time window, mode filters and stat patterns from the remaining arguments
+    const { timeWindow: queryTimeWindow, filters, statPatternKeys, useDirectMethod, season, autoWindow } = 
+        parseStatQueryArgs(realArgs.slice(1), forceDirectMethod, quietMode, autoWindowRequested);
+
+    // Add debug information
+    conditionalLog(`Filters parsed: ${JSON.stringify(filters)}`, quietMode);
+    conditionalLog(`Stat patterns parsed: ${JSON.stringify(statPatternKeys)}`, quietMode);
+    
+    // Report on which methods are being used
+    conditionalLog(useDirectMethod ? "Using direct API call method (single API call)" : "Using advanced triple API call technique", quietMode);
+    conditionalLog(showRawStats ? "Showing raw stats output" : "", quietMode && !showRawStats);
+    conditionalLog(useTRNFormat ? "Using TRN-style format" : "", quietMode && !useTRNFormat);
+    conditionalLog(`${outputFormat.toUpperCase()} output enabled - writing logs to stderr`, quietMode || outputFormat === 'text');
+    conditionalLog(quietMode ? "Quiet mode enabled - suppressing logs" : "", quietMode);
 
-    // Add debug information
-    conditionalLog(`Filters parsed: ${JSON.stringify(filters)}`, quietMode);
-    conditionalLog(`Stat patterns parsed: ${JSON.stringify(statPatternKeys)}`, quietMode);
-    
-    // Report on which methods are being used
-    conditionalLog(useDirectMethod ? "Using direct API call method (single API call)" : "Using advanced triple API call technique", quietMode);
-    conditionalLog(showRawStats ? "Showing raw stats output" : "", quietMode && !showRawStats);
-    conditionalLog(useTRNFormat ? "Using TRN-style format" : "", quietMode && !useTRNFormat);
-    conditionalLog(quietMode ? "Quiet mode enabled - suppressing logs" : "", quietMode);
-
     // Create a single Epic client for this session
     const epicClient = new EpicClient();
     await authenticateClient(epicClient, quietMode);
+    
+    // Season windows are widened to the retained snapshots that bracket the season
+    let timeWindow = queryTimeWindow;
+    if (autoWindow) {
+        try {
+            timeWindow = await correctSeasonWindow(playerName, season, queryTimeWindow, filters, quietMode, epicClient);
+        } catch (error) {
+            console.error("Error correcting the season window:", error);
+            process.exit(1);
+        }
+    }
 
-    // Run the stats retrieval with appropriate flags
-    retrieveAndProcessFortniteStats(
-        playerName, 
-        timeWindow, 
-        filters, 
-        statPatternKeys, 
-        showRawStats, 
-        useTRNFormat, 
-        !useDirectMethod,
-        quietMode,
-        epicClient  // Pass the authenticated client
-    );
-}
\ No newline at end of file
+    if (timeSeriesUnit !== null) {
+        // Per-bucket stats always use cumulative snapshots, so --direct doesn't apply
+        showTimeSeries(playerName, timeWindow, timeSeriesUnit, filters, statPatternKeys, quietMode, epicClient,
+                       outputFormat, useColor);
+    } else {
+        // Run the stats retrieval with appropriate flags
+        retrieveAndProcessFortniteStats(
+            playerName, 
+            timeWindow, 
+            filters, 
+            statPatternKeys, 
+            showRawStats, 
+            useTRNFormat, 
+            !useDirectMethod,
+            quietMode,
+            epicClient,  // Pass the authenticated client
+            outputFormat,
+            useColor,
+            showUnclassified
+        );
+    }
+}
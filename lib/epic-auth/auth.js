@@ -1,6 +1,7 @@
 import { EpicEndpoints } from './endpoints.js';
 import { EpicAPIError } from './error.js';
 import { FortniteGameClient } from './util.js';
+import { recordExchange, replayExchange, getRequestKey } from './recorder.js';
 
 /**
  * Main authentication manager for Epic Games API
@@ -10,20 +11,30 @@ export class EpicAuthManager {
     // Private property to store authentication credentials
     #credentials = null;
     
+    // Replay counters per request key (repeated requests replay in recorded order)
+    #replayCounts = new Map();
+    
     // Public properties
     accountId = null;         // Current authenticated account ID
     autoRefresh;              // Whether to automatically refresh the token
     gameClient = FortniteGameClient.ANDROID;  // Default client credentials
+    recordDir = null;         // Directory to record HTTP exchanges into (record mode)
+    replayDir = null;         // Directory to replay HTTP exchanges from (replay mode)
     
     /**
      * Creates a new authentication manager
      * @param {boolean} autoRefresh - Whether to automatically refresh the token when it expires
      * @param {string} [gameClient] - Optional client credentials to use (defaults to Android)
+     * @param {object} [fixtures={}] - Optional record/replay settings
+     * @param {string} [fixtures.recordDir] - Save request/response pairs (tokens redacted) to this directory
+     * @param {string} [fixtures.replayDir] - Serve responses from this directory instead of the network
      */
-    constructor(autoRefresh, gameClient) {
+    constructor(autoRefresh, gameClient, fixtures = {}) {
         this.autoRefresh = autoRefresh;
         if (gameClient !== undefined)
             this.gameClient = gameClient;
+        this.recordDir = fixtures.recordDir ?? null;
+        this.replayDir = fixtures.replayDir ?? null;
     }
     
     /**
@@ -57,7 +68,8 @@ export class EpicAuthManager {
      */
     async #fetch(url, init, returnRes = true, checkCredentials = true) {
         // If auto-refresh is disabled, check if tokens need refreshing manually
-        if (checkCredentials && !this.autoRefresh && this.#credentials !== null) {
+        // (recorded tokens are never refreshed during a replay)
+        if (checkCredentials && !this.autoRefresh && this.#credentials !== null && this.replayDir === null) {
             const now = Date.now();
             
             // Check if access token has expired
@@ -76,8 +88,19 @@ export class EpicAuthManager {
             }
         }
         
-        // Perform the actual fetch request
-        const res = await fetch(url, init);
+        // Perform the actual fetch request (or serve it from recorded fixtures)
+        let res;
+        if (this.replayDir !== null) {
+            const key = getRequestKey(url, init);
+            const occurrence = this.#replayCounts.get(key) ?? 0;
+            this.#replayCounts.set(key, occurrence + 1);
+            res = replayExchange(this.replayDir, url, init, occurrence);
+        }
+        else {
+            res = await fetch(url, init);
+            if (this.recordDir !== null)
+                await recordExchange(this.recordDir, url, init, res);
+        }
         
         // Return just the status code if requested
         if (!returnRes)
@@ -118,8 +141,8 @@ export class EpicAuthManager {
         // Update stored credentials
         this.#editCredentials(res);
         
-        // Set up automatic token refresh if enabled
-        if (this.autoRefresh) {
+        // Set up automatic token refresh if enabled (not needed when replaying)
+        if (this.autoRefresh && this.replayDir === null) {
             setTimeout(async () => {
                 await this.authenticate({
                     grant_type: 'refresh_token',
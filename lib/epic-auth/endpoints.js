@@ -1,3 +1,49 @@
+/**
+ * Production base URLs for each Epic service
+ */
+export const DefaultEpicBaseUrls = Object.freeze({
+    account: 'https://account-public-service-prod.ol.epicgames.com',
+    statsproxy: 'https://statsproxy-public-service-live.ol.epicgames.com',
+    fngw: 'https://fngw-mcp-gc-livefn.ol.epicgames.com',
+    habanero: 'https://fn-service-habanero-live-public.ogs.live.on.epicgames.com'
+});
+
+/**
+ * Environment variables overriding a single service's base URL
+ * EPIC_API_BASE_URL overrides all of them at once (e.g. to point at a local mock server)
+ */
+const baseUrlEnvVars = {
+    account: 'EPIC_ACCOUNT_BASE_URL',
+    statsproxy: 'EPIC_STATSPROXY_BASE_URL',
+    fngw: 'EPIC_FNGW_BASE_URL',
+    habanero: 'EPIC_HABANERO_BASE_URL'
+};
+
+/**
+ * Active base URLs used to build endpoint URLs
+ */
+export const EpicBaseUrls = Object.fromEntries(
+    Object.entries(DefaultEpicBaseUrls).map(([service, url]) => [
+        service,
+        (process.env[baseUrlEnvVars[service]] || process.env.EPIC_API_BASE_URL || url).replace(/\/+$/, '')
+    ])
+);
+
+/**
+ * Overrides base URLs for Epic services
+ * @param {object|string} baseUrls - One base URL for every service, or a map of service name to base URL
+ */
+export function setEpicBaseUrls(baseUrls) {
+    const overrides = typeof baseUrls === 'string'
+        ? Object.fromEntries(Object.keys(DefaultEpicBaseUrls).map(service => [service, baseUrls]))
+        : baseUrls;
+    for (const [service, url] of Object.entries(overrides)) {
+        if (!(service in DefaultEpicBaseUrls))
+            throw new TypeError(`Unknown Epic service: ${service}`);
+        EpicBaseUrls[service] = url.replace(/\/+$/, '');
+    }
+}
+
 /**
  * Collection of Epic API endpoints
  * Each method returns a URL string for a specific API endpoint
@@ -8,7 +54,7 @@ export const EpicEndpoints = {
      * Used for authenticating and getting access tokens
      */
     AccessToken() {
-        return 'https://account-public-service-prod.ol.epicgames.com/account/api/oauth/token';
+        return `${EpicBaseUrls.account}/account/api/oauth/token`;
     },
     
     /**
@@ -16,7 +62,7 @@ export const EpicEndpoints = {
      * @param {string} accountId - Epic account ID
      */
     AccountById(accountId) {
-        return `https://account-public-service-prod.ol.epicgames.com/account/api/public/account/${accountId}`;
+        return `${EpicBaseUrls.account}/account/api/public/account/${accountId}`;
     },
     
     /**
@@ -24,7 +70,7 @@ export const EpicEndpoints = {
      * @param {string} displayName - Epic display name
      */
     AccountByDisplayName(displayName) {
-        return `https://account-public-service-prod.ol.epicgames.com/account/api/public/account/displayName/${displayName}`;
+        return `${EpicBaseUrls.account}/account/api/public/account/displayName/${displayName}`;
     },
     
     /**
@@ -32,7 +78,7 @@ export const EpicEndpoints = {
      * @param {string} accountId - Epic account ID
      */
     BRInventory(accountId) {
-        return `https://fngw-mcp-gc-livefn.ol.epicgames.com/fortnite/api/game/v2/br-inventory/account/${accountId}`;
+        return `${EpicBaseUrls.fngw}/fortnite/api/game/v2/br-inventory/account/${accountId}`;
     },
     
     /**
@@ -40,14 +86,14 @@ export const EpicEndpoints = {
      * @param {string} [category] - Optional category parameter
      */
     BulkStats(category) {
-        return `https://statsproxy-public-service-live.ol.epicgames.com/statsproxy/api/statsv2/query${category !== undefined ? `?category=collection_${category}` : ''}`;
+        return `${EpicBaseUrls.statsproxy}/statsproxy/api/statsv2/query${category !== undefined ? `?category=collection_${category}` : ''}`;
     },
     
     /**
      * Get item shop catalog endpoint
      */
     Catalog() {
-        return 'https://fngw-mcp-gc-livefn.ol.epicgames.com/fortnite/api/storefront/v2/catalog';
+        return `${EpicBaseUrls.fngw}/fortnite/api/storefront/v2/catalog`;
     },
     
     /**
@@ -55,14 +101,14 @@ export const EpicEndpoints = {
      * @param {string} accountId - Epic account ID
      */
     DeviceAuth(accountId) {
-        return `https://account-public-service-prod.ol.epicgames.com/account/api/public/account/${accountId}/deviceAuth`;
+        return `${EpicBaseUrls.account}/account/api/public/account/${accountId}/deviceAuth`;
     },
     
     /**
      * Get enabled features endpoint
      */
     EnabledFeatures() {
-        return 'https://fngw-mcp-gc-livefn.ol.epicgames.com/fortnite/api/game/v2/enabled_features';
+        return `${EpicBaseUrls.fngw}/fortnite/api/game/v2/enabled_features`;
     },
     
     /**
@@ -71,14 +117,14 @@ export const EpicEndpoints = {
      * @param {string} codeType - Type of friend code
      */
     FriendCodes(accountId, codeType) {
-        return `https://fngw-mcp-gc-livefn.ol.epicgames.com/fortnite/api/game/v2/friendcodes/${accountId}/${codeType}`;
+        return `${EpicBaseUrls.fngw}/fortnite/api/game/v2/friendcodes/${accountId}/${codeType}`;
     },
     
     /**
      * Get keychain endpoint (encryption keys)
      */
     Keychain() {
-        return 'https://fngw-mcp-gc-livefn.ol.epicgames.com/fortnite/api/storefront/v2/keychain';
+        return `${EpicBaseUrls.fngw}/fortnite/api/storefront/v2/keychain`;
     },
     
     /**
@@ -89,7 +135,7 @@ export const EpicEndpoints = {
      * @param {string} profileId - Profile ID
      */
     MCP(accountId, operation, route, profileId) {
-        return `https://fngw-mcp-gc-livefn.ol.epicgames.com/fortnite/api/game/v2/profile/${accountId}/${route}/${operation}?profileId=${profileId}&rvn=-1`;
+        return `${EpicBaseUrls.fngw}/fortnite/api/game/v2/profile/${accountId}/${route}/${operation}?profileId=${profileId}&rvn=-1`;
     },
     
     /**
@@ -97,7 +143,7 @@ export const EpicEndpoints = {
      * @param {string} accountId - Epic account ID
      */
     Receipts(accountId) {
-        return `https://fngw-mcp-gc-livefn.ol.epicgames.com/fortnite/api/receipts/v1/account/${accountId}/receipts`;
+        return `${EpicBaseUrls.fngw}/fortnite/api/receipts/v1/account/${accountId}/receipts`;
     },
     
     /**
@@ -109,21 +155,21 @@ export const EpicEndpoints = {
         const init = {};
         Object.entries(timeWindow || {}).forEach(([k, v]) => init[k] = v.toString());
         const queryParams = new URLSearchParams(init).toString();
-        return `https://statsproxy-public-service-live.ol.epicgames.com/statsproxy/api/statsv2/account/${accountId}${queryParams === '' ? '' : `?${queryParams}`}`;
+        return `${EpicBaseUrls.statsproxy}/statsproxy/api/statsv2/account/${accountId}${queryParams === '' ? '' : `?${queryParams}`}`;
     },
     
     /**
      * Get Save the World world info endpoint
      */
     STWWorldInfo() {
-        return 'https://fngw-mcp-gc-livefn.ol.epicgames.com/fortnite/api/game/v2/world/info';
+        return `${EpicBaseUrls.fngw}/fortnite/api/game/v2/world/info`;
     },
     
     /**
      * Get timeline endpoint
      */
     Timeline() {
-        return 'https://fngw-mcp-gc-livefn.ol.epicgames.com/fortnite/api/calendar/v1/timeline';
+        return `${EpicBaseUrls.fngw}/fortnite/api/calendar/v1/timeline`;
     },
     
     /**
@@ -132,7 +178,7 @@ export const EpicEndpoints = {
      * @param {string} trackguid - Track GUID
      */
     Track(namespace, trackguid) {
-        return `https://fn-service-habanero-live-public.ogs.live.on.epicgames.com/api/v1/games/${namespace}/tracks/${trackguid}`;
+        return `${EpicBaseUrls.habanero}/api/v1/games/${namespace}/tracks/${trackguid}`;
     },
     
     /**
@@ -142,7 +188,7 @@ export const EpicEndpoints = {
      * @param {string} trackguid - Track GUID
      */
     TrackProgress(namespace, accountId, trackguid) {
-        return `https://fn-service-habanero-live-public.ogs.live.on.epicgames.com/api/v1/games/${namespace}/trackprogress/${accountId}/byTrack/${trackguid}`;
+        return `${EpicBaseUrls.habanero}/api/v1/games/${namespace}/trackprogress/${accountId}/byTrack/${trackguid}`;
     },
     
     /**
@@ -151,7 +197,7 @@ export const EpicEndpoints = {
      * @param {string} accountId - Epic account ID
      */
     TracksProgress(namespace, accountId) {
-        return `https://fn-service-habanero-live-public.ogs.live.on.epicgames.com/api/v1/games/${namespace}/trackprogress/${accountId}`;
+        return `${EpicBaseUrls.habanero}/api/v1/games/${namespace}/trackprogress/${accountId}`;
     },
     
     /**
@@ -159,7 +205,7 @@ export const EpicEndpoints = {
      * @param {string} namespace - App namespace
      */
     TracksQuery(namespace) {
-        return `https://fn-service-habanero-live-public.ogs.live.on.epicgames.com/api/v1/games/${namespace}/tracks/query`;
+        return `${EpicBaseUrls.habanero}/api/v1/games/${namespace}/tracks/query`;
     },
     
     /**
@@ -167,6 +213,6 @@ export const EpicEndpoints = {
      * @param {boolean} [includePerms] - Whether to include permissions
      */
     Verify(includePerms) {
-        return `https://account-public-service-prod.ol.epicgames.com/account/api/oauth/verify${includePerms !== undefined ? `?includePerms=${includePerms}` : ''}`;
+        return `${EpicBaseUrls.account}/account/api/oauth/verify${includePerms !== undefined ? `?includePerms=${includePerms}` : ''}`;
     }
 };
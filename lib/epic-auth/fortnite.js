@@ -1,5 +1,14 @@
 import { EpicEndpoints } from './endpoints.js';
-import { getBattlePassLevels } from './util.js';
+import { getBattlePassLevels, chunkArray } from './util.js';
+
+/**
+ * Maximum owners and stats sent in a single bulk stats request
+ * Larger queries are split into several requests by getBulkStats.
+ */
+export const BulkStatsLimits = {
+    owners: 50,
+    stats: 200
+};
 
 /**
  * Manager for Fortnite-specific API calls
@@ -33,27 +42,46 @@ export class FortniteManager {
     
     /**
      * Gets stats for multiple accounts and/or stats types
+     * Large owner or stat lists are split into several requests (see BulkStatsLimits)
+     * and the responses are merged into one entry per account.
      * @param {object} [options={}] - Query options
      * @param {string[]} [options.accountIds] - List of account IDs
-     * @param {string[]} [options.stats] - List of stat names
-     * @returns {Promise<object>} - Bulk stats response
+     * @param {string[]} [options.stats] - List of stat names (defaults to battle pass levels)
+     * @param {number} [options.startDate=0] - Window start (Unix seconds, 0 for no limit)
+     * @param {number} [options.endDate=0] - Window end (Unix seconds, 0 for no limit)
+     * @returns {Promise<object[]>} - Bulk stats response, one {accountId, startTime, endTime, stats} per account
      */
-    getBulkStats(options = {}) {
+    async getBulkStats(options = {}) {
         const accountIds = options.accountIds ?? [this.auth.getAccountId()];
         // If stats aren't provided, default to battle pass levels
-        const stats=['br_matchesplayed'];
-        //const stats = options.stats ?? getBattlePassLevels(this.seasonsLength);
+        const stats = options.stats ?? getBattlePassLevels(this.seasonsLength);
         
+        if (accountIds.length === 0)
+            throw new TypeError('At least one account must be included.');
         if (stats.length === 0)
             throw new TypeError('At least one stat must be included.');
         
-        return this.auth.method('POST', EpicEndpoints.BulkStats(), {
-            appId: 'fortnite',
-            startDate: 0,
-            endDate: 0,
-            owners: accountIds,
-            stats
-        });
+        const merged = new Map();
+        for (const ownerChunk of chunkArray(accountIds, BulkStatsLimits.owners)) {
+            for (const statChunk of chunkArray(stats, BulkStatsLimits.stats)) {
+                const response = await this.auth.method('POST', EpicEndpoints.BulkStats(), {
+                    appId: 'fortnite',
+                    startDate: options.startDate ?? 0,
+                    endDate: options.endDate ?? 0,
+                    owners: ownerChunk,
+                    stats: statChunk
+                });
+                
+                // Each chunk only covers some of the stats, so combine them per account
+                for (const entry of response) {
+                    const existing = merged.get(entry.accountId);
+                    if (existing) Object.assign(existing.stats, entry.stats);
+                    else merged.set(entry.accountId, { ...entry, stats: { ...entry.stats } });
+                }
+            }
+        }
+        
+        return [...merged.values()];
     }
     
     /**
@@ -16,9 +16,14 @@ export class EpicClient {
      * @param {object} [options={}] - Client options
      * @param {boolean} [options.autoRefresh=false] - Whether to auto-refresh tokens
      * @param {string} [options.gameClient] - Custom game client credentials
+     * @param {string} [options.recordDir] - Record HTTP exchanges (tokens redacted) into this directory
+     * @param {string} [options.replayDir] - Replay HTTP exchanges from this directory (offline mode)
      */
     constructor(options = {}) {
-        this.auth = new EpicAuthManager(options.autoRefresh ?? false, options.gameClient);
+        this.auth = new EpicAuthManager(options.autoRefresh ?? false, options.gameClient, {
+            recordDir: options.recordDir,
+            replayDir: options.replayDir
+        });
         this.fortnite = new FortniteManager(this.auth);
     }
     
@@ -43,7 +48,7 @@ export class EpicClient {
 
 // Export all classes and utilities
 export { EpicAuthManager } from './auth.js';
-export { EpicEndpoints } from './endpoints.js';
+export { EpicEndpoints, EpicBaseUrls, DefaultEpicBaseUrls, setEpicBaseUrls } from './endpoints.js';
 export { EpicAPIError } from './error.js';
-export { FortniteManager } from './fortnite.js';
-export { FortniteGameClient, getBattlePassLevels } from './util.js';
+export { FortniteManager, BulkStatsLimits } from './fortnite.js';
+export { FortniteGameClient, getBattlePassLevels, chunkArray } from './util.js';
@@ -0,0 +1,136 @@
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+/**
+ * Helpers for recording HTTP exchanges to a fixture directory and replaying them
+ * Used by EpicAuthManager to run the client without network access or credentials
+ */
+
+// Placeholder written in place of secrets
+export const REDACTED = '[REDACTED]';
+
+// Field names whose values are secrets (tokens, device credentials, auth codes)
+const sensitiveFields = [
+    'access_token', 'refresh_token', 'secret', 'device_id', 'deviceId',
+    'code', 'exchange_code', 'password', 'authorization'
+];
+
+/**
+ * Checks whether a field name holds a secret
+ * @param {string} name - Field or header name
+ * @returns {boolean} - True if the value must be redacted
+ */
+function isSensitive(name) {
+    return sensitiveFields.some(field => field.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Recursively redacts secret fields in a parsed JSON value
+ * @param {any} value - Parsed JSON value
+ * @returns {any} - Copy with secret fields replaced
+ */
+export function redactValue(value) {
+    if (Array.isArray(value))
+        return value.map(redactValue);
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+            [k, isSensitive(k) ? REDACTED : redactValue(v)]));
+    }
+    return value;
+}
+
+/**
+ * Converts a request body into a redacted, serializable form
+ * @param {any} body - Fetch request body (URLSearchParams, JSON string or undefined)
+ * @returns {any} - Redacted body
+ */
+function redactRequestBody(body) {
+    if (body === undefined || body === null)
+        return null;
+    if (body instanceof URLSearchParams) {
+        return Object.fromEntries([...body.entries()].map(([k, v]) => [k, isSensitive(k) ? REDACTED : v]));
+    }
+    try {
+        return redactValue(JSON.parse(body));
+    }
+    catch {
+        return REDACTED;
+    }
+}
+
+/**
+ * Builds the fixture key for a request
+ * Form-encoded bodies (OAuth grants) are left out of the key so a replay works
+ * with any credentials; JSON bodies (e.g. bulk stats queries) are part of it.
+ * @param {string} url - Request URL
+ * @param {object} [init={}] - Fetch options
+ * @returns {string} - Fixture key
+ */
+export function getRequestKey(url, init = {}) {
+    const method = (init.method ?? 'GET').toUpperCase();
+    const body = init.body instanceof URLSearchParams || init.body === undefined
+        ? ''
+        : JSON.stringify(redactRequestBody(init.body));
+    return createHash('sha1').update(`${method} ${url} ${body}`).digest('hex');
+}
+
+/**
+ * Appends a recorded exchange to the fixture file for its request key
+ * Repeated identical requests are stored in order so a replay can serve them in sequence.
+ * @param {string} dir - Fixture directory
+ * @param {string} url - Request URL
+ * @param {object} init - Fetch options
+ * @param {Response} res - Fetch response (its body is read from a clone)
+ * @returns {Promise<void>}
+ */
+export async function recordExchange(dir, url, init = {}, res) {
+    const rawText = await res.clone().text();
+    let body;
+    try {
+        body = { json: redactValue(JSON.parse(rawText)) };
+    }
+    catch {
+        body = { text: rawText };
+    }
+
+    mkdirSync(dir, { recursive: true });
+    const filePath = join(dir, `${getRequestKey(url, init)}.json`);
+    const fixture = existsSync(filePath)
+        ? JSON.parse(readFileSync(filePath, 'utf8'))
+        : {
+            request: {
+                method: (init.method ?? 'GET').toUpperCase(),
+                url,
+                body: redactRequestBody(init.body)
+            },
+            responses: []
+        };
+
+    fixture.responses.push({ status: res.status, statusText: res.statusText, ...body });
+    writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+}
+
+/**
+ * Builds a Response from the recorded exchange for a request
+ * @param {string} dir - Fixture directory
+ * @param {string} url - Request URL
+ * @param {object} init - Fetch options
+ * @param {number} occurrence - How many times this request was already replayed
+ * @returns {Response} - Replayed response (the last recording repeats once exhausted)
+ * @throws {Error} - If no recording exists for the request
+ */
+export function replayExchange(dir, url, init = {}, occurrence = 0) {
+    const filePath = join(dir, `${getRequestKey(url, init)}.json`);
+    if (!existsSync(filePath))
+        throw new Error(`No recorded response for ${(init.method ?? 'GET').toUpperCase()} ${url} in ${dir}`);
+
+    const { responses } = JSON.parse(readFileSync(filePath, 'utf8'));
+    const recorded = responses[Math.min(occurrence, responses.length - 1)];
+    const body = recorded.json !== undefined ? JSON.stringify(recorded.json) : recorded.text;
+
+    return new Response(recorded.status === 204 ? null : body, {
+        status: recorded.status,
+        statusText: recorded.statusText
+    });
+}
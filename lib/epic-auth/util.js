@@ -18,3 +18,12 @@ export const getBattlePassLevels = (length) => Array
     .from({ length }, (v, k) => k + 1)
     .map(seasonNumber => `s${seasonNumber}_social_bp_level`)
     .slice(10); // Start from season 10
+
+/**
+ * Helper function to split an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array[]} - Chunks in their original order
+ */
+export const chunkArray = (items, size) => Array
+    .from({ length: Math.ceil(items.length / size) }, (v, k) => items.slice(k * size, (k + 1) * size));
@@ -0,0 +1,253 @@
+import { readFileSync } from 'node:fs';
+
+/**
+ * Data served by the mock Epic API
+ *
+ * Shape:
+ * {
+ *   players: [{ accountId, displayName, snapshots: [{ time, stats }], trackProgress: [...] }],
+ *   tracks: [{ gameId, trackguid, rankingType, beginTime, endTime, divisionCount }],
+ *   timeline: { channels: { ... } }
+ * }
+ * Snapshot times may be Unix seconds or date strings.
+ */
+
+const dayInSeconds = 86400;
+
+// Playlists the generated players play, with the placement stats each one tracks
+const generatedPlaylists = [
+    { suffix: 'keyboardmouse_m0_playlist_nobuildbr_solo', placements: ['placetop10', 'placetop25'] },
+    { suffix: 'keyboardmouse_m0_playlist_nobuildbr_duo', placements: ['placetop5', 'placetop12'] },
+    { suffix: 'keyboardmouse_m0_playlist_nobuildbr_habanero_squad', placements: ['placetop3', 'placetop6'] },
+    { suffix: 'keyboardmouse_m0_playlist_punchberry_nobuild_squad', placements: ['placetop3', 'placetop6'] },
+    { suffix: 'gamepad_m0_playlist_defaultsolo', placements: ['placetop10', 'placetop25'] }
+];
+
+// Players included in the generated data set
+const generatedPlayers = [
+    { accountId: '4735ce9132924caf8a5b17789b40f79c', displayName: 'MockPlayer', skill: 1 },
+    { accountId: '9a1d5b3ec0f04e6f9d2b7c3a8e6f1d20', displayName: 'MockFriend', skill: 0.6 }
+];
+
+// Days of daily snapshots generated before today
+const generatedDays = 120;
+
+/**
+ * Small deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Builds a numeric seed from a string
+ * @param {string} text - Text to hash
+ * @returns {number} 32-bit seed
+ */
+function hashSeed(text) {
+    let hash = 2166136261;
+    for (const char of text) hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+    return hash >>> 0;
+}
+
+/**
+ * Adds one day of generated matches to a running cumulative total
+ * @param {Object} totals - Cumulative raw stats (modified in place)
+ * @param {Function} random - Random generator
+ * @param {number} skill - Player skill multiplier
+ * @param {number} playedUntil - Time of the last match that day (Unix seconds)
+ * @param {number} share - Fraction of the day's matches played so far (1 for past days)
+ */
+function addGeneratedDay(totals, random, skill, playedUntil, share) {
+    for (const { suffix, placements } of generatedPlaylists) {
+        // Roughly half the playlists are played on a given day
+        const matches = random() < 0.5 ? Math.floor(Math.floor(random() * 7) * share) : 0;
+        if (matches === 0) continue;
+
+        // Placements per match: win, else the smaller top-N, else the larger top-N
+        let wins = 0, topSmall = 0, topLarge = 0;
+        for (let match = 0; match < matches; match++) {
+            const placement = random();
+            if (placement < 0.08 * skill) wins++;
+            if (placement < 0.3 * skill) topSmall++;
+            if (placement < 0.55) topLarge++;
+        }
+        const add = (stat, value) => {
+            const key = `br_${stat}_${suffix}`;
+            totals[key] = (totals[key] ?? 0) + value;
+        };
+
+        add('matchesplayed', matches);
+        add('kills', Math.floor(matches * (1 + random() * 3) * skill));
+        add('placetop1', wins);
+        add(placements[0], topSmall);
+        add(placements[1], topLarge);
+        add('minutesplayed', matches * (8 + Math.floor(random() * 12)));
+        totals[`br_lastmodified_${suffix}`] = playedUntil;
+    }
+}
+
+/**
+ * Generates cumulative snapshots for a player
+ * One snapshot per midnight GMT for the last generatedDays days, plus tonight's
+ * snapshot, which only holds the matches played so far today.
+ *
+ * @param {Object} player - Generated player {accountId, skill}
+ * @param {number} nowSeconds - Current Unix timestamp in seconds
+ * @returns {Array<Object>} Snapshots {time, stats}
+ */
+function generateSnapshots(player, nowSeconds) {
+    const tonight = Math.floor(nowSeconds / dayInSeconds) * dayInSeconds + dayInSeconds;
+    const firstSnapshot = tonight - (generatedDays + 1) * dayInSeconds;
+    const random = createRandom(hashSeed(player.accountId));
+
+    // Starting totals stand in for everything played before the generated range
+    const totals = {};
+    addGeneratedDay(totals, random, player.skill, firstSnapshot - 3600, 1);
+    for (const key of Object.keys(totals)) {
+        if (!key.startsWith('br_lastmodified_')) totals[key] *= 150;
+    }
+
+    const snapshots = [{ time: firstSnapshot, stats: { ...totals } }];
+    for (let time = firstSnapshot + dayInSeconds; time <= tonight; time += dayInSeconds) {
+        const isToday = time === tonight;
+        const dayStart = time - dayInSeconds;
+        const share = isToday ? (nowSeconds - dayStart) / dayInSeconds : 1;
+        const playedUntil = isToday ? nowSeconds - 60 : dayStart + Math.floor(random() * dayInSeconds);
+        addGeneratedDay(totals, random, player.skill, playedUntil, share);
+        snapshots.push({ time, stats: { ...totals } });
+    }
+    return snapshots;
+}
+
+/**
+ * Generates ranked tracks: the current season and the one before it
+ * @param {number} nowSeconds - Current Unix timestamp in seconds
+ * @returns {Array<Object>} Tracks
+ */
+function generateTracks(nowSeconds) {
+    const seasonLength = 84 * dayInSeconds;
+    const currentBegin = Math.floor(nowSeconds / dayInSeconds) * dayInSeconds - 30 * dayInSeconds;
+    const seasons = [
+        { id: 'prev', begin: currentBegin - seasonLength, end: currentBegin },
+        { id: 'curr', begin: currentBegin, end: currentBegin + seasonLength }
+    ];
+
+    return seasons.flatMap(season => ['ranked-br', 'ranked-zb'].map(rankingType => ({
+        gameId: 'fortnite',
+        trackguid: `${season.id}${rankingType === 'ranked-br' ? 'Br' : 'Zb'}`,
+        rankingType,
+        beginTime: new Date(season.begin * 1000).toISOString(),
+        endTime: new Date(season.end * 1000).toISOString(),
+        divisionCount: 18
+    })));
+}
+
+/**
+ * Generates a player's progress on each track
+ * @param {Object} player - Generated player {accountId, skill}
+ * @param {Array<Object>} tracks - Ranked tracks
+ * @param {number} nowSeconds - Current Unix timestamp in seconds
+ * @returns {Array<Object>} Track progress entries
+ */
+function generateTrackProgress(player, tracks, nowSeconds) {
+    const random = createRandom(hashSeed(`${player.accountId}:ranked`));
+    return tracks.map(track => {
+        const currentDivision = Math.min(17, Math.floor(random() * 12 * player.skill) + 2);
+        return {
+            gameId: track.gameId,
+            trackguid: track.trackguid,
+            accountId: player.accountId,
+            rankingType: track.rankingType,
+            lastUpdated: new Date(Math.min(Date.parse(track.endTime), (nowSeconds - 3600) * 1000)).toISOString(),
+            currentDivision,
+            highestDivision: Math.min(17, currentDivision + Math.floor(random() * 2)),
+            promotionProgress: Math.round(random() * 100) / 100,
+            currentPlayerRanking: null
+        };
+    });
+}
+
+/**
+ * Generates a minimal calendar timeline with the current season
+ * @param {Array<Object>} tracks - Ranked tracks (the last one is the current season)
+ * @param {number} nowSeconds - Current Unix timestamp in seconds
+ * @returns {Object} Timeline response
+ */
+function generateTimeline(tracks, nowSeconds) {
+    const current = tracks[tracks.length - 1];
+    const now = new Date(nowSeconds * 1000).toISOString();
+    return {
+        channels: {
+            'client-events': {
+                states: [{
+                    validFrom: now,
+                    activeEvents: [],
+                    state: {
+                        seasonNumber: 99,
+                        seasonTemplateId: 'AthenaSeason:athenaseason99',
+                        seasonBegin: current.beginTime,
+                        seasonEnd: current.endTime,
+                        seasonDisplayedEnd: '0001-01-01T00:00:00.000Z'
+                    }
+                }],
+                cacheExpire: now
+            }
+        },
+        cacheIntervalMins: 15,
+        currentTime: now
+    };
+}
+
+/**
+ * Creates the default mock data set
+ * Values are deterministic for a given day, so repeated runs return the same stats.
+ *
+ * @param {number} [nowMs=Date.now()] - Current time in milliseconds
+ * @returns {Object} Mock data
+ */
+export function createDefaultMockData(nowMs = Date.now()) {
+    const nowSeconds = Math.floor(nowMs / 1000);
+    const tracks = generateTracks(nowSeconds);
+    return {
+        players: generatedPlayers.map(player => ({
+            accountId: player.accountId,
+            displayName: player.displayName,
+            snapshots: generateSnapshots(player, nowSeconds),
+            trackProgress: generateTrackProgress(player, tracks, nowSeconds)
+        })),
+        tracks,
+        timeline: generateTimeline(tracks, nowSeconds)
+    };
+}
+
+/**
+ * Loads mock data from a JSON file
+ * Missing sections (tracks, timeline) fall back to generated ones.
+ *
+ * @param {string} filePath - Path of the JSON data file
+ * @param {number} [nowMs=Date.now()] - Current time in milliseconds
+ * @returns {Object} Mock data
+ */
+export function loadMockData(filePath, nowMs = Date.now()) {
+    const data = JSON.parse(readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(data.players))
+        throw new TypeError(`Mock data file ${filePath} must contain a "players" array`);
+
+    const nowSeconds = Math.floor(nowMs / 1000);
+    const tracks = data.tracks ?? generateTracks(nowSeconds);
+    return {
+        players: data.players.map(player => ({ snapshots: [], trackProgress: [], ...player })),
+        tracks,
+        timeline: data.timeline ?? generateTimeline(generateTracks(nowSeconds), nowSeconds)
+    };
+}
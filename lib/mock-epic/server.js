@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createDefaultMockData, loadMockData } from './data.js';
+import { queryPlayerStats } from './stats.js';
+
+/**
+ * Local mock of the Epic endpoints used by fn-stats
+ * Serves every service (account, statsproxy, fngw, habanero) from one host, so
+ * pointing EPIC_API_BASE_URL at it runs the CLI without network access.
+ *
+ * Implemented:
+ * - POST /account/api/oauth/token (any grant is accepted)
+ * - GET  /account/api/oauth/verify
+ * - POST /account/api/public/account/:accountId/deviceAuth
+ * - GET  /account/api/public/account/displayName/:displayName
+ * - GET  /account/api/public/account/:accountId
+ * - GET  /statsproxy/api/statsv2/account/:accountId?startTime&endTime
+ * - POST /statsproxy/api/statsv2/query
+ * - GET  /fortnite/api/calendar/v1/timeline
+ * - GET  /api/v1/games/:namespace/tracks/query
+ * - GET  /api/v1/games/:namespace/trackprogress/:accountId[/byTrack/:trackguid]
+ */
+
+// Default port when none is given
+export const defaultMockPort = 8787;
+
+// Lifetime of issued access and refresh tokens (seconds)
+const accessTokenLifetime = 2 * 60 * 60;
+const refreshTokenLifetime = 8 * 60 * 60;
+
+/**
+ * Error raised by a route handler, sent back in Epic's error format
+ */
+class MockEpicError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} errorCode - Epic error code
+     * @param {string} message - Error message
+     */
+    constructor(status, errorCode, message) {
+        super(message);
+        this.status = status;
+        this.errorCode = errorCode;
+    }
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {any} body - Response body
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a request body (JSON or form encoded)
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<object>} Parsed body (empty object if there is none)
+ */
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (text === '') return {};
+
+    if ((req.headers['content-type'] ?? '').includes('application/x-www-form-urlencoded'))
+        return Object.fromEntries(new URLSearchParams(text));
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new MockEpicError(400, 'errors.com.epicgames.common.json_mapping_error', 'Malformed request body');
+    }
+}
+
+/**
+ * Creates the routes for a data set
+ * @param {Object} data - Mock data (see data.js)
+ * @param {Map<string, string>} accessTokens - Issued access tokens (token -> accountId)
+ * @returns {Array<Object>} Routes {method, pattern, auth, handler}
+ */
+function createRoutes(data, accessTokens) {
+    const refreshTokens = new Map();  // token -> accountId
+
+    const findPlayer = accountId => data.players.find(player => player.accountId === accountId);
+    const requirePlayer = accountId => {
+        const player = findPlayer(accountId);
+        if (!player)
+            throw new MockEpicError(404, 'errors.com.epicgames.account.account_not_found', `Sorry, we couldn't find an account for ${accountId}`);
+        return player;
+    };
+
+    /**
+     * Issues a token for the account a grant resolves to
+     * @param {object} grant - Form fields of the token request
+     * @returns {object} Token response
+     */
+    const issueToken = grant => {
+        let accountId;
+        if (grant.grant_type === 'refresh_token') {
+            accountId = refreshTokens.get(grant.refresh_token);
+            if (!accountId)
+                throw new MockEpicError(400, 'errors.com.epicgames.account.auth_token.invalid_refresh_token', 'Sorry the refresh token is invalid');
+        } else if (grant.grant_type === 'device_auth' && findPlayer(grant.account_id)) {
+            accountId = grant.account_id;
+        } else if (grant.grant_type) {
+            accountId = data.players[0]?.accountId;
+        } else {
+            throw new MockEpicError(400, 'errors.com.epicgames.common.oauth.invalid_request', 'Unsupported grant type');
+        }
+
+        const player = findPlayer(accountId) ?? { accountId, displayName: 'MockUser' };
+        const now = Date.now();
+        const accessToken = randomBytes(16).toString('hex');
+        const refreshToken = randomBytes(16).toString('hex');
+        accessTokens.set(accessToken, player.accountId);
+        refreshTokens.set(refreshToken, player.accountId);
+
+        return {
+            access_token: accessToken,
+            expires_in: accessTokenLifetime,
+            expires_at: new Date(now + accessTokenLifetime * 1000).toISOString(),
+            token_type: 'bearer',
+            refresh_token: refreshToken,
+            refresh_expires: refreshTokenLifetime,
+            refresh_expires_at: new Date(now + refreshTokenLifetime * 1000).toISOString(),
+            account_id: player.accountId,
+            client_id: 'mockclient',
+            internal_client: true,
+            client_service: 'fortnite',
+            displayName: player.displayName,
+            app: 'fortnite',
+            in_app_id: player.accountId
+        };
+    };
+
+    /**
+     * Builds a statsv2 response entry for a player and window
+     * @param {Object} player - Mock player
+     * @param {number} [startTime] - Window start (Unix seconds)
+     * @param {number} [endTime] - Window end (Unix seconds)
+     * @param {Array<string>} [statNames] - Stats to include (all when omitted)
+     * @returns {Object} Stats response {startTime, endTime, accountId, stats}
+     */
+    const buildStatsResponse = (player, startTime, endTime, statNames) => {
+        let stats = queryPlayerStats(player.snapshots, startTime, endTime);
+        if (statNames) {
+            stats = Object.fromEntries(Object.entries(stats).filter(([key]) => statNames.includes(key)));
+        }
+        return {
+            startTime: startTime ?? 0,
+            endTime: endTime ?? Math.floor(Date.now() / 1000),
+            accountId: player.accountId,
+            stats
+        };
+    };
+
+    /**
+     * Parses an optional Unix timestamp query parameter
+     * @param {URLSearchParams} params - Query parameters
+     * @param {string} name - Parameter name
+     * @returns {number|undefined} Timestamp, or undefined if absent or 0
+     */
+    const timeParam = (params, name) => {
+        const value = parseInt(params.get(name));
+        return value > 0 ? value : undefined;
+    };
+
+    return [
+        {
+            method: 'POST', pattern: /^\/account\/api\/oauth\/token$/, auth: false,
+            handler: ({ body }) => issueToken(body)
+        },
+        {
+            method: 'GET', pattern: /^\/account\/api\/oauth\/verify$/,
+            handler: ({ accountId, token }) => ({ token, account_id: accountId, client_id: 'mockclient', token_type: 'bearer' })
+        },
+        {
+            method: 'POST', pattern: /^\/account\/api\/public\/account\/([^/]+)\/deviceAuth$/,
+            handler: ({ params }) => ({
+                deviceId: randomBytes(16).toString('hex'),
+                accountId: requirePlayer(params[0]).accountId,
+                secret: randomBytes(16).toString('hex'),
+                userAgent: 'fn-stats mock',
+                created: { location: 'Mock', ipAddress: '127.0.0.1', dateTime: new Date().toISOString() }
+            })
+        },
+        {
+            method: 'GET', pattern: /^\/account\/api\/public\/account\/displayName\/([^/]+)$/,
+            handler: ({ params }) => {
+                const name = decodeURIComponent(params[0]).toLowerCase();
+                const player = data.players.find(p => p.displayName.toLowerCase() === name);
+                if (!player)
+                    throw new MockEpicError(404, 'errors.com.epicgames.account.account_not_found', `Sorry, we couldn't find an account for ${decodeURIComponent(params[0])}`);
+                return { id: player.accountId, displayName: player.displayName, externalAuths: {} };
+            }
+        },
+        {
+            method: 'GET', pattern: /^\/account\/api\/public\/account\/([^/]+)$/,
+            handler: ({ params }) => {
+                const player = requirePlayer(params[0]);
+                return { id: player.accountId, displayName: player.displayName, externalAuths: {} };
+            }
+        },
+        {
+            method: 'GET', pattern: /^\/statsproxy\/api\/statsv2\/account\/([^/]+)$/,
+            handler: ({ params, query }) => buildStatsResponse(
+                requirePlayer(params[0]),
+                timeParam(query, 'startTime'),
+                timeParam(query, 'endTime')
+            )
+        },
+        {
+            method: 'POST', pattern: /^\/statsproxy\/api\/statsv2\/query$/,
+            handler: ({ body }) => {
+                if (!Array.isArray(body.owners) || body.owners.length === 0)
+                    throw new MockEpicError(400, 'errors.com.epicgames.validation.validation_failed', 'owners must be a non-empty array');
+                const startTime = body.startDate > 0 ? body.startDate : undefined;
+                const endTime = body.endDate > 0 ? body.endDate : undefined;
+                // Unknown owners are left out of the result, like the live API
+                return body.owners
+                    .map(findPlayer)
+                    .filter(Boolean)
+                    .map(player => buildStatsResponse(player, startTime, endTime, body.stats));
+            }
+        },
+        {
+            method: 'GET', pattern: /^\/fortnite\/api\/calendar\/v1\/timeline$/,
+            handler: () => data.timeline
+        },
+        {
+            method: 'GET', pattern: /^\/api\/v1\/games\/([^/]+)\/tracks\/query$/,
+            handler: ({ params }) => data.tracks.filter(track => track.gameId === params[0])
+        },
+        {
+            method: 'GET', pattern: /^\/api\/v1\/games\/([^/]+)\/tracks\/([^/]+)$/,
+            handler: ({ params }) => {
+                const track = data.tracks.find(t => t.gameId === params[0] && t.trackguid === params[1]);
+                if (!track)
+                    throw new MockEpicError(404, 'errors.com.epicgames.habanero.track_not_found', `Track ${params[1]} not found`);
+                return track;
+            }
+        },
+        {
+            method: 'GET', pattern: /^\/api\/v1\/games\/([^/]+)\/trackprogress\/([^/]+)(?:\/byTrack\/([^/]+))?$/,
+            handler: ({ params }) => requirePlayer(params[1]).trackProgress
+                .filter(progress => progress.gameId === params[0])
+                .filter(progress => params[2] === undefined || progress.trackguid === params[2])
+        }
+    ].map(route => ({ auth: true, ...route }));
+}
+
+/**
+ * Creates (but does not start) a mock Epic API server
+ * @param {Object} [data=createDefaultMockData()] - Data set to serve
+ * @returns {http.Server} HTTP server
+ */
+export function createMockEpicServer(data = createDefaultMockData()) {
+    const accessTokens = new Map();
+    const routes = createRoutes(data, accessTokens);
+
+    return createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            const route = routes.find(r => r.method === req.method && r.pattern.test(url.pathname));
+            if (!route)
+                throw new MockEpicError(404, 'errors.com.epicgames.common.not_found', `No mock for ${req.method} ${url.pathname}`);
+
+            let accountId;
+            let token;
+            if (route.auth) {
+                token = (req.headers.authorization ?? '').replace(/^bearer\s+/i, '');
+                accountId = accessTokens.get(token);
+                if (!accountId)
+                    throw new MockEpicError(401, 'errors.com.epicgames.common.authentication.token_verification_failed', 'Invalid or missing access token');
+            }
+
+            const body = await readBody(req);
+            const params = url.pathname.match(route.pattern).slice(1);
+            sendJSON(res, 200, await route.handler({ params, query: url.searchParams, body, accountId, token }));
+        } catch (error) {
+            const status = error instanceof MockEpicError ? error.status : 500;
+            sendJSON(res, status, {
+                errorCode: error.errorCode ?? 'errors.com.epicgames.common.server_error',
+                errorMessage: error.message,
+                messageVars: [],
+                numericErrorCode: status,
+                originatingService: 'mock-epic',
+                intent: 'prod'
+            });
+        }
+    });
+}
+
+/**
+ * Starts a mock Epic API server
+ * @param {Object} [options={}] - Server options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @param {Object} [options.data] - Data set to serve (generated when omitted)
+ * @returns {Promise<{server: http.Server, url: string}>} Running server and its base URL
+ */
+export function startMockEpicServer(options = {}) {
+    const { port = 0, host = '127.0.0.1', data } = options;
+    const server = createMockEpicServer(data);
+    return new Promise((resolvePromise, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            resolvePromise({ server, url: `http://${host}:${server.address().port}` });
+        });
+    });
+}
+
+// Run as a standalone server: node lib/mock-epic/server.js [--port <port>] [--data <file>]
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index === -1 ? undefined : args[index + 1];
+    };
+
+    const port = parseInt(option('--port') ?? process.env.MOCK_EPIC_PORT ?? defaultMockPort);
+    const dataFile = option('--data');
+    const data = dataFile ? loadMockData(dataFile) : createDefaultMockData();
+
+    startMockEpicServer({ port, data }).then(({ url }) => {
+        console.log(`Mock Epic API listening on ${url}`);
+        console.log(`Players: ${data.players.map(player => player.displayName).join(', ')}`);
+        console.log(`Use it with: EPIC_API_BASE_URL=${url} FN_STATS_GRANT_FILE=lib/mock-epic/mockGrant.json fn-stats <player> ...`);
+    }).catch(error => {
+        console.error(`Could not start mock Epic API: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,93 @@
+/**
+ * Snapshot query semantics of the statsv2 API, as described in
+ * doc/EpicStatAPIWorkingTheory.MD
+ *
+ * Each player has a list of cumulative snapshots {time, stats}. A snapshot may
+ * hold only some keys, which models modes/inputs with different snapshot
+ * retention.
+ */
+
+// Oct 25, 2017 GMT - the API treats any earlier start time as "lifetime"
+export const fortniteStartTime = 1508889600;
+
+/**
+ * Converts a snapshot time (Unix seconds or date string) to Unix seconds
+ * @param {number|string} time - Snapshot time
+ * @returns {number} Unix timestamp in seconds
+ */
+export function toUnixSeconds(time) {
+    return typeof time === 'number' ? time : Math.floor(Date.parse(time) / 1000);
+}
+
+/**
+ * Gets the stat suffix a lastmodified key belongs to (input + playlist)
+ * @param {string} key - Raw stat key (e.g. br_kills_gamepad_m0_playlist_x)
+ * @returns {string} Suffix (e.g. gamepad_m0_playlist_x)
+ */
+function getKeySuffix(key) {
+    return key.replace(/^br_[a-z0-9]+_/, '');
+}
+
+/**
+ * Collects, per key, the snapshots that hold it and fall inside a time range
+ * @param {Array<Object>} snapshots - Player snapshots {time, stats}
+ * @param {number} from - Earliest snapshot time (inclusive)
+ * @param {number} to - Latest snapshot time (inclusive)
+ * @returns {Map<string, Array<Object>>} Key -> [{time, value}] sorted by time
+ */
+function collectKeyHistory(snapshots, from, to) {
+    const history = new Map();
+    snapshots
+        .map(snapshot => ({ time: toUnixSeconds(snapshot.time), stats: snapshot.stats }))
+        .filter(snapshot => snapshot.time >= from && snapshot.time <= to)
+        .sort((a, b) => a.time - b.time)
+        .forEach(snapshot => {
+            for (const [key, value] of Object.entries(snapshot.stats)) {
+                if (!history.has(key)) history.set(key, []);
+                history.get(key).push({ time: snapshot.time, value });
+            }
+        });
+    return history;
+}
+
+/**
+ * Answers a statsv2 query from a player's snapshots
+ * - Lifetime queries (start at or before Fortnite's start) return the latest
+ *   cumulative snapshot at or before the end time
+ * - Other queries subtract the earliest snapshot in the window from the latest;
+ *   keys with fewer than two snapshots in the window return nothing
+ * Unchanged stats are left out, and lastmodified keys are only returned for
+ * input/playlist combinations that still have stats.
+ *
+ * @param {Array<Object>} snapshots - Player snapshots {time, stats}
+ * @param {number} [startTime] - Window start (Unix seconds)
+ * @param {number} [endTime] - Window end (Unix seconds)
+ * @returns {Object} Raw stats for the window
+ */
+export function queryPlayerStats(snapshots, startTime, endTime) {
+    const start = startTime ?? 0;
+    const end = endTime ?? Infinity;
+    const lifetime = start <= fortniteStartTime;
+    const history = collectKeyHistory(snapshots, lifetime ? -Infinity : start, end);
+
+    const stats = {};
+    const lastModified = {};
+    for (const [key, entries] of history) {
+        const latest = entries[entries.length - 1];
+        if (key.startsWith('br_lastmodified_')) {
+            lastModified[key] = latest.value;
+            continue;
+        }
+        if (lifetime) {
+            stats[key] = latest.value;
+        } else if (entries.length >= 2 && latest.value !== entries[0].value) {
+            stats[key] = latest.value - entries[0].value;
+        }
+    }
+
+    const suffixes = new Set(Object.keys(stats).map(getKeySuffix));
+    for (const [key, value] of Object.entries(lastModified)) {
+        if (suffixes.has(getKeySuffix(key))) stats[key] = value;
+    }
+    return stats;
+}
@@ -2,7 +2,30 @@
  * Command-line argument parsing utilities
  */
 import { buildModes, gameModes, compModes, teamSizes, inputTypes, statPattern } from './fortniteModeConstants.js';
-import { parseDate, formatTime, getLastTimeWindow } from './dateUtils.js';
+import { parseDate, formatTime, getLastTimeWindow, adjustToEndOfDay } from './dateUtils.js';
+import { seasonTimestamps, getCurrentSeason } from './getSeasonTimes.js';
+import { conditionalLog, setLogToStderr } from './logger.js';
+import { shouldUseColor } from './tableRenderer.js';
+
+// Output and method flags shared by the stats commands
+const outputFlags = [
+    '--TRN', '-t',
+    '--direct', '-d',
+    '--quiet', '-q',
+    '--json', '-j',
+    '--csv', '--tsv',
+    '--color', '--no-color'
+];
+
+/**
+ * Gets the season used when no time window is specified
+ * This is the defined season that contains the current time (see getCurrentSeason),
+ * so it moves on by itself once the next season is defined.
+ * @returns {string} Season name
+ */
+export function getDefaultSeason() {
+    return getCurrentSeason();
+}
 
 /**
  * Determines if a filter string is a valid stat pattern key
@@ -34,6 +57,84 @@ export function parseFilterArgs(args) {
     return { modeFilters, statPatterns };
 }
 
+/**
+ * Determines if an argument is part of a stats query rather than a player name
+ * (a season, time window, mode filter or stat pattern)
+ * @param {string} arg - Command line argument
+ * @returns {boolean} True if the argument is a query argument
+ */
+export function isQueryArg(arg) {
+    if (seasonTimestamps[arg]) return true;
+    if (/^(starttime|endtime|lastday|lastweek|lastmonth)=/i.test(arg)) return true;
+    const { modeFilters, statPatterns } = parseFilterArgs([arg]);
+    return modeFilters.length > 0 || statPatterns.length > 0;
+}
+
+/**
+ * Split the leading player names from the query arguments that follow them
+ * Player names are all arguments before the first season, time window, filter or stat pattern.
+ * @param {Array<string>} args - Array of command line arguments
+ * @returns {Object} Object with playerNames and queryArgs
+ */
+export function splitPlayerNames(args) {
+    const firstQueryArg = args.findIndex(isQueryArg);
+    const splitIndex = firstQueryArg === -1 ? args.length : firstQueryArg;
+    return { playerNames: args.slice(0, splitIndex), queryArgs: args.slice(splitIndex) };
+}
+
+/**
+ * Extract a value-taking option (e.g. "--out file" or "--out=file") from arguments
+ * @param {Array<string>} args - Array of command line arguments
+ * @param {Array<string>} names - Option names to look for (e.g. ['--out', '-o'])
+ * @returns {Object} Object with value (null if not found) and remainingArgs
+ */
+export function extractOptionValue(args, names) {
+    let value = null;
+    const remainingArgs = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const inlineName = names.find(name => arg.startsWith(`${name}=`));
+
+        if (inlineName) {
+            value = arg.substring(inlineName.length + 1);
+        } else if (names.includes(arg) && i + 1 < args.length) {
+            value = args[++i];
+        } else {
+            remainingArgs.push(arg);
+        }
+    }
+
+    return { value, remainingArgs };
+}
+
+/**
+ * Parse the output and method flags shared by the stats commands
+ * Flags may appear in any position. In machine-readable formats (json, csv, tsv) log
+ * lines are redirected to stderr, so stdout only carries the document.
+ * @param {Array<string>} args - Array of command line arguments
+ * @param {Array<string>} [extraFlags=[]] - Command-specific flags to leave out of realArgs as well
+ * @returns {Object} Object with useTRNFormat, forceDirectMethod, quietMode, outputFormat
+ *   ('text', 'json', 'csv' or 'tsv'), useColor and realArgs (the arguments without flags)
+ */
+export function parseOutputFlags(args, extraFlags = []) {
+    const useTRNFormat = args.includes('--TRN') || args.includes('-t');
+    const forceDirectMethod = args.includes('--direct') || args.includes('-d');
+    const quietMode = args.includes('--quiet') || args.includes('-q');
+    const jsonOutput = args.includes('--json') || args.includes('-j');
+    const outputFormat = jsonOutput ? 'json' : args.includes('--csv') ? 'csv' : args.includes('--tsv') ? 'tsv' : 'text';
+    
+    // Colour defaults to on for interactive terminals; --color/--no-color override
+    const useColor = args.includes('--no-color') ? false : 
+        args.includes('--color') ? true : shouldUseColor();
+    
+    if (outputFormat !== 'text') setLogToStderr(true);
+    
+    const realArgs = args.filter(arg => !outputFlags.includes(arg) && !extraFlags.includes(arg));
+    
+    return { useTRNFormat, forceDirectMethod, quietMode, outputFormat, useColor, realArgs };
+}
+
 /**
  * Parse time window arguments (lastday, lastweek, lastmonth)
  * @param {string} arg - Command line argument
@@ -85,7 +186,7 @@ export function parseTimeWindowArgs(args, quietMode = false) {
             try {
                 timeWindow.startTime = parseDate(dateStr);
                 foundCustomTime = true;
-                if (!quietMode) console.log(`Using custom start time: ${formatTime(timeWindow.startTime)}`);
+                conditionalLog(`Using custom start time: ${formatTime(timeWindow.startTime)}`, quietMode);
             } catch (error) {
                 console.warn(`Invalid starttime format: ${dateStr}`);
                 remainingArgs.push(arg);
@@ -96,7 +197,7 @@ export function parseTimeWindowArgs(args, quietMode = false) {
             try {
                 timeWindow.endTime = parseDate(dateStr);
                 foundCustomTime = true;
-                if (!quietMode) console.log(`Using custom end time: ${formatTime(timeWindow.endTime)}`);
+                conditionalLog(`Using custom end time: ${formatTime(timeWindow.endTime)}`, quietMode);
             } catch (error) {
                 console.warn(`Invalid endtime format: ${dateStr}`);
                 remainingArgs.push(arg);
@@ -153,7 +254,7 @@ export function parseStartEndTimeArgs(args, quietMode = false) {
             try {
                 timeWindow.startTime = parseDate(dateStr);
                 foundCustomTime = true;
-                if (!quietMode) console.log(`Using custom start time: ${formatTime(timeWindow.startTime)}`);
+                conditionalLog(`Using custom start time: ${formatTime(timeWindow.startTime)}`, quietMode);
             } catch (error) {
                 console.warn(`Invalid starttime format: ${dateStr}`);
                 remainingArgs.push(arg);
@@ -164,7 +265,7 @@ export function parseStartEndTimeArgs(args, quietMode = false) {
             try {
                 timeWindow.endTime = parseDate(dateStr);
                 foundCustomTime = true;
-                if (!quietMode) console.log(`Using custom end time: ${formatTime(timeWindow.endTime)}`);
+                conditionalLog(`Using custom end time: ${formatTime(timeWindow.endTime)}`, quietMode);
             } catch (error) {
                 console.warn(`Invalid endtime format: ${dateStr}`);
                 remainingArgs.push(arg);
@@ -177,3 +278,195 @@ export function parseStartEndTimeArgs(args, quietMode = false) {
     
     return { timeWindow, foundCustomTime, remainingArgs };
 }
+
+
+/**
+ * Parse the [season|timeWindow] [...filters] [...statPatterns] arguments of a stats query
+ * 
+ * Time window resolution order:
+ * 1. starttime=/endtime= parameters (missing parts filled from the default season)
+ * 2. lastday=/lastweek=/lastmonth= shortcuts
+ * 3. A season name as the first remaining argument
+ * 4. The default season (the defined season containing the current time)
+ * 
+ * Season windows end at 23:59:59 on their end date. When using the advanced method
+ * the start time is also moved to 23:59:59 of the start date so the cumulative
+ * snapshot subtraction isolates the season correctly.
+ * 
+ * A start or end time of 0 is replaced with the Ch1S1 start time, and any window
+ * starting at or before Ch1S1 forces the direct method (lifetime stats).
+ * 
+ * With autoWindow, season windows (named or default) are flagged for correction from the
+ * retained snapshots (see findSeasonWindow), which needs the advanced method. Other
+ * windows are used as given.
+ * 
+ * @param {Array<string>} args - Arguments following the player name
+ * @param {boolean} [useDirectMethod=false] - Whether the direct method was requested
+ * @param {boolean} [quietMode=false] - Whether to suppress logs
+ * @param {boolean} [autoWindow=false] - Whether --auto-window was requested
+ * @returns {Object} Object containing:
+ *   - timeWindow: {Object} with startTime and endTime
+ *   - filters: {Array<string>} game mode filters
+ *   - statPatternKeys: {Array<string>} stat pattern keys
+ *   - useDirectMethod: {boolean} whether the direct method should be used
+ *   - season: {string|null} season name if the window came from a season
+ *   - autoWindow: {boolean} whether the season window should be corrected
+ */
+export function parseStatQueryArgs(args, useDirectMethod = false, quietMode = false, autoWindow = false) {
+    let timeWindow = {};
+    let filters = [];
+    let statPatternKeys = [];
+    let season = null;
+    const defaultSeason = getDefaultSeason();
+
+    // Get default time window
+    const defaultTimeWindow = {
+        startTime: useDirectMethod ? 
+            seasonTimestamps[defaultSeason].startTime : 
+            adjustToEndOfDay(seasonTimestamps[defaultSeason].startTime),
+        endTime: adjustToEndOfDay(seasonTimestamps[defaultSeason].endTime)
+    };
+
+    // First check for starttime= and endtime= parameters
+    const { timeWindow: customTimeWindow, foundCustomTime, remainingArgs: argsAfterCustomTime } = parseStartEndTimeArgs(args, quietMode);
+
+    // Then check for time window shortcuts if custom time wasn't found
+    let timeWindowFound = foundCustomTime;
+    let argsToProcess = argsAfterCustomTime;
+
+    if (foundCustomTime) {
+        // Use the custom time window, filling in any missing parts with defaults
+        timeWindow = {
+            startTime: customTimeWindow.startTime !== null ? customTimeWindow.startTime : defaultTimeWindow.startTime,
+            endTime: customTimeWindow.endTime !== null ? customTimeWindow.endTime : defaultTimeWindow.endTime
+        };
+    } else {
+        // Check for lastday/lastweek/lastmonth time shortcuts
+        const remainingArgsAfterShortcuts = [];
+
+        for (const arg of argsAfterCustomTime) {
+            const parsedTimeWindow = parseTimeWindowArg(arg);
+            if (parsedTimeWindow) {
+                timeWindow = parsedTimeWindow;
+                timeWindowFound = true;
+                conditionalLog(`Using time window: ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`, quietMode);
+            } else {
+                remainingArgsAfterShortcuts.push(arg);
+            }
+        }
+
+        argsToProcess = remainingArgsAfterShortcuts;
+    }
+
+    const startTimeAdjustMsg = useDirectMethod ? 
+        "adjusted end time to end of day" : 
+        "adjusted start and end times to end of day";
+
+    // Only process season args if no time window was found yet
+    if (!timeWindowFound) {
+        // Check if the first argument is a valid season name
+        if (argsToProcess.length >= 1 && seasonTimestamps[argsToProcess[0]]) {
+            season = argsToProcess[0];
+            
+            timeWindow = {
+                // Only adjust startTime to end-of-day when using advanced method
+                startTime: useDirectMethod ? 
+                    seasonTimestamps[season].startTime : 
+                    adjustToEndOfDay(seasonTimestamps[season].startTime), 
+                endTime: adjustToEndOfDay(seasonTimestamps[season].endTime)
+            };
+                
+            conditionalLog(`Using season ${season} (${startTimeAdjustMsg})`, quietMode);
+            
+            // Remove season from args
+            argsToProcess = argsToProcess.slice(1);
+        } else {
+            // Fall back to the default season
+            season = defaultSeason;
+            timeWindow = defaultTimeWindow;
+                
+            conditionalLog(`No time window specified. Using default season ${defaultSeason} (${startTimeAdjustMsg}).`, quietMode);
+        }
+    }
+
+    // Process remaining arguments as filters and stat patterns
+    if (argsToProcess.length > 0) {
+        const { modeFilters, statPatterns } = parseFilterArgs(argsToProcess);
+        filters = modeFilters;
+        statPatternKeys = statPatterns;
+    }
+
+    // Handle special case: If either startTime or endTime is 0, use ch1s1 startTime
+    if (timeWindow.startTime === 0) {
+        timeWindow.startTime = seasonTimestamps.ch1s1.startTime;
+        conditionalLog(`Using Ch1S1 start time (${formatTime(timeWindow.startTime)}) for startTime=0`, quietMode);
+    }
+    
+    if (timeWindow.endTime === 0) {
+        timeWindow.endTime = seasonTimestamps.ch1s1.startTime;
+        conditionalLog(`Using Ch1S1 start time (${formatTime(timeWindow.endTime)}) for endTime=0`, quietMode);
+    }
+
+    // Force direct method if startTime is lifetime stats (≤ ch1s1 start time)
+    if (timeWindow.startTime <= seasonTimestamps.ch1s1.startTime) {
+        conditionalLog(`Start time (${formatTime(timeWindow.startTime)}) is at or before Ch1S1 start time (${formatTime(seasonTimestamps.ch1s1.startTime)})`, quietMode);
+        conditionalLog("Automatically using direct API method for lifetime stats", quietMode);
+        useDirectMethod = true;
+    }
+
+    // Season windows can be corrected from the retained snapshots, using cumulative queries
+    if (autoWindow) {
+        if (season === null || season === 'lifetime' || timeWindow.startTime <= seasonTimestamps.ch1s1.startTime) {
+            conditionalLog("--auto-window only applies to season windows other than lifetime; using the window as given", quietMode);
+            autoWindow = false;
+        } else if (useDirectMethod) {
+            conditionalLog("--auto-window uses the advanced triple API call technique; ignoring --direct", quietMode);
+            useDirectMethod = false;
+        }
+    }
+
+    return { timeWindow, filters, statPatternKeys, useDirectMethod, season, autoWindow };
+}
+
+/**
+ * Resolve the two time windows of a window-vs-window comparison
+ * Each window is a season name or a lastday=/lastweek=/lastmonth= shortcut, resolved like
+ * the window of a normal query (see parseStatQueryArgs). One of them may be 'previous':
+ * the window of the same length that ends where the other one starts.
+ *
+ * @param {Array<string>} windowArgs - The two window arguments
+ * @param {boolean} [useDirectMethod=false] - Whether the direct method was requested
+ * @param {boolean} [quietMode=false] - Whether to suppress logs
+ * @returns {Array<Object>} Two windows {label, timeWindow, useDirectMethod}
+ */
+export function parseDiffWindowArgs(windowArgs, useDirectMethod = false, quietMode = false) {
+    if (windowArgs.length !== 2) {
+        throw new Error("Two time windows required (e.g. ch6s1 ch6s2, or previous lastweek=1)");
+    }
+    if (windowArgs.every(arg => arg === 'previous')) {
+        throw new Error("Only one of the two windows can be 'previous'");
+    }
+
+    const windows = windowArgs.map(arg => {
+        if (arg === 'previous') return null;
+        if (!seasonTimestamps[arg] && !parseTimeWindowArg(arg)) {
+            throw new Error(`Unknown time window '${arg}' (expected a season, lastday=N, lastweek=N, lastmonth=N or previous)`);
+        }
+        const query = parseStatQueryArgs([arg], useDirectMethod, quietMode);
+        return { label: arg, timeWindow: query.timeWindow, useDirectMethod: query.useDirectMethod };
+    });
+
+    const previousIndex = windows.indexOf(null);
+    if (previousIndex !== -1) {
+        const other = windows[1 - previousIndex].timeWindow;
+        const timeWindow = { startTime: other.startTime - (other.endTime - other.startTime), endTime: other.startTime };
+        const forceDirect = timeWindow.startTime <= seasonTimestamps.ch1s1.startTime;
+        if (forceDirect) {
+            conditionalLog(`The previous window starts at or before Ch1S1 (${formatTime(seasonTimestamps.ch1s1.startTime)}); using the direct API method for it`, quietMode);
+        }
+        windows[previousIndex] = { label: 'previous', timeWindow, useDirectMethod: useDirectMethod || forceDirect };
+        conditionalLog(`Using previous window: ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`, quietMode);
+    }
+
+    return windows;
+}
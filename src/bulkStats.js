@@ -0,0 +1,49 @@
+/**
+ * Stat key generation for bulk stats queries
+ * The bulk endpoint only returns the stat keys it is asked for, so the keys
+ * are built from the stat patterns, playlists and input types up front.
+ */
+import { inputTypes, statPattern, teamSizes } from './fortniteModeConstants.js';
+import { filterRawFortniteStats } from './fortniteRawStatOps.js';
+import { getPlaylistRegistry } from './playlistRegistry.js';
+
+/**
+ * Expands playlist templates into playlist names
+ * Registry entries expand into their own team sizes; plain templates expand {teamSize}
+ * into every team size. Wildcard patterns can't be named in a query and are skipped.
+ * @param {Array<string|Object>} [templates=getPlaylistRegistry()] - Playlist name templates,
+ *   or playlist registry entries {pattern, teamSizes}
+ * @returns {Array<string>} Playlist names (e.g. 'nobuildbr_solo'), without duplicates
+ */
+export function expandPlaylistTemplates(templates = getPlaylistRegistry()) {
+    const playlists = templates.flatMap(template => {
+        const { pattern, teamSizes: sizes } = typeof template === 'string' ? { pattern: template, teamSizes } : template;
+        if (pattern.includes('*')) return [];
+        return pattern.includes('{teamSize}') ? sizes.map(teamSize => pattern.replace('{teamSize}', teamSize)) : [pattern];
+    });
+    return [...new Set(playlists)];
+}
+
+/**
+ * Builds the raw stat keys for a bulk query
+ * Keys follow the statsv2 naming, e.g. br_kills_keyboardmouse_m0_playlist_nobuildbr_solo.
+ * Mode filters (including input types) are applied to the generated keys, so only
+ * the stats that would survive filtering are requested.
+ *
+ * @param {Array<string>} [statPatternKeys=[]] - Stat pattern keys (all stats when empty)
+ * @param {Array<string>} [filters=[]] - Game mode filters to apply
+ * @param {Array<string>} [playlists] - Playlist names (defaults to the playlists of the playlist registry)
+ * @returns {Array<string>} Raw stat keys
+ */
+export function generateBulkStatKeys(statPatternKeys = [], filters = [], playlists = expandPlaylistTemplates()) {
+    const patterns = (statPatternKeys.length > 0 ? statPatternKeys : Object.keys(statPattern))
+        .map(key => statPattern[key].replace(/_$/, ''));
+
+    const keys = patterns.flatMap(pattern =>
+        playlists.flatMap(playlist =>
+            inputTypes.map(inputType => `${pattern}_${inputType}_m0_playlist_${playlist}`)));
+
+    // Reuse the raw stat filter so generated keys are classified exactly like returned ones
+    const filtered = filterRawFortniteStats({ stats: Object.fromEntries(keys.map(key => [key, 0])) }, filters);
+    return Object.keys(filtered.stats);
+}
@@ -0,0 +1,41 @@
+/**
+ * Application clock
+ * All "current time" calculations (tonight's midnight, lastday= windows, cache
+ * expiry) go through this module so they can be shifted, e.g. to the time a
+ * replayed session was recorded.
+ */
+
+// Offset applied to the system clock (milliseconds)
+let clockOffset = 0;
+
+/**
+ * Shifts the application clock so that "now" equals the given time
+ * The clock keeps running from that point.
+ * @param {number} timeMs - Time that should be treated as now (milliseconds since epoch)
+ */
+export function setClockTime(timeMs) {
+    clockOffset = timeMs - Date.now();
+}
+
+/**
+ * Resets the application clock to the system clock
+ */
+export function resetClock() {
+    clockOffset = 0;
+}
+
+/**
+ * Gets the current application time
+ * @returns {number} Milliseconds since epoch
+ */
+export function now() {
+    return Date.now() + clockOffset;
+}
+
+/**
+ * Gets the current application time as a Unix timestamp
+ * @returns {number} Seconds since epoch
+ */
+export function nowSeconds() {
+    return Math.floor(now() / 1000);
+}
@@ -1,6 +1,7 @@
 /**
  * Date and time utilities for the Fortnite stats CLI
  */
+import { now } from './clock.js';
 
 /**
  * Formats timestamp as readable date
@@ -16,6 +17,15 @@ export function formatTime(timestamp) {
     }) + ' GMT';
 }
 
+/**
+ * Formats timestamp as an ISO 8601 date string (UTC)
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} ISO 8601 date string
+ */
+export function formatISOTime(timestamp) {
+    return new Date(timestamp * 1000).toISOString();
+}
+
 /**
  * Parse a date string or timestamp to Unix timestamp
  * @param {string} dateStr - Date string like "Feb 21 2025 GMT" or Unix timestamp
@@ -62,11 +72,12 @@ export function getMidnightGMT(timestamp) {
  * Calculate time window for the last N days, weeks, or months
  * @param {number} n - Number of time units
  * @param {string} unit - Time unit ('day', 'week', or 'month')
+ * @param {number} [currentTime=now()] - Current time in milliseconds (defaults to the application clock)
  * @returns {Object} Time window {startTime, endTime} in Unix timestamps
  */
-export function getLastTimeWindow(n, unit) {
+export function getLastTimeWindow(n, unit, currentTime = now()) {
     // Calculate tonight's midnight in GMT
-    const today = new Date();
+    const today = new Date(currentTime);
     today.setUTCHours(0, 0, 0, 0);
     const tonightMidnight = Math.floor(today.getTime() / 1000) + 86400; // Add 24 hours to get to next midnight
     
@@ -91,3 +102,18 @@ export function getLastTimeWindow(n, unit) {
         endTime: tonightMidnight
     };
 }
+
+/**
+ * Parse a duration such as "60s", "5m", "1h" or "3d" (plain numbers are seconds)
+ * @param {string} durationStr - Duration string
+ * @returns {number} Duration in seconds
+ */
+export function parseDuration(durationStr) {
+    const match = String(durationStr).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d)?$/i);
+    if (!match) {
+        throw new Error(`Invalid duration: ${durationStr}`);
+    }
+    
+    const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
+    return Math.round(parseFloat(match[1]) * multipliers[(match[2] ?? 's').toLowerCase()]);
+}
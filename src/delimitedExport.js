@@ -0,0 +1,159 @@
+/**
+ * CSV/TSV export of raw, nested and TRN stat structures
+ * Flattens stat structures into spreadsheet-friendly rows
+ */
+import { statPattern } from './fortniteModeConstants.js';
+import { formatISOTime } from './dateUtils.js';
+
+// Column order for stats and rates (columns only appear when present in the data)
+export const statColumnOrder = [
+    ...Object.keys(statPattern),
+    'winRate', 'top3Rate', 'top5Rate', 'top6Rate', 'top10Rate', 'top12Rate', 'top25Rate',
+    'killsPerDeath', 'killsPer20', 'minutesPerKill'
+];
+
+// Columns identifying the mode path of each row
+const modeColumns = ['buildMode', 'gameMode', 'compMode', 'teamSize'];
+
+// Field separators for the supported formats
+const separators = {
+    csv: ',',
+    tsv: '\t'
+};
+
+/**
+ * Flattens a nested stat structure (buildMode -> gameMode -> compMode -> teamSize)
+ * or a TRN structure (teamSize) into one row per team size
+ *
+ * @param {Object} stats - Structured stats, optionally with rates added
+ * @param {boolean} [isTRNFormat=false] - Whether stats are in TRN format (team size only)
+ * @returns {Array<Object>} Rows with mode columns plus one property per stat/rate
+ */
+export function flattenStatStructure(stats, isTRNFormat = false) {
+    const rows = [];
+
+    if (isTRNFormat) {
+        for (const [teamSize, teamStats] of Object.entries(stats || {})) {
+            rows.push({ buildMode: '', gameMode: '', compMode: '', teamSize, ...teamStats });
+        }
+        return rows;
+    }
+
+    for (const [buildMode, gameModeStats] of Object.entries(stats || {})) {
+        for (const [gameMode, compModeStats] of Object.entries(gameModeStats)) {
+            for (const [compMode, teamSizeStats] of Object.entries(compModeStats)) {
+                for (const [teamSize, teamStats] of Object.entries(teamSizeStats)) {
+                    rows.push({ buildMode, gameMode, compMode, teamSize, ...teamStats });
+                }
+            }
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Gets the ordered stat columns present in a set of flattened rows
+ * @param {Array<Object>} rows - Flattened stat rows
+ * @returns {Array<string>} Stat column names in display order
+ */
+export function getStatColumns(rows) {
+    const present = new Set(rows.flatMap(row => Object.keys(row)));
+    modeColumns.forEach(column => present.delete(column));
+
+    // Known stats first in their canonical order, then anything unexpected alphabetically
+    const known = statColumnOrder.filter(column => present.has(column));
+    const extra = [...present].filter(column => !statColumnOrder.includes(column)).sort();
+    return [...known, ...extra];
+}
+
+/**
+ * Escapes a single field for the given format
+ * CSV fields are quoted when they contain separators, quotes or newlines (RFC 4180).
+ * TSV fields cannot be quoted, so tabs and newlines are replaced with spaces.
+ *
+ * @param {*} value - Field value
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} Escaped field
+ */
+function formatField(value, format) {
+    if (value === undefined || value === null) return '';
+
+    // Non-finite rates (e.g. zero matches) export as empty cells
+    if (typeof value === 'number' && !Number.isFinite(value)) return '';
+
+    const text = String(value);
+    if (format === 'tsv') {
+        return text.replace(/[\t\r\n]+/g, ' ');
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Serializes a header and rows into CSV or TSV text
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} rows - Row objects keyed by column name
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} Delimited text ending with a newline
+ */
+export function toDelimitedText(columns, rows, format = 'csv') {
+    const separator = separators[format];
+    if (!separator) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const lines = [
+        columns.map(column => formatField(column, format)).join(separator),
+        ...rows.map(row => columns.map(column => formatField(row[column], format)).join(separator))
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Exports a nested or TRN stat structure as CSV/TSV
+ * @param {Object} stats - Structured stats with rates
+ * @param {boolean} isTRNFormat - Whether stats are in TRN format
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} Delimited text
+ */
+export function exportStatStructure(stats, isTRNFormat, format = 'csv') {
+    const rows = flattenStatStructure(stats, isTRNFormat);
+    return toDelimitedText([...modeColumns, ...getStatColumns(rows)], rows, format);
+}
+
+/**
+ * Exports several players' stat structures as one CSV/TSV table
+ * Each row starts with the player's display name, followed by the usual mode and stat columns.
+ *
+ * @param {Array<Object>} playerResults - Per player {player: {displayName, accountId}, stats}
+ *   where stats is a nested or TRN structure with rates
+ * @param {boolean} isTRNFormat - Whether the stats are in TRN format
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} Delimited text
+ */
+export function exportPlayerStatStructures(playerResults, isTRNFormat, format = 'csv') {
+    const rows = playerResults.flatMap(({ player, stats }) =>
+        flattenStatStructure(stats, isTRNFormat).map(row => ({ player: player.displayName, ...row })));
+    const statColumns = getStatColumns(rows).filter(column => column !== 'player');
+    return toDelimitedText(['player', ...modeColumns, ...statColumns], rows, format);
+}
+
+/**
+ * Exports raw stats as key/value rows
+ * lastmodified timestamps are rendered as ISO 8601 dates (empty when unset).
+ *
+ * @param {Object} stats - Raw stats object (key -> value)
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} Delimited text
+ */
+export function exportRawStats(stats, format = 'csv') {
+    const rows = Object.keys(stats || {}).sort().map(key => {
+        if (!key.includes('lastmodified')) return { key, value: stats[key] };
+        const timestamp = parseInt(stats[key]);
+        return { key, value: timestamp > 0 ? formatISOTime(timestamp) : '' };
+    });
+    return toDelimitedText(['key', 'value'], rows, format);
+}
@@ -3,8 +3,11 @@
  * Allows switching between original package and custom implementation
  */
 import { createRequire } from 'module';
-import { dirname } from 'path';
+import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { now, setClockTime } from './clock.js';
+import { setStatsCacheEnabled } from './statsCache.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 let EpicClient;
@@ -13,6 +16,16 @@ let EpicClient;
 const useOriginal = false; // Set to true to use original package, false to use custom implementation
 const quiet = true; // Set to true to disable implementation message
 
+// Record/replay fixture directories (custom implementation only)
+// Defaults come from FN_STATS_RECORD_DIR / FN_STATS_REPLAY_DIR
+const httpFixtures = {
+    recordDir: process.env.FN_STATS_RECORD_DIR || null,
+    replayDir: process.env.FN_STATS_REPLAY_DIR || null
+};
+
+// Session manifest stored alongside recorded exchanges
+const sessionManifestName = 'session.json';
+
 // Import the appropriate implementation
 if (useOriginal) { // Use original squiddleton package
     const require = createRequire(import.meta.url);
@@ -25,7 +38,7 @@ if (useOriginal) { // Use original squiddleton package
 
 // Create a wrapper for the EpicClient constructor
 const OriginalEpicClient = EpicClient; 
-EpicClient = function() {
+EpicClient = function(options = {}) {
     // Log implementation message
     if (!quiet) {    
         if (useOriginal) {
@@ -35,7 +48,64 @@ EpicClient = function() {
         }
     }
     // Create and return a new instance
-    return new OriginalEpicClient();
+    if (useOriginal) {
+        return new OriginalEpicClient(options);
+    }
+    return new OriginalEpicClient({ ...httpFixtures, ...options });
 };
 
-export { EpicClient };
\ No newline at end of file
+/**
+ * Configures record/replay of Epic HTTP exchanges for all clients created afterwards
+ * 
+ * Record mode saves every request/response pair (tokens redacted) into the fixture
+ * directory along with a session manifest holding the recording time.
+ * Replay mode serves responses from that directory without network access and
+ * shifts the application clock to the recording time, so time windows such as
+ * lastday=N or tonight's midnight resolve to the same URLs that were recorded.
+ * Both modes bypass the stats response cache.
+ * 
+ * @param {Object} [options={}] - Fixture options (fall back to the environment variables)
+ * @param {string} [options.recordDir] - Directory to record into
+ * @param {string} [options.replayDir] - Directory to replay from
+ * @returns {string|null} Active mode ('record' or 'replay') or null
+ */
+function setupHttpFixtures(options = {}) {
+    if (options.recordDir) httpFixtures.recordDir = options.recordDir;
+    if (options.replayDir) httpFixtures.replayDir = options.replayDir;
+    
+    if (httpFixtures.recordDir && httpFixtures.replayDir) {
+        throw new Error('Record and replay modes cannot be used at the same time');
+    }
+    
+    if (httpFixtures.replayDir) {
+        const manifestPath = join(httpFixtures.replayDir, sessionManifestName);
+        if (existsSync(manifestPath)) {
+            const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+            setClockTime(Date.parse(manifest.recordedAt));
+        }
+        setStatsCacheEnabled(false);
+        return 'replay';
+    }
+    
+    if (httpFixtures.recordDir) {
+        mkdirSync(httpFixtures.recordDir, { recursive: true });
+        writeFileSync(
+            join(httpFixtures.recordDir, sessionManifestName),
+            JSON.stringify({ recordedAt: new Date(now()).toISOString() }, null, 2)
+        );
+        setStatsCacheEnabled(false);
+        return 'record';
+    }
+    
+    return null;
+}
+
+/**
+ * Checks whether clients replay recorded exchanges instead of using the network
+ * @returns {boolean} True in replay mode
+ */
+function isReplayMode() {
+    return Boolean(httpFixtures.replayDir);
+}
+
+export { EpicClient, setupHttpFixtures, isReplayMode };
\ No newline at end of file
@@ -1,90 +1,40 @@
 import { buildModes, gameModes, compModes, teamSizes, inputTypes, statPattern } from './fortniteModeConstants.js';
 import { formatTime } from './dateUtils.js';
+import { parseRawStatKey } from './fortniteStatKeys.js';
 
 /**
  * Filters raw Fortnite stats based on user-provided filters
- * Applies the same logic as filterFortniteStats but maintains raw stat format
+ * Applies the same logic as filterFortniteStats but maintains raw stat format.
+ * Keys are classified with parseRawStatKey; a part that can't be classified only fails
+ * the filters for that part (with no filters every key but bots is kept).
  * 
  * @param {Object} rawStats - The raw stats object from the API
  * @param {Array<string>} filters - Array of filter strings (e.g., ['zeroBuild', 'solo', 'ranked'])
  * @returns {Object} Filtered raw stats object containing only filtered entries
  */
 export function filterRawFortniteStats(rawStats, filters = []) {
-    // Parse filters into categories
-    const buildFilters = filters?.filter(f => buildModes.includes(f)) ?? [];
-    const gameFilters = filters?.filter(f => gameModes.includes(f)) ?? [];
-    const compFilters = filters?.filter(f => compModes.includes(f)) ?? [];
-    const teamFilters = filters?.filter(f => teamSizes.includes(f)) ?? [];
-    const inputFilters = filters?.filter(f => inputTypes.includes(f)) ?? [];
+    // Filters per classified part; filters of the same part are alternatives
+    const filtersByPart = {
+        buildMode: filters?.filter(f => buildModes.includes(f)) ?? [],
+        gameMode: filters?.filter(f => gameModes.includes(f)) ?? [],
+        compMode: filters?.filter(f => compModes.includes(f)) ?? [],
+        teamSize: filters?.filter(f => teamSizes.includes(f)) ?? [],
+        input: filters?.filter(f => inputTypes.includes(f)) ?? []
+    };
     
     // Create the filtered stats object
     const filteredStats = {};
     
-    // Process each key in raw stats
     Object.keys(rawStats.stats || {}).forEach(key => {
-        // Classify this key
-        const buildMode = key.includes('nobuild') ? 'zeroBuild' : 'build';
-        
-        // Game mode
-        let gameMode='unknown';
-        if (key.includes('nobuildbr') || key.includes('default')) {
-            gameMode = 'regular';
-        } else if (key.includes('punchberry') || key.includes('sunflower') || key.includes('blastberry')) {
-            gameMode = 'reload';
-        }
-
-        // Comp mode
-        let compMode='unknown';
-        if (key.includes('habanero')) {
-            compMode = 'ranked';
-        } else if (key.includes('bots')) {
-            compMode = 'bots';
-        } else {
-            compMode = 'pubs';
-        }
+        const parsed = parseRawStatKey(key);
         
-        // Team size
-        let teamSize='uknown';
-        for (const size of teamSizes) {
-            if (key.includes(size)) {
-                teamSize = size;
-                break;
-            }
-        }
-        
-        
-        // Input type
-        let inputType='unknown';
-        if (key.includes('gamepad')) {
-            inputType = 'gamepad';
-        } else if (key.includes('keyboardmouse')) {
-            inputType = 'keyboardmouse';
-        }
+        const matchesFilters = Object.entries(filtersByPart).every(([part, partFilters]) =>
+            partFilters.length === 0 || partFilters.includes(parsed?.[part]));
+        if (!matchesFilters) return;
         
-         
-        // Apply filters
+        // Bots are excluded unless a comp mode filter asks for them
+        if (filtersByPart.compMode.length === 0 && parsed?.compMode === 'bots') return;
         
-        // Build mode filter
-        if (buildFilters.length > 0 && !buildFilters.includes(buildMode)) return;
-        
-        // Game mode filter
-        if (gameFilters.length > 0 && !gameFilters.includes(gameMode)) return;
-        
-        // Comp mode filter
-        if (compFilters.length > 0) {
-            if (!compFilters.includes(compMode)) return;
-        } else if (compMode === 'bots') {
-            return; // Default: exclude bots
-        }
-        
-        // Team size filter
-        if (teamFilters.length > 0 && !teamFilters.includes(teamSize)) return;
-        
-        // Input type filter
-        if (inputFilters.length > 0 && !inputFilters.includes(inputType)) return;
-        
-        
-        // Include this key in filtered results
         filteredStats[key] = rawStats.stats[key];
     });
     
@@ -174,6 +124,26 @@ export function filterByStatPatterns(stats, patterns) {
     return filtered;
 }
 
+/**
+ * Applies game mode filters and stat pattern filters to raw stats
+ * Convenience wrapper around filterRawFortniteStats and filterByStatPatterns
+ * 
+ * @param {Object} rawStats - The raw stats object from the API
+ * @param {Array<string>} [filters=[]] - Game mode filters (e.g., ['zeroBuild', 'solo'])
+ * @param {Array<string>} [statPatternKeys=[]] - Stat pattern keys (e.g., ['kills', 'wins'])
+ * @returns {Object} Filtered raw stats object
+ */
+export function applyStatFilters(rawStats, filters = [], statPatternKeys = []) {
+    let filteredStats = { stats: rawStats.stats || {} };
+    if (filters.length > 0) {
+        filteredStats = filterRawFortniteStats(rawStats, filters);
+    }
+    if (statPatternKeys.length > 0) {
+        filteredStats = { stats: filterByStatPatterns(filteredStats.stats, statPatternKeys) };
+    }
+    return filteredStats;
+}
+
 /**
  * Find the latest lastmodified timestamp in stats object
  * @param {Object} stats - Stats object to process
@@ -222,7 +192,7 @@ export function getStatsDifference(newStats, oldStats) {
                 const oldVal = parseInt(oldStats[key]);
                 const newVal = parseInt(newStats[key]);
                 // Calculate the actual difference (new - old)
-                diff[key] = oldVal - newVal;
+                diff[key] = newVal - oldVal;
             }
             // For non-numeric or lastmodified values, store the new value
             else {
@@ -257,6 +227,8 @@ export function getStatsDifference(newStats, oldStats) {
  * - Missing keys in larger window: Treated as 0
  * - Missing keys in smaller window: Treated as 0
  * - Keys in neither: Won't appear in result
+ * - Negative differences: Kept as they are; they show the windows used different
+ *   snapshots for a key (older snapshots get thinned out), see findNegativeStats
  * 
  * @param {Object} largerWindow - Raw stats object from the longer time period
  * @param {Object} smallerWindow - Raw stats object from the shorter, overlapping period
@@ -282,4 +254,42 @@ export function subtractRawFortniteStats(largerWindow, smallerWindow) {
             })
         )
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Finds the stats that came out negative from subtractRawFortniteStats
+ * A cumulative total can't shrink, so a negative difference means the two cumulative
+ * queries were answered from different snapshots for that key.
+ * @param {Object} stats - Raw stats object (key -> value)
+ * @returns {Array<Object>} {key, value} of each negative stat, sorted by key
+ */
+export function findNegativeStats(stats) {
+    return Object.keys(stats || {}).sort()
+        .filter(key => !key.includes('lastmodified') && stats[key] < 0)
+        .map(key => ({ key, value: stats[key] }));
+}
+
+/**
+ * Sums raw Fortnite stats from several players into one combined set
+ * Keys are merged the same way as subtractRawFortniteStats:
+ * - Missing keys are treated as 0
+ * - lastmodified keys keep the most recent timestamp instead of being summed
+ * 
+ * @param {Array<Object>} rawStatsList - Raw stats objects ({stats}) to combine
+ * @returns {Object} Raw stats object with the combined totals
+ */
+export function sumRawFortniteStats(rawStatsList) {
+    const combined = {};
+    
+    rawStatsList.forEach(rawStats => {
+        Object.entries(rawStats.stats || {}).forEach(([key, value]) => {
+            if (key.includes('lastmodified')) {
+                combined[key] = Math.max(combined[key] || 0, value || 0);
+            } else {
+                combined[key] = (combined[key] || 0) + (value || 0);
+            }
+        });
+    });
+    
+    return { stats: combined };
+}
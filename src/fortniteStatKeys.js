@@ -0,0 +1,83 @@
+/**
+ * Parser for raw statsv2 stat keys
+ * Keys look like br_<stat>_<input>_m0_playlist_<playlist>, e.g.
+ * br_kills_keyboardmouse_m0_playlist_nobuildbr_habanero_squad. The playlist's build mode,
+ * game mode, competitive mode and team size come from the playlist registry (see
+ * playlistRegistry.js), so every classification of a key is made in one place.
+ */
+import { inputTypes, statPattern } from './fortniteModeConstants.js';
+import { classifyPlaylist, getPlaylistRegistry } from './playlistRegistry.js';
+
+// Layout of a raw stat key: stat, input device and playlist
+const statKeyFormat = /^br_([a-z0-9]+)_([a-z0-9]+)_m0_playlist_([a-z0-9_]+)$/;
+
+// Mode fields a key needs to be placed in the nested structure
+const modeFields = ['buildMode', 'gameMode', 'compMode', 'teamSize'];
+
+// Stat names (see statPattern) by the stat token of a key (e.g. placetop1 -> wins)
+const statNamesByToken = Object.fromEntries(Object.entries(statPattern)
+    .map(([statName, pattern]) => [pattern.replace(/^br_/, '').replace(/_$/, ''), statName]));
+
+/**
+ * Parses a raw stat key into its parts and mode classification
+ * The mode fields are null when no registry entry matches the playlist, and the input is
+ * null when it isn't a known input type; see isClassifiedStatKey.
+ *
+ * @param {string} key - Raw stat key (e.g. br_kills_gamepad_m0_playlist_nobuildbr_solo)
+ * @param {Array<Object>} [registry=getPlaylistRegistry()] - Compiled playlist registry entries
+ * @returns {Object|null} {stat, input, playlist, buildMode, gameMode, compMode, teamSize},
+ *   or null when the key doesn't follow the br_<stat>_<input>_m0_playlist_<playlist> layout
+ */
+export function parseRawStatKey(key, registry = getPlaylistRegistry()) {
+    const match = key.match(statKeyFormat);
+    if (!match) return null;
+
+    const [, stat, input, playlist] = match;
+    const modes = classifyPlaylist(playlist, registry);
+    return {
+        stat,
+        input: inputTypes.includes(input) ? input : null,
+        playlist,
+        buildMode: modes?.buildMode ?? null,
+        gameMode: modes?.gameMode ?? null,
+        compMode: modes?.compMode ?? null,
+        teamSize: modes?.teamSize ?? null
+    };
+}
+
+/**
+ * Checks whether a parsed key has every mode field needed to place it in the nested structure
+ * @param {Object|null} parsed - Result of parseRawStatKey
+ * @returns {boolean} True when build mode, game mode, comp mode and team size are known
+ */
+export function isClassifiedStatKey(parsed) {
+    return parsed !== null && modeFields.every(field => parsed[field] !== null);
+}
+
+/**
+ * Gets the stat name (a statPattern key) of a parsed key's stat token
+ * @param {string} stat - Stat token (e.g. 'placetop1')
+ * @returns {string|null} Stat name (e.g. 'wins'), or null for stats that aren't summarized
+ */
+export function getStatName(stat) {
+    return statNamesByToken[stat] ?? null;
+}
+
+/**
+ * Lists the raw stat keys that can't be fully classified
+ * @param {Object} stats - Raw stats object (key -> value)
+ * @param {Array<Object>} [registry=getPlaylistRegistry()] - Compiled playlist registry entries
+ * @returns {Array<Object>} {key, missing} sorted by key, where missing names the unknown parts:
+ *   'input', 'playlist' (no registry entry matches), or 'format' for keys that don't follow the layout
+ */
+export function findUnclassifiedStatKeys(stats, registry = getPlaylistRegistry()) {
+    return Object.keys(stats || {}).sort().flatMap(key => {
+        const parsed = parseRawStatKey(key, registry);
+        if (!parsed) return [{ key, missing: ['format'] }];
+        const missing = [
+            ...(parsed.input === null ? ['input'] : []),
+            ...(isClassifiedStatKey(parsed) ? [] : ['playlist'])
+        ];
+        return missing.length > 0 ? [{ key, missing }] : [];
+    });
+}
@@ -1,4 +1,5 @@
 import { buildModes, gameModes, compModes, teamSizes, statPattern } from './fortniteModeConstants.js';
+import { parseRawStatKey, isClassifiedStatKey, getStatName } from './fortniteStatKeys.js';
 
 /**
  * Core statistics processing functions for Fortnite data
@@ -11,137 +12,64 @@ import { buildModes, gameModes, compModes, teamSizes, statPattern } from './fort
  * This function organizes them into a nested structure:
  * buildMode -> gameMode -> compMode -> teamSize -> stats
  * 
- * Filtering logic:
- * - Build modes: Uses 'nobuild' presence in key
- * - Game modes: Matches specific playlist patterns (br/berry variants)
- * - Comp modes: Checks for habanero (ranked) and bots markers
- * - Team sizes: Matches size pattern in key name
+ * Each key is classified with parseRawStatKey, and the stats of keys with the same mode
+ * path are summed (across inputs). Keys that can't be classified are left out (see
+ * findUnclassifiedStatKeys), as are team sizes without matches and, unless requested, bots.
  * 
  * @param {Object} rawStats - Raw stats from Epic Games API
  * @param {boolean} includeBots - Whether to include bot matches in the structure (default: false)
  * @returns {Object} Structured stats object
  */
 export function createFortniteStatObject(rawStats, includeBots = false) {
-    // Create empty result object and get all stat keys
-    const statObject = {};
-    const keys = Object.keys(rawStats.stats || {});
-    
-    // Skip processing if there are no stats
-    if (keys.length === 0) {
-        return statObject;
-    }
-
-    // First level: Build modes (zeroBuild/build)
-    for (const buildMode of buildModes) {
-        // Filter keys for this build mode (nobuild vs regular)
-        const keyBuild = keys.filter(key => 
-            buildMode === 'zeroBuild' ? key.includes('nobuild') : !key.includes('nobuild')
-        );
+    // Sum each stat per mode path
+    const totals = new Map();
+    for (const [key, value] of Object.entries(rawStats.stats || {})) {
+        const parsed = parseRawStatKey(key);
+        if (!isClassifiedStatKey(parsed)) continue;
+        if (parsed.compMode === 'bots' && !includeBots) continue;
         
-        // Skip this build mode if no matching keys
-        if (keyBuild.length === 0) continue;
+        const statName = getStatName(parsed.stat);
+        if (statName === null) continue;
         
-        const buildModeObject = {};
-        let hasBuildModeChildren = false;
-
-        // Second level: Game modes (regular/reload)
+        const path = [parsed.buildMode, parsed.gameMode, parsed.compMode, parsed.teamSize].join('.');
+        if (!totals.has(path)) totals.set(path, {});
+        const stats = totals.get(path);
+        stats[statName] = (stats[statName] ?? 0) + value;
+    }
+    
+    // Build the structure in the order of the mode constants, skipping team sizes without matches
+    const statObject = {};
+    for (const buildMode of buildModes) {
         for (const gameMode of gameModes) {
-            // Filter for game mode specific patterns
-            const keyGame = keyBuild.filter(key => 
-                (gameMode === 'regular' && 
-                    (key.includes('nobuildbr') || key.includes('default'))) 
-                ||
-                (gameMode === 'reload' && 
-                    (key.includes('punchberry') || key.includes('sunflower') || key.includes('blastberry')))
-            );
-            
-            // Skip this game mode if no matching keys
-            if (keyGame.length === 0) continue;
-            
-            const gameModeObject = {};
-            let hasGameModeChildren = false;
-
-            // Third level: Competitive modes (pubs/ranked/bots)
             for (const compMode of compModes) {
-                // Skip bots mode unless explicitly requested
-                if (compMode === 'bots' && !includeBots) continue;
-                
-                const keyComp = keyGame.filter(key => 
-                    (compMode === 'pubs' && 
-                        !key.includes('habanero') && !key.includes('bots')) 
-                    ||
-                    (compMode === 'ranked' && 
-                        key.includes('habanero')) 
-                    ||
-                    (compMode === 'bots' && 
-                        key.includes('bots'))
-                );
-                
-                // Skip this comp mode if no matching keys
-                if (keyComp.length === 0) continue;
-                
-                const compModeObject = {};
-                let hasCompModeChildren = false;
-
-                // Fourth level: Team sizes
-                for (const size of teamSizes) {
-                    // Skip trio in reload mode
-                    if (gameMode === 'reload' && size === 'trio') continue;
-
-                    const keySizeComp = keyComp.filter(key => key.includes(size));
+                for (const teamSize of teamSizes) {
+                    const stats = totals.get([buildMode, gameMode, compMode, teamSize].join('.'));
+                    if (!stats?.matches) continue;
                     
-                    // Skip this team size if no matching keys
-                    if (keySizeComp.length === 0) continue;
-
-                    // Check for matches first to determine if this team size has any stats
-                    const matchesKey = keySizeComp.filter(key => key.includes(statPattern.matches));
-                    if (matchesKey.length === 0 || 
-                        matchesKey.reduce((sum, key) => sum + rawStats.stats[key], 0) === 0) {
-                        continue; // Skip this team size if no matches or zero matches
-                    }
-
-                    // Create team size object and add stats
-                    const teamSizeObject = {};
-                    
-                    // Process all stat types for this team size
-                    Object.entries(statPattern).forEach(([statName, pattern]) => {
-                        const keyStat = keySizeComp.filter(key => key.includes(pattern));
-                        if (keyStat.length > 0) {
-                            const accumulatedStats = keyStat.reduce((sum, key) => sum + rawStats.stats[key], 0);
-                            teamSizeObject[statName] = accumulatedStats;
-                        }
-                    });
-                    
-                    // Only add team size if it has stats
-                    if (Object.keys(teamSizeObject).length > 0) {
-                        compModeObject[size] = teamSizeObject;
-                        hasCompModeChildren = true;
-                    }
-                }
-
-                // Only add comp mode if it has children
-                if (hasCompModeChildren) {
-                    gameModeObject[compMode] = compModeObject;
-                    hasGameModeChildren = true;
+                    statObject[buildMode] ??= {};
+                    statObject[buildMode][gameMode] ??= {};
+                    statObject[buildMode][gameMode][compMode] ??= {};
+                    statObject[buildMode][gameMode][compMode][teamSize] = Object.fromEntries(
+                        Object.keys(statPattern).filter(statName => statName in stats).map(statName => [statName, stats[statName]]));
                 }
             }
-
-            // Only add game mode if it has children
-            if (hasGameModeChildren) {
-                buildModeObject[gameMode] = gameModeObject;
-                hasBuildModeChildren = true;
-            }
-        }
-
-        // Only add build mode if it has children
-        if (hasBuildModeChildren) {
-            statObject[buildMode] = buildModeObject;
         }
     }
-
+    
     return statObject;
 }
 
+/**
+ * Divides two stats, falling back to a fixed value when the divisor is not positive
+ * @param {number} numerator - Dividend
+ * @param {number} denominator - Divisor
+ * @param {number} [fallback=0] - Result when the divisor is 0 (or negative)
+ * @returns {number} Quotient or fallback
+ */
+function safeDivide(numerator, denominator, fallback = 0) {
+    return denominator > 0 ? numerator / denominator : fallback;
+}
+
 /**
  * Enriches Fortnite stats with calculated rates and ratios
  * Processes the entire stat structure recursively, adding derived statistics
@@ -154,7 +82,12 @@ export function createFortniteStatObject(rawStats, includeBots = false) {
  * - Kills per 20 minutes - normalized for comparison
  * - Minutes per kill - average time between kills
  * 
- * Note: Ensures stats exist before calculation, defaults to 0 for missing wins/kills
+ * Note: Ensures stats exist before calculation, defaults to 0 for missing wins/kills/minutes.
+ * Division by zero never produces NaN or Infinity:
+ * - Rates are 0 when there are no matches
+ * - K/D uses kills when there are no deaths (every match won)
+ * - Kills per 20 minutes is 0 when no minutes were recorded
+ * - Minutes per kill uses minutes when there are no kills
  * 
  * @param {Object} statObject - Structured stats from createFortniteStatObject
  * @returns {Object} Enhanced stats with calculated rates and ratios
@@ -174,31 +107,32 @@ export function addFortniteRateStats(statObject) {
             // Ensure required properties exist
             if (!statSummary.hasOwnProperty('wins')) statSummary.wins = 0;
             if (!statSummary.hasOwnProperty('kills')) statSummary.kills = 0;
+            if (!statSummary.hasOwnProperty('minutes')) statSummary.minutes = 0;
             
             // Add win rate calculation
-            statSummary.winRate = statSummary.wins/statSummary.matches;
+            statSummary.winRate = safeDivide(statSummary.wins, statSummary.matches);
             
             // Calculate win and placement rates
             if (statSummary.hasOwnProperty('top3')) 
-                statSummary.top3Rate = statSummary.top3/statSummary.matches;
+                statSummary.top3Rate = safeDivide(statSummary.top3, statSummary.matches);
             if (statSummary.hasOwnProperty('top5')) 
-                statSummary.top5Rate = statSummary.top5/statSummary.matches;
+                statSummary.top5Rate = safeDivide(statSummary.top5, statSummary.matches);
             if (statSummary.hasOwnProperty('top6')) 
-                statSummary.top6Rate = statSummary.top6/statSummary.matches;
+                statSummary.top6Rate = safeDivide(statSummary.top6, statSummary.matches);
             if (statSummary.hasOwnProperty('top10')) 
-                statSummary.top10Rate = statSummary.top10/statSummary.matches;
+                statSummary.top10Rate = safeDivide(statSummary.top10, statSummary.matches);
             if (statSummary.hasOwnProperty('top12')) 
-                statSummary.top12Rate = statSummary.top12/statSummary.matches;
+                statSummary.top12Rate = safeDivide(statSummary.top12, statSummary.matches);
             if (statSummary.hasOwnProperty('top25')) 
-                statSummary.top25Rate = statSummary.top25/statSummary.matches;
+                statSummary.top25Rate = safeDivide(statSummary.top25, statSummary.matches);
             
             // Calculate combat statistics
             // K/D excludes matches won (no death in wins)
-            statSummary.killsPerDeath = statSummary.kills/(statSummary.matches-statSummary.wins);
+            statSummary.killsPerDeath = safeDivide(statSummary.kills, statSummary.matches - statSummary.wins, statSummary.kills);
             // Normalize kills to per-20-minute rate for comparison
-            statSummary.killsPer20 = statSummary.kills*20/statSummary.minutes;
+            statSummary.killsPer20 = safeDivide(statSummary.kills * 20, statSummary.minutes);
             // Average time between kills
-            statSummary.minutesPerKill = statSummary.minutes/statSummary.kills;
+            statSummary.minutesPerKill = safeDivide(statSummary.minutes, statSummary.kills, statSummary.minutes);
 
             return statSummary;
         }
@@ -1,23 +1,131 @@
-import { readFileSync } from 'node:fs';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
+import { getUserDataDir } from './userConfig.js';
+import { nowSeconds } from './clock.js';
+import { parseSeasonDate, resolveSeasonLayers } from './seasonValidation.js';
 
 // Get absolute directory path of current module
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Read season definitions using absolute path to module location
-const seasonDefs = JSON.parse(
-    readFileSync(join(__dirname, '../seasonDefinitions.json'), 'utf8')
-);
+// Packaged season definitions, relative to the module location
+const packagedSeasonsPath = join(__dirname, '../seasonDefinitions.json');
+
+/**
+ * Gets the path of the user-level season definitions file
+ * It uses the same format as seasonDefinitions.json and its entries replace packaged
+ * seasons of the same name (e.g. seasons added by "fn-stats seasons sync").
+ * @returns {string} Absolute path of seasons.json in the user data directory
+ */
+export function getUserSeasonsFilePath() {
+    return join(getUserDataDir(), 'seasons.json');
+}
+
+/**
+ * Loads the user-level season definitions
+ * @returns {Object} Season name -> {start, end} date strings
+ */
+export function loadUserSeasonDefinitions() {
+    const filePath = getUserSeasonsFilePath();
+    if (!existsSync(filePath)) return {};
+    try {
+        return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read season definitions from ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Writes the user-level season definitions
+ * @param {Object} definitions - Season name -> {start, end} date strings
+ */
+export function saveUserSeasonDefinitions(definitions) {
+    mkdirSync(getUserDataDir(), { recursive: true });
+    writeFileSync(getUserSeasonsFilePath(), JSON.stringify(definitions, null, 2) + '\n');
+}
+
+/**
+ * Converts season definitions to Unix timestamps
+ * @param {Object} definitions - Season name -> {start, end} date strings
+ * @returns {Object} Season name -> {startTime, endTime}
+ */
+export function buildSeasonTimestamps(definitions) {
+    return Object.fromEntries(
+        Object.entries(definitions).map(([season, dates]) => [
+            season,
+            {
+                startTime: parseSeasonDate(dates.start),
+                endTime: parseSeasonDate(dates.end)
+            }
+        ])
+    );
+}
+
+/**
+ * Gets the season definition files, lowest priority first
+ * The packaged seasonDefinitions.json is followed by the user season file and the
+ * file named by the FN_STATS_SEASONS_FILE environment variable (when set).
+ * @returns {Array<Object>} Files {source, path}
+ */
+export function getSeasonFiles() {
+    return [
+        { source: 'packaged', path: packagedSeasonsPath },
+        { source: 'user', path: getUserSeasonsFilePath() },
+        ...(process.env.FN_STATS_SEASONS_FILE ? [{ source: 'override', path: process.env.FN_STATS_SEASONS_FILE }] : [])
+    ];
+}
+
+/**
+ * Loads and validates all season definition files
+ * A missing user season file is skipped; other missing or unreadable files are reported as errors.
+ * @returns {Object} Resolved seasons, errors and warnings (see resolveSeasonLayers), plus
+ *   files: {Array<Object>} loaded files {source, path}
+ */
+export function loadSeasonDefinitions() {
+    const layers = [];
+    const loadErrors = [];
+    const files = [];
+
+    for (const file of getSeasonFiles()) {
+        if (file.source === 'user' && !existsSync(file.path)) continue;
+        try {
+            layers.push({ source: file.source, definitions: JSON.parse(readFileSync(file.path, 'utf8')) });
+            files.push(file);
+        } catch (error) {
+            loadErrors.push({ season: null, source: file.source, message: `Could not read ${file.path}: ${error.message}` });
+        }
+    }
+
+    const resolution = resolveSeasonLayers(layers);
+    return { ...resolution, errors: [...loadErrors, ...resolution.errors], files };
+}
+
+// Validated season definitions (user overrides layered over the packaged ones)
+export const seasonDefinitions = loadSeasonDefinitions();
 
 // Build timestamps object
 export const seasonTimestamps = Object.fromEntries(
-    Object.entries(seasonDefs).map(([season, dates]) => [
-        season,
-        {
-            startTime: Date.parse(dates.start)/1000,
-            endTime: Date.parse(dates.end)/1000
-        }
-    ])
+    Object.entries(seasonDefinitions.seasons).map(([season, { startTime, endTime }]) => [season, { startTime, endTime }])
 );
+
+/**
+ * Finds the season that contains a point in time
+ * When several seasons contain it (e.g. a Reload season running alongside a
+ * Battle Royale season) the one that started last wins. If no season contains it
+ * (the definitions are out of date) the most recently started season is used.
+ * Seasons with unparseable dates are skipped.
+ * "lifetime" spans everything and is never picked.
+ * @param {Object} [seasons=seasonTimestamps] - Season name -> {startTime, endTime}
+ * @param {number} [time=nowSeconds()] - Unix timestamp in seconds
+ * @returns {string|null} Season name, or null if there are no seasons
+ */
+export function getCurrentSeason(seasons = seasonTimestamps, time = nowSeconds()) {
+    const candidates = Object.entries(seasons)
+        .filter(([season, window]) => season !== 'lifetime' && !isNaN(window.startTime) && !isNaN(window.endTime))
+        .sort(([, a], [, b]) => b.startTime - a.startTime);
+
+    const containing = candidates.find(([, window]) => window.startTime <= time && time < window.endTime);
+    const started = candidates.find(([, window]) => window.startTime <= time);
+    return (containing ?? started ?? candidates[0])?.[0] ?? null;
+}
@@ -0,0 +1,75 @@
+/**
+ * Per-player contribution to a group's combined stats
+ */
+import { statPattern } from './fortniteModeConstants.js';
+import { formatMinutes, formatStatValue, renderTable } from './tableRenderer.js';
+
+// Stats each player's share of the group total is reported for
+export const shareStats = ['kills', 'wins', 'minutes'];
+
+/**
+ * Totals one stat across all of a player's raw stat keys
+ * @param {Object} stats - Raw stats object (key -> value)
+ * @param {string} statName - Stat pattern key (e.g. 'kills')
+ * @returns {number} Total
+ */
+function totalStat(stats, statName) {
+    return Object.entries(stats || {})
+        .filter(([key]) => key.includes(statPattern[statName]))
+        .reduce((sum, [, value]) => sum + (value || 0), 0);
+}
+
+/**
+ * Calculates each player's share of the group's kills, wins and minutes
+ * @param {Array<Object>} playerResults - Per player {player: {displayName, accountId}, stats}
+ *   where stats is the player's filtered raw stats object (key -> value)
+ * @returns {Array<Object>} Per player {displayName, accountId, kills, killsShare, wins, winsShare,
+ *   minutes, minutesShare}; shares are fractions of the group total (0 when the total is 0)
+ */
+export function calculatePlayerShares(playerResults) {
+    const totals = playerResults.map(({ stats }) =>
+        Object.fromEntries(shareStats.map(statName => [statName, totalStat(stats, statName)])));
+
+    const groupTotals = Object.fromEntries(shareStats.map(statName =>
+        [statName, totals.reduce((sum, playerTotals) => sum + playerTotals[statName], 0)]));
+
+    return playerResults.map(({ player }, index) => ({
+        displayName: player.displayName,
+        accountId: player.accountId,
+        ...Object.fromEntries(shareStats.flatMap(statName => [
+            [statName, totals[index][statName]],
+            [`${statName}Share`, groupTotals[statName] > 0 ? totals[index][statName] / groupTotals[statName] : 0]
+        ]))
+    }));
+}
+
+/**
+ * Renders player shares as a terminal table
+ * @param {Array<Object>} shares - Shares from calculatePlayerShares
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderShareTable(shares, options = {}) {
+    const columns = [
+        { label: 'Player', align: 'left' },
+        { label: 'Kills', align: 'right' },
+        { label: 'Kill Share', align: 'right' },
+        { label: 'Wins', align: 'right' },
+        { label: 'Win Share', align: 'right' },
+        { label: 'Time', align: 'right' },
+        { label: 'Time Share', align: 'right' }
+    ];
+
+    // Shares are fractions, so they format like the *Rate stats
+    const rows = shares.map(share => [
+        share.displayName,
+        String(share.kills),
+        formatStatValue('killsRate', share.killsShare),
+        String(share.wins),
+        formatStatValue('winsRate', share.winsShare),
+        formatMinutes(share.minutes),
+        formatStatValue('minutesRate', share.minutesShare)
+    ]);
+
+    return renderTable(columns, rows, options);
+}
@@ -0,0 +1,370 @@
+/**
+ * Machine-readable JSON output for stat views
+ */
+import { formatISOTime } from './dateUtils.js';
+
+/**
+ * Describes a time window with both Unix timestamps and ISO 8601 dates
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @returns {Object} Time window {startTime, endTime, start, end}
+ */
+function describeTimeWindow(timeWindow) {
+    return {
+        startTime: timeWindow.startTime,
+        endTime: timeWindow.endTime,
+        start: formatISOTime(timeWindow.startTime),
+        end: formatISOTime(timeWindow.endTime)
+    };
+}
+
+/**
+ * Describes a queried player
+ * @param {Object} player - Resolved player {displayName, accountId}
+ * @returns {Object} Player {displayName, accountId}
+ */
+function describePlayer(player) {
+    return {
+        displayName: player.displayName,
+        accountId: player.accountId
+    };
+}
+
+/**
+ * Names the way stats were retrieved
+ * @param {boolean} useAdvancedMethod - Whether the triple API call technique was used
+ * @returns {string} 'triple-call' or 'direct'
+ */
+function describeMethod(useAdvancedMethod) {
+    return useAdvancedMethod ? 'triple-call' : 'direct';
+}
+
+/**
+ * Describes the applied filters
+ * @param {Array<string>} [filters=[]] - Applied game mode filters
+ * @param {Array<string>} [statPatternKeys] - Applied stat pattern keys (left out for commands without them)
+ * @returns {Object} Filters {modes, statPatterns}
+ */
+function describeFilters(filters = [], statPatternKeys) {
+    return {
+        modes: filters,
+        ...(statPatternKeys !== undefined && { statPatterns: statPatternKeys })
+    };
+}
+
+/**
+ * Describes the query behind a document: the same timeWindow, filters and method fields
+ * for every command
+ * @param {Object} query - Query settings
+ * @param {Object|null} query.timeWindow - Time window {startTime, endTime} (null when unlimited)
+ * @param {Array<string>} [query.filters=[]] - Applied game mode filters
+ * @param {Array<string>} [query.statPatternKeys] - Applied stat pattern keys (see describeFilters)
+ * @param {string} [query.method] - Retrieval method (left out for commands that don't query stats windows)
+ * @returns {Object} {timeWindow, filters, method}
+ */
+function describeQuery({ timeWindow, filters, statPatternKeys, method }) {
+    return {
+        timeWindow: timeWindow ? describeTimeWindow(timeWindow) : null,
+        filters: describeFilters(filters, statPatternKeys),
+        ...(method !== undefined && { method })
+    };
+}
+
+/**
+ * Builds a self-describing JSON document for a processed stats result
+ * The document carries everything needed to interpret the payload without
+ * scraping log output: who was queried, for which window, with which filters
+ * and how the stats were retrieved.
+ *
+ * @param {Object} result - Processed stats result
+ * @param {Object} result.player - Resolved player {displayName, accountId}
+ * @param {Object} result.timeWindow - Effective time window {startTime, endTime}
+ * @param {Array<string>} result.filters - Applied game mode filters
+ * @param {Array<string>} result.statPatternKeys - Applied stat pattern keys
+ * @param {boolean} result.useAdvancedMethod - Whether the triple API call technique was used
+ * @param {string} result.view - Stat view ('raw', 'nested' or 'trn')
+ * @param {Object} result.stats - Stats payload for the view
+ * @returns {Object} JSON-serializable document
+ */
+export function createStatsDocument({ player, timeWindow, filters = [], statPatternKeys = [],
+                                      useAdvancedMethod = true, view, stats }) {
+    return {
+        player: describePlayer(player),
+        ...describeQuery({ timeWindow, filters, statPatternKeys, method: describeMethod(useAdvancedMethod) }),
+        view,
+        stats
+    };
+}
+
+/**
+ * Builds a JSON document for a multi-player comparison
+ * Each player carries their full stat structure; the rows repeat the values
+ * side by side with the display names of the best player(s) per row.
+ *
+ * @param {Object} result - Comparison result
+ * @param {Array<Object>} result.playerResults - Per player {player: {displayName, accountId}, stats}
+ * @param {Object} result.comparison - Comparison from buildComparison
+ * @param {Object} result.timeWindow - Effective time window {startTime, endTime}
+ * @param {Array<string>} result.filters - Applied game mode filters
+ * @param {Array<string>} result.statPatternKeys - Applied stat pattern keys
+ * @param {boolean} result.useAdvancedMethod - Whether the triple API call technique was used
+ * @param {string} result.view - Stat view ('nested' or 'trn')
+ * @returns {Object} JSON-serializable document
+ */
+export function createComparisonDocument({ playerResults, comparison, timeWindow, filters = [],
+                                           statPatternKeys = [], useAdvancedMethod = true, view }) {
+    const playerNames = comparison.players.map(player => player.displayName);
+    return {
+        players: playerResults.map(({ player, stats }) => ({ ...describePlayer(player), stats })),
+        ...describeQuery({ timeWindow, filters, statPatternKeys, method: describeMethod(useAdvancedMethod) }),
+        view,
+        rows: comparison.rows.map(row => ({
+            buildMode: row.buildMode,
+            gameMode: row.gameMode,
+            compMode: row.compMode,
+            teamSize: row.teamSize,
+            stat: row.stat,
+            values: Object.fromEntries(playerNames.map((name, index) => [name, row.values[index] ?? null])),
+            best: row.best.map(index => playerNames[index])
+        }))
+    };
+}
+
+/**
+ * Builds a JSON document for several players queried with the bulk stats endpoint
+ * @param {Object} result - Bulk result
+ * @param {Array<Object>} result.playerResults - Per player {player: {displayName, accountId}, stats}
+ * @param {Object} result.timeWindow - Effective time window {startTime, endTime}
+ * @param {Array<string>} result.filters - Applied game mode filters
+ * @param {Array<string>} result.statPatternKeys - Applied stat pattern keys
+ * @param {number} result.statKeyCount - Number of raw stat keys requested
+ * @param {boolean} result.useAdvancedMethod - Whether the cumulative window technique was used
+ * @param {string} result.view - Stat view ('nested' or 'trn')
+ * @returns {Object} JSON-serializable document
+ */
+export function createBulkDocument({ playerResults, timeWindow, filters = [], statPatternKeys = [],
+                                     statKeyCount, useAdvancedMethod = true, view }) {
+    return {
+        players: playerResults.map(({ player, stats }) => ({ ...describePlayer(player), stats })),
+        ...describeQuery({ timeWindow, filters, statPatternKeys, method: describeMethod(useAdvancedMethod) }),
+        statKeyCount,
+        view
+    };
+}
+
+/**
+ * Builds a JSON document for a player's ranked progress
+ * @param {Object} result - Ranked result
+ * @param {Object} result.player - Resolved player {displayName, accountId}
+ * @param {number} result.time - Time the active tracks were chosen for (Unix seconds)
+ * @param {Array<Object>} result.ranks - Entries from buildRankedSummary
+ * @returns {Object} JSON-serializable document
+ */
+export function createRankedDocument({ player, time, ranks }) {
+    return {
+        player: describePlayer(player),
+        time,
+        ranks: ranks.map(({ startTime, endTime, ...entry }) => ({
+            ...entry,
+            timeWindow: describeTimeWindow({ startTime, endTime })
+        }))
+    };
+}
+
+/**
+ * Builds a JSON document for a player's ranked history
+ * @param {Object} result - Ranked history result
+ * @param {Object} result.player - Resolved player {displayName, accountId}
+ * @param {Array<Object>} result.history - Entries from buildRankedSummary with ranked stats
+ * @param {boolean} result.useAdvancedMethod - Whether the triple API call technique was used
+ * @returns {Object} JSON-serializable document
+ */
+export function createRankedHistoryDocument({ player, history, useAdvancedMethod = true }) {
+    return {
+        player: describePlayer(player),
+        method: describeMethod(useAdvancedMethod),
+        seasons: history.map(({ startTime, endTime, ...entry }) => ({
+            ...entry,
+            timeWindow: describeTimeWindow({ startTime, endTime })
+        }))
+    };
+}
+
+/**
+ * Builds a JSON document for a group's combined stats
+ * @param {Object} result - Group result
+ * @param {string|null} result.groupName - Saved group name (null for an ad-hoc list)
+ * @param {Array<Object>} result.shares - Per player shares from calculatePlayerShares
+ * @param {Object} result.timeWindow - Effective time window {startTime, endTime}
+ * @param {Array<string>} result.filters - Applied game mode filters
+ * @param {Array<string>} result.statPatternKeys - Applied stat pattern keys
+ * @param {boolean} result.useAdvancedMethod - Whether the triple API call technique was used
+ * @param {string} result.view - Stat view ('nested' or 'trn')
+ * @param {Object} result.stats - Combined stats payload for the view
+ * @returns {Object} JSON-serializable document
+ */
+export function createGroupDocument({ groupName, shares, timeWindow, filters = [], statPatternKeys = [],
+                                      useAdvancedMethod = true, view, stats }) {
+    return {
+        group: groupName,
+        players: shares,
+        ...describeQuery({ timeWindow, filters, statPatternKeys, method: describeMethod(useAdvancedMethod) }),
+        view,
+        stats
+    };
+}
+
+/**
+ * Builds a JSON document for a leaderboard
+ * @param {Object} result - Leaderboard result
+ * @param {string|null} result.groupName - Saved group name (null for an ad-hoc list)
+ * @param {Object} result.leaderboard - Leaderboard from rankPlayers
+ * @param {string} result.metric - Ranked metric
+ * @param {string|null} result.modePath - Mode path the metric was taken from (null for all modes)
+ * @param {number} result.minMatches - Minimum matches to be ranked
+ * @param {Object} result.timeWindow - Effective time window {startTime, endTime}
+ * @param {Array<string>} result.filters - Applied game mode filters
+ * @param {boolean} result.useAdvancedMethod - Whether the triple API call technique was used
+ * @returns {Object} JSON-serializable document
+ */
+export function createLeaderboardDocument({ groupName, leaderboard, metric, modePath = null, minMatches,
+                                            timeWindow, filters = [], useAdvancedMethod = true }) {
+    return {
+        group: groupName,
+        metric,
+        modePath,
+        minMatches,
+        ...describeQuery({ timeWindow, filters, method: describeMethod(useAdvancedMethod) }),
+        entries: leaderboard.entries,
+        excluded: leaderboard.excluded
+    };
+}
+
+/**
+ * Builds a JSON document for a player's logged play sessions
+ * @param {Object} result - Sessions result
+ * @param {Object} result.player - Logged player {displayName, accountId}
+ * @param {Array<Object>} result.sessions - Sessions from groupPlaySessions
+ * @param {Array<Object>} result.gaps - Logged gap records {from, to, reason}
+ * @param {number} result.idleGap - Idle seconds that end a session
+ * @param {Object|null} result.timeWindow - Time window the matches were limited to (null for all)
+ * @param {Array<string>} result.filters - Applied game mode filters
+ * @returns {Object} JSON-serializable document
+ */
+export function createSessionsDocument({ player, sessions, gaps, idleGap, timeWindow = null, filters = [] }) {
+    return {
+        player: describePlayer(player),
+        ...describeQuery({ timeWindow, filters }),
+        idleGap,
+        sessions: sessions.map(({ startTime, endTime, ...session }) => ({
+            ...session,
+            timeWindow: describeTimeWindow({ startTime, endTime })
+        })),
+        gaps: gaps.map(({ from, to, reason }) => ({
+            reason,
+            timeWindow: describeTimeWindow({ startTime: from, endTime: to })
+        }))
+    };
+}
+
+/**
+ * Builds a JSON document for a per-bucket time series
+ * @param {Object} result - Time series result
+ * @param {Object} result.player - Resolved player {displayName, accountId}
+ * @param {Object} result.timeWindow - Requested time window {startTime, endTime}
+ * @param {string} result.unit - Bucket size ('day', 'week' or 'month')
+ * @param {Object} result.timeSeries - Time series from buildTimeSeries
+ * @param {Array<string>} result.filters - Applied game mode filters
+ * @param {Array<string>} result.statPatternKeys - Applied stat pattern keys
+ * @returns {Object} JSON-serializable document
+ */
+export function createTimeSeriesDocument({ player, timeWindow, unit, timeSeries, filters = [], statPatternKeys = [] }) {
+    return {
+        player: describePlayer(player),
+        ...describeQuery({ timeWindow, filters, statPatternKeys, method: 'cumulative-snapshots' }),
+        unit,
+        buckets: timeSeries.buckets.map(describeTimeWindow),
+        series: timeSeries.series.map(({ points, ...series }) => ({
+            ...series,
+            points: points.map(({ startTime, endTime, ...stats }) => ({
+                timeWindow: describeTimeWindow({ startTime, endTime }),
+                stats
+            }))
+        }))
+    };
+}
+
+/**
+ * Builds a JSON document for located snapshot changes
+ * @param {Object} result - Snapshot search result
+ * @param {Object} result.player - Resolved player {displayName, accountId}
+ * @param {Object} result.timeWindow - Searched window {startTime, endTime}
+ * @param {string} result.per - Grouping ('mode' or 'key')
+ * @param {number} result.resolution - Precision in seconds
+ * @param {number} result.probes - Number of cumulative queries made
+ * @param {Array<Object>} result.changes - Changes from findSnapshotChanges
+ * @param {Array<string>} result.filters - Applied game mode filters
+ * @param {Array<string>} result.statPatternKeys - Applied stat pattern keys
+ * @returns {Object} JSON-serializable document
+ */
+export function createSnapshotsDocument({ player, timeWindow, per, resolution, probes, changes, filters = [],
+                                          statPatternKeys = [] }) {
+    return {
+        player: describePlayer(player),
+        ...describeQuery({ timeWindow, filters, statPatternKeys }),
+        per,
+        resolution,
+        probes,
+        snapshots: changes.map(({ group, after, atOrBefore, stats }) => ({
+            [per]: group,
+            timeWindow: describeTimeWindow({ startTime: after, endTime: atOrBefore }),
+            stats
+        }))
+    };
+}
+
+/**
+ * Builds a JSON document for a window-vs-window comparison of one player
+ * Each window carries its full stat structure; the rows list every metric's change from
+ * the first window to the second.
+ *
+ * @param {Object} result - Diff result
+ * @param {Object} result.player - Resolved player {displayName, accountId}
+ * @param {Array<Object>} result.windows - Per window {label, timeWindow, useAdvancedMethod, stats}
+ * @param {Object} result.diff - Diff from buildStatDiff
+ * @param {Array<string>} result.filters - Applied game mode filters
+ * @param {Array<string>} result.statPatternKeys - Applied stat pattern keys
+ * @param {string} result.view - Stat view ('nested' or 'trn')
+ * @returns {Object} JSON-serializable document
+ */
+export function createDiffDocument({ player, windows, diff, filters = [], statPatternKeys = [], view }) {
+    return {
+        player: describePlayer(player),
+        windows: windows.map(({ label, timeWindow, useAdvancedMethod, stats }) => ({
+            label,
+            timeWindow: describeTimeWindow(timeWindow),
+            method: describeMethod(useAdvancedMethod),
+            stats
+        })),
+        filters: describeFilters(filters, statPatternKeys),
+        view,
+        rows: diff.rows
+    };
+}
+
+/**
+ * Writes a document to stdout as a single well-formed JSON document
+ * Non-finite numbers (NaN/Infinity rates) are serialized as null.
+ *
+ * @param {Object} document - Document to write
+ */
+export function writeJSONDocument(document) {
+    process.stdout.write(JSON.stringify(document, null, 2) + '\n');
+}
+
+/**
+ * Writes a document to stdout as a single line (JSON Lines), for streamed events
+ * @param {Object} document - Document to write
+ */
+export function writeJSONLine(document) {
+    process.stdout.write(JSON.stringify(document) + '\n');
+}
@@ -0,0 +1,170 @@
+/**
+ * Leaderboards ranking a roster of players on a single metric
+ */
+import { buildModes, gameModes, compModes, teamSizes } from './fortniteModeConstants.js';
+import { addFortniteRateStats, transformToTRNFormat } from './fortniteStructuredStatOps.js';
+import { statColumnOrder, toDelimitedText } from './delimitedExport.js';
+import { isLowerBetter } from './statComparison.js';
+import { formatStatValue, getColumnLabel, renderTable } from './tableRenderer.js';
+
+// Metrics a leaderboard can rank by (counts, rates and ratios)
+export const leaderboardMetrics = statColumnOrder;
+
+// Valid values for each level of a mode path
+const modePathLevels = [buildModes, gameModes, compModes, teamSizes];
+
+/**
+ * Parses and validates a mode path such as "zeroBuild.regular.ranked.duo"
+ * A path may stop at any level (e.g. "zeroBuild.regular"), or be a single team
+ * size (e.g. "duo") to use the TRN grouping across all modes.
+ *
+ * @param {string|null} modePath - Dot-separated mode path (null for all modes)
+ * @returns {Array<string>} Path segments (empty for all modes)
+ * @throws {Error} If a segment isn't valid for its level
+ */
+export function parseModePath(modePath) {
+    if (!modePath) return [];
+
+    const segments = modePath.split('.');
+    if (segments.length === 1 && teamSizes.includes(segments[0])) return segments;
+
+    segments.forEach((segment, level) => {
+        if (level >= modePathLevels.length || !modePathLevels[level].includes(segment)) {
+            throw new Error(`Invalid mode path '${modePath}' (expected buildMode.gameMode.compMode.teamSize, ` +
+                `e.g. zeroBuild.regular.ranked.duo, or a team size)`);
+        }
+    });
+    return segments;
+}
+
+/**
+ * Sums the raw counts of every team size below a node of a stat structure
+ * @param {Object} node - Part of a nested stat structure (no rates)
+ * @param {Object} [totals={}] - Running totals (modified in place)
+ * @returns {Object} Summed counts
+ */
+function sumLeafStats(node, totals = {}) {
+    if (node.hasOwnProperty('matches')) {
+        for (const [stat, value] of Object.entries(node)) {
+            totals[stat] = (totals[stat] || 0) + value;
+        }
+        return totals;
+    }
+    Object.values(node).forEach(child => sumLeafStats(child, totals));
+    return totals;
+}
+
+/**
+ * Gets a player's stats (counts plus rates) for a mode path
+ * @param {Object} nestedStats - Nested stat structure from createFortniteStatObject (no rates)
+ *   With no path, all modes in the structure are summed (bots only if they were requested).
+ * @param {Array<string>} pathSegments - Parsed mode path (see parseModePath)
+ * @returns {Object|null} Stats with rates, or null if the player has no stats there
+ */
+export function getModePathStats(nestedStats, pathSegments) {
+    // A lone team size uses the TRN grouping (all modes combined)
+    const node = pathSegments.length === 1 && teamSizes.includes(pathSegments[0]) ?
+        transformToTRNFormat(nestedStats)[pathSegments[0]] :
+        pathSegments.reduce((current, segment) => current?.[segment], nestedStats);
+
+    if (!node) return null;
+    const totals = sumLeafStats(node);
+    if (!totals.matches) return null;
+    return addFortniteRateStats({ totals }).totals;
+}
+
+/**
+ * Ranks players on a metric
+ * - Players without stats for the mode path, or with fewer than minMatches
+ *   matches, are excluded (with the reason)
+ * - Non-finite metric values are excluded rather than ranked
+ * - Ties share a rank (1, 2, 2, 4) and are listed by matches played, then name
+ *
+ * @param {Array<Object>} playerResults - Per player {player: {displayName, accountId}, stats}
+ *   where stats come from getModePathStats (or null)
+ * @param {string} metric - Metric to rank by
+ * @param {number} [minMatches=1] - Minimum matches to be ranked
+ * @returns {Object} Leaderboard {entries: [{rank, displayName, accountId, value, matches}],
+ *   excluded: [{displayName, accountId, matches, reason}]}
+ */
+export function rankPlayers(playerResults, metric, minMatches = 1) {
+    const entries = [];
+    const excluded = [];
+
+    for (const { player, stats } of playerResults) {
+        const matches = stats?.matches ?? 0;
+        const value = stats?.[metric];
+        const base = { displayName: player.displayName, accountId: player.accountId };
+
+        if (matches === 0) {
+            excluded.push({ ...base, matches, reason: 'no matches' });
+        } else if (matches < minMatches) {
+            excluded.push({ ...base, matches, reason: `fewer than ${minMatches} matches` });
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+            excluded.push({ ...base, matches, reason: `no ${metric} value` });
+        } else {
+            entries.push({ ...base, value, matches });
+        }
+    }
+
+    const direction = isLowerBetter(metric) ? 1 : -1;
+    entries.sort((a, b) =>
+        direction * (a.value - b.value) ||
+        b.matches - a.matches ||
+        a.displayName.localeCompare(b.displayName));
+
+    // Standard competition ranking: equal values share the rank of the first of them
+    entries.forEach((entry, index) => {
+        entry.rank = index > 0 && entry.value === entries[index - 1].value ?
+            entries[index - 1].rank :
+            index + 1;
+    });
+
+    return {
+        entries: entries.map(({ rank, ...entry }) => ({ rank, ...entry })),
+        excluded
+    };
+}
+
+/**
+ * Renders a leaderboard as a terminal table
+ * @param {Object} leaderboard - Leaderboard from rankPlayers
+ * @param {string} metric - Ranked metric
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderLeaderboardTable(leaderboard, metric, options = {}) {
+    const columns = [
+        { label: 'Rank', align: 'right' },
+        { label: 'Player', align: 'left' },
+        { label: getColumnLabel(metric), align: 'right' },
+        { label: 'Matches', align: 'right' }
+    ];
+
+    const rows = leaderboard.entries.map(entry => [
+        String(entry.rank),
+        entry.displayName,
+        formatStatValue(metric, entry.value),
+        String(entry.matches)
+    ]);
+
+    return renderTable(columns, rows, options);
+}
+
+/**
+ * Exports a leaderboard as CSV/TSV (ranked players only)
+ * @param {Object} leaderboard - Leaderboard from rankPlayers
+ * @param {string} metric - Ranked metric
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} Delimited text
+ */
+export function exportLeaderboard(leaderboard, metric, format = 'csv') {
+    const rows = leaderboard.entries.map(entry => ({
+        rank: entry.rank,
+        player: entry.displayName,
+        accountId: entry.accountId,
+        [metric]: entry.value,
+        matches: entry.matches
+    }));
+    return toDelimitedText(['rank', 'player', 'accountId', metric, 'matches'], rows, format);
+}
@@ -0,0 +1,31 @@
+/**
+ * Logging utilities shared by the CLI and the stat retrieval modules
+ * Log lines normally go to stdout, but machine-readable output modes
+ * redirect them to stderr so stdout only carries the requested document
+ */
+
+// Whether log lines should be written to stderr instead of stdout
+let logToStderr = false;
+
+/**
+ * Redirects all conditional log output to stderr (or back to stdout)
+ * @param {boolean} enabled - True to send log lines to stderr
+ */
+export function setLogToStderr(enabled) {
+    logToStderr = enabled;
+}
+
+/**
+ * Conditional logging function that respects quiet mode
+ * @param {string} message - Message to log
+ * @param {boolean} quietMode - Whether quiet mode is enabled
+ */
+export function conditionalLog(message, quietMode) {
+    if (!quietMode) {
+        if (logToStderr) {
+            console.error(message);
+        } else {
+            console.log(message);
+        }
+    }
+}
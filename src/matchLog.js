@@ -0,0 +1,81 @@
+/**
+ * Persistent log of the matches detected by "fn-stats watch"
+ * Records are appended to matches.jsonl in the user data directory, one JSON object per line:
+ * - match records: {type: 'match', accountId, displayName, modePath, time, matches, wins, kills,
+ *   minutes, placement, merged, aggregated}, keyed by accountId + modePath + time
+ * - gap records: {type: 'gap', accountId, displayName, from, to, reason} for periods where
+ *   polling was missed, whose matches are only known as aggregated totals (or not at all)
+ */
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { getUserDataDir } from './userConfig.js';
+
+/**
+ * Gets the path of the match log
+ * @returns {string} Absolute path of matches.jsonl
+ */
+export function getMatchLogPath() {
+    return join(getUserDataDir(), 'matches.jsonl');
+}
+
+/**
+ * Appends records to the match log
+ * @param {Array<Object>} records - Match or gap records
+ */
+export function appendMatchLog(records) {
+    if (records.length === 0) return;
+    mkdirSync(getUserDataDir(), { recursive: true });
+    appendFileSync(getMatchLogPath(), records.map(record => JSON.stringify(record) + '\n').join(''));
+}
+
+/**
+ * Loads every record of the match log
+ * Lines that aren't valid JSON (e.g. a line cut off by a crash) are skipped.
+ * @returns {Array<Object>} Records in file order
+ */
+export function loadMatchLog() {
+    const filePath = getMatchLogPath();
+    if (!existsSync(filePath)) return [];
+
+    return readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                return [];
+            }
+        });
+}
+
+/**
+ * Gets one player's matches and gaps from the match log
+ * The player is matched by account ID or by display name (case-insensitive). Duplicate
+ * match records (same accountId, modePath and time) are kept once, and the account's most
+ * recently logged display name is reported.
+ *
+ * @param {Array<Object>} records - Match log records (see loadMatchLog)
+ * @param {string} player - Display name or account ID
+ * @returns {Object|null} Object with accountId, displayName, matches and gaps (sorted by time),
+ *   or null if the player isn't in the log
+ */
+export function getPlayerMatchLog(records, player) {
+    const name = player.toLowerCase();
+    const latest = records.findLast(record =>
+        record.accountId === player || record.displayName?.toLowerCase() === name);
+    if (!latest) return null;
+
+    const accountRecords = records.filter(record => record.accountId === latest.accountId);
+    const matches = new Map();
+    for (const record of accountRecords.filter(record => record.type === 'match')) {
+        matches.set(`${record.modePath}|${record.time}`, record);
+    }
+
+    return {
+        accountId: latest.accountId,
+        displayName: accountRecords[accountRecords.length - 1].displayName,
+        matches: [...matches.values()].sort((a, b) => a.time - b.time),
+        gaps: accountRecords.filter(record => record.type === 'gap').sort((a, b) => a.from - b.from)
+    };
+}
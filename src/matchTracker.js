@@ -0,0 +1,83 @@
+/**
+ * Live match tracking from today's snapshot
+ * Today's midnight→midnight window keeps updating during the day. Polling it and
+ * comparing consecutive responses whenever a lastmodified timestamp moves reveals
+ * the stats of the matches played in between (see "Real-time Match Tracking" in
+ * doc/EpicStatAPIWorkingTheory.MD). Matches finished between two polls arrive as one
+ * merged batch, so their individual stats can't be separated.
+ */
+import { getLatestModifiedTimestamp, subtractRawFortniteStats } from './fortniteRawStatOps.js';
+import { createFortniteStatObject } from './fortniteStructuredStatOps.js';
+import { flattenStatStructure } from './delimitedExport.js';
+import { formatTime } from './dateUtils.js';
+
+// Shortest allowed poll interval (seconds), to stay gentle on the API
+export const minWatchInterval = 15;
+
+// Placement stats from best to worst, with their display labels
+const placementBuckets = [
+    ['wins', 'Win'],
+    ['top3', 'Top 3'],
+    ['top5', 'Top 5'],
+    ['top6', 'Top 6'],
+    ['top10', 'Top 10'],
+    ['top12', 'Top 12'],
+    ['top25', 'Top 25']
+];
+
+/**
+ * Gets the best placement bucket reached in a set of match stats
+ * @param {Object} stats - Stats of one mode path (wins, top3, ... counts)
+ * @returns {string|null} Placement stat name (e.g. 'wins', 'top10'), or null if no bucket was reached
+ */
+export function getPlacementBucket(stats) {
+    const bucket = placementBuckets.find(([statName]) => stats[statName] > 0);
+    return bucket ? bucket[0] : null;
+}
+
+/**
+ * Detects the matches played between two polls of today's window
+ * Nothing is reported unless the latest lastmodified timestamp moved. Each mode path
+ * whose match count grew becomes one event; events covering more than one match are
+ * flagged as merged.
+ *
+ * @param {Object} previousStats - Raw stats {stats} from the previous poll
+ * @param {Object} currentStats - Raw stats {stats} from the current poll
+ * @param {boolean} [includeBots=false] - Whether bot matches are tracked
+ * @returns {Array<Object>} Match events {time, modePath, matches, wins, kills, minutes, placement, merged}
+ */
+export function detectMatchEvents(previousStats, currentStats, includeBots = false) {
+    const latestModified = getLatestModifiedTimestamp(currentStats.stats);
+    if (latestModified <= getLatestModifiedTimestamp(previousStats.stats)) return [];
+
+    const delta = subtractRawFortniteStats(currentStats, previousStats);
+    return flattenStatStructure(createFortniteStatObject(delta, includeBots))
+        .filter(row => row.matches > 0)
+        .map(row => ({
+            time: latestModified,
+            modePath: [row.buildMode, row.gameMode, row.compMode, row.teamSize].join('.'),
+            matches: row.matches,
+            wins: row.wins ?? 0,
+            kills: row.kills ?? 0,
+            minutes: row.minutes ?? 0,
+            placement: getPlacementBucket(row),
+            merged: row.matches > 1
+        }));
+}
+
+/**
+ * Formats a match event as one line of text
+ * @param {Object} event - Match event (see detectMatchEvents)
+ * @returns {string} e.g. "Mar 12, 2025, 18:25:14 GMT  zeroBuild.regular.pubs.solo  1 match  3 kills  Top 10  21 min"
+ */
+export function formatMatchEvent(event) {
+    const placementLabel = placementBuckets.find(([statName]) => statName === event.placement)?.[1] ?? 'No placement';
+    return [
+        formatTime(event.time),
+        event.modePath,
+        event.merged ? `${event.matches} matches (merged)` : '1 match',
+        `${event.kills} ${event.kills === 1 ? 'kill' : 'kills'}`,
+        event.merged ? `best: ${placementLabel}` : placementLabel,
+        `${event.minutes} min`
+    ].join('  ');
+}
@@ -0,0 +1,113 @@
+/**
+ * Play sessions built from the match log
+ * Logged matches are grouped into sessions whenever the player was idle for longer
+ * than a gap, and each session gets its match, win, kill and time totals.
+ */
+import { buildModes, gameModes, compModes, teamSizes } from './fortniteModeConstants.js';
+import { addFortniteRateStats } from './fortniteStructuredStatOps.js';
+import { formatTime } from './dateUtils.js';
+import { formatStatValue, getColumnLabel, renderTable } from './tableRenderer.js';
+
+// Default idle time that ends a session (seconds)
+export const defaultSessionIdleGap = 30 * 60;
+
+// Valid values for each segment of a logged mode path
+const modePathLevels = [buildModes, gameModes, compModes, teamSizes];
+
+/**
+ * Filters logged matches by game mode filters
+ * Filters of the same kind are alternatives (e.g. solo or duo); input filters don't
+ * apply because logged mode paths don't record the input device.
+ * @param {Array<Object>} matches - Logged match records
+ * @param {Array<string>} filters - Game mode filters (e.g. ['zeroBuild', 'solo'])
+ * @returns {Array<Object>} Matching records
+ */
+export function filterLoggedMatches(matches, filters = []) {
+    return matches.filter(match => {
+        const segments = match.modePath.split('.');
+        return modePathLevels.every((levelValues, level) => {
+            const levelFilters = filters.filter(filter => levelValues.includes(filter));
+            return levelFilters.length === 0 || levelFilters.includes(segments[level]);
+        });
+    });
+}
+
+/**
+ * Gets the approximate start of a logged match event
+ * The event time is the lastmodified time at the end of the match (or batch).
+ * @param {Object} match - Logged match record
+ * @returns {number} Unix timestamp in seconds
+ */
+function getMatchStart(match) {
+    return match.time - match.minutes * 60;
+}
+
+/**
+ * Groups logged matches into play sessions
+ * A new session starts when a match began more than idleGap seconds after the previous
+ * one ended. A session is marked aggregated when it holds merged batches, matches
+ * reported after missed polls, or overlaps a logged gap: its per-match detail is incomplete.
+ *
+ * @param {Array<Object>} matches - Logged match records sorted by time
+ * @param {Array<Object>} [gaps=[]] - Logged gap records {from, to}
+ * @param {number} [idleGap=defaultSessionIdleGap] - Idle seconds that end a session
+ * @returns {Array<Object>} Sessions {startTime, endTime, events, matches, wins, kills, minutes,
+ *   winRate, killsPerDeath, aggregated}
+ */
+export function groupPlaySessions(matches, gaps = [], idleGap = defaultSessionIdleGap) {
+    const groups = [];
+    for (const match of matches) {
+        const current = groups[groups.length - 1];
+        if (current && getMatchStart(match) - current[current.length - 1].time <= idleGap) {
+            current.push(match);
+        } else {
+            groups.push([match]);
+        }
+    }
+
+    return groups.map(events => {
+        const startTime = Math.min(...events.map(getMatchStart));
+        const endTime = events[events.length - 1].time;
+        const totals = { matches: 0, wins: 0, kills: 0, minutes: 0 };
+        for (const event of events) {
+            for (const stat of Object.keys(totals)) totals[stat] += event[stat] ?? 0;
+        }
+        const { winRate, killsPerDeath } = addFortniteRateStats(totals);
+
+        return {
+            startTime,
+            endTime,
+            events: events.length,
+            ...totals,
+            winRate,
+            killsPerDeath,
+            aggregated: events.some(event => event.merged || event.aggregated) ||
+                gaps.some(gap => gap.from < endTime && gap.to > startTime)
+        };
+    });
+}
+
+/**
+ * Renders play sessions as a table, one row per session
+ * Aggregated sessions are marked with '*' after their match count.
+ * @param {Array<Object>} sessions - Sessions from groupPlaySessions
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderSessionTable(sessions, options = {}) {
+    const stats = ['matches', 'wins', 'kills', 'killsPerDeath', 'minutes'];
+    const columns = [
+        { label: 'Started', align: 'left' },
+        { label: 'Ended', align: 'left' },
+        ...stats.map(stat => ({ label: getColumnLabel(stat), align: 'right' }))
+    ];
+
+    const rows = sessions.map(session => [
+        formatTime(session.startTime),
+        formatTime(session.endTime),
+        ...stats.map(stat => formatStatValue(stat, session[stat]) +
+            (stat === 'matches' && session.aggregated ? '*' : ''))
+    ]);
+
+    return renderTable(columns, rows, options);
+}
@@ -0,0 +1,98 @@
+/**
+ * Saved player groups (e.g. a regular squad) referenced as @name on the command line
+ * Groups are stored in groups.json in the user data directory.
+ */
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { getUserDataDir } from './userConfig.js';
+
+/**
+ * Gets the path of the saved groups file
+ * @returns {string} Absolute path of groups.json
+ */
+export function getGroupsFilePath() {
+    return join(getUserDataDir(), 'groups.json');
+}
+
+/**
+ * Loads all saved groups
+ * @returns {Object} Group name -> array of player names
+ */
+export function loadGroups() {
+    const filePath = getGroupsFilePath();
+    if (!existsSync(filePath)) return {};
+    try {
+        return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read saved groups from ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Writes all groups back to disk
+ * @param {Object} groups - Group name -> array of player names
+ */
+function writeGroups(groups) {
+    mkdirSync(getUserDataDir(), { recursive: true });
+    writeFileSync(getGroupsFilePath(), JSON.stringify(groups, null, 2) + '\n');
+}
+
+/**
+ * Saves (or replaces) a named group
+ * @param {string} name - Group name (without the @ prefix)
+ * @param {Array<string>} playerNames - Player display names
+ */
+export function saveGroup(name, playerNames) {
+    if (!/^[\w-]+$/.test(name)) {
+        throw new Error(`Invalid group name '${name}' (use letters, numbers, '-' and '_')`);
+    }
+    if (playerNames.length === 0) {
+        throw new Error('A group needs at least one player');
+    }
+    writeGroups({ ...loadGroups(), [name]: playerNames });
+}
+
+/**
+ * Removes a named group
+ * @param {string} name - Group name (without the @ prefix)
+ * @returns {boolean} True if the group existed
+ */
+export function removeGroup(name) {
+    const groups = loadGroups();
+    if (!(name in groups)) return false;
+    delete groups[name];
+    writeGroups(groups);
+    return true;
+}
+
+/**
+ * Splits a comma-separated player list into names
+ * @param {string} list - Comma-separated player names (e.g. "Alpha,Bravo")
+ * @returns {Array<string>} Trimmed, non-empty player names
+ */
+export function parsePlayerList(list) {
+    return list.split(',').map(name => name.trim()).filter(name => name !== '');
+}
+
+/**
+ * Resolves a group argument to player names
+ * Accepts either a saved group (@name) or a comma-separated player list.
+ *
+ * @param {string} arg - Group argument (e.g. "@mysquad" or "Alpha,Bravo")
+ * @returns {Object} Object with groupName (null for ad-hoc lists) and playerNames
+ * @throws {Error} If a saved group doesn't exist
+ */
+export function resolveGroupArg(arg) {
+    if (!arg.startsWith('@')) {
+        return { groupName: null, playerNames: parsePlayerList(arg) };
+    }
+
+    const groupName = arg.slice(1);
+    const groups = loadGroups();
+    if (!(groupName in groups)) {
+        const known = Object.keys(groups);
+        throw new Error(`Unknown group '@${groupName}'` +
+            (known.length > 0 ? ` (saved groups: ${known.map(name => `@${name}`).join(', ')})` : ''));
+    }
+    return { groupName, playerNames: groups[groupName] };
+}
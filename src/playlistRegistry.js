@@ -0,0 +1,132 @@
+/**
+ * Playlist registry
+ * Maps playlist name patterns (e.g. 'nobuildbr_habanero_{teamSize}') to the build mode,
+ * game mode, competitive mode and valid team sizes of their stats, so new and limited-time
+ * playlists can be classified by editing data instead of code.
+ */
+import { existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { getUserDataDir } from './userConfig.js';
+import { buildModes, gameModes, compModes, teamSizes } from './fortniteModeConstants.js';
+
+// Get absolute directory path of current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Packaged playlist registry, relative to the module location
+const packagedPlaylistsPath = join(__dirname, '../playlistRegistry.json');
+
+// Playlist patterns: playlist name characters and '*', with one {teamSize} placeholder
+const patternFormat = /^[a-z0-9_*]*\{teamSize\}[a-z0-9_*]*$/;
+
+// Registry loaded on first use (see getPlaylistRegistry)
+let loadedRegistry = null;
+
+/**
+ * Gets the path of the user-level playlist registry
+ * It uses the same format as playlistRegistry.json and its entries are tried before the
+ * packaged ones.
+ * @returns {string} Absolute path of playlists.json in the user data directory
+ */
+export function getUserPlaylistsFilePath() {
+    return join(getUserDataDir(), 'playlists.json');
+}
+
+/**
+ * Validates a registry entry and compiles its pattern
+ * @param {Object} entry - Entry {pattern, buildMode, gameMode, compMode, teamSizes}
+ * @returns {Object} Entry with teamSizes defaulted to every team size and a regex matching
+ *   the playlist names it covers (capturing the team size)
+ * @throws {Error} When a field is missing or invalid
+ */
+export function compilePlaylistEntry(entry) {
+    if (typeof entry?.pattern !== 'string' || !patternFormat.test(entry.pattern)) {
+        throw new Error(`pattern must be a playlist name with one {teamSize} placeholder (got ${JSON.stringify(entry?.pattern)})`);
+    }
+    const fields = { buildMode: buildModes, gameMode: gameModes, compMode: compModes };
+    for (const [field, values] of Object.entries(fields)) {
+        if (!values.includes(entry[field])) {
+            throw new Error(`${field} of ${entry.pattern} must be one of ${values.join(', ')}`);
+        }
+    }
+    const entryTeamSizes = entry.teamSizes ?? teamSizes;
+    if (!Array.isArray(entryTeamSizes) || entryTeamSizes.length === 0 || !entryTeamSizes.every(size => teamSizes.includes(size))) {
+        throw new Error(`teamSizes of ${entry.pattern} must list some of ${teamSizes.join(', ')}`);
+    }
+
+    const [prefix, suffix] = entry.pattern.split('{teamSize}').map(part => part.replaceAll('*', '[a-z0-9_]*'));
+    return {
+        pattern: entry.pattern,
+        buildMode: entry.buildMode,
+        gameMode: entry.gameMode,
+        compMode: entry.compMode,
+        teamSizes: entryTeamSizes,
+        regex: new RegExp(`^${prefix}(${entryTeamSizes.join('|')})${suffix}$`)
+    };
+}
+
+/**
+ * Reads and compiles the entries of a registry file
+ * @param {string} filePath - Registry file path
+ * @returns {Array<Object>} Compiled entries (see compilePlaylistEntry)
+ * @throws {Error} When the file can't be read or holds an invalid entry
+ */
+function loadPlaylistFile(filePath) {
+    let registry;
+    try {
+        registry = JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read playlist registry from ${filePath}: ${error.message}`);
+    }
+    if (!Array.isArray(registry?.playlists)) {
+        throw new Error(`${filePath} has no "playlists" list`);
+    }
+    return registry.playlists.map((entry, index) => {
+        try {
+            return compilePlaylistEntry(entry);
+        } catch (error) {
+            throw new Error(`Invalid playlist entry ${index + 1} in ${filePath}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Loads the playlist registry
+ * Entries of the user registry (when it exists) come before the packaged ones, so they can
+ * add playlists or reclassify packaged ones.
+ * @returns {Array<Object>} Compiled entries in match order
+ */
+export function loadPlaylistRegistry() {
+    const userPath = getUserPlaylistsFilePath();
+    return [
+        ...(existsSync(userPath) ? loadPlaylistFile(userPath) : []),
+        ...loadPlaylistFile(packagedPlaylistsPath)
+    ];
+}
+
+/**
+ * Gets the playlist registry, loading it on first use
+ * @returns {Array<Object>} Compiled entries in match order
+ */
+export function getPlaylistRegistry() {
+    loadedRegistry ??= loadPlaylistRegistry();
+    return loadedRegistry;
+}
+
+/**
+ * Classifies a playlist with the first registry entry whose pattern matches it
+ * @param {string} playlist - Playlist name (e.g. 'nobuildbr_habanero_squad')
+ * @param {Array<Object>} [registry=getPlaylistRegistry()] - Compiled registry entries
+ * @returns {Object|null} {buildMode, gameMode, compMode, teamSize}, or null when no entry
+ *   matches (including a team size the matching pattern doesn't allow)
+ */
+export function classifyPlaylist(playlist, registry = getPlaylistRegistry()) {
+    for (const entry of registry) {
+        const match = playlist.match(entry.regex);
+        if (match) {
+            return { buildMode: entry.buildMode, gameMode: entry.gameMode, compMode: entry.compMode, teamSize: match[1] };
+        }
+    }
+    return null;
+}
@@ -0,0 +1,196 @@
+/**
+ * Ranked divisions and promotion progress from the habanero tracks API
+ * Each ranking type (e.g. ranked-zb) has one track per ranked season; a player's
+ * progress on a track holds their division index and progress to the next one.
+ */
+import { formatISOTime } from './dateUtils.js';
+import { formatStatValue, getColumnLabel, renderTable } from './tableRenderer.js';
+
+// Division names by index (tracks have 18 divisions: 0 = Bronze I ... 17 = Unreal)
+export const divisionNames = [
+    'Bronze I', 'Bronze II', 'Bronze III',
+    'Silver I', 'Silver II', 'Silver III',
+    'Gold I', 'Gold II', 'Gold III',
+    'Platinum I', 'Platinum II', 'Platinum III',
+    'Diamond I', 'Diamond II', 'Diamond III',
+    'Elite', 'Champion', 'Unreal'
+];
+
+// Readable names for the ranking types seen in the tracks API
+const rankingTypeLabels = {
+    'ranked-br': 'Battle Royale',
+    'ranked-zb': 'Zero Build',
+    'ranked_blastberry_build': 'Reload',
+    'ranked_blastberry_nobuild': 'Reload Zero Build',
+    'ranked-figment-build': 'OG',
+    'ranked-figment-nobuild': 'OG Zero Build',
+    'delmar-competitive': 'Rocket Racing',
+    'ranked-feral': 'Ballistic'
+};
+
+// Mode path (buildMode, gameMode, compMode) of the stats played on each ranking type's track
+// Ranking types without matching stat keys (e.g. Rocket Racing) are left out
+const rankingTypeModePaths = {
+    'ranked-br': ['build', 'regular', 'ranked'],
+    'ranked-zb': ['zeroBuild', 'regular', 'ranked'],
+    'ranked_blastberry_build': ['build', 'reload', 'ranked'],
+    'ranked_blastberry_nobuild': ['zeroBuild', 'reload', 'ranked']
+};
+
+/**
+ * Gets the name of a division index
+ * @param {number|null|undefined} division - Division index
+ * @returns {string} Division name ('Unranked' when there is no division)
+ */
+export function getDivisionName(division) {
+    if (division === null || division === undefined) return 'Unranked';
+    return divisionNames[division] ?? `Division ${division + 1}`;
+}
+
+/**
+ * Gets a readable label for a ranking type
+ * @param {string} rankingType - Ranking type from the tracks API (e.g. 'ranked-zb')
+ * @returns {string} Label, or the ranking type itself when it isn't known
+ */
+export function getRankingTypeLabel(rankingType) {
+    return rankingTypeLabels[rankingType] ?? rankingType;
+}
+
+/**
+ * Gets the mode path of the stats played on a ranking type's track
+ * @param {string} rankingType - Ranking type from the tracks API (e.g. 'ranked-zb')
+ * @returns {Array<string>|null} Mode path [buildMode, gameMode, compMode], or null if
+ *   the ranking type has no matching stat keys
+ */
+export function getRankingTypeModePath(rankingType) {
+    return rankingTypeModePaths[rankingType] ?? null;
+}
+
+/**
+ * Converts a track's ISO begin/end times to Unix timestamps
+ * @param {Object} track - Track {beginTime, endTime}
+ * @returns {Object} Window {startTime, endTime} in Unix seconds
+ */
+export function getTrackWindow(track) {
+    return {
+        startTime: Math.floor(Date.parse(track.beginTime) / 1000),
+        endTime: Math.floor(Date.parse(track.endTime) / 1000)
+    };
+}
+
+/**
+ * Finds the tracks whose season window contains a time
+ * @param {Array<Object>} tracks - Tracks from the tracks API
+ * @param {number} time - Unix timestamp in seconds
+ * @returns {Array<Object>} Active tracks
+ */
+export function getActiveTracks(tracks, time) {
+    return tracks.filter(track => {
+        const { startTime, endTime } = getTrackWindow(track);
+        return startTime <= time && time < endTime;
+    });
+}
+
+/**
+ * Combines tracks with a player's progress on them
+ * Tracks the player hasn't played yet are included as unranked.
+ *
+ * @param {Array<Object>} tracks - Tracks to report (e.g. from getActiveTracks)
+ * @param {Array<Object>} progressList - The player's track progress entries
+ * @returns {Array<Object>} One entry per track with the ranking type, label, season window,
+ *   division indexes and names, promotion progress (0-1) and Unreal placement
+ */
+export function buildRankedSummary(tracks, progressList) {
+    const progressByTrack = new Map(progressList.map(progress => [progress.trackguid, progress]));
+
+    return tracks.map(track => {
+        const progress = progressByTrack.get(track.trackguid);
+        const currentDivision = progress?.currentDivision ?? null;
+        const highestDivision = progress?.highestDivision ?? null;
+        return {
+            rankingType: track.rankingType,
+            label: getRankingTypeLabel(track.rankingType),
+            trackguid: track.trackguid,
+            ...getTrackWindow(track),
+            currentDivision,
+            division: getDivisionName(currentDivision),
+            highestDivision,
+            highestDivisionName: getDivisionName(highestDivision),
+            promotionProgress: progress?.promotionProgress ?? null,
+            currentPlayerRanking: progress?.currentPlayerRanking ?? null,
+            lastUpdated: progress?.lastUpdated ?? null
+        };
+    });
+}
+
+/**
+ * Formats an entry's progress towards the next division
+ * Unreal players show their leaderboard placement instead.
+ *
+ * @param {Object} entry - Entry from buildRankedSummary
+ * @returns {string} Progress text
+ */
+function formatProgress(entry) {
+    if (entry.currentDivision === null) return '';
+    if (entry.currentDivision === divisionNames.length - 1) {
+        return entry.currentPlayerRanking ? `#${entry.currentPlayerRanking}` : '';
+    }
+    return `${Math.round((entry.promotionProgress ?? 0) * 100)}%`;
+}
+
+/**
+ * Renders ranked progress as a terminal table
+ * @param {Array<Object>} summary - Entries from buildRankedSummary
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderRankedTable(summary, options = {}) {
+    const columns = [
+        { label: 'Mode', align: 'left' },
+        { label: 'Division', align: 'left' },
+        { label: 'Progress', align: 'right' },
+        { label: 'Highest', align: 'left' },
+        { label: 'Season', align: 'left' }
+    ];
+
+    const rows = summary.map(entry => [
+        entry.label,
+        entry.division,
+        formatProgress(entry),
+        entry.highestDivisionName,
+        `${formatISOTime(entry.startTime).slice(0, 10)} to ${formatISOTime(entry.endTime).slice(0, 10)}`
+    ]);
+
+    return renderTable(columns, rows, options);
+}
+
+/**
+ * Renders a ranked history (one row per played track) as a terminal table
+ * @param {Array<Object>} history - Entries from buildRankedSummary, each with the ranked
+ *   stats for the track's window (stats, or null when there are none)
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderRankedHistoryTable(history, options = {}) {
+    const columns = [
+        { label: 'Season', align: 'left' },
+        { label: 'Mode', align: 'left' },
+        { label: 'Final', align: 'left' },
+        { label: 'Highest', align: 'left' },
+        { label: getColumnLabel('matches'), align: 'right' },
+        { label: getColumnLabel('wins'), align: 'right' },
+        { label: getColumnLabel('winRate'), align: 'right' },
+        { label: getColumnLabel('killsPerDeath'), align: 'right' }
+    ];
+
+    const rows = history.map(entry => [
+        `${formatISOTime(entry.startTime).slice(0, 10)} to ${formatISOTime(entry.endTime).slice(0, 10)}`,
+        entry.label,
+        entry.division,
+        entry.highestDivisionName,
+        ...['matches', 'wins', 'winRate', 'killsPerDeath'].map(stat =>
+            entry.stats ? formatStatValue(stat, entry.stats[stat]) : '')
+    ]);
+
+    return renderTable(columns, rows, options);
+}
@@ -0,0 +1,235 @@
+/**
+ * Markdown and standalone HTML report generation
+ * Builds self-contained stat reports suitable for posting to a wiki
+ */
+import { flattenStatStructure, getStatColumns } from './delimitedExport.js';
+import { formatStatValue, getColumnLabel } from './tableRenderer.js';
+import { formatTime } from './dateUtils.js';
+
+// Supported report formats
+export const reportFormats = ['md', 'html'];
+
+// Inline stylesheet for HTML reports (no external assets)
+const htmlStyles = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 2em auto; max-width: 1100px; color: #222; }
+h1 { border-bottom: 2px solid #444; padding-bottom: 0.3em; }
+h2 { margin-top: 2em; border-bottom: 1px solid #ccc; }
+dl { display: grid; grid-template-columns: max-content auto; gap: 0.3em 1em; }
+dt { font-weight: bold; }
+table { border-collapse: collapse; margin: 1em 0; font-size: 0.9em; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.6em; }
+th { background: #f0f0f0; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+ul.modified { font-family: monospace; font-size: 0.85em; }
+footer { margin-top: 3em; color: #777; font-size: 0.8em; }
+`.trim();
+
+/**
+ * Groups flattened nested rows into one table per build/game/comp mode
+ * @param {Object} nestedStats - Nested stats with rates
+ * @returns {Array<Object>} Sections {title, rows} in structure order
+ */
+function groupModeSections(nestedStats) {
+    const sections = new Map();
+    for (const row of flattenStatStructure(nestedStats)) {
+        const title = [row.buildMode, row.gameMode, row.compMode].join(' / ');
+        if (!sections.has(title)) sections.set(title, []);
+        sections.get(title).push(row);
+    }
+    return [...sections].map(([title, rows]) => ({ title, rows }));
+}
+
+/**
+ * Builds the header fields describing a report
+ * @param {Object} reportData - Report data (see generateReport)
+ * @returns {Array<Array<string>>} [label, value] pairs
+ */
+function getHeaderFields(reportData) {
+    const { player, timeWindow, filters = [], statPatternKeys = [], useAdvancedMethod = true } = reportData;
+    return [
+        ['Player', `${player.displayName} (${player.accountId})`],
+        ['Window', `${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`],
+        ['Mode filters', filters.length > 0 ? filters.join(', ') : 'none'],
+        ['Stat patterns', statPatternKeys.length > 0 ? statPatternKeys.join(', ') : 'all'],
+        ['Method', useAdvancedMethod ? 'triple-call' : 'direct']
+    ];
+}
+
+/**
+ * Escapes text for use in Markdown (headings, lists and table cells)
+ * Markdown renderers pass inline HTML through, so HTML special characters are escaped too.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\|/g, '\\|');
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders flattened stat rows as a Markdown table
+ * @param {string} firstColumn - Label of the first column
+ * @param {Array<Object>} rows - Flattened stat rows
+ * @param {Function} rowLabel - Returns the first-column label for a row
+ * @returns {string} Markdown table
+ */
+function markdownTable(firstColumn, rows, rowLabel) {
+    const statColumns = getStatColumns(rows);
+    const header = [firstColumn, ...statColumns.map(getColumnLabel)];
+    const lines = [
+        `| ${header.map(escapeMarkdown).join(' | ')} |`,
+        `| --- | ${statColumns.map(() => '---:').join(' | ')} |`,
+        ...rows.map(row => `| ${[
+            rowLabel(row),
+            ...statColumns.map(stat => formatStatValue(stat, row[stat]))
+        ].map(escapeMarkdown).join(' | ')} |`)
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * Renders flattened stat rows as an HTML table
+ * @param {string} firstColumn - Label of the first column
+ * @param {Array<Object>} rows - Flattened stat rows
+ * @param {Function} rowLabel - Returns the first-column label for a row
+ * @returns {string} HTML table
+ */
+function htmlTable(firstColumn, rows, rowLabel) {
+    const statColumns = getStatColumns(rows);
+    const header = [firstColumn, ...statColumns.map(getColumnLabel)]
+        .map(label => `<th>${escapeHtml(label)}</th>`).join('');
+    const body = rows.map(row => `<tr><td>${escapeHtml(rowLabel(row))}</td>${
+        statColumns.map(stat => `<td class="num">${escapeHtml(formatStatValue(stat, row[stat]))}</td>`).join('')
+    }</tr>`).join('\n');
+    return `<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Generates a Markdown report
+ * @param {Object} reportData - Report data (see generateReport)
+ * @returns {string} Markdown document
+ */
+function generateMarkdownReport(reportData) {
+    const { player, nestedStats, trnStats, lastModified, generatedAt } = reportData;
+    const parts = [`# Fortnite Stats Report: ${escapeMarkdown(player.displayName)}`, ''];
+
+    parts.push(...getHeaderFields(reportData).map(([label, value]) => `- **${label}:** ${escapeMarkdown(value)}`), '');
+
+    parts.push('## Summary (TRN-style, bots excluded)', '');
+    const trnRows = flattenStatStructure(trnStats, true);
+    parts.push(trnRows.length > 0 ? markdownTable('Team Size', trnRows, row => row.teamSize) : '_No matching stats found_', '');
+
+    parts.push('## Stats by Mode', '');
+    const sections = groupModeSections(nestedStats);
+    if (sections.length === 0) {
+        parts.push('_No matching stats found_', '');
+    }
+    for (const { title, rows } of sections) {
+        parts.push(`### ${title}`, '', markdownTable('Team Size', rows, row => row.teamSize), '');
+    }
+
+    parts.push('## Last Modified (GMT)', '');
+    const modifiedEntries = Object.entries(lastModified);
+    parts.push(...(modifiedEntries.length > 0 ?
+        modifiedEntries.map(([key, time]) => `- \`${key}\`: ${time}`) :
+        ['_No lastmodified entries found_']), '');
+
+    parts.push(`_Generated ${generatedAt} by fn-stats_`, '');
+    return parts.join('\n');
+}
+
+/**
+ * Generates a standalone HTML report with inline CSS
+ * @param {Object} reportData - Report data (see generateReport)
+ * @returns {string} HTML document
+ */
+function generateHtmlReport(reportData) {
+    const { player, nestedStats, trnStats, lastModified, generatedAt } = reportData;
+    const title = `Fortnite Stats Report: ${player.displayName}`;
+    const empty = '<p><em>No matching stats found</em></p>';
+
+    const headerList = getHeaderFields(reportData)
+        .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n');
+
+    const trnRows = flattenStatStructure(trnStats, true);
+    const summary = trnRows.length > 0 ? htmlTable('Team Size', trnRows, row => row.teamSize) : empty;
+
+    const sections = groupModeSections(nestedStats);
+    const modeTables = sections.length > 0 ?
+        sections.map(({ title: sectionTitle, rows }) =>
+            `<h3>${escapeHtml(sectionTitle)}</h3>\n${htmlTable('Team Size', rows, row => row.teamSize)}`).join('\n') :
+        empty;
+
+    const modifiedEntries = Object.entries(lastModified);
+    const modifiedList = modifiedEntries.length > 0 ?
+        `<ul class="modified">\n${modifiedEntries.map(([key, time]) =>
+            `<li>${escapeHtml(key)}: ${escapeHtml(time)}</li>`).join('\n')}\n</ul>` :
+        '<p><em>No lastmodified entries found</em></p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+${htmlStyles}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<dl>
+${headerList}
+</dl>
+<h2>Summary (TRN-style, bots excluded)</h2>
+${summary}
+<h2>Stats by Mode</h2>
+${modeTables}
+<h2>Last Modified (GMT)</h2>
+${modifiedList}
+<footer>Generated ${escapeHtml(generatedAt)} by fn-stats</footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generates a self-contained stats report
+ * @param {Object} reportData - Report data
+ * @param {Object} reportData.player - Resolved player {displayName, accountId}
+ * @param {Object} reportData.timeWindow - Effective time window {startTime, endTime}
+ * @param {Array<string>} reportData.filters - Applied game mode filters
+ * @param {Array<string>} reportData.statPatternKeys - Applied stat pattern keys
+ * @param {boolean} reportData.useAdvancedMethod - Whether the triple API call technique was used
+ * @param {Object} reportData.nestedStats - Nested stats with rates
+ * @param {Object} reportData.trnStats - TRN-style stats with rates
+ * @param {Object} reportData.lastModified - Formatted lastmodified times from getModifiedTimes
+ * @param {string} reportData.generatedAt - ISO timestamp of report generation
+ * @param {string} [format='md'] - Report format ('md' or 'html')
+ * @returns {string} Report document
+ */
+export function generateReport(reportData, format = 'md') {
+    switch (format) {
+        case 'md':
+            return generateMarkdownReport(reportData);
+        case 'html':
+            return generateHtmlReport(reportData);
+        default:
+            throw new Error(`Unsupported report format: ${format} (expected ${reportFormats.join(' or ')})`);
+    }
+}
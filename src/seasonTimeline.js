@@ -0,0 +1,73 @@
+/**
+ * Season boundaries derived from the calendar timeline
+ * The timeline's client-events channel carries the current season number and its
+ * begin/end times, which "fn-stats seasons sync" merges into the user season file.
+ */
+
+// Chapter layout by season number: the first season number of each chapter and its season names
+const chapters = [
+    { firstSeason: 1, names: ['ch1s1', 'ch1s2', 'ch1s3', 'ch1s4', 'ch1s5', 'ch1s6', 'ch1s7', 'ch1s8', 'ch1s9', 'ch1sX'] },
+    { firstSeason: 11, names: ['ch2s1', 'ch2s2', 'ch2s3', 'ch2s4', 'ch2s5', 'ch2s6', 'ch2s7', 'ch2s8'] },
+    { firstSeason: 19, names: ['ch3s1', 'ch3s2', 'ch3s3', 'ch3s4'] },
+    { firstSeason: 23, names: ['ch4s1', 'ch4s2', 'ch4s3', 'ch4s4', 'og'] },
+    { firstSeason: 28, names: ['ch5s1', 'ch5s2', 'ch5s3', 'ch5s4', 'remix'] },
+    { firstSeason: 33, names: ['ch6s1', 'ch6s2', 'ch6s3'] }
+];
+
+/**
+ * Gets the season name used in season definitions for a season number
+ * Season numbers newer than the known chapter layout get a generic name (e.g. "s36").
+ * @param {number} seasonNumber - Season number from the timeline (e.g. 34)
+ * @returns {string} Season name (e.g. 'ch6s2')
+ */
+export function getSeasonName(seasonNumber) {
+    for (const { firstSeason, names } of chapters) {
+        const index = seasonNumber - firstSeason;
+        if (index >= 0 && index < names.length) return names[index];
+    }
+    return `s${seasonNumber}`;
+}
+
+/**
+ * Extracts the current season from a calendar timeline response
+ * Uses the client-events state valid at the timeline's currentTime (the latest one
+ * if none has started yet).
+ * @param {Object} timeline - Timeline response ({channels, currentTime})
+ * @returns {Object} Season {seasonNumber, name, start, end} with ISO date strings
+ * @throws {Error} If the timeline has no season state
+ */
+export function getTimelineSeason(timeline) {
+    const currentTime = Date.parse(timeline?.currentTime);
+    const states = (timeline?.channels?.['client-events']?.states ?? [])
+        .filter(entry => entry.state?.seasonNumber != null && entry.state.seasonBegin && entry.state.seasonEnd);
+    if (states.length === 0) {
+        throw new Error('The timeline has no season information');
+    }
+
+    const validStates = states.filter(entry => !(Date.parse(entry.validFrom) > currentTime));
+    const { state } = (validStates.length > 0 ? validStates : states).at(-1);
+
+    return {
+        seasonNumber: state.seasonNumber,
+        name: getSeasonName(state.seasonNumber),
+        start: state.seasonBegin,
+        end: state.seasonEnd
+    };
+}
+
+/**
+ * Merges a timeline season into season definitions
+ * @param {Object} definitions - Season name -> {start, end} date strings
+ * @param {Object} season - Season {name, start, end} (see getTimelineSeason)
+ * @returns {Object} Object with definitions (a new object) and status ('added', 'updated' or 'unchanged')
+ */
+export function mergeTimelineSeason(definitions, season) {
+    const existing = definitions[season.name];
+    const status = !existing ? 'added' :
+        existing.start === season.start && existing.end === season.end ? 'unchanged' : 'updated';
+
+    return {
+        definitions: { ...definitions, [season.name]: { start: season.start, end: season.end } },
+        status
+    };
+}
@@ -0,0 +1,176 @@
+/**
+ * Season definition validation
+ * Season files are layered (packaged definitions first, user overrides last) and every
+ * entry is checked before it is used: dates must parse and end after they start.
+ * Consecutive seasons are also checked for overlaps and unexpected gaps.
+ */
+import { formatISOTime } from './dateUtils.js';
+import { renderTable } from './tableRenderer.js';
+
+// Longest break between consecutive seasons that isn't reported (e.g. end-of-chapter events)
+export const maxSeasonGapDays = 2;
+
+const monthNames = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+    'october', 'november', 'december'];
+
+/**
+ * Parses a season date string to a Unix timestamp
+ * Two formats are accepted, so the result doesn't depend on the engine's Date.parse()
+ * heuristics for free-form text:
+ * - "Month Day Year" with full, abbreviated or dotted month names (e.g. "Sept. 27 2018 GMT"),
+ *   an optional comma, an optional HH:MM[:SS] time and an optional GMT/UTC suffix, read as GMT
+ * - ISO 8601 dates and timestamps (e.g. "2025-02-14T14:00:00Z")
+ * @param {string} value - Date string
+ * @returns {number} Unix timestamp in seconds (NaN if the date can't be parsed)
+ */
+export function parseSeasonDate(value) {
+    if (typeof value !== 'string') return NaN;
+    const text = value.trim();
+
+    const match = text.match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?(?:\s+(?:GMT|UTC))?$/i);
+    if (match) {
+        const [, monthName, day, year, hours = 0, minutes = 0, seconds = 0] = match.map(
+            (part, i) => i === 1 || part === undefined ? part : Number(part));
+        const name = monthName.toLowerCase();
+        const month = name.length < 3 ? -1 : monthNames.findIndex(fullName => fullName.startsWith(name));
+        if (month === -1 || day < 1 || day > 31 || hours > 23 || minutes > 59 || seconds > 59) return NaN;
+        return Date.UTC(year, month, day, hours, minutes, seconds) / 1000;
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(text)) {
+        return Date.parse(text) / 1000;
+    }
+    return NaN;
+}
+
+/**
+ * Gets the series a season belongs to
+ * Seasons are only checked for overlaps and gaps against seasons of the same series.
+ * @param {string} season - Season name
+ * @returns {string|null} 'reload', 'main', or null for 'lifetime' (which spans everything)
+ */
+export function getSeasonSeries(season) {
+    if (season === 'lifetime') return null;
+    return /^reload/i.test(season) ? 'reload' : 'main';
+}
+
+/**
+ * Validates one season definition
+ * @param {*} dates - Definition ({start, end} date strings)
+ * @returns {Object} Object with startTime and endTime, or error (message) if invalid
+ */
+function validateSeason(dates) {
+    if (typeof dates !== 'object' || dates === null) {
+        return { error: 'expected an object with start and end dates' };
+    }
+    const startTime = parseSeasonDate(dates.start);
+    const endTime = parseSeasonDate(dates.end);
+    if (isNaN(startTime)) return { error: `unparseable start date '${dates.start}'` };
+    if (isNaN(endTime)) return { error: `unparseable end date '${dates.end}'` };
+    if (endTime <= startTime) return { error: `end date '${dates.end}' is not after start date '${dates.start}'` };
+    return { startTime, endTime };
+}
+
+/**
+ * Finds overlaps and unexpected gaps between consecutive seasons of each series
+ * @param {Object} seasons - Season name -> {startTime, endTime}
+ * @returns {Array<Object>} Warnings {season, message}
+ */
+export function checkSeasonSequence(seasons) {
+    const warnings = [];
+    const bySeries = new Map();
+    for (const [season, window] of Object.entries(seasons)) {
+        const series = getSeasonSeries(season);
+        if (!series) continue;
+        if (!bySeries.has(series)) bySeries.set(series, []);
+        bySeries.get(series).push({ season, ...window });
+    }
+
+    for (const entries of bySeries.values()) {
+        entries.sort((a, b) => a.startTime - b.startTime || a.endTime - b.endTime);
+        for (let i = 1; i < entries.length; i++) {
+            const previous = entries[i - 1];
+            const current = entries[i];
+            const gapDays = (current.startTime - previous.endTime) / 86400;
+            if (gapDays < 0) {
+                warnings.push({
+                    season: current.season,
+                    message: `${current.season} starts ${formatDays(-gapDays)} before ${previous.season} ends`
+                });
+            } else if (gapDays > maxSeasonGapDays) {
+                warnings.push({
+                    season: current.season,
+                    message: `${formatDays(gapDays)} gap between ${previous.season} and ${current.season}`
+                });
+            }
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Formats a number of days for diagnostics
+ * @param {number} days - Number of days
+ * @returns {string} e.g. "3 days" or "0.5 days"
+ */
+function formatDays(days) {
+    const rounded = Math.round(days * 10) / 10;
+    return `${rounded} ${rounded === 1 ? 'day' : 'days'}`;
+}
+
+/**
+ * Resolves layered season definitions
+ * Later layers replace earlier definitions of the same season. Invalid entries are
+ * rejected (an earlier valid definition of the season is kept).
+ * @param {Array<Object>} layers - Layers {source, definitions}, lowest priority first
+ * @returns {Object} Object containing:
+ *   - seasons: {Object} season name -> {start, end, startTime, endTime, source}
+ *   - errors: {Array<Object>} rejected entries {season, source, message}
+ *   - warnings: {Array<Object>} overlaps and gaps {season, message}
+ */
+export function resolveSeasonLayers(layers) {
+    const seasons = {};
+    const errors = [];
+
+    for (const { source, definitions } of layers) {
+        for (const [season, dates] of Object.entries(definitions)) {
+            const { startTime, endTime, error } = validateSeason(dates);
+            if (error) {
+                errors.push({ season, source, message: `${season} (${source}): ${error}` });
+                continue;
+            }
+            seasons[season] = { start: dates.start, end: dates.end, startTime, endTime, source };
+        }
+    }
+
+    return { seasons, errors, warnings: checkSeasonSequence(seasons) };
+}
+
+/**
+ * Renders resolved seasons as a table, ordered by start time
+ * @param {Object} seasons - Season name -> {startTime, endTime, source}
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderSeasonTable(seasons, options = {}) {
+    const columns = [
+        { label: 'Season', align: 'left' },
+        { label: 'Start (GMT)', align: 'left' },
+        { label: 'End (GMT)', align: 'left' },
+        { label: 'Days', align: 'right' },
+        { label: 'Source', align: 'left' }
+    ];
+    const formatDate = timestamp => formatISOTime(timestamp).slice(0, 16).replace('T', ' ');
+
+    const rows = Object.entries(seasons)
+        .sort(([, a], [, b]) => a.startTime - b.startTime || a.endTime - b.endTime)
+        .map(([season, entry]) => [
+            season,
+            formatDate(entry.startTime),
+            formatDate(entry.endTime),
+            String(Math.round((entry.endTime - entry.startTime) / 86400)),
+            entry.source
+        ]);
+
+    return renderTable(columns, rows, options);
+}
@@ -0,0 +1,140 @@
+/**
+ * Automatic season window correction (--auto-window)
+ * For older seasons Epic only keeps a few snapshots, often at odd hours after the nominal
+ * season boundaries, so the default season window can miss a mode's end-of-season snapshot
+ * or start from the wrong one. The retained snapshots bracketing the season are located per
+ * mode (see snapshotFinder.js) and the window is widened until it holds all of them.
+ */
+import { findSnapshotChanges } from './snapshotFinder.js';
+import { formatTime, getLastTimeWindow } from './dateUtils.js';
+import { now } from './clock.js';
+
+// Distance probed on either side of a season boundary (seconds)
+export const autoWindowSpan = 7 * 86400;
+
+// Precision of the located snapshots (seconds); the window end lands at most this far past a snapshot
+export const autoWindowResolution = 3600;
+
+/**
+ * Formats a duration for the adjustment report
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "2.2 days" or "5 hours"
+ */
+function formatSpan(seconds) {
+    if (seconds >= 86400) return `${Math.round(seconds / 8640) / 10} days`;
+    const hours = Math.round(seconds / 360) / 10;
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+}
+
+/**
+ * Finds the window that captures a whole season for every mode
+ * The window starts at the season start, so each mode's base is its latest snapshot at or
+ * before it. It ends at the latest of the modes' first snapshots after the season end (the
+ * snapshot holding that mode's final season totals). Modes whose end-of-season snapshot comes
+ * earlier are checked for later snapshots inside the window, which add post-season play.
+ *
+ * @param {Function} readSnapshot - async (time) => raw stats object for Ch1S1 up to time
+ * @param {Object} season - Nominal season times {startTime, endTime}
+ * @param {Object} timeWindow - Window the season would be queried with {startTime, endTime}
+ * @param {Object} [options={}] - Search options
+ * @param {number} [options.span=autoWindowSpan] - Seconds probed on either side of each boundary
+ * @param {number} [options.resolution=autoWindowResolution] - Precision in seconds
+ * @param {number} [options.currentTime=now()] - Current time in milliseconds (defaults to the application clock)
+ * @param {Function} [options.onProbe] - Called with (time, probeCount) before each query
+ * @returns {Promise<Object>} Object containing:
+ *   - timeWindow: {Object} corrected window {startTime, endTime}
+ *   - modes: {Array<Object>} per mode {group, startSnapshot, endSnapshot}, where each snapshot is
+ *     {after, atOrBefore} or null when none was found within the span
+ *   - adjustments: {Array<Object>} {bound: 'start'|'end', from, to, reason}
+ *   - notes: {Array<string>} per-mode findings worth reporting
+ *   - probes: {number} number of cumulative queries made
+ */
+export async function findSeasonWindow(readSnapshot, season, timeWindow, options = {}) {
+    const {
+        span = autoWindowSpan,
+        resolution = autoWindowResolution,
+        currentTime = now(),
+        onProbe = () => {}
+    } = options;
+    const latestSnapshot = getLastTimeWindow(1, 'day', currentTime).endTime;
+
+    let probes = 0;
+    const search = async (from, to, find) => {
+        const result = await findSnapshotChanges(readSnapshot, from, to, {
+            resolution,
+            find,
+            onProbe: time => onProbe(time, ++probes)
+        });
+        return new Map(result.changes.map(change => [change.group, { after: change.after, atOrBefore: change.atOrBefore }]));
+    };
+
+    const startSnapshots = await search(season.startTime - span, season.startTime, 'last');
+    const endSearchTo = Math.min(season.endTime + span, latestSnapshot);
+    const endSnapshots = season.endTime < endSearchTo ? await search(season.endTime, endSearchTo, 'first') : new Map();
+
+    const groups = [...new Set([...startSnapshots.keys(), ...endSnapshots.keys()])].sort();
+    const modes = groups.map(group => ({
+        group,
+        startSnapshot: startSnapshots.get(group) ?? null,
+        endSnapshot: endSnapshots.get(group) ?? null
+    }));
+
+    const adjustments = [];
+    const notes = [];
+    const corrected = { ...timeWindow };
+
+    if (timeWindow.startTime !== season.startTime) {
+        corrected.startTime = season.startTime;
+        adjustments.push({
+            bound: 'start',
+            from: timeWindow.startTime,
+            to: season.startTime,
+            reason: "the season start itself, so every mode starts from its latest snapshot before the season"
+        });
+    }
+
+    if (season.endTime >= latestSnapshot) {
+        notes.push("The season hasn't ended yet, so the window end was kept");
+    } else if (endSnapshots.size === 0) {
+        notes.push(`No mode has a snapshot within ${formatSpan(span)} after the season end, so the window end was kept`);
+    } else {
+        const [lastGroup, lastSnapshot] = [...endSnapshots].reduce((latest, entry) =>
+            entry[1].atOrBefore > latest[1].atOrBefore ? entry : latest);
+        if (lastSnapshot.atOrBefore !== timeWindow.endTime) {
+            corrected.endTime = lastSnapshot.atOrBefore;
+            adjustments.push({
+                bound: 'end',
+                from: timeWindow.endTime,
+                to: lastSnapshot.atOrBefore,
+                reason: `${lastGroup} keeps its end-of-season snapshot ${formatSpan(lastSnapshot.atOrBefore - season.endTime)} after the season end`
+            });
+        }
+    }
+
+    for (const mode of modes) {
+        if (!mode.startSnapshot) {
+            notes.push(`${mode.group}: no snapshot within ${formatSpan(span)} before the season start, so stats from before it may be included`);
+        }
+        // A mode whose end-of-season snapshot comes earlier may have later snapshots inside the window
+        if (mode.endSnapshot && mode.endSnapshot.atOrBefore < corrected.endTime) {
+            const laterSnapshot = (await search(mode.endSnapshot.atOrBefore, corrected.endTime, 'first')).get(mode.group);
+            if (laterSnapshot) {
+                notes.push(`${mode.group}: includes play from a later snapshot ${formatSpan(laterSnapshot.atOrBefore - mode.endSnapshot.atOrBefore)} after its end-of-season snapshot`);
+            }
+        }
+    }
+
+    return { timeWindow: corrected, modes, adjustments, notes, probes };
+}
+
+/**
+ * Formats the adjustments and findings of findSeasonWindow as report lines
+ * @param {Object} result - Result of findSeasonWindow
+ * @returns {Array<string>} Lines to print
+ */
+export function formatSeasonWindowReport(result) {
+    const lines = result.adjustments.map(adjustment =>
+        `Moved the window ${adjustment.bound} from ${formatTime(adjustment.from)} to ${formatTime(adjustment.to)}: ${adjustment.reason}`);
+    if (lines.length === 0) lines.push("The season window already brackets every mode's snapshots");
+    return [...lines, ...result.notes];
+}
@@ -0,0 +1,176 @@
+/**
+ * Snapshot boundary finder
+ * A cumulative query (Ch1S1 up to an end time) only returns different stats once the end
+ * time passes a snapshot, and for older data snapshot times vary by mode and input device
+ * (see doc/EpicStatAPIWorkingTheory.MD). Bisecting the end time between two bounds
+ * therefore locates every snapshot in between that changed a stat.
+ */
+import { parseRawStatKey, isClassifiedStatKey } from './fortniteStatKeys.js';
+import { formatTime } from './dateUtils.js';
+import { renderTable } from './tableRenderer.js';
+
+// How changes are grouped: per mode path and input device, or per raw stat key
+export const snapshotGroupings = ['mode', 'key'];
+
+// Default distance searched on either side of the --around date (seconds)
+export const defaultSnapshotSpan = 3 * 86400;
+
+// Default precision of a located snapshot time (seconds)
+export const defaultSnapshotResolution = 60;
+
+// Most cumulative queries one search may make
+export const maxSnapshotProbes = 300;
+
+/**
+ * Gets the input + playlist suffix of a raw stat key
+ * @param {string} key - Raw stat key (e.g. br_kills_gamepad_m0_playlist_nobuildbr_solo)
+ * @returns {string|null} Suffix (e.g. gamepad_m0_playlist_nobuildbr_solo), or null for other keys
+ */
+function getKeySuffix(key) {
+    return key.match(/^br_[a-z0-9]+_(.+)$/)?.[1] ?? null;
+}
+
+/**
+ * Gets the mode group of a raw stat key: its mode path and input device
+ * Keys whose playlist doesn't map to a mode path are grouped by their raw suffix.
+ * @param {string} key - Raw stat key
+ * @returns {string} e.g. "zeroBuild.regular.pubs.solo (gamepad)"
+ */
+function getModeGroup(key) {
+    const suffix = getKeySuffix(key);
+    if (!suffix) return key;
+
+    const parsed = parseRawStatKey(key);
+    if (!isClassifiedStatKey(parsed)) return suffix;
+
+    const modePath = [parsed.buildMode, parsed.gameMode, parsed.compMode, parsed.teamSize].join('.');
+    return parsed.input ? `${modePath} (${parsed.input})` : modePath;
+}
+
+/**
+ * Groups raw stat keys for the search
+ * @param {Array<string>} keys - Raw stat keys
+ * @param {string} per - 'mode' or 'key'
+ * @returns {Map<string, Array<string>>} Group name -> keys
+ */
+function groupKeys(keys, per) {
+    const groups = new Map();
+    const suffixGroups = new Map();
+    for (const key of [...keys].sort()) {
+        let group = key;
+        if (per === 'mode') {
+            const suffix = getKeySuffix(key) ?? key;
+            if (!suffixGroups.has(suffix)) suffixGroups.set(suffix, getModeGroup(key));
+            group = suffixGroups.get(suffix);
+        }
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(key);
+    }
+    return groups;
+}
+
+/**
+ * Locates the snapshots between two times that changed a player's stats
+ * The end time of a cumulative query is bisected: stats that differ between two probes
+ * changed at a snapshot in between, and the interval is halved until it is no longer
+ * than the resolution. Each probe is shared by every group still changing in its interval.
+ * Snapshots that changed nothing can't be seen.
+ *
+ * @param {Function} readSnapshot - async (time) => raw stats object for Ch1S1 up to time
+ * @param {number} startTime - Lower bound (Unix timestamp)
+ * @param {number} endTime - Upper bound (Unix timestamp)
+ * @param {Object} [options={}] - Search options
+ * @param {string} [options.per='mode'] - Group changes per 'mode' (mode path + input) or per raw 'key'
+ * @param {number} [options.resolution=defaultSnapshotResolution] - Precision in seconds
+ * @param {string} [options.find='all'] - 'all' changes, or only each group's 'first' or 'last' one
+ * @param {number} [options.maxProbes=maxSnapshotProbes] - Most queries allowed
+ * @param {Function} [options.onProbe] - Called with (time, probeCount) before each query
+ * @returns {Promise<Object>} Object containing:
+ *   - changes: {Array<Object>} {group, after, atOrBefore, stats} sorted by time, where the snapshot
+ *     lies in (after, atOrBefore] and stats lists the changed stat names
+ *   - probes: {number} number of cumulative queries made
+ */
+export async function findSnapshotChanges(readSnapshot, startTime, endTime, options = {}) {
+    const {
+        per = 'mode',
+        resolution = defaultSnapshotResolution,
+        find = 'all',
+        maxProbes = maxSnapshotProbes,
+        onProbe = () => {}
+    } = options;
+
+    let probes = 0;
+    const probe = async time => {
+        if (probes >= maxProbes) {
+            throw new Error(`Stopped after ${maxProbes} queries; search a shorter span or use a coarser resolution`);
+        }
+        probes++;
+        onProbe(time, probes);
+        return await readSnapshot(time);
+    };
+
+    const startStats = await probe(startTime);
+    const endStats = await probe(endTime);
+    const groups = groupKeys(new Set([...Object.keys(startStats), ...Object.keys(endStats)]), per);
+
+    const changedKeys = (keys, before, after) => keys.filter(key => (before[key] ?? 0) !== (after[key] ?? 0));
+    const changes = [];
+    const foundGroups = new Set();
+
+    // Searching for the last change walks the later half first; either way a group found once is done
+    const bisect = async (after, atOrBefore, afterStats, atOrBeforeStats, candidates) => {
+        const changed = candidates.filter(([group, keys]) =>
+            !(find !== 'all' && foundGroups.has(group)) && changedKeys(keys, afterStats, atOrBeforeStats).length > 0);
+        if (changed.length === 0) return;
+
+        if (atOrBefore - after <= resolution) {
+            for (const [group, keys] of changed) {
+                const stats = changedKeys(keys, afterStats, atOrBeforeStats)
+                    .map(key => key.match(/^br_([a-z0-9]+)_/)?.[1] ?? key);
+                changes.push({ group, after, atOrBefore, stats: [...new Set(stats)] });
+                foundGroups.add(group);
+            }
+            return;
+        }
+
+        const middle = after + Math.floor((atOrBefore - after) / 2);
+        const middleStats = await probe(middle);
+        if (find === 'last') {
+            await bisect(middle, atOrBefore, middleStats, atOrBeforeStats, changed);
+            await bisect(after, middle, afterStats, middleStats, changed);
+        } else {
+            await bisect(after, middle, afterStats, middleStats, changed);
+            await bisect(middle, atOrBefore, middleStats, atOrBeforeStats, changed);
+        }
+    };
+
+    await bisect(startTime, endTime, startStats, endStats, [...groups]);
+
+    changes.sort((a, b) => a.atOrBefore - b.atOrBefore || a.group.localeCompare(b.group));
+    return { changes, probes };
+}
+
+/**
+ * Renders located snapshot changes as a table, one row per group and snapshot
+ * @param {Array<Object>} changes - Changes from findSnapshotChanges
+ * @param {string} [per='mode'] - How changes were grouped ('mode' or 'key')
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderSnapshotTable(changes, per = 'mode', options = {}) {
+    const columns = [
+        { label: per === 'key' ? 'Key' : 'Mode', align: 'left' },
+        { label: 'After', align: 'left' },
+        { label: 'At or before', align: 'left' },
+        ...(per === 'key' ? [] : [{ label: 'Changed', align: 'left' }])
+    ];
+
+    const rows = changes.map(change => [
+        change.group,
+        formatTime(change.after),
+        formatTime(change.atOrBefore),
+        ...(per === 'key' ? [] : [change.stats.join(', ')])
+    ]);
+
+    return renderTable(columns, rows, options);
+}
@@ -0,0 +1,162 @@
+/**
+ * Side-by-side comparison of several players' stat structures
+ * Builds one row per mode path and metric with a value per player,
+ * and marks the best value in each row.
+ */
+import { flattenStatStructure, getStatColumns, toDelimitedText } from './delimitedExport.js';
+import { formatStatValue, getColumnLabel, renderTable } from './tableRenderer.js';
+
+// Metrics where a lower value is better (everything else: higher is better)
+const lowerIsBetter = ['minutesPerKill'];
+
+/**
+ * Determines whether a lower value is better for a metric
+ * @param {string} stat - Metric name
+ * @returns {boolean} True if lower values rank higher
+ */
+export function isLowerBetter(stat) {
+    return lowerIsBetter.includes(stat);
+}
+
+// Marker appended to the best values when colour is not available
+const bestMarker = '*';
+
+/**
+ * Gets the identifying key of a flattened row's mode path
+ * @param {Object} row - Flattened stat row
+ * @returns {string} Mode path key
+ */
+function getModePathKey(row) {
+    return [row.buildMode, row.gameMode, row.compMode, row.teamSize].join('/');
+}
+
+/**
+ * Finds the indexes of the best values in a row
+ * Nothing is marked unless at least two players have a value and they differ.
+ *
+ * @param {string} stat - Metric name
+ * @param {Array<number|undefined>} values - Value per player
+ * @returns {Array<number>} Indexes of the best values
+ */
+export function findBestIndexes(stat, values) {
+    const present = values
+        .map((value, index) => ({ value, index }))
+        .filter(({ value }) => typeof value === 'number' && Number.isFinite(value));
+    if (present.length < 2) return [];
+
+    const numbers = present.map(({ value }) => value);
+    const best = isLowerBetter(stat) ? Math.min(...numbers) : Math.max(...numbers);
+    if (numbers.every(value => value === best)) return [];
+
+    return present.filter(({ value }) => value === best).map(({ index }) => index);
+}
+
+/**
+ * Builds a comparison of several players' structured stats
+ * @param {Array<Object>} playerResults - Per player {player: {displayName, accountId}, stats}
+ *   where stats is a nested or TRN structure with rates
+ * @param {boolean} [isTRNFormat=false] - Whether the stats are in TRN format
+ * @returns {Object} Comparison {players, statColumns, rows}; each row has the mode
+ *   columns, the metric name, one value per player and the best indexes
+ */
+export function buildComparison(playerResults, isTRNFormat = false) {
+    const flattened = playerResults.map(result => flattenStatStructure(result.stats, isTRNFormat));
+    const statColumns = getStatColumns(flattened.flat());
+
+    // Mode paths in order of first appearance, starting with the first player
+    const modePaths = new Map();
+    flattened.flat().forEach(row => {
+        if (!modePaths.has(getModePathKey(row))) {
+            const { buildMode, gameMode, compMode, teamSize } = row;
+            modePaths.set(getModePathKey(row), { buildMode, gameMode, compMode, teamSize });
+        }
+    });
+
+    // Per player lookup of rows by mode path
+    const rowsByPlayer = flattened.map(rows => new Map(rows.map(row => [getModePathKey(row), row])));
+
+    const rows = [];
+    for (const [key, modePath] of modePaths) {
+        for (const stat of statColumns) {
+            const values = rowsByPlayer.map(playerRows => playerRows.get(key)?.[stat]);
+            if (values.every(value => value === undefined)) continue;
+            rows.push({ ...modePath, stat, values, best: findBestIndexes(stat, values) });
+        }
+    }
+
+    return {
+        players: playerResults.map(result => result.player),
+        statColumns,
+        rows
+    };
+}
+
+/**
+ * Renders a comparison as a terminal table with a column per player
+ * Best values are shown in bold green with colour, or marked with '*' without it.
+ *
+ * @param {Object} comparison - Comparison from buildComparison
+ * @param {boolean} [isTRNFormat=false] - Whether the stats are in TRN format
+ * @param {Object} [options={}] - Rendering options
+ * @param {boolean} [options.color=false] - Whether to use colour
+ * @returns {string} Rendered table
+ */
+export function renderComparisonTable(comparison, isTRNFormat = false, options = {}) {
+    const { color = false } = options;
+    const columns = [
+        { label: isTRNFormat ? 'Team Size' : 'Mode', align: 'left' },
+        { label: 'Stat', align: 'left' },
+        ...comparison.players.map(player => ({ label: player.displayName, align: 'right' }))
+    ];
+
+    let previousMode = null;
+    const tableRows = comparison.rows.map(row => {
+        const mode = isTRNFormat ?
+            row.teamSize :
+            [row.buildMode, row.gameMode, row.compMode, row.teamSize].join(' / ');
+
+        // Only label the first metric of each mode path
+        const modeLabel = mode === previousMode ? '' : mode;
+        previousMode = mode;
+
+        return [
+            modeLabel,
+            getColumnLabel(row.stat),
+            ...row.values.map((value, index) => {
+                const text = formatStatValue(row.stat, value);
+                if (color) return text;
+                // Pad unmarked values so the numbers stay aligned with marked ones
+                return row.best.includes(index) ? `${text}${bestMarker}` : `${text} `;
+            })
+        ];
+    });
+
+    // Player columns start after the mode and stat columns
+    const highlight = (rowIndex, columnIndex) => comparison.rows[rowIndex].best.includes(columnIndex - 2);
+    return renderTable(columns, tableRows, { color, highlight });
+}
+
+/**
+ * Exports a comparison as CSV/TSV with a column per player
+ * A final "best" column lists the player(s) with the best value in each row.
+ *
+ * @param {Object} comparison - Comparison from buildComparison
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} Delimited text
+ */
+export function exportComparison(comparison, format = 'csv') {
+    const playerNames = comparison.players.map(player => player.displayName);
+    const columns = ['buildMode', 'gameMode', 'compMode', 'teamSize', 'stat', ...playerNames, 'best'];
+
+    const rows = comparison.rows.map(row => ({
+        buildMode: row.buildMode,
+        gameMode: row.gameMode,
+        compMode: row.compMode,
+        teamSize: row.teamSize,
+        stat: row.stat,
+        ...Object.fromEntries(playerNames.map((name, index) => [name, row.values[index]])),
+        best: row.best.map(index => playerNames[index]).join(' ')
+    }));
+
+    return toDelimitedText(columns, rows, format);
+}
@@ -0,0 +1,201 @@
+/**
+ * Window-vs-window comparison of one player's stat structures
+ * Builds one row per mode path and metric with the value in each window, the absolute and
+ * percentage change from the first window to the second, and whether that is an
+ * improvement or a regression.
+ */
+import { subtractFortniteStatStructures } from './fortniteStructuredStatOps.js';
+import { flattenStatStructure, getStatColumns, toDelimitedText } from './delimitedExport.js';
+import { formatStatValue, getColumnLabel, renderTable } from './tableRenderer.js';
+import { isLowerBetter } from './statComparison.js';
+
+// Columns identifying the mode path of each row
+const modeColumns = ['buildMode', 'gameMode', 'compMode', 'teamSize'];
+
+/**
+ * Checks whether a value is a plain object (a branch of a stat structure)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects that aren't arrays
+ */
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Copies a stat structure with every value set to 0
+ * @param {Object|number} node - Branch or value
+ * @returns {Object|number} Zeroed copy
+ */
+function zeroStructure(node) {
+    if (!isObject(node)) return 0;
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, zeroStructure(value)]));
+}
+
+/**
+ * Gives two stat structures the same mode paths and stats
+ * A mode path or stat missing on one side (no matches in that window) is added there as 0,
+ * so subtracting the structures yields a change for everything either window has.
+ *
+ * @param {Object} first - Structured stats of the first window
+ * @param {Object} second - Structured stats of the second window
+ * @returns {Array<Object>} [first, second] with matching shapes
+ */
+function alignStatStructures(first, second) {
+    if (!isObject(first) && !isObject(second)) return [first ?? 0, second ?? 0];
+
+    const alignedFirst = {};
+    const alignedSecond = {};
+    for (const key of new Set([...Object.keys(first ?? {}), ...Object.keys(second ?? {})])) {
+        const a = first?.[key] ?? zeroStructure(second[key]);
+        const b = second?.[key] ?? zeroStructure(first[key]);
+        [alignedFirst[key], alignedSecond[key]] = alignStatStructures(a, b);
+    }
+    return [alignedFirst, alignedSecond];
+}
+
+/**
+ * Gets the identifying key of a flattened row's mode path
+ * @param {Object} row - Flattened stat row
+ * @returns {string} Mode path key
+ */
+function getModePathKey(row) {
+    return modeColumns.map(column => row[column]).join('/');
+}
+
+/**
+ * Determines whether a change is an improvement or a regression
+ * @param {string} stat - Metric name
+ * @param {number} change - Second window value minus first window value
+ * @returns {string|null} 'better', 'worse', or null when nothing changed
+ */
+export function getChangeTrend(stat, change) {
+    if (change === 0 || !Number.isFinite(change)) return null;
+    return (change > 0) !== isLowerBetter(stat) ? 'better' : 'worse';
+}
+
+/**
+ * Builds the changes between two windows of a player's structured stats
+ * Counters and rates are both subtracted (second minus first): a rate's change is the
+ * difference of the two windows' rates, not a rate of the counter changes.
+ *
+ * @param {Object} firstStats - Nested or TRN structure with rates for the first window
+ * @param {Object} secondStats - The same for the second window
+ * @param {boolean} [isTRNFormat=false] - Whether the stats are in TRN format
+ * @returns {Object} Diff {statColumns, rows}; each row has the mode columns, the metric name,
+ *   before, after, change, percentChange (null when before is 0) and trend ('better', 'worse' or null)
+ */
+export function buildStatDiff(firstStats, secondStats, isTRNFormat = false) {
+    const [before, after] = alignStatStructures(firstStats, secondStats);
+    const changes = subtractFortniteStatStructures(after, before);
+
+    const beforeRows = flattenStatStructure(before, isTRNFormat);
+    const afterRows = new Map(flattenStatStructure(after, isTRNFormat).map(row => [getModePathKey(row), row]));
+    const changeRows = new Map(flattenStatStructure(changes, isTRNFormat).map(row => [getModePathKey(row), row]));
+    const statColumns = getStatColumns(beforeRows);
+
+    const rows = [];
+    for (const beforeRow of beforeRows) {
+        const key = getModePathKey(beforeRow);
+        const modePath = Object.fromEntries(modeColumns.map(column => [column, beforeRow[column]]));
+        for (const stat of statColumns) {
+            if (typeof beforeRow[stat] !== 'number') continue;
+            const change = changeRows.get(key)[stat];
+            rows.push({
+                ...modePath,
+                stat,
+                before: beforeRow[stat],
+                after: afterRows.get(key)[stat],
+                change,
+                percentChange: beforeRow[stat] === 0 ? null : change / Math.abs(beforeRow[stat]) * 100,
+                trend: getChangeTrend(stat, change)
+            });
+        }
+    }
+
+    return { statColumns, rows };
+}
+
+/**
+ * Formats a change with its sign
+ * Rate changes are shown in percentage points so they can't be mistaken for percentage changes.
+ * @param {string} stat - Metric name
+ * @param {number} change - Change value
+ * @returns {string} e.g. "+12", "-0:45" or "+2.5 pts"
+ */
+export function formatChange(stat, change) {
+    const sign = change > 0 ? '+' : change < 0 ? '-' : '';
+    if (stat.endsWith('Rate')) return `${sign}${(Math.abs(change) * 100).toFixed(1)} pts`;
+    return `${sign}${formatStatValue(stat, Math.abs(change))}`;
+}
+
+/**
+ * Formats a percentage change
+ * @param {Object} row - Diff row
+ * @returns {string} e.g. "+12.5%", "new" when the first window had 0, or "" without a change
+ */
+function formatPercentChange(row) {
+    if (row.change === 0) return '';
+    if (row.percentChange === null) return 'new';
+    return `${row.percentChange > 0 ? '+' : ''}${row.percentChange.toFixed(1)}%`;
+}
+
+/**
+ * Renders a diff as a terminal table with a column per window
+ * Improvements and regressions are named in the last column, and their changes are shown
+ * in green and red with colour.
+ *
+ * @param {Object} diff - Diff from buildStatDiff
+ * @param {Array<string>} windowLabels - Labels of the first and second window
+ * @param {boolean} [isTRNFormat=false] - Whether the stats are in TRN format
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderStatDiffTable(diff, windowLabels, isTRNFormat = false, options = {}) {
+    const columns = [
+        { label: isTRNFormat ? 'Team Size' : 'Mode', align: 'left' },
+        { label: 'Stat', align: 'left' },
+        { label: windowLabels[0], align: 'right' },
+        { label: windowLabels[1], align: 'right' },
+        { label: 'Change', align: 'right' },
+        { label: '%', align: 'right' },
+        { label: 'Trend', align: 'left' }
+    ];
+
+    let previousMode = null;
+    const tableRows = diff.rows.map(row => {
+        const mode = isTRNFormat ? row.teamSize : modeColumns.map(column => row[column]).join(' / ');
+
+        // Only label the first metric of each mode path
+        const modeLabel = mode === previousMode ? '' : mode;
+        previousMode = mode;
+
+        return [
+            modeLabel,
+            getColumnLabel(row.stat),
+            formatStatValue(row.stat, row.before),
+            formatStatValue(row.stat, row.after),
+            formatChange(row.stat, row.change),
+            formatPercentChange(row),
+            row.trend ?? ''
+        ];
+    });
+
+    // Change and % columns follow the mode, stat and two window columns
+    const highlight = (rowIndex, columnIndex) => {
+        const trend = diff.rows[rowIndex].trend;
+        return columnIndex >= 4 && columnIndex <= 5 && trend !== null && (trend === 'worse' ? 'worse' : true);
+    };
+    return renderTable(columns, tableRows, { ...options, highlight });
+}
+
+/**
+ * Exports a diff as CSV/TSV, one row per mode path and metric
+ * @param {Object} diff - Diff from buildStatDiff
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} Delimited text
+ */
+export function exportStatDiff(diff, format = 'csv') {
+    const columns = [...modeColumns, 'stat', 'before', 'after', 'change', 'percentChange', 'trend'];
+    const rows = diff.rows.map(row => ({ ...row, trend: row.trend ?? '' }));
+    return toDelimitedText(columns, rows, format);
+}
@@ -0,0 +1,170 @@
+/**
+ * On-disk response cache for statsproxy queries
+ *
+ * Responses are keyed by accountId + startTime + endTime. Because the API
+ * answers from cumulative midnight snapshots, a window that ends before
+ * tonight's midnight snapshot can never change and is cached forever.
+ * Windows that include tonight's (still updating) snapshot are cached
+ * for a short TTL only.
+ */
+import { existsSync, mkdirSync, readFileSync, readdirSync, renameSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { getUserDataDir } from './userConfig.js';
+import { getMidnightGMT } from './dateUtils.js';
+import { nowSeconds } from './clock.js';
+
+// Time-to-live for windows that include tonight's snapshot (seconds)
+export const liveWindowTTL = 5 * 60;
+
+// Whether the cache is used for reads and writes
+let cacheEnabled = true;
+
+/**
+ * Enables or disables the stats cache (e.g. for --no-cache)
+ * @param {boolean} enabled - True to use the cache
+ */
+export function setStatsCacheEnabled(enabled) {
+    cacheEnabled = enabled;
+}
+
+/**
+ * Gets the directory holding cached stats responses
+ * @returns {string} Absolute cache directory path
+ */
+export function getStatsCacheDir() {
+    return join(getUserDataDir(), 'cache', 'stats');
+}
+
+/**
+ * Determines whether a time window is closed (immutable)
+ * A window is closed when it ends before tonight's midnight snapshot,
+ * which is the only snapshot still receiving updates.
+ *
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @param {number} [now] - Current Unix timestamp in seconds
+ * @returns {boolean} True if the window's results can no longer change
+ */
+export function isClosedWindow(timeWindow, now = nowSeconds()) {
+    const tonightMidnight = getMidnightGMT(now) + 86400;
+    return timeWindow.endTime < tonightMidnight;
+}
+
+/**
+ * Builds the cache file path for a query
+ * @param {string} accountId - Epic account ID
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @returns {string} Cache file path
+ */
+function getCacheFilePath(accountId, timeWindow) {
+    return join(getStatsCacheDir(), `${accountId}_${timeWindow.startTime}_${timeWindow.endTime}.json`);
+}
+
+/**
+ * Reads a cache entry if present and not expired
+ * @param {string} filePath - Cache file path
+ * @param {number} now - Current Unix timestamp in seconds
+ * @returns {Object|null} Cached response or null
+ */
+function readCacheEntry(filePath, now) {
+    if (!existsSync(filePath)) return null;
+    try {
+        const entry = JSON.parse(readFileSync(filePath, 'utf8'));
+        if (entry.expiresAt !== null && entry.expiresAt <= now) return null;
+        return entry.response;
+    } catch {
+        // Treat unreadable entries as misses; they are overwritten on the next fetch
+        return null;
+    }
+}
+
+/**
+ * Writes a cache entry (write to a temp file, then rename)
+ * @param {string} filePath - Cache file path
+ * @param {Object} entry - Cache entry
+ */
+function writeCacheEntry(filePath, entry) {
+    try {
+        mkdirSync(getStatsCacheDir(), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        writeFileSync(tempPath, JSON.stringify(entry));
+        renameSync(tempPath, filePath);
+    } catch (error) {
+        // Caching is best-effort; a failed write only costs a future API call
+        console.warn(`Could not write stats cache entry: ${error.message}`);
+    }
+}
+
+/**
+ * Gets stats for an account and time window, using the on-disk cache when possible
+ * @param {EpicClient} epicClient - Authenticated Epic client
+ * @param {string} accountId - Epic account ID
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @returns {Promise<Object>} Raw stats response from the API (or cache)
+ */
+export async function getCachedStats(epicClient, accountId, timeWindow) {
+    if (!cacheEnabled) {
+        return epicClient.fortnite.getStats(accountId, timeWindow);
+    }
+
+    const now = nowSeconds();
+    const filePath = getCacheFilePath(accountId, timeWindow);
+    const cached = readCacheEntry(filePath, now);
+    if (cached) return cached;
+
+    const response = await epicClient.fortnite.getStats(accountId, timeWindow);
+    writeCacheEntry(filePath, {
+        accountId,
+        startTime: timeWindow.startTime,
+        endTime: timeWindow.endTime,
+        fetchedAt: now,
+        expiresAt: isClosedWindow(timeWindow, now) ? null : now + liveWindowTTL,
+        response
+    });
+    return response;
+}
+
+/**
+ * Lists the cache entry files
+ * @returns {Array<string>} Cache file paths
+ */
+function listCacheFiles() {
+    const cacheDir = getStatsCacheDir();
+    if (!existsSync(cacheDir)) return [];
+    return readdirSync(cacheDir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => join(cacheDir, name));
+}
+
+/**
+ * Removes all cached stats responses
+ * @returns {number} Number of entries removed
+ */
+export function clearStatsCache() {
+    const files = listCacheFiles();
+    files.forEach(file => rmSync(file, { force: true }));
+    return files.length;
+}
+
+/**
+ * Summarizes the contents of the stats cache
+ * @returns {Object} Cache summary {directory, entries, closed, live, expired, bytes}
+ */
+export function getStatsCacheInfo() {
+    const now = nowSeconds();
+    const info = { directory: getStatsCacheDir(), entries: 0, closed: 0, live: 0, expired: 0, bytes: 0 };
+
+    for (const file of listCacheFiles()) {
+        info.entries++;
+        info.bytes += statSync(file).size;
+        try {
+            const { expiresAt } = JSON.parse(readFileSync(file, 'utf8'));
+            if (expiresAt === null) info.closed++;
+            else if (expiresAt > now) info.live++;
+            else info.expired++;
+        } catch {
+            info.expired++;
+        }
+    }
+
+    return info;
+}
@@ -0,0 +1,169 @@
+/**
+ * Stats history crawler ("fn-stats history")
+ * Walks back from tonight's snapshot one change at a time: each step reads the cumulative
+ * stats (Ch1S1 up to an end time), and the next step ends at midnight GMT of the latest
+ * lastmodified time in them, which leaves that change out. The differences between
+ * consecutive steps are the stats gained at each change.
+ * The history is saved as JSON after every step, so an interrupted crawl can be resumed
+ * from its earliest step.
+ */
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { getSortedStats, getLatestModifiedTimestamp, getStatsDifference } from './fortniteRawStatOps.js';
+import { formatTime, getLastTimeWindow, getMidnightGMT } from './dateUtils.js';
+import { now } from './clock.js';
+
+// Default pause between two steps (seconds)
+export const defaultHistoryDelay = 5;
+
+/**
+ * Creates an empty history document
+ * @param {Object} options - History settings
+ * @param {Object} options.player - Resolved player {displayName, accountId}
+ * @param {Array<string>} [options.filters=[]] - Game mode filters
+ * @param {Array<string>} [options.statPatternKeys=[]] - Stat pattern keys
+ * @param {number} options.since - Unix timestamp the crawl goes back to
+ * @returns {Object} History {playerName, playerId, filters, statPatterns, since, generatedAt,
+ *   accumulatedStats, statDifferences}
+ */
+export function createStatsHistory({ player, filters = [], statPatternKeys = [], since }) {
+    return {
+        playerName: player.displayName,
+        playerId: player.accountId,
+        filters,
+        statPatterns: statPatternKeys,
+        since,
+        generatedAt: new Date(now()).toISOString(),
+        accumulatedStats: [],
+        statDifferences: []
+    };
+}
+
+/**
+ * Loads a saved history to resume it
+ * Histories saved before stat patterns and --since existed get no stat patterns and no since.
+ * @param {string} filePath - Path of a saved history JSON file
+ * @returns {Object} History document
+ */
+export function loadStatsHistory(filePath) {
+    if (!existsSync(filePath)) {
+        throw new Error(`History file not found: ${filePath}`);
+    }
+
+    let history;
+    try {
+        history = JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read history file ${filePath}: ${error.message}`);
+    }
+
+    const validSteps = Array.isArray(history?.accumulatedStats) && history.accumulatedStats.every(step =>
+        Number.isInteger(step?.endTime) && step.stats && typeof step.stats === 'object');
+    if (!validSteps || typeof history.playerName !== 'string' || !Array.isArray(history.statDifferences)) {
+        throw new Error(`${filePath} isn't a saved stats history`);
+    }
+
+    return {
+        ...history,
+        filters: history.filters ?? [],
+        statPatterns: history.statPatterns ?? [],
+        since: history.since ?? null
+    };
+}
+
+/**
+ * Saves a history (write to a temp file, then rename, so an interruption never leaves half a file)
+ * @param {string} filePath - Output path
+ * @param {Object} history - History document
+ */
+export function saveStatsHistory(filePath, history) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    writeFileSync(tempPath, JSON.stringify({ ...history, generatedAt: new Date(now()).toISOString() }, null, 2));
+    renameSync(tempPath, filePath);
+}
+
+/**
+ * Gets the end time of the step after one
+ * @param {Object} stats - Raw stats of the step
+ * @param {number} endTime - End time of the step
+ * @returns {number|null} Midnight GMT before the latest change, or null when there are no changes left
+ */
+export function getNextHistoryEndTime(stats, endTime) {
+    const latest = getLatestModifiedTimestamp(stats);
+    if (latest === 0) return null;
+
+    // A change stamped exactly at the step's end would otherwise be read again
+    const next = getMidnightGMT(Math.min(latest, endTime));
+    return next < endTime ? next : getMidnightGMT(next - 1);
+}
+
+/**
+ * Sums the counter changes of a step per stat name
+ * @param {Object} differences - Differences of a step (see getStatsDifference)
+ * @returns {string} e.g. "matchesplayed +5, kills +12", or "" when no counter changed
+ */
+export function summarizeHistoryDifferences(differences) {
+    const totals = new Map();
+    for (const [key, value] of Object.entries(differences)) {
+        const stat = key.match(/^br_([a-z0-9]+)_/)?.[1];
+        if (!stat || stat === 'lastmodified' || typeof value !== 'number') continue;
+        totals.set(stat, (totals.get(stat) ?? 0) + value);
+    }
+    return [...totals]
+        .map(([stat, total]) => `${stat} ${total >= 0 ? '+' : ''}${total}`)
+        .join(', ');
+}
+
+/**
+ * Crawls a player's stats history back to a time, adding steps to a history document
+ * A new history starts at tonight's snapshot; a resumed one continues from its earliest
+ * step. The crawl ends with the first step at or before history.since (the baseline for the
+ * changes after it), or when the stats hold no earlier change.
+ *
+ * @param {Function} readSnapshot - async (time) => raw stats object for Ch1S1 up to time
+ * @param {Object} history - History document (see createStatsHistory and loadStatsHistory), updated in place
+ * @param {Object} [options={}] - Crawl options
+ * @param {number} [options.delay=defaultHistoryDelay] - Seconds to wait between two steps
+ * @param {number} [options.currentTime=now()] - Current time in milliseconds (defaults to the application clock)
+ * @param {Function} [options.sleep] - async (seconds) => void, waits between steps
+ * @param {Function} [options.onStep] - async ({step, endTime, stats, differences, nextEndTime}) => void,
+ *   called after each step is added (differences is null for the first step)
+ * @returns {Promise<number>} Number of steps added
+ */
+export async function crawlStatsHistory(readSnapshot, history, options = {}) {
+    const {
+        delay = defaultHistoryDelay,
+        currentTime = now(),
+        sleep = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000)),
+        onStep = () => {}
+    } = options;
+
+    const since = history.since ?? 0;
+    const getNextEndTime = (stats, endTime) => endTime <= since ? null : getNextHistoryEndTime(stats, endTime);
+    const earliest = history.accumulatedStats[history.accumulatedStats.length - 1];
+    let endTime = earliest ?
+        getNextEndTime(earliest.stats, earliest.endTime) :
+        getLastTimeWindow(1, 'day', currentTime).endTime;
+
+    let added = 0;
+    while (endTime !== null) {
+        if (added > 0 && delay > 0) await sleep(delay);
+
+        const stats = getSortedStats(await readSnapshot(endTime));
+        const previous = history.accumulatedStats[history.accumulatedStats.length - 1];
+        history.accumulatedStats.push({ endTime, endTimeFormatted: formatTime(endTime), stats });
+        added++;
+
+        // Each step is compared with the later one before it: what changed between the two end times
+        let differences = null;
+        if (previous) {
+            differences = getStatsDifference(previous.stats, stats);
+            history.statDifferences.push({ endTime, endTimeFormatted: formatTime(endTime), differences });
+        }
+
+        const nextEndTime = getNextEndTime(stats, endTime);
+        await onStep({ step: history.accumulatedStats.length, endTime, stats, differences, nextEndTime });
+        endTime = nextEndTime;
+    }
+
+    return added;
+}
@@ -1,22 +1,24 @@
-import { EpicClient } from './epicWrapper.js';
-import { readFileSync } from 'node:fs';
+import { EpicClient, isReplayMode } from './epicWrapper.js';
+import { existsSync, readFileSync } from 'node:fs';
 import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { seasonTimestamps } from './getSeasonTimes.js';
-import { subtractRawFortniteStats } from './fortniteRawStatOps.js';
+import { subtractRawFortniteStats, findNegativeStats } from './fortniteRawStatOps.js';
 import { formatTime } from './dateUtils.js';
+import { conditionalLog } from './logger.js';
+import { getCachedStats } from './statsCache.js';
+import { now } from './clock.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 /**
- * Conditional logging function that respects quiet mode
- * @param {string} message - Message to log
- * @param {boolean} quietMode - Whether quiet mode is enabled
+ * Gets the path of the device auth grant file
+ * Defaults to config/deviceAuthGrant.json and can be overridden with the
+ * FN_STATS_GRANT_FILE environment variable (e.g. for the mock Epic API)
+ * @returns {string} Grant file path
  */
-function conditionalLog(message, quietMode) {
-    if (!quietMode) {
-        console.log(message);
-    }
+export function getGrantPath() {
+    return process.env.FN_STATS_GRANT_FILE || join(__dirname, '../config/deviceAuthGrant.json');
 }
 
 /**
@@ -26,9 +28,12 @@ function conditionalLog(message, quietMode) {
  * @returns {Promise<void>}
  */
 export async function authenticateClient(epicClient, quietMode = false) {
-    const grant = JSON.parse(
-        readFileSync(join(__dirname, '../config/deviceAuthGrant.json'), 'utf8')
-    );
+    const grantPath = getGrantPath();
+    
+    // Replayed sessions need no credentials (the recorded token response is served instead)
+    const grant = isReplayMode() && !existsSync(grantPath) ? 
+        { grant_type: 'device_auth' } : 
+        JSON.parse(readFileSync(grantPath, 'utf8'));
 
     if (epicClient.accountId == null) {
         conditionalLog("Not logged in, awaiting authentication.", quietMode);
@@ -39,6 +44,50 @@ export async function authenticateClient(epicClient, quietMode = false) {
     }
 }
 
+/**
+ * Gets the two cumulative windows used by the triple API call technique
+ * Both start at Ch1S1 (the beginning of Fortnite); the first ends at the requested
+ * end time or tomorrow midnight GMT (whichever is earlier), the second at the
+ * requested start time. Subtracting the second from the first isolates the window.
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @returns {Object} Windows {fromCh1s1ToNowOrEnd, fromCh1s1ToStart}
+ */
+function getCumulativeWindows(timeWindow) {
+    const ch1s1Start = seasonTimestamps.ch1s1.startTime;
+    
+    // Calculate tomorrow at midnight GMT
+    const tomorrow = new Date(now());
+    tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+    tomorrow.setUTCHours(0, 0, 0, 0);
+    const tomorrowMidnightGMT = Math.floor(tomorrow.getTime() / 1000);
+    
+    return {
+        fromCh1s1ToNowOrEnd: {
+            startTime: ch1s1Start,
+            endTime: timeWindow.endTime < tomorrowMidnightGMT ? timeWindow.endTime : tomorrowMidnightGMT
+        },
+        fromCh1s1ToStart: {
+            startTime: ch1s1Start,
+            endTime: timeWindow.startTime
+        }
+    };
+}
+
+/**
+ * Warns about stats that came out negative from a triple-call subtraction
+ * They mean the two cumulative queries used different snapshots, so the window's totals
+ * for those keys can't be trusted. Warnings are shown even in quiet mode.
+ * @param {Object} stats - Raw stats of the isolated window
+ * @param {string} displayName - Player the stats belong to
+ */
+function warnNegativeStats(stats, displayName) {
+    const negative = findNegativeStats(stats);
+    if (negative.length === 0) return;
+    const examples = negative.slice(0, 3).map(({ key, value }) => `${key} ${value}`).join(', ');
+    const more = negative.length > 3 ? ` and ${negative.length - 3} more` : '';
+    console.warn(`Warning: ${negative.length} stats for ${displayName} are negative because the two cumulative queries used different snapshots: ${examples}${more}`);
+}
+
 /**
  * Get Fortnite stats for a player using either direct or advanced method
  * @param {string} playerName - Epic Games display name
@@ -46,7 +95,7 @@ export async function authenticateClient(epicClient, quietMode = false) {
  * @param {boolean} useAdvancedMethod - Whether to use the advanced triple API call technique
  * @param {boolean} quietMode - Whether to suppress logs
  * @param {EpicClient} [existingClient] - Optional existing authenticated client
- * @returns {Promise<Object>} Raw stats from API
+ * @returns {Promise<Object>} Raw stats from API, tagged with the resolved accountId and displayName
  */
 export async function getFortniteStats(playerName, timeWindow, useAdvancedMethod = true, quietMode = false, existingClient = null) {
     // Use existing client if provided, otherwise create a new one
@@ -69,32 +118,16 @@ export async function getFortniteStats(playerName, timeWindow, useAdvancedMethod
             // Display requested time window
             conditionalLog(`Requested time window: ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`, quietMode);
             
-            // Get the Ch1S1 start timestamp (beginning of Fortnite)
-            const ch1s1Start = seasonTimestamps.ch1s1.startTime;
-            
-            // Calculate tomorrow at midnight GMT
-            const tomorrow = new Date();
-            tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
-            tomorrow.setUTCHours(0, 0, 0, 0);
-            const tomorrowMidnightGMT = Math.floor(tomorrow.getTime() / 1000);
+            const { fromCh1s1ToNowOrEnd, fromCh1s1ToStart } = getCumulativeWindows(timeWindow);
             
             // 1. Get stats from Ch1S1 to either tomorrow midnight GMT or the requested end time (whichever is earlier)
-            const fromCh1s1ToNowOrEnd = {
-                startTime: ch1s1Start,
-                endTime: timeWindow.endTime < tomorrowMidnightGMT ? timeWindow.endTime : tomorrowMidnightGMT
-            };
-            
             conditionalLog(`API call #1: ${formatTime(fromCh1s1ToNowOrEnd.startTime)} to ${formatTime(fromCh1s1ToNowOrEnd.endTime)}`, quietMode);
-            const statsToNowOrEnd = await epicClient.fortnite.getStats(playerInfo.id, fromCh1s1ToNowOrEnd);
+            const statsToNowOrEnd = await getCachedStats(epicClient, playerInfo.id, fromCh1s1ToNowOrEnd);
             conditionalLog(`Retrieved ${Object.keys(statsToNowOrEnd.stats || {}).length} raw stats for call #1`, quietMode);
             
             // 2. Get stats from Ch1S1 to startTime
-            const fromCh1s1ToStart = {
-                startTime: ch1s1Start,
-                endTime: timeWindow.startTime
-            };
             conditionalLog(`API call #2: ${formatTime(fromCh1s1ToStart.startTime)} to ${formatTime(fromCh1s1ToStart.endTime)}`, quietMode);
-            const statsToStart = await epicClient.fortnite.getStats(playerInfo.id, fromCh1s1ToStart);
+            const statsToStart = await getCachedStats(epicClient, playerInfo.id, fromCh1s1ToStart);
             conditionalLog(`Retrieved ${Object.keys(statsToStart.stats || {}).length} raw stats for call #2`, quietMode);
             
             // 3. Subtract to get the isolated time window
@@ -104,18 +137,193 @@ export async function getFortniteStats(playerName, timeWindow, useAdvancedMethod
             // Display number of stats returned after subtraction
             const statCount = Object.keys(rawStats.stats || {}).length;
             conditionalLog(`Resulting in ${statCount} raw stats for the isolated time window`, quietMode);
+            warnNegativeStats(rawStats.stats, playerInfo.displayName);
             
-            return rawStats;
+            return { ...rawStats, accountId: playerInfo.id, displayName: playerInfo.displayName };
         } else {
             // Direct method - single API call
             conditionalLog("Using direct API call method", quietMode);
             conditionalLog(`Time window: ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`, quietMode);
             
-            const rawStats = await epicClient.fortnite.getStats(playerInfo.id, timeWindow);
-            return rawStats;
+            const rawStats = await getCachedStats(epicClient, playerInfo.id, timeWindow);
+            return { ...rawStats, accountId: playerInfo.id, displayName: playerInfo.displayName };
         }
     } catch (error) {
         console.error("Error retrieving stats:", error);
         throw error;
     }
 }
+
+/**
+ * Resolves a player and returns a reader for their cumulative stats
+ * Each read covers Ch1S1 up to the given time and goes through the response cache.
+ * @param {string} playerName - Epic Games display name
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @returns {Promise<Object>} Object with accountId, displayName and readSnapshot (async (time) => raw stats object)
+ */
+export async function getCumulativeSnapshotReader(playerName, quietMode = false, epicClient) {
+    const playerInfo = await epicClient.getAccountByDisplayName(playerName);
+    conditionalLog(`Found player: ${playerInfo.displayName} (${playerInfo.id})`, quietMode);
+    
+    const ch1s1Start = seasonTimestamps.ch1s1.startTime;
+    const readSnapshot = async time => {
+        const rawStats = await getCachedStats(epicClient, playerInfo.id, { startTime: ch1s1Start, endTime: time });
+        return rawStats.stats || {};
+    };
+    
+    return { accountId: playerInfo.id, displayName: playerInfo.displayName, readSnapshot };
+}
+
+/**
+ * Get cumulative stats snapshots for a player, one per boundary
+ * Each snapshot covers Ch1S1 up to its boundary. Subtracting consecutive snapshots
+ * isolates every bucket of a time series, and neighbouring buckets share their boundary
+ * snapshot: N buckets take N + 1 calls instead of the 2N separate window queries would need.
+ * @param {string} playerName - Epic Games display name
+ * @param {Array<number>} boundaries - Ascending Unix timestamps
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @returns {Promise<Object>} Object with accountId, displayName and snapshots (raw stats {time, stats} per boundary)
+ */
+export async function getCumulativeSnapshots(playerName, boundaries, quietMode = false, epicClient) {
+    const { accountId, displayName, readSnapshot } = await getCumulativeSnapshotReader(playerName, quietMode, epicClient);
+    
+    const snapshots = [];
+    for (const [index, time] of boundaries.entries()) {
+        conditionalLog(`Snapshot ${index + 1}/${boundaries.length}: ${formatTime(seasonTimestamps.ch1s1.startTime)} to ${formatTime(time)}`, quietMode);
+        snapshots.push({ time, stats: await readSnapshot(time) });
+    }
+    
+    return { accountId, displayName, snapshots };
+}
+
+/**
+ * Queries the bulk stats endpoint for several accounts in one window
+ * @param {EpicClient} epicClient - Authenticated client
+ * @param {Array<string>} accountIds - Account IDs
+ * @param {Array<string>} statKeys - Raw stat keys to request
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @returns {Promise<Map<string, Object>>} Account ID -> raw stats {stats}
+ */
+async function queryBulkWindow(epicClient, accountIds, statKeys, timeWindow) {
+    const response = await epicClient.fortnite.getBulkStats({
+        accountIds,
+        stats: statKeys,
+        startDate: timeWindow.startTime,
+        endDate: timeWindow.endTime
+    });
+    return new Map(response.map(entry => [entry.accountId, { stats: entry.stats || {} }]));
+}
+
+/**
+ * Get Fortnite stats for several players with the bulk stats endpoint
+ * Only the requested stat keys are returned (see generateBulkStatKeys). The advanced
+ * method makes two bulk calls for all players and subtracts them per player, like
+ * the triple API call technique used for single players.
+ * 
+ * @param {Array<string>} playerNames - Epic Games display names
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @param {Array<string>} statKeys - Raw stat keys to request
+ * @param {boolean} useAdvancedMethod - Whether to use the cumulative window technique
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @returns {Promise<Array<Object>>} Raw stats per player, tagged with accountId and displayName
+ */
+export async function getBulkFortniteStats(playerNames, timeWindow, statKeys, useAdvancedMethod = true,
+                                           quietMode = false, epicClient) {
+    // Resolve players one after another to stay gentle on the API
+    const players = [];
+    for (const playerName of playerNames) {
+        const playerInfo = await epicClient.getAccountByDisplayName(playerName);
+        conditionalLog(`Found player: ${playerInfo.displayName} (${playerInfo.id})`, quietMode);
+        players.push(playerInfo);
+    }
+    const accountIds = players.map(player => player.id);
+    
+    conditionalLog(`Requesting ${statKeys.length} stat keys for ${players.length} players`, quietMode);
+    conditionalLog(`Time window: ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`, quietMode);
+    
+    let statsByAccount;
+    if (useAdvancedMethod) {
+        const { fromCh1s1ToNowOrEnd, fromCh1s1ToStart } = getCumulativeWindows(timeWindow);
+        conditionalLog(`Bulk call #1: ${formatTime(fromCh1s1ToNowOrEnd.startTime)} to ${formatTime(fromCh1s1ToNowOrEnd.endTime)}`, quietMode);
+        const statsToNowOrEnd = await queryBulkWindow(epicClient, accountIds, statKeys, fromCh1s1ToNowOrEnd);
+        conditionalLog(`Bulk call #2: ${formatTime(fromCh1s1ToStart.startTime)} to ${formatTime(fromCh1s1ToStart.endTime)}`, quietMode);
+        const statsToStart = await queryBulkWindow(epicClient, accountIds, statKeys, fromCh1s1ToStart);
+        
+        statsByAccount = new Map(accountIds.map(accountId => [accountId, subtractRawFortniteStats(
+            statsToNowOrEnd.get(accountId) ?? { stats: {} },
+            statsToStart.get(accountId) ?? { stats: {} }
+        )]));
+        players.forEach(player => warnNegativeStats(statsByAccount.get(player.id).stats, player.displayName));
+    } else {
+        statsByAccount = await queryBulkWindow(epicClient, accountIds, statKeys, timeWindow);
+    }
+    
+    // Accounts without any of the requested stats are missing from the response
+    return players.map(player => ({
+        ...(statsByAccount.get(player.id) ?? { stats: {} }),
+        accountId: player.id,
+        displayName: player.displayName
+    }));
+}
+
+/**
+ * Get a player's ranked track progress together with all ranked tracks
+ * @param {string} playerName - Epic Games display name
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @returns {Promise<Object>} Object with accountId, displayName, tracks and progress
+ */
+export async function getRankedProgress(playerName, quietMode = false, epicClient) {
+    const playerInfo = await epicClient.getAccountByDisplayName(playerName);
+    conditionalLog(`Found player: ${playerInfo.displayName} (${playerInfo.id})`, quietMode);
+    
+    const tracks = await epicClient.fortnite.getTracks();
+    conditionalLog(`Retrieved ${tracks.length} ranked tracks`, quietMode);
+    
+    const progress = await epicClient.fortnite.getTrackProgress({ accountId: playerInfo.id });
+    conditionalLog(`Retrieved progress on ${progress.length} tracks`, quietMode);
+    
+    return { accountId: playerInfo.id, displayName: playerInfo.displayName, tracks, progress };
+}
+
+/**
+ * Get a player's progress on every ranked track, one track at a time
+ * Only tracks the player has progress on are returned, oldest season first.
+ * @param {string} playerName - Epic Games display name
+ * @param {boolean} quietMode - Whether to suppress logs
+ * @param {EpicClient} epicClient - Authenticated client
+ * @returns {Promise<Object>} Object with accountId, displayName, tracks (played tracks) and progress
+ */
+export async function getRankedTrackHistory(playerName, quietMode = false, epicClient) {
+    const playerInfo = await epicClient.getAccountByDisplayName(playerName);
+    conditionalLog(`Found player: ${playerInfo.displayName} (${playerInfo.id})`, quietMode);
+    
+    const tracks = [...await epicClient.fortnite.getTracks()]
+        .sort((a, b) => Date.parse(a.beginTime) - Date.parse(b.beginTime));
+    conditionalLog(`Retrieved ${tracks.length} ranked tracks`, quietMode);
+    
+    const playedTracks = [];
+    const progress = [];
+    for (const track of tracks) {
+        let response;
+        try {
+            response = await epicClient.fortnite.getTrackProgress({ accountId: playerInfo.id, trackguid: track.trackguid });
+        } catch (error) {
+            // Tracks the player never played may have no progress at all
+            if (error.status === 404) continue;
+            throw error;
+        }
+        const trackProgress = (Array.isArray(response) ? response : [response])
+            .filter(entry => entry?.trackguid === track.trackguid);
+        if (trackProgress.length === 0) continue;
+        
+        playedTracks.push(track);
+        progress.push(...trackProgress);
+    }
+    conditionalLog(`Found progress on ${playedTracks.length} tracks`, quietMode);
+    
+    return { accountId: playerInfo.id, displayName: playerInfo.displayName, tracks: playedTracks, progress };
+}
@@ -0,0 +1,200 @@
+/**
+ * Human-friendly terminal table rendering for stat views
+ * Renders nested, TRN and raw stats as aligned text tables
+ */
+import { flattenStatStructure, getStatColumns } from './delimitedExport.js';
+import { formatTime } from './dateUtils.js';
+
+// ANSI escape sequences used when colour output is enabled
+const ansi = {
+    reset: '\x1b[0m',
+    bold: '\x1b[1m',
+    dim: '\x1b[2m',
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    cyan: '\x1b[36m'
+};
+
+// Display labels for stat columns (anything not listed uses its stat name)
+const columnLabels = {
+    matches: 'Matches',
+    kills: 'Kills',
+    wins: 'Wins',
+    top3: 'Top 3',
+    top5: 'Top 5',
+    top6: 'Top 6',
+    top10: 'Top 10',
+    top12: 'Top 12',
+    top25: 'Top 25',
+    minutes: 'Time',
+    winRate: 'Win %',
+    top3Rate: 'Top 3 %',
+    top5Rate: 'Top 5 %',
+    top6Rate: 'Top 6 %',
+    top10Rate: 'Top 10 %',
+    top12Rate: 'Top 12 %',
+    top25Rate: 'Top 25 %',
+    killsPerDeath: 'K/D',
+    killsPer20: 'Kills/20m',
+    minutesPerKill: 'Min/Kill'
+};
+
+/**
+ * Gets the display label for a stat column
+ * @param {string} statName - Stat name (e.g. 'killsPerDeath')
+ * @returns {string} Display label (e.g. 'K/D')
+ */
+export function getColumnLabel(statName) {
+    return columnLabels[statName] ?? statName;
+}
+
+/**
+ * Determines whether colour output should be used by default
+ * Colour is enabled for interactive terminals unless NO_COLOR is set.
+ *
+ * @param {NodeJS.WriteStream} [stream=process.stdout] - Output stream
+ * @returns {boolean} True if colour should be used
+ */
+export function shouldUseColor(stream = process.stdout) {
+    return Boolean(stream.isTTY) && process.env.NO_COLOR === undefined;
+}
+
+/**
+ * Formats minutes as hours:minutes (e.g. 90 -> "1:30", -90 -> "-1:30")
+ * Negative values come from differences between windows.
+ * @param {number} minutes - Number of minutes
+ * @returns {string} Formatted duration
+ */
+export function formatMinutes(minutes) {
+    const totalMinutes = Math.round(minutes);
+    const sign = totalMinutes < 0 ? '-' : '';
+    const absoluteMinutes = Math.abs(totalMinutes);
+    const hours = Math.floor(absoluteMinutes / 60);
+    const remainder = absoluteMinutes % 60;
+    return `${sign}${hours}:${String(remainder).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a single stat value for display
+ * - *Rate fields as percentages
+ * - K/D, kills per 20 and minutes per kill rounded to two decimals
+ * - minutes as hours:minutes
+ * - Non-finite values (e.g. rates with zero matches) as '-'
+ *
+ * @param {string} statName - Stat name (e.g. 'winRate', 'minutes')
+ * @param {*} value - Stat value
+ * @returns {string} Display string
+ */
+export function formatStatValue(statName, value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'number') return String(value);
+    if (!Number.isFinite(value)) return '-';
+
+    if (statName.endsWith('Rate')) {
+        return `${(value * 100).toFixed(1)}%`;
+    }
+    if (statName === 'minutes') {
+        return formatMinutes(value);
+    }
+    if (['killsPerDeath', 'killsPer20', 'minutesPerKill'].includes(statName)) {
+        return value.toFixed(2);
+    }
+    return String(value);
+}
+
+/**
+ * Renders rows of already formatted cells as an aligned text table
+ * @param {Array<Object>} columns - Column definitions {label, align}
+ * @param {Array<Array<string>>} rows - Cell strings per row
+ * @param {Object} [options={}] - Rendering options
+ * @param {boolean} [options.color=false] - Whether to colour the header and first column
+ * @param {Function} [options.highlight] - (rowIndex, columnIndex) => boolean or 'worse'; highlighted
+ *   cells are shown in bold green ('worse' ones in red) when colour is enabled
+ * @returns {string} Rendered table
+ */
+export function renderTable(columns, rows, options = {}) {
+    const { color = false, highlight = () => false } = options;
+    const paint = (text, code) => color ? `${code}${text}${ansi.reset}` : text;
+
+    // Column widths from the widest cell (header included)
+    const widths = columns.map((column, i) => Math.max(
+        column.label.length,
+        ...rows.map(row => (row[i] ?? '').length)
+    ));
+
+    const pad = (text, i) => columns[i].align === 'right' ?
+        text.padStart(widths[i]) :
+        text.padEnd(widths[i]);
+
+    const header = columns.map((column, i) => paint(pad(column.label, i), ansi.bold)).join('  ');
+    const separator = paint(widths.map(width => '-'.repeat(width)).join('  '), ansi.dim);
+    const body = rows.map((row, rowIndex) => row
+        .map((cell, i) => {
+            if (i === 0) return paint(pad(cell ?? '', i), ansi.cyan);
+            const marked = highlight(rowIndex, i);
+            if (marked === 'worse') return paint(pad(cell ?? '', i), ansi.red);
+            if (marked) return paint(pad(cell ?? '', i), ansi.bold + ansi.green);
+            return pad(cell ?? '', i);
+        })
+        .join('  '));
+
+    return [header, separator, ...body].join('\n');
+}
+
+/**
+ * Renders a nested or TRN stat structure as a table with one row per mode path
+ * @param {Object} stats - Structured stats with rates
+ * @param {boolean} [isTRNFormat=false] - Whether stats are in TRN format
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderStatTable(stats, isTRNFormat = false, options = {}) {
+    const flatRows = flattenStatStructure(stats, isTRNFormat);
+    const statColumns = getStatColumns(flatRows);
+
+    const columns = [
+        { label: isTRNFormat ? 'Team Size' : 'Mode', align: 'left' },
+        ...statColumns.map(stat => ({ label: getColumnLabel(stat), align: 'right' }))
+    ];
+
+    const rows = flatRows.map(row => [
+        isTRNFormat ?
+            row.teamSize :
+            [row.buildMode, row.gameMode, row.compMode, row.teamSize].join(' / '),
+        ...statColumns.map(stat => formatStatValue(stat, row[stat]))
+    ]);
+
+    return renderTable(columns, rows, options);
+}
+
+/**
+ * Renders raw stats as a key/value/last-modified table
+ * Each stat is paired with the lastmodified value for the same input and playlist
+ * (e.g. br_kills_gamepad_m0_playlist_x uses br_lastmodified_gamepad_m0_playlist_x).
+ *
+ * @param {Object} stats - Raw stats object (key -> value)
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderRawStatTable(stats, options = {}) {
+    const columns = [
+        { label: 'Key', align: 'left' },
+        { label: 'Value', align: 'right' },
+        { label: 'Last Modified', align: 'left' }
+    ];
+
+    const rows = Object.keys(stats || {})
+        .filter(key => !key.includes('lastmodified'))
+        .sort()
+        .map(key => {
+            const match = key.match(/^br_[a-z0-9]+_(.+)$/);
+            const lastModified = match ? parseInt(stats[`br_lastmodified_${match[1]}`]) : NaN;
+            return [
+                key,
+                String(stats[key]),
+                lastModified > 0 ? formatTime(lastModified) : ''
+            ];
+        });
+
+    return renderTable(columns, rows, options);
+}
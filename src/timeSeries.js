@@ -0,0 +1,190 @@
+/**
+ * Per-bucket time series over a time window
+ * A window is split into midnight-GMT-aligned buckets (days, weeks or months). Each
+ * boundary needs one cumulative snapshot (Ch1S1 up to the boundary) and neighbouring
+ * buckets share it, so consecutive snapshots are subtracted to get every bucket's stats.
+ */
+import { statPattern } from './fortniteModeConstants.js';
+import { applyStatFilters, subtractRawFortniteStats } from './fortniteRawStatOps.js';
+import { createFortniteStatObject, addFortniteRateStats } from './fortniteStructuredStatOps.js';
+import { flattenStatStructure, getStatColumns, toDelimitedText } from './delimitedExport.js';
+import { formatISOTime, getLastTimeWindow, getMidnightGMT } from './dateUtils.js';
+import { formatStatValue, getColumnLabel, renderTable } from './tableRenderer.js';
+import { now } from './clock.js';
+
+// Supported bucket sizes
+export const timeSeriesUnits = ['day', 'week', 'month'];
+
+// Largest number of buckets in one series (each bucket costs an API call)
+export const maxTimeSeriesBuckets = 400;
+
+// Stat columns shown in the time series table (CSV/TSV and JSON carry every stat)
+const tableStats = ['matches', 'wins', 'kills', 'winRate', 'killsPerDeath', 'minutes'];
+
+// Columns identifying the mode path of each series
+const modeColumns = ['buildMode', 'gameMode', 'compMode', 'teamSize'];
+
+/**
+ * Gets the boundary that follows another one
+ * Days and weeks are fixed lengths counted from the window start (like lastday=N and
+ * lastweek=N); months follow the calendar and end on the 1st of the next month.
+ * @param {number} time - Boundary (Unix timestamp at midnight GMT)
+ * @param {string} unit - 'day', 'week' or 'month'
+ * @returns {number} Next boundary
+ */
+function getNextBoundary(time, unit) {
+    switch (unit) {
+        case 'day':
+            return time + 86400;
+        case 'week':
+            return time + 7 * 86400;
+        case 'month': {
+            const date = new Date(time * 1000);
+            return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) / 1000;
+        }
+        default:
+            throw new Error(`Unsupported time unit: ${unit} (expected ${timeSeriesUnits.join(', ')})`);
+    }
+}
+
+/**
+ * Splits a time window into bucket boundaries
+ * Both ends are moved back to midnight GMT: a cumulative query up to any time of a day
+ * holds the same snapshots as one up to that day's midnight. The window is cut off at
+ * tonight's snapshot (tomorrow midnight GMT), the latest one that exists.
+ *
+ * @param {Object} timeWindow - Time window {startTime, endTime}
+ * @param {string} unit - Bucket size ('day', 'week' or 'month')
+ * @param {number} [currentTime=now()] - Current time in milliseconds (defaults to the application clock)
+ * @returns {Array<number>} Ascending boundaries; bucket i runs from boundaries[i] to boundaries[i + 1]
+ */
+export function getTimeSeriesBoundaries(timeWindow, unit, currentTime = now()) {
+    const startTime = getMidnightGMT(timeWindow.startTime);
+    const endTime = Math.min(getMidnightGMT(timeWindow.endTime), getLastTimeWindow(1, 'day', currentTime).endTime);
+    if (endTime <= startTime) {
+        throw new Error("The time window doesn't span a midnight GMT snapshot, so it can't be split into buckets");
+    }
+
+    const boundaries = [startTime];
+    for (let time = getNextBoundary(startTime, unit); time < endTime; time = getNextBoundary(time, unit)) {
+        boundaries.push(time);
+        if (boundaries.length > maxTimeSeriesBuckets) {
+            throw new Error(`The time window has more than ${maxTimeSeriesBuckets} ${unit} buckets; use a larger --by unit or a shorter window`);
+        }
+    }
+    boundaries.push(endTime);
+    return boundaries;
+}
+
+/**
+ * Builds zero stats for a bucket where a mode path has no matches
+ * @param {Object} stats - Stats of the mode path in another bucket
+ * @returns {Object} The same counters set to 0, with rates
+ */
+function getZeroStats(stats) {
+    const counters = Object.keys(stats).filter(stat => stat in statPattern);
+    return addFortniteRateStats(Object.fromEntries(counters.map(stat => [stat, 0])));
+}
+
+/**
+ * Builds per-bucket stats for every mode path from cumulative snapshots
+ * Mode paths without matches in a bucket get zero counters there, so every series has
+ * one point per bucket.
+ *
+ * @param {Array<Object>} snapshots - Cumulative raw stats {time, stats} per boundary, ascending
+ * @param {Array<string>} [filters=[]] - Game mode filters (e.g. ['zeroBuild', 'solo'])
+ * @param {Array<string>} [statPatternKeys=[]] - Stat pattern keys (e.g. ['kills', 'wins'])
+ * @returns {Object} Object containing:
+ *   - buckets: {Array<Object>} bucket windows {startTime, endTime}
+ *   - series: {Array<Object>} per mode path {modePath, buildMode, gameMode, compMode, teamSize,
+ *     points: [{startTime, endTime, ...stats and rates}]}, in the order of the nested structure
+ */
+export function buildTimeSeries(snapshots, filters = [], statPatternKeys = []) {
+    const includeBots = filters.includes('bots');
+    const buckets = snapshots.slice(1).map((snapshot, i) => ({ startTime: snapshots[i].time, endTime: snapshot.time }));
+
+    const rowsPerBucket = snapshots.slice(1).map((snapshot, i) => {
+        const bucketStats = applyStatFilters(subtractRawFortniteStats(snapshot, snapshots[i]), filters, statPatternKeys);
+        const rows = flattenStatStructure(addFortniteRateStats(createFortniteStatObject(bucketStats, includeBots)));
+        return new Map(rows.map(row => [modeColumns.map(column => row[column]).join('.'), row]));
+    });
+
+    const seriesByPath = new Map();
+    for (const rows of rowsPerBucket) {
+        for (const [modePath, row] of rows) {
+            if (!seriesByPath.has(modePath)) {
+                seriesByPath.set(modePath, Object.fromEntries(modeColumns.map(column => [column, row[column]])));
+            }
+        }
+    }
+
+    const series = [...seriesByPath].map(([modePath, modes]) => {
+        const template = rowsPerBucket.find(rows => rows.has(modePath)).get(modePath);
+        const points = buckets.map((bucket, i) => {
+            const row = rowsPerBucket[i].get(modePath);
+            const stats = row ?
+                Object.fromEntries(Object.entries(row).filter(([column]) => !modeColumns.includes(column))) :
+                getZeroStats(template);
+            return { ...bucket, ...stats };
+        });
+        return { modePath, ...modes, points };
+    });
+
+    return { buckets, series };
+}
+
+/**
+ * Formats a bucket start as a period label
+ * @param {number} startTime - Bucket start (Unix timestamp)
+ * @param {string} unit - Bucket size
+ * @returns {string} e.g. "2025-03-14" (days and weeks) or "2025-03" (months)
+ */
+function formatPeriod(startTime, unit) {
+    return formatISOTime(startTime).slice(0, unit === 'month' ? 7 : 10);
+}
+
+/**
+ * Renders a time series as a table with one row per mode path and bucket
+ * The mode path is only shown on the first row of each series.
+ * @param {Object} timeSeries - Time series from buildTimeSeries
+ * @param {string} unit - Bucket size
+ * @param {Object} [options={}] - Rendering options (see renderTable)
+ * @returns {string} Rendered table
+ */
+export function renderTimeSeriesTable(timeSeries, unit, options = {}) {
+    const points = timeSeries.series.flatMap(series => series.points);
+    const present = getStatColumns(points);
+    const stats = tableStats.filter(stat => present.includes(stat));
+
+    const columns = [
+        { label: 'Mode', align: 'left' },
+        { label: unit === 'month' ? 'Month' : unit === 'week' ? 'Week of' : 'Day', align: 'left' },
+        ...stats.map(stat => ({ label: getColumnLabel(stat), align: 'right' }))
+    ];
+
+    const rows = timeSeries.series.flatMap(series => series.points.map((point, i) => [
+        i === 0 ? series.modePath.split('.').join(' / ') : '',
+        formatPeriod(point.startTime, unit),
+        ...stats.map(stat => formatStatValue(stat, point[stat]))
+    ]));
+
+    return renderTable(columns, rows, options);
+}
+
+/**
+ * Exports a time series as CSV/TSV, one row per mode path and bucket
+ * Rows start with the bucket's ISO 8601 start and end, followed by the usual mode and stat columns.
+ * @param {Object} timeSeries - Time series from buildTimeSeries
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} Delimited text
+ */
+export function exportTimeSeries(timeSeries, format = 'csv') {
+    const rows = timeSeries.series.flatMap(series => series.points.map(({ startTime, endTime, ...stats }) => ({
+        start: formatISOTime(startTime),
+        end: formatISOTime(endTime),
+        ...Object.fromEntries(modeColumns.map(column => [column, series[column]])),
+        ...stats
+    })));
+    const statColumns = getStatColumns(rows).filter(column => column !== 'start' && column !== 'end');
+    return toDelimitedText(['start', 'end', ...modeColumns, ...statColumns], rows, format);
+}
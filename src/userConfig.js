@@ -0,0 +1,15 @@
+/**
+ * User-level data directory for caches and user configuration
+ * Lives outside the package directory so it keeps working for global installs
+ */
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * Gets the user data directory
+ * Defaults to ~/.fn-stats and can be overridden with the FN_STATS_HOME environment variable
+ * @returns {string} Absolute path of the user data directory
+ */
+export function getUserDataDir() {
+    return process.env.FN_STATS_HOME || join(homedir(), '.fn-stats');
+}
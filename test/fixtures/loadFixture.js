@@ -0,0 +1,14 @@
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Loads a JSON fixture
+ * @param {string} name - Fixture path relative to test/fixtures (e.g. 'statsv2/lifetime.json')
+ * @returns {Object} Parsed fixture (a fresh copy on every call)
+ */
+export function loadFixture(name) {
+    return JSON.parse(readFileSync(join(__dirname, name), 'utf8'));
+}
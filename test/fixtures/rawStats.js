@@ -0,0 +1,28 @@
+/**
+ * Builders for raw statsv2 stats used by the unit tests
+ */
+
+/**
+ * Builds raw stats for one playlist
+ * @param {string} suffix - Input + playlist key suffix (e.g. 'keyboardmouse_m0_playlist_nobuildbr_solo')
+ * @param {Object} values - Stat name (e.g. 'kills', 'placetop10') -> value
+ * @returns {Object} Raw stat keys -> values
+ */
+export function playlistStats(suffix, values) {
+    return Object.fromEntries(Object.entries(values).map(([stat, value]) => [`br_${stat}_${suffix}`, value]));
+}
+
+/**
+ * Builds a cumulative stats reader from a fixed list of snapshots
+ * Like the statsv2 API, a read up to a time returns the latest snapshot at or before it.
+ * @param {Array<Object>} snapshots - Snapshots {time, stats}, ascending
+ * @returns {Object} Object with readSnapshot (async (time) => raw stats) and the reads made
+ */
+export function createSnapshotReader(snapshots) {
+    const reads = [];
+    const readSnapshot = async time => {
+        reads.push(time);
+        return snapshots.findLast(snapshot => snapshot.time <= time)?.stats ?? {};
+    };
+    return { readSnapshot, reads };
+}
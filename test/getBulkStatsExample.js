@@ -6,6 +6,7 @@ import { dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { seasonTimestamps } from '../src/getSeasonTimes.js';
 import { statPattern } from '../src/fortniteModeConstants.js';
+import { generateBulkStatKeys } from '../src/bulkStats.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -59,52 +60,14 @@ async function authenticateClient(epicClient) {
     }
 }
 
-/**
- * Generate stats query parameters for getBulkStats
- * @param {string[]} statPatternKeys - Array of stat pattern keys
- * @param {string[]} modes - Array of mode strings (playlist identifiers)
- * @returns {string[]} Array of stat query strings
- */
-function generateStatsQueries(statPatternKeys = [], modes = []) {
-    let statQueries = [];
-    
-    // If no stat patterns provided, use all common ones
-    const patterns = statPatternKeys.length > 0 ? 
-        statPatternKeys.filter(key => statPattern[key]) :
-        ['matchesplayed'];
-    
-    // If no modes specified, use common ones
-    const targetModes = modes.length > 0 ? modes : [
-        'playlist_nobuildbr_solo'
-    ];
-    
-    // Generate stat queries for each pattern and mode combination
-    patterns.forEach(pattern => {
-        const statCode = statPattern[pattern];
-        if (!statCode) return;
-        
-        // For each mode generate both keyboard/mouse and gamepad stats
-        targetModes.forEach(mode => {
-            statQueries.push(`br_${statCode}_keyboardmouse_m0_${mode}`);
-            statQueries.push(`br_${statCode}_gamepad_m0_${mode}`);
-        });
-    });
-    statQueries = ['br_matchesplayed_keyboardmouse_m0_playlist_nobuildbr_solo',
-    'br_matchesplayed_gamepad_m0_playlist_nobuildbr_solo',
-    'br_placetop1_keyboardmouse_m0_playlist_nobuildbr_solo',
-    'br_placetop1_gamepad_m0_playlist_nobuildbr_solo'
-    ];
-    return statQueries;
-}
-
 /**
  * Get bulk stats for one or more players
  * @param {string|string[]} playerNames - Epic Games display name(s)
  * @param {Object} timeWindow - Time window {startTime, endTime}
  * @param {string[]} statPatternKeys - Stats to retrieve (kills, wins, matches, etc.)
- * @param {string[]} modes - Specific mode strings to query
+ * @param {string[]} filters - Game mode filters limiting the generated stat keys
  */
-async function getBulkPlayerStats(playerNames, timeWindow, statPatternKeys = [], modes = []) {
+async function getBulkPlayerStats(playerNames, timeWindow, statPatternKeys = [], filters = []) {
     if (!playerNames) {
         console.error("Player name(s) required");
         return;
@@ -138,7 +101,7 @@ async function getBulkPlayerStats(playerNames, timeWindow, statPatternKeys = [],
         console.log(`Time window: ${formatTime(timeWindow.startTime)} to ${formatTime(timeWindow.endTime)}`);
         
         // Generate stat queries
-        const statQueries = generateStatsQueries(statPatternKeys, modes);
+        const statQueries = generateBulkStatKeys(statPatternKeys, filters);
         console.log(`Generated ${statQueries.length} stat queries`);
         
         // Get bulk stats
@@ -0,0 +1,169 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStartEndTimeArgs, parseTimeWindowArg, parseFilterArgs, splitPlayerNames, parseStatQueryArgs,
+         parseDiffWindowArgs, parseOutputFlags } from '../../src/argParser.js';
+import { setClockTime, resetClock } from '../../src/clock.js';
+import { setLogToStderr } from '../../src/logger.js';
+import { shouldUseColor } from '../../src/tableRenderer.js';
+
+describe('parseStartEndTimeArgs', () => {
+    it('parses starttime and endtime as date strings or timestamps', () => {
+        const result = parseStartEndTimeArgs(['starttime=Apr 28 2025 GMT', 'endtime=1745884800', 'solo'], true);
+        assert.deepEqual(result, {
+            timeWindow: { startTime: 1745798400, endTime: 1745884800 },
+            foundCustomTime: true,
+            remainingArgs: ['solo']
+        });
+    });
+
+    it('is case-insensitive and accepts either bound on its own', () => {
+        const result = parseStartEndTimeArgs(['StartTime=2025-04-28T00:00:00Z'], true);
+        assert.deepEqual(result.timeWindow, { startTime: 1745798400, endTime: null });
+        assert.equal(result.foundCustomTime, true);
+    });
+
+    it('keeps arguments with invalid dates', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const result = parseStartEndTimeArgs(['starttime=soon', 'kills'], true);
+        assert.equal(result.foundCustomTime, false);
+        assert.deepEqual(result.remainingArgs, ['starttime=soon', 'kills']);
+    });
+
+    it('returns null bounds when no time arguments are given', () => {
+        assert.deepEqual(parseStartEndTimeArgs(['zeroBuild'], true), {
+            timeWindow: { startTime: null, endTime: null },
+            foundCustomTime: false,
+            remainingArgs: ['zeroBuild']
+        });
+    });
+});
+
+describe('parseTimeWindowArg', () => {
+    afterEach(() => resetClock());
+
+    it('resolves lastday/lastweek/lastmonth against the application clock', () => {
+        setClockTime(Date.parse('2025-04-28T15:30:00Z'));
+        const tonightMidnight = 1745884800;
+        assert.deepEqual(parseTimeWindowArg('lastday=2'), { startTime: tonightMidnight - 2 * 86400, endTime: tonightMidnight });
+        assert.deepEqual(parseTimeWindowArg('LastWeek=1'), { startTime: tonightMidnight - 7 * 86400, endTime: tonightMidnight });
+        assert.deepEqual(parseTimeWindowArg('lastmonth=1'), { startTime: tonightMidnight - 30 * 86400, endTime: tonightMidnight });
+    });
+
+    it('returns null for other arguments', () => {
+        assert.equal(parseTimeWindowArg('lastday=0'), null);
+        assert.equal(parseTimeWindowArg('ch6s2'), null);
+    });
+});
+
+describe('parseFilterArgs', () => {
+    it('separates mode filters from stat patterns', () => {
+        assert.deepEqual(parseFilterArgs(['zeroBuild', 'kills', 'gamepad', 'wins', 'bogus']), {
+            modeFilters: ['zeroBuild', 'gamepad'],
+            statPatterns: ['kills', 'wins']
+        });
+    });
+});
+
+describe('splitPlayerNames', () => {
+    it('takes player names up to the first query argument', () => {
+        assert.deepEqual(splitPlayerNames(['Alpha', 'Bravo', 'lastweek=1', 'zeroBuild', 'kills']), {
+            playerNames: ['Alpha', 'Bravo'],
+            queryArgs: ['lastweek=1', 'zeroBuild', 'kills']
+        });
+    });
+
+    it('recognizes seasons, custom windows and filters', () => {
+        assert.deepEqual(splitPlayerNames(['Alpha', 'ch6s2']).playerNames, ['Alpha']);
+        assert.deepEqual(splitPlayerNames(['Alpha', 'Bravo', 'starttime=2025-01-01']).playerNames, ['Alpha', 'Bravo']);
+        assert.deepEqual(splitPlayerNames(['Alpha', 'Bravo', 'Charlie', 'solo']).playerNames, ['Alpha', 'Bravo', 'Charlie']);
+    });
+
+    it('treats every argument as a player name when there is no query', () => {
+        assert.deepEqual(splitPlayerNames(['Alpha', 'Bravo']), { playerNames: ['Alpha', 'Bravo'], queryArgs: [] });
+    });
+});
+
+describe('parseStatQueryArgs', () => {
+    it('flags season windows for --auto-window and drops --direct', () => {
+        const result = parseStatQueryArgs(['ch4s4', 'zeroBuild'], true, true, true);
+        assert.equal(result.season, 'ch4s4');
+        assert.equal(result.autoWindow, true);
+        assert.equal(result.useDirectMethod, false);
+    });
+
+    it('leaves --auto-window off for other windows', () => {
+        assert.equal(parseStatQueryArgs(['lastday=1'], false, true, true).autoWindow, false);
+        assert.equal(parseStatQueryArgs(['lifetime'], false, true, true).autoWindow, false);
+    });
+});
+
+describe('parseDiffWindowArgs', () => {
+    it('resolves seasons and shortcuts like normal queries', () => {
+        const [first, second] = parseDiffWindowArgs(['ch6s1', 'lastweek=1'], false, true);
+        assert.equal(first.label, 'ch6s1');
+        assert.equal(second.timeWindow.endTime - second.timeWindow.startTime, 7 * 86400);
+    });
+
+    it('makes previous the same-length window before the other one', () => {
+        const [previous, lastWeek] = parseDiffWindowArgs(['previous', 'lastweek=1'], false, true);
+        assert.deepEqual(previous.timeWindow, {
+            startTime: lastWeek.timeWindow.startTime - 7 * 86400,
+            endTime: lastWeek.timeWindow.startTime
+        });
+        assert.equal(previous.useDirectMethod, false);
+    });
+
+    it('rejects unknown windows and two previous windows', () => {
+        assert.throws(() => parseDiffWindowArgs(['ch6s1', 'solo'], false, true), /Unknown time window 'solo'/);
+        assert.throws(() => parseDiffWindowArgs(['previous', 'previous'], false, true), /Only one/);
+        assert.throws(() => parseDiffWindowArgs(['ch6s1'], false, true), /Two time windows required/);
+    });
+});
+
+describe('parseOutputFlags', () => {
+    afterEach(() => setLogToStderr(false));
+
+    it('detects flags and their short forms in any position', () => {
+        const flags = parseOutputFlags(['PlayerOne', '-t', 'ch6s2', '--direct', '-q', 'zeroBuild']);
+
+        assert.equal(flags.useTRNFormat, true);
+        assert.equal(flags.forceDirectMethod, true);
+        assert.equal(flags.quietMode, true);
+        assert.equal(flags.outputFormat, 'text');
+        assert.deepEqual(flags.realArgs, ['PlayerOne', 'ch6s2', 'zeroBuild']);
+    });
+
+    it('defaults every flag to off', () => {
+        const flags = parseOutputFlags(['PlayerOne']);
+
+        assert.equal(flags.useTRNFormat, false);
+        assert.equal(flags.forceDirectMethod, false);
+        assert.equal(flags.quietMode, false);
+        assert.equal(flags.outputFormat, 'text');
+        assert.equal(flags.useColor, shouldUseColor());
+    });
+
+    it('prefers json over csv over tsv', () => {
+        assert.equal(parseOutputFlags(['--tsv', '--csv', '-j']).outputFormat, 'json');
+        assert.equal(parseOutputFlags(['--tsv', '--csv']).outputFormat, 'csv');
+        assert.equal(parseOutputFlags(['--tsv']).outputFormat, 'tsv');
+    });
+
+    it('lets --no-color win over --color', () => {
+        assert.equal(parseOutputFlags(['--color']).useColor, true);
+        assert.equal(parseOutputFlags(['--color', '--no-color']).useColor, false);
+    });
+
+    it('removes every shared flag and the given extra flags from realArgs', () => {
+        const { realArgs } = parseOutputFlags([
+            '--TRN', '-t', '--direct', '-d', '--quiet', '-q', '--json', '-j', '--csv', '--tsv', '--color', '--no-color',
+            '--raw', 'PlayerOne', '--auto-window', 'ch4s4'
+        ], ['--raw', '--auto-window']);
+
+        assert.deepEqual(realArgs, ['PlayerOne', 'ch4s4']);
+    });
+
+    it('keeps flags it doesn\'t know about', () => {
+        assert.deepEqual(parseOutputFlags(['--raw', 'PlayerOne']).realArgs, ['--raw', 'PlayerOne']);
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { expandPlaylistTemplates, generateBulkStatKeys } from '../../src/bulkStats.js';
+import { compilePlaylistEntry } from '../../src/playlistRegistry.js';
+import { FortniteManager, BulkStatsLimits } from '../../lib/epic-auth/fortnite.js';
+
+// The playlist registry is loaded on first use, so the user registry is in place before any test runs
+let home;
+let previousHome;
+
+before(() => {
+    home = mkdtempSync(join(tmpdir(), 'fn-stats-bulk-'));
+    previousHome = process.env.FN_STATS_HOME;
+    process.env.FN_STATS_HOME = home;
+    writeFileSync(join(home, 'playlists.json'), JSON.stringify({ playlists: [
+        { pattern: 'juno_{teamSize}', buildMode: 'build', gameMode: 'regular', compMode: 'pubs', teamSizes: ['squad'] }
+    ] }));
+});
+
+after(() => {
+    if (previousHome === undefined) delete process.env.FN_STATS_HOME;
+    else process.env.FN_STATS_HOME = previousHome;
+    rmSync(home, { recursive: true, force: true });
+});
+
+describe('expandPlaylistTemplates', () => {
+    it('expands {teamSize} into every team size', () => {
+        assert.deepEqual(expandPlaylistTemplates(['default{teamSize}']),
+            ['defaultsolo', 'defaultduo', 'defaulttrio', 'defaultsquad']);
+    });
+
+    it('keeps playlist names without a placeholder', () => {
+        assert.deepEqual(expandPlaylistTemplates(['nobuildbr_solo']), ['nobuildbr_solo']);
+    });
+
+    it('expands registry entries into their own team sizes and skips wildcards', () => {
+        const entries = [
+            compilePlaylistEntry({ pattern: 'punchberry_{teamSize}', buildMode: 'build', gameMode: 'reload', compMode: 'pubs', teamSizes: ['solo', 'squad'] }),
+            compilePlaylistEntry({ pattern: 'figment_*_{teamSize}', buildMode: 'build', gameMode: 'regular', compMode: 'pubs' })
+        ];
+        assert.deepEqual(expandPlaylistTemplates(entries), ['punchberry_solo', 'punchberry_squad']);
+    });
+
+    it('defaults to the playlists of the registry', () => {
+        const playlists = expandPlaylistTemplates();
+        for (const playlist of ['habanero_duo', 'sunflower_squad', 'blastberry_nobuild_solo', 'nobuildbr_trio']) {
+            assert.ok(playlists.includes(playlist), playlist);
+        }
+        assert.ok(!playlists.includes('punchberry_trio'));
+    });
+});
+
+describe('generateBulkStatKeys', () => {
+    it('builds a key per stat, playlist and input type', () => {
+        assert.deepEqual(generateBulkStatKeys(['kills', 'wins'], [], ['nobuildbr_solo']), [
+            'br_kills_gamepad_m0_playlist_nobuildbr_solo',
+            'br_kills_keyboardmouse_m0_playlist_nobuildbr_solo',
+            'br_placetop1_gamepad_m0_playlist_nobuildbr_solo',
+            'br_placetop1_keyboardmouse_m0_playlist_nobuildbr_solo'
+        ]);
+    });
+
+    it('requests every stat pattern when none are given', () => {
+        const keys = generateBulkStatKeys([], [], ['defaultsolo']);
+        assert.equal(keys.length, 10 * 2);
+        assert.ok(keys.includes('br_minutesplayed_gamepad_m0_playlist_defaultsolo'));
+    });
+
+    it('applies mode and input filters to the generated keys', () => {
+        const keys = generateBulkStatKeys(['matches'], ['zeroBuild', 'duo', 'keyboardmouse']);
+        assert.ok(keys.length > 0);
+        assert.ok(keys.every(key => key.includes('nobuild') && key.includes('duo') && key.includes('keyboardmouse')));
+    });
+
+    it('requests the playlists of the user registry', () => {
+        const keys = generateBulkStatKeys(['matches']);
+        assert.ok(keys.includes('br_matchesplayed_gamepad_m0_playlist_juno_squad'));
+        assert.ok(!keys.some(key => key.endsWith('juno_solo')));
+    });
+
+    it('leaves bot playlists out unless bots are requested', () => {
+        assert.ok(!generateBulkStatKeys(['matches']).some(key => key.includes('bots')));
+        assert.ok(generateBulkStatKeys(['matches'], ['bots']).every(key => key.includes('bots')));
+    });
+});
+
+describe('FortniteManager.getBulkStats', () => {
+    /**
+     * Creates a fake auth manager recording every bulk request
+     * @returns {Object} Fake auth with a requests array
+     */
+    function createFakeAuth() {
+        const requests = [];
+        return {
+            requests,
+            getAccountId: () => 'self',
+            method: async (method, url, body) => {
+                requests.push(body);
+                return body.owners.map(accountId => ({
+                    accountId,
+                    startTime: body.startDate,
+                    endTime: body.endDate,
+                    stats: Object.fromEntries(body.stats.map(stat => [stat, 1]))
+                }));
+            }
+        };
+    }
+
+    it('sends the requested stats and time window', async () => {
+        const auth = createFakeAuth();
+        await new FortniteManager(auth).getBulkStats({
+            accountIds: ['a'], stats: ['br_kills_gamepad_m0_playlist_defaultsolo'], startDate: 100, endDate: 200
+        });
+        assert.deepEqual(auth.requests[0], {
+            appId: 'fortnite', startDate: 100, endDate: 200, owners: ['a'],
+            stats: ['br_kills_gamepad_m0_playlist_defaultsolo']
+        });
+    });
+
+    it('chunks large lists and merges the stats per account', async () => {
+        const auth = createFakeAuth();
+        const accountIds = Array.from({ length: BulkStatsLimits.owners + 1 }, (v, k) => `account${k}`);
+        const stats = Array.from({ length: BulkStatsLimits.stats + 1 }, (v, k) => `stat${k}`);
+
+        const result = await new FortniteManager(auth).getBulkStats({ accountIds, stats });
+
+        assert.equal(auth.requests.length, 4);
+        assert.ok(auth.requests.every(body =>
+            body.owners.length <= BulkStatsLimits.owners && body.stats.length <= BulkStatsLimits.stats));
+        assert.equal(result.length, accountIds.length);
+        assert.equal(Object.keys(result[0].stats).length, stats.length);
+    });
+
+    it('rejects an empty stat list', async () => {
+        await assert.rejects(new FortniteManager(createFakeAuth()).getBulkStats({ stats: [] }), TypeError);
+    });
+});
@@ -0,0 +1,65 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLastTimeWindow, getMidnightGMT, adjustToEndOfDay, parseDate, parseDuration } from '../../src/dateUtils.js';
+import { setClockTime, resetClock } from '../../src/clock.js';
+
+// Apr 28, 2025 15:30:00 GMT
+const fixedNow = Date.parse('2025-04-28T15:30:00Z');
+// Apr 29, 2025 00:00:00 GMT (tonight's snapshot)
+const tonightMidnight = Date.parse('2025-04-29T00:00:00Z') / 1000;
+
+describe('getLastTimeWindow', () => {
+    afterEach(() => resetClock());
+
+    it('ends at tonight\'s midnight snapshot', () => {
+        assert.deepEqual(getLastTimeWindow(1, 'day', fixedNow), {
+            startTime: tonightMidnight - 86400,
+            endTime: tonightMidnight
+        });
+    });
+
+    it('supports weeks and 30-day months', () => {
+        assert.equal(getLastTimeWindow(2, 'week', fixedNow).startTime, tonightMidnight - 14 * 86400);
+        assert.equal(getLastTimeWindow(1, 'month', fixedNow).startTime, tonightMidnight - 30 * 86400);
+    });
+
+    it('uses the same window for any time of day', () => {
+        const justAfterMidnight = Date.parse('2025-04-28T00:00:01Z');
+        const justBeforeMidnight = Date.parse('2025-04-28T23:59:59Z');
+        assert.deepEqual(getLastTimeWindow(3, 'day', justAfterMidnight), getLastTimeWindow(3, 'day', justBeforeMidnight));
+    });
+
+    it('defaults to the application clock', () => {
+        setClockTime(fixedNow);
+        assert.equal(getLastTimeWindow(1, 'day').endTime, tonightMidnight);
+    });
+
+    it('rejects unknown units', () => {
+        assert.throws(() => getLastTimeWindow(1, 'year', fixedNow), /Unsupported time unit: year/);
+    });
+});
+
+describe('date helpers', () => {
+    it('getMidnightGMT returns the start of the GMT day', () => {
+        assert.equal(getMidnightGMT(fixedNow / 1000), tonightMidnight - 86400);
+    });
+
+    it('adjustToEndOfDay moves to 23:59:59 GMT', () => {
+        assert.equal(adjustToEndOfDay(fixedNow / 1000), tonightMidnight - 1);
+    });
+
+    it('parseDate accepts timestamps and date strings', () => {
+        assert.equal(parseDate('1745798400'), 1745798400);
+        assert.equal(parseDate('Apr 28 2025 GMT'), 1745798400);
+        assert.throws(() => parseDate('not a date'), /Invalid date format/);
+    });
+
+    it('parseDuration accepts seconds, minutes, hours and days', () => {
+        assert.equal(parseDuration('60s'), 60);
+        assert.equal(parseDuration('90'), 90);
+        assert.equal(parseDuration('2m'), 120);
+        assert.equal(parseDuration('1.5h'), 5400);
+        assert.equal(parseDuration('3d'), 259200);
+        assert.throws(() => parseDuration('soon'), /Invalid duration: soon/);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { flattenStatStructure, getStatColumns, toDelimitedText, exportStatStructure,
+         exportRawStats } from '../../src/delimitedExport.js';
+
+const nestedStats = {
+    build: {
+        br: {
+            pubs: {
+                solo: { matches: 10, kills: 12, winRate: 0.1 },
+                duo: { matches: 4, kills: 3, winRate: 0 }
+            }
+        }
+    },
+    zeroBuild: {
+        br: {
+            ranked: {
+                squad: { matches: 2, wins: 1 }
+            }
+        }
+    }
+};
+
+describe('flattenStatStructure', () => {
+    it('flattens nested stats into one row per team size', () => {
+        assert.deepEqual(flattenStatStructure(nestedStats), [
+            { buildMode: 'build', gameMode: 'br', compMode: 'pubs', teamSize: 'solo', matches: 10, kills: 12, winRate: 0.1 },
+            { buildMode: 'build', gameMode: 'br', compMode: 'pubs', teamSize: 'duo', matches: 4, kills: 3, winRate: 0 },
+            { buildMode: 'zeroBuild', gameMode: 'br', compMode: 'ranked', teamSize: 'squad', matches: 2, wins: 1 }
+        ]);
+    });
+
+    it('flattens TRN stats with empty mode columns', () => {
+        const trnStats = { solo: { matches: 3 }, squad: { matches: 7, kills: 9 } };
+
+        assert.deepEqual(flattenStatStructure(trnStats, true), [
+            { buildMode: '', gameMode: '', compMode: '', teamSize: 'solo', matches: 3 },
+            { buildMode: '', gameMode: '', compMode: '', teamSize: 'squad', matches: 7, kills: 9 }
+        ]);
+    });
+
+    it('returns no rows for missing stats', () => {
+        assert.deepEqual(flattenStatStructure(undefined), []);
+        assert.deepEqual(flattenStatStructure(null, true), []);
+    });
+});
+
+describe('getStatColumns', () => {
+    it('orders known stats canonically, then unexpected ones alphabetically', () => {
+        const rows = [
+            { buildMode: 'build', teamSize: 'solo', killsPerDeath: 1.5, kills: 3, zeta: 1 },
+            { teamSize: 'duo', winRate: 0.5, matches: 2, alpha: 2, minutes: 30 }
+        ];
+
+        assert.deepEqual(getStatColumns(rows),
+            ['matches', 'kills', 'minutes', 'winRate', 'killsPerDeath', 'alpha', 'zeta']);
+    });
+});
+
+describe('toDelimitedText', () => {
+    it('quotes CSV fields with commas, quotes or newlines', () => {
+        const rows = [{ name: 'a,b', note: 'say "hi"', text: 'two\nlines', plain: 'ok' }];
+
+        assert.equal(toDelimitedText(['name', 'note', 'text', 'plain'], rows, 'csv'),
+            'name,note,text,plain\n"a,b","say ""hi""","two\nlines",ok\n');
+    });
+
+    it('replaces tabs and newlines in TSV fields with spaces', () => {
+        const rows = [{ name: 'a\tb', text: 'two\r\nlines', comma: 'x,"y"' }];
+
+        assert.equal(toDelimitedText(['name', 'text', 'comma'], rows, 'tsv'),
+            'name\ttext\tcomma\na b\ttwo lines\tx,"y"\n');
+    });
+
+    it('exports missing and non-finite values as empty cells', () => {
+        const rows = [{ a: undefined, b: null, c: NaN, d: Infinity, e: 0 }];
+
+        assert.equal(toDelimitedText(['a', 'b', 'c', 'd', 'e'], rows), 'a,b,c,d,e\n,,,,0\n');
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => toDelimitedText(['a'], [], 'xml'), /Unsupported export format: xml/);
+    });
+});
+
+describe('exportStatStructure', () => {
+    it('writes mode columns followed by the stat columns', () => {
+        assert.equal(exportStatStructure(nestedStats, false, 'csv'), [
+            'buildMode,gameMode,compMode,teamSize,matches,kills,wins,winRate',
+            'build,br,pubs,solo,10,12,,0.1',
+            'build,br,pubs,duo,4,3,,0',
+            'zeroBuild,br,ranked,squad,2,,1,',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('exportRawStats', () => {
+    it('writes sorted key/value rows with lastmodified as an ISO date', () => {
+        const stats = {
+            'br_lastmodified_keyboardmouse_m0_playlist_nobuildbr_solo': 1735689600,
+            'br_kills_keyboardmouse_m0_playlist_nobuildbr_solo': 12,
+            'br_lastmodified_gamepad_m0_playlist_nobuildbr_duo': 0
+        };
+
+        assert.equal(exportRawStats(stats, 'tsv'), [
+            'key\tvalue',
+            'br_kills_keyboardmouse_m0_playlist_nobuildbr_solo\t12',
+            'br_lastmodified_gamepad_m0_playlist_nobuildbr_duo\t',
+            'br_lastmodified_keyboardmouse_m0_playlist_nobuildbr_solo\t2025-01-01T00:00:00.000Z',
+            ''
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,169 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterRawFortniteStats, subtractRawFortniteStats, findNegativeStats, getStatsDifference,
+         sumRawFortniteStats } from '../../src/fortniteRawStatOps.js';
+import { formatTime } from '../../src/dateUtils.js';
+import { loadFixture } from '../fixtures/loadFixture.js';
+
+const lifetime = loadFixture('statsv2/lifetime.json');
+const seasonStart = loadFixture('statsv2/season-start.json');
+
+/**
+ * Gets the distinct playlists (input + playlist suffix) present in raw stats
+ * @param {Object} rawStats - Raw stats object {stats}
+ * @returns {Array<string>} Sorted suffixes
+ */
+function playlistsOf(rawStats) {
+    return [...new Set(Object.keys(rawStats.stats).map(key => key.replace(/^br_[a-z0-9]+_/, '')))].sort();
+}
+
+describe('filterRawFortniteStats', () => {
+    it('excludes bots by default', () => {
+        const { stats } = filterRawFortniteStats(lifetime);
+        assert.ok(Object.keys(stats).length > 0);
+        assert.ok(Object.keys(stats).every(key => !key.includes('bots')));
+    });
+
+    it('includes only bots when the bots filter is given', () => {
+        assert.deepEqual(playlistsOf(filterRawFortniteStats(lifetime, ['bots'])), [
+            'keyboardmouse_m0_playlist_bots_nobuildbr_duo'
+        ]);
+    });
+
+    it('filters by build mode', () => {
+        assert.deepEqual(playlistsOf(filterRawFortniteStats(lifetime, ['build'])), [
+            'gamepad_m0_playlist_defaultsquad'
+        ]);
+    });
+
+    it('filters by game mode and comp mode', () => {
+        assert.deepEqual(playlistsOf(filterRawFortniteStats(lifetime, ['reload'])), [
+            'keyboardmouse_m0_playlist_punchberry_nobuild_squad'
+        ]);
+        assert.deepEqual(playlistsOf(filterRawFortniteStats(lifetime, ['ranked'])), [
+            'keyboardmouse_m0_playlist_nobuildbr_habanero_squad'
+        ]);
+    });
+
+    it('combines filters from different categories', () => {
+        assert.deepEqual(playlistsOf(filterRawFortniteStats(lifetime, ['zeroBuild', 'solo', 'gamepad'])), [
+            'gamepad_m0_playlist_nobuildbr_solo'
+        ]);
+    });
+
+    it('keeps keys with an unknown part only while that part is not filtered', () => {
+        const rawStats = { stats: {
+            'br_kills_gamepad_m0_playlist_juno_creative': 1,
+            'br_kills_gamepad_m0_playlist_nobuildbr_solo': 4
+        } };
+        assert.equal(Object.keys(filterRawFortniteStats(rawStats, ['gamepad']).stats).length, 2);
+        assert.deepEqual(Object.keys(filterRawFortniteStats(rawStats, ['regular']).stats), [
+            'br_kills_gamepad_m0_playlist_nobuildbr_solo'
+        ]);
+    });
+
+    it('accepts any of several filters from the same category', () => {
+        assert.deepEqual(playlistsOf(filterRawFortniteStats(lifetime, ['regular', 'solo', 'duo'])), [
+            'gamepad_m0_playlist_nobuildbr_solo',
+            'keyboardmouse_m0_playlist_nobuildbr_duo',
+            'keyboardmouse_m0_playlist_nobuildbr_solo'
+        ]);
+    });
+
+    it('returns an empty result for empty stats', () => {
+        assert.deepEqual(filterRawFortniteStats(loadFixture('statsv2/empty-window.json'), ['solo']), { stats: {} });
+        assert.deepEqual(filterRawFortniteStats({}), { stats: {} });
+    });
+});
+
+describe('subtractRawFortniteStats', () => {
+    const { stats } = subtractRawFortniteStats(lifetime, seasonStart);
+
+    it('subtracts the smaller window from the larger window', () => {
+        assert.equal(stats.br_matchesplayed_keyboardmouse_m0_playlist_nobuildbr_solo, 62);
+        assert.equal(stats.br_kills_keyboardmouse_m0_playlist_nobuildbr_solo, 175);
+        assert.equal(stats.br_placetop1_keyboardmouse_m0_playlist_nobuildbr_solo, 6);
+        assert.equal(stats.br_minutesplayed_keyboardmouse_m0_playlist_nobuildbr_solo, 820);
+    });
+
+    it('keeps lastmodified values from the larger window', () => {
+        assert.equal(stats.br_lastmodified_keyboardmouse_m0_playlist_nobuildbr_solo, 1746051236);
+    });
+
+    it('treats keys missing from the smaller window as 0', () => {
+        assert.equal(stats.br_matchesplayed_keyboardmouse_m0_playlist_nobuildbr_habanero_squad, 96);
+    });
+
+    it('returns 0 for playlists with no activity between the windows', () => {
+        assert.equal(stats.br_matchesplayed_keyboardmouse_m0_playlist_nobuildbr_duo, 0);
+        assert.equal(stats.br_kills_gamepad_m0_playlist_defaultsquad, 0);
+    });
+
+    it('keeps negative differences', () => {
+        // The season-start snapshot for this playlist is newer than the thinned lifetime one
+        assert.equal(stats.br_matchesplayed_gamepad_m0_playlist_nobuildbr_solo, -4);
+        assert.equal(stats.br_kills_gamepad_m0_playlist_nobuildbr_solo, -5);
+    });
+
+    it('treats keys missing from the larger window as 0', () => {
+        const result = subtractRawFortniteStats({ stats: {} }, { stats: { br_kills_gamepad_m0_playlist_defaultsolo: 3 } });
+        assert.deepEqual(result, { stats: { br_kills_gamepad_m0_playlist_defaultsolo: -3 } });
+    });
+});
+
+describe('findNegativeStats', () => {
+    it('lists the negative differences of a subtraction', () => {
+        const { stats } = subtractRawFortniteStats(
+            { stats: { br_kills_x: 4, br_matchesplayed_x: 2, br_lastmodified_x: 10 } },
+            { stats: { br_kills_x: 7, br_matchesplayed_x: 2, br_lastmodified_x: 20 } });
+        assert.deepEqual(findNegativeStats(stats), [{ key: 'br_kills_x', value: -3 }]);
+        assert.deepEqual(findNegativeStats({}), []);
+    });
+});
+
+describe('getStatsDifference', () => {
+    it('returns stats that are new in the newer object', () => {
+        const diff = getStatsDifference({ br_kills_x: 4 }, {});
+        assert.deepEqual(diff, { br_kills_x: 4 });
+    });
+
+    it('returns numeric changes as new minus old', () => {
+        const diff = getStatsDifference({ br_kills_x: 10, br_matchesplayed_x: 3 }, { br_kills_x: 4, br_matchesplayed_x: 3 });
+        assert.deepEqual(diff, { br_kills_x: 6 });
+    });
+
+    it('leaves out unchanged stats', () => {
+        assert.deepEqual(getStatsDifference(lifetime.stats, lifetime.stats), {});
+    });
+
+    it('formats changed lastmodified values as dates', () => {
+        const diff = getStatsDifference(
+            { br_lastmodified_x: 1746051236 },
+            { br_lastmodified_x: 1745964012 }
+        );
+        assert.deepEqual(diff, { br_lastmodified_x: formatTime(1746051236) });
+    });
+
+    it('returns an empty object when either side is missing', () => {
+        assert.deepEqual(getStatsDifference(null, lifetime.stats), {});
+        assert.deepEqual(getStatsDifference(lifetime.stats, undefined), {});
+    });
+});
+
+describe('sumRawFortniteStats', () => {
+    it('adds stats across players and keeps the latest lastmodified', () => {
+        const { stats } = sumRawFortniteStats([lifetime, seasonStart]);
+        assert.equal(stats.br_kills_keyboardmouse_m0_playlist_nobuildbr_solo, 987 + 812);
+        assert.equal(stats.br_lastmodified_keyboardmouse_m0_playlist_nobuildbr_solo, 1746051236);
+    });
+
+    it('treats keys missing for some players as 0', () => {
+        const { stats } = sumRawFortniteStats([lifetime, seasonStart]);
+        assert.equal(stats.br_matchesplayed_keyboardmouse_m0_playlist_nobuildbr_habanero_squad, 96);
+    });
+
+    it('returns empty stats for no players', () => {
+        assert.deepEqual(sumRawFortniteStats([]), { stats: {} });
+        assert.deepEqual(sumRawFortniteStats([{}]), { stats: {} });
+    });
+});
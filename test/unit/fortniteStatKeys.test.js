@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRawStatKey, isClassifiedStatKey, getStatName,
+         findUnclassifiedStatKeys } from '../../src/fortniteStatKeys.js';
+import { compilePlaylistEntry } from '../../src/playlistRegistry.js';
+
+/**
+ * Gets the mode path of a raw stat key
+ * @param {string} key - Raw stat key
+ * @param {Array<Object>} [registry] - Compiled playlist registry entries
+ * @returns {Array<string|null>} [buildMode, gameMode, compMode, teamSize]
+ */
+function modePath(key, registry) {
+    const parsed = parseRawStatKey(key, registry);
+    return [parsed.buildMode, parsed.gameMode, parsed.compMode, parsed.teamSize];
+}
+
+describe('parseRawStatKey', () => {
+    it('splits a key into stat, input and playlist', () => {
+        assert.deepEqual(parseRawStatKey('br_placetop1_keyboardmouse_m0_playlist_nobuildbr_habanero_squad'), {
+            stat: 'placetop1',
+            input: 'keyboardmouse',
+            playlist: 'nobuildbr_habanero_squad',
+            buildMode: 'zeroBuild',
+            gameMode: 'regular',
+            compMode: 'ranked',
+            teamSize: 'squad'
+        });
+    });
+
+    it('classifies the known playlists', () => {
+        assert.deepEqual(modePath('br_kills_gamepad_m0_playlist_nobuildbr_solo'), ['zeroBuild', 'regular', 'pubs', 'solo']);
+        assert.deepEqual(modePath('br_kills_gamepad_m0_playlist_defaultsquad'), ['build', 'regular', 'pubs', 'squad']);
+        assert.deepEqual(modePath('br_kills_gamepad_m0_playlist_punchberry_solo'), ['build', 'reload', 'pubs', 'solo']);
+        assert.deepEqual(modePath('br_kills_gamepad_m0_playlist_punchberry_nobuild_squad'), ['zeroBuild', 'reload', 'pubs', 'squad']);
+        assert.deepEqual(modePath('br_kills_touch_m0_playlist_bots_nobuildbr_duo'), ['zeroBuild', 'regular', 'bots', 'duo']);
+    });
+
+    it('leaves parts it does not recognise null', () => {
+        const parsed = parseRawStatKey('br_kills_gamepad_m0_playlist_juno_creative');
+        assert.equal(parsed.buildMode, null);
+        assert.equal(parsed.gameMode, null);
+        assert.equal(parsed.teamSize, null);
+        assert.equal(isClassifiedStatKey(parsed), false);
+        assert.equal(parseRawStatKey('br_kills_steeringwheel_m0_playlist_nobuildbr_solo').input, null);
+    });
+
+    it('leaves team sizes a playlist does not have unclassified', () => {
+        assert.equal(isClassifiedStatKey(parseRawStatKey('br_kills_gamepad_m0_playlist_punchberry_trio')), false);
+    });
+
+    it('classifies with the given registry', () => {
+        const registry = [compilePlaylistEntry({
+            pattern: 'juno_{teamSize}', buildMode: 'build', gameMode: 'regular', compMode: 'pubs', teamSizes: ['squad']
+        })];
+        assert.deepEqual(modePath('br_kills_gamepad_m0_playlist_juno_squad', registry), ['build', 'regular', 'pubs', 'squad']);
+        assert.equal(isClassifiedStatKey(parseRawStatKey('br_kills_gamepad_m0_playlist_nobuildbr_solo', registry)), false);
+    });
+
+    it('rejects keys that do not follow the layout', () => {
+        assert.equal(parseRawStatKey('s11_social_bp_level'), null);
+        assert.equal(isClassifiedStatKey(null), false);
+    });
+});
+
+describe('getStatName', () => {
+    it('maps stat tokens to stat names', () => {
+        assert.equal(getStatName('placetop1'), 'wins');
+        assert.equal(getStatName('matchesplayed'), 'matches');
+        assert.equal(getStatName('lastmodified'), null);
+    });
+});
+
+describe('findUnclassifiedStatKeys', () => {
+    it('lists keys with unknown parts', () => {
+        assert.deepEqual(findUnclassifiedStatKeys({
+            'br_kills_gamepad_m0_playlist_nobuildbr_solo': 4,
+            'br_kills_gamepad_m0_playlist_juno_creative': 1,
+            's11_social_bp_level': 80
+        }), [
+            { key: 'br_kills_gamepad_m0_playlist_juno_creative', missing: ['playlist'] },
+            { key: 's11_social_bp_level', missing: ['format'] }
+        ]);
+    });
+});
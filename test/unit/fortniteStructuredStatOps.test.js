@@ -0,0 +1,160 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFortniteStatObject, addFortniteRateStats, transformToTRNFormat } from '../../src/fortniteStructuredStatOps.js';
+import { subtractRawFortniteStats } from '../../src/fortniteRawStatOps.js';
+import { loadFixture } from '../fixtures/loadFixture.js';
+
+const lifetime = loadFixture('statsv2/lifetime.json');
+const seasonStart = loadFixture('statsv2/season-start.json');
+const partialWindow = loadFixture('statsv2/partial-window.json');
+
+/**
+ * Collects every numeric leaf value in a stat structure
+ * @param {Object} structure - Nested stat structure
+ * @returns {Array<number>} Leaf values
+ */
+function leafValues(structure) {
+    return Object.values(structure).flatMap(value =>
+        typeof value === 'object' ? leafValues(value) : [value]);
+}
+
+describe('createFortniteStatObject', () => {
+    const statObject = createFortniteStatObject(lifetime);
+
+    it('nests stats by build mode, game mode, comp mode and team size', () => {
+        assert.deepEqual(Object.keys(statObject).sort(), ['build', 'zeroBuild']);
+        assert.deepEqual(Object.keys(statObject.zeroBuild).sort(), ['regular', 'reload']);
+        assert.deepEqual(Object.keys(statObject.zeroBuild.regular).sort(), ['pubs', 'ranked']);
+        assert.deepEqual(Object.keys(statObject.zeroBuild.regular.pubs).sort(), ['duo', 'solo']);
+        assert.deepEqual(Object.keys(statObject.build.regular.pubs), ['squad']);
+    });
+
+    it('sums stats across inputs', () => {
+        assert.deepEqual(statObject.zeroBuild.regular.pubs.solo, {
+            matches: 452,
+            kills: 1048,
+            wins: 33,
+            top10: 155,
+            top25: 274,
+            minutes: 5678
+        });
+    });
+
+    it('excludes bots unless requested', () => {
+        assert.equal(statObject.zeroBuild.regular.bots, undefined);
+        const withBots = createFortniteStatObject(lifetime, true);
+        assert.equal(withBots.zeroBuild.regular.bots.duo.matches, 18);
+    });
+
+    it('skips team sizes with zero matches', () => {
+        const isolated = createFortniteStatObject(subtractRawFortniteStats(lifetime, seasonStart));
+        assert.equal(isolated.zeroBuild.regular.pubs.duo, undefined);
+        assert.equal(isolated.build, undefined);
+        // 62 keyboard matches, less the gamepad key's -4 (its season-start snapshot is newer)
+        assert.equal(isolated.zeroBuild.regular.pubs.solo.matches, 58);
+    });
+
+    it('returns an empty object for empty stats', () => {
+        assert.deepEqual(createFortniteStatObject(loadFixture('statsv2/empty-window.json')), {});
+    });
+});
+
+describe('addFortniteRateStats', () => {
+    it('adds win, placement and combat rates', () => {
+        const { solo } = addFortniteRateStats(createFortniteStatObject(lifetime)).zeroBuild.regular.pubs;
+        assert.equal(solo.winRate, 33 / 452);
+        assert.equal(solo.top10Rate, 155 / 452);
+        assert.equal(solo.top25Rate, 274 / 452);
+        assert.equal(solo.killsPerDeath, 1048 / (452 - 33));
+        assert.equal(solo.killsPer20, 1048 * 20 / 5678);
+        assert.equal(solo.minutesPerKill, 5678 / 1048);
+        assert.equal(solo.top5Rate, undefined);
+    });
+
+    it('does not modify its input', () => {
+        const statObject = createFortniteStatObject(lifetime);
+        addFortniteRateStats(statObject);
+        assert.equal(statObject.zeroBuild.regular.pubs.solo.winRate, undefined);
+    });
+
+    it('returns 0 rates for zero matches', () => {
+        const result = addFortniteRateStats({ solo: { matches: 0, kills: 0, wins: 0, top10: 0, minutes: 0 } });
+        assert.deepEqual(result.solo, {
+            matches: 0,
+            kills: 0,
+            wins: 0,
+            top10: 0,
+            minutes: 0,
+            winRate: 0,
+            top10Rate: 0,
+            killsPerDeath: 0,
+            killsPer20: 0,
+            minutesPerKill: 0
+        });
+    });
+
+    it('defaults missing wins, kills and minutes to 0', () => {
+        // Recorded window where the solo playlist has no wins, minutes or kills
+        const { solo } = addFortniteRateStats(createFortniteStatObject(partialWindow)).zeroBuild.regular.pubs;
+        assert.equal(solo.wins, 0);
+        assert.equal(solo.minutes, 0);
+        assert.equal(solo.winRate, 0);
+        assert.equal(solo.top10Rate, 1 / 4);
+        assert.equal(solo.killsPerDeath, 0);
+        assert.equal(solo.killsPer20, 0);
+        assert.equal(solo.minutesPerKill, 0);
+    });
+
+    it('uses kills as K/D when every match was won', () => {
+        const { duo } = addFortniteRateStats(createFortniteStatObject(partialWindow)).zeroBuild.regular.ranked;
+        assert.equal(duo.winRate, 1);
+        assert.equal(duo.killsPerDeath, 5);
+        assert.equal(duo.minutesPerKill, 61 / 5);
+    });
+
+    it('uses minutes as minutes per kill when there are no kills', () => {
+        const result = addFortniteRateStats({ solo: { matches: 2, kills: 0, minutes: 30 } });
+        assert.equal(result.solo.minutesPerKill, 30);
+    });
+
+    it('never produces NaN or Infinity', () => {
+        const structures = [
+            createFortniteStatObject(lifetime, true),
+            createFortniteStatObject(partialWindow),
+            transformToTRNFormat(createFortniteStatObject(partialWindow)),
+            { solo: { matches: 0 } },
+            { duo: { matches: 3, wins: 3 } }
+        ];
+        for (const structure of structures) {
+            assert.ok(leafValues(addFortniteRateStats(structure)).every(Number.isFinite));
+        }
+    });
+});
+
+describe('transformToTRNFormat', () => {
+    it('groups stats by team size across modes', () => {
+        const trn = transformToTRNFormat(createFortniteStatObject(lifetime));
+        assert.deepEqual(Object.keys(trn).sort(), ['duo', 'solo', 'squad']);
+        // Ranked zero build squads, reload squads and build squads
+        assert.equal(trn.squad.matches, 96 + 57 + 150);
+        assert.equal(trn.squad.kills, 188 + 240 + 201);
+        assert.equal(trn.squad.top3, 27 + 15 + 30);
+    });
+
+    it('leaves out bots even when they were included in the structure', () => {
+        const trn = transformToTRNFormat(createFortniteStatObject(lifetime, true));
+        assert.equal(trn.duo.matches, 268);
+    });
+
+    it('drops calculated rates so they can be recalculated', () => {
+        const trn = transformToTRNFormat(addFortniteRateStats(createFortniteStatObject(lifetime)));
+        assert.equal(trn.solo.winRate, undefined);
+        assert.equal(trn.solo.killsPerDeath, undefined);
+        assert.equal(trn.solo.matches, 452);
+    });
+
+    it('starts every team size with matches, wins, kills and minutes', () => {
+        const trn = transformToTRNFormat({ zeroBuild: { regular: { pubs: { trio: { matches: 1 } } } } });
+        assert.deepEqual(trn, { trio: { matches: 1, wins: 0, kills: 0, minutes: 0 } });
+    });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSeasonTimestamps, getCurrentSeason } from '../../src/getSeasonTimes.js';
+
+const seasons = buildSeasonTimestamps({
+    Reloads2: { start: 'Nov 2 2024 GMT', end: 'Feb 21 2025 GMT' },
+    ch6s1: { start: 'Dec 1, 2024 GMT', end: 'Feb 21, 2025 GMT' },
+    ch6s2: { start: 'Feb 21, 2025 GMT', end: 'May 2, 2025 GMT' },
+    broken: { start: 'someday', end: 'May 2, 2025 GMT' },
+    lifetime: { start: 'Oct 25 2017 GMT', end: 'Jan 1 2099 GMT' }
+});
+
+describe('buildSeasonTimestamps', () => {
+    it('converts date strings to Unix timestamps', () => {
+        assert.deepEqual(seasons.ch6s2, { startTime: 1740096000, endTime: 1746144000 });
+    });
+});
+
+describe('getCurrentSeason', () => {
+    it('picks the season containing the time', () => {
+        assert.equal(getCurrentSeason(seasons, Date.parse('2025-03-15T00:00:00Z') / 1000), 'ch6s2');
+    });
+
+    it('prefers the latest started season when seasons overlap', () => {
+        assert.equal(getCurrentSeason(seasons, Date.parse('2025-01-10T00:00:00Z') / 1000), 'ch6s1');
+        assert.equal(getCurrentSeason(seasons, Date.parse('2024-11-10T00:00:00Z') / 1000), 'Reloads2');
+    });
+
+    it('falls back to the most recently started season instead of lifetime', () => {
+        assert.equal(getCurrentSeason(seasons, Date.parse('2026-01-01T00:00:00Z') / 1000), 'ch6s2');
+    });
+
+    it('returns null without seasons', () => {
+        assert.equal(getCurrentSeason({ lifetime: seasons.lifetime }, 0), null);
+    });
+});
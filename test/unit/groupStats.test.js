@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculatePlayerShares, renderShareTable } from '../../src/groupStats.js';
+import { loadFixture } from '../fixtures/loadFixture.js';
+
+describe('calculatePlayerShares', () => {
+    const lifetime = loadFixture('statsv2/lifetime.json');
+    const partialWindow = loadFixture('statsv2/partial-window.json');
+
+    const shares = calculatePlayerShares([
+        { player: { displayName: 'Alpha', accountId: 'a' }, stats: partialWindow.stats },
+        { player: { displayName: 'Bravo', accountId: 'b' }, stats: { br_kills_gamepad_m0_playlist_defaultsolo: 15 } }
+    ]);
+
+    it('totals kills, wins and minutes across each player\'s keys', () => {
+        assert.equal(shares[0].kills, 5);
+        assert.equal(shares[0].wins, 3);
+        assert.equal(shares[0].minutes, 61);
+    });
+
+    it('reports each player\'s fraction of the group total', () => {
+        assert.equal(shares[0].killsShare, 0.25);
+        assert.equal(shares[1].killsShare, 0.75);
+        assert.equal(shares[0].winsShare, 1);
+        assert.equal(shares[1].winsShare, 0);
+    });
+
+    it('uses 0 shares when the group total is 0', () => {
+        const [share] = calculatePlayerShares([{ player: { displayName: 'Alpha' }, stats: {} }]);
+        assert.deepEqual([share.killsShare, share.winsShare, share.minutesShare], [0, 0, 0]);
+    });
+
+    it('does not count lastmodified timestamps', () => {
+        const [share] = calculatePlayerShares([{ player: { displayName: 'Alpha' }, stats: lifetime.stats }]);
+        assert.equal(share.minutes, 5190 + 3411 + 1503 + 820 + 2030 + 488 + 260);
+    });
+
+    it('renders a table with shares as percentages', () => {
+        const lines = renderShareTable(shares).split('\n');
+        assert.match(lines[0], /^Player\s+Kills\s+Kill Share\s+Wins\s+Win Share\s+Time\s+Time Share$/);
+        assert.match(lines[2], /^Alpha\s+5\s+25\.0%\s+3\s+100\.0%\s+1:01\s+100\.0%$/);
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStatsDocument, createComparisonDocument, createBulkDocument, createGroupDocument,
+         createLeaderboardDocument, createSessionsDocument, createTimeSeriesDocument, createSnapshotsDocument,
+         createDiffDocument } from '../../src/jsonOutput.js';
+
+// Mar 1, 2025 00:00:00 GMT to Mar 8, 2025 00:00:00 GMT
+const timeWindow = { startTime: 1740787200, endTime: 1741392000 };
+const player = { displayName: 'Alpha', accountId: 'account-alpha' };
+const playerResults = [{ player, stats: {} }];
+
+const expectedTimeWindow = {
+    startTime: 1740787200,
+    endTime: 1741392000,
+    start: '2025-03-01T00:00:00.000Z',
+    end: '2025-03-08T00:00:00.000Z'
+};
+
+describe('JSON documents', () => {
+    const query = { timeWindow, filters: ['zeroBuild'], statPatternKeys: ['kills'], useAdvancedMethod: false };
+    const documents = {
+        stats: createStatsDocument({ ...query, player, view: 'nested', stats: {} }),
+        comparison: createComparisonDocument({ ...query, playerResults, comparison: { players: [player], rows: [] }, view: 'nested' }),
+        bulk: createBulkDocument({ ...query, playerResults, statKeyCount: 4, view: 'nested' }),
+        group: createGroupDocument({ ...query, groupName: 'squad', shares: [], view: 'nested', stats: {} })
+    };
+
+    it('describe the query the same way in every stats document', () => {
+        for (const [name, document] of Object.entries(documents)) {
+            assert.deepEqual(document.timeWindow, expectedTimeWindow, name);
+            assert.deepEqual(document.filters, { modes: ['zeroBuild'], statPatterns: ['kills'] }, name);
+            assert.equal(document.method, 'direct', name);
+        }
+        assert.deepEqual(documents.stats.player, player);
+        assert.deepEqual(documents.bulk.players, [{ ...player, stats: {} }]);
+    });
+
+    it('leave out stat patterns and method for commands without them', () => {
+        const leaderboard = createLeaderboardDocument({
+            groupName: null, leaderboard: { entries: [], excluded: [] }, metric: 'kills', minMatches: 1, timeWindow, filters: ['solo']
+        });
+        assert.deepEqual(leaderboard.filters, { modes: ['solo'] });
+        assert.equal(leaderboard.method, 'triple-call');
+
+        const sessions = createSessionsDocument({ player: { ...player, extra: true }, sessions: [], gaps: [], idleGap: 1800 });
+        assert.deepEqual(sessions.player, player);
+        assert.equal(sessions.timeWindow, null);
+        assert.deepEqual(sessions.filters, { modes: [] });
+        assert.equal('method' in sessions, false);
+
+        const snapshots = createSnapshotsDocument({ player, timeWindow, per: 'mode', resolution: 60, probes: 2, changes: [] });
+        assert.deepEqual(snapshots.filters, { modes: [], statPatterns: [] });
+        assert.equal('method' in snapshots, false);
+
+        const timeSeries = createTimeSeriesDocument({ player, timeWindow, unit: 'day', timeSeries: { buckets: [], series: [] } });
+        assert.equal(timeSeries.method, 'cumulative-snapshots');
+    });
+
+    it('describe each window of a diff with its own method', () => {
+        const diff = createDiffDocument({
+            player,
+            windows: [
+                { label: 'A', timeWindow, useAdvancedMethod: true, stats: {} },
+                { label: 'B', timeWindow, useAdvancedMethod: false, stats: {} }
+            ],
+            diff: { rows: [] },
+            filters: ['solo'],
+            view: 'nested'
+        });
+        assert.deepEqual(diff.windows.map(window => window.method), ['triple-call', 'direct']);
+        assert.deepEqual(diff.windows[0].timeWindow, expectedTimeWindow);
+        assert.deepEqual(diff.filters, { modes: ['solo'], statPatterns: [] });
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseModePath, getModePathStats, rankPlayers, renderLeaderboardTable,
+         exportLeaderboard } from '../../src/leaderboard.js';
+import { createFortniteStatObject } from '../../src/fortniteStructuredStatOps.js';
+import { loadFixture } from '../fixtures/loadFixture.js';
+
+const player = name => ({ displayName: name, accountId: name.toLowerCase() });
+
+describe('parseModePath', () => {
+    it('accepts full and partial nested paths', () => {
+        assert.deepEqual(parseModePath('zeroBuild.regular.ranked.duo'), ['zeroBuild', 'regular', 'ranked', 'duo']);
+        assert.deepEqual(parseModePath('build.reload'), ['build', 'reload']);
+    });
+
+    it('accepts a lone team size and no path at all', () => {
+        assert.deepEqual(parseModePath('solo'), ['solo']);
+        assert.deepEqual(parseModePath(null), []);
+    });
+
+    it('rejects segments in the wrong place', () => {
+        assert.throws(() => parseModePath('regular.zeroBuild'), /Invalid mode path/);
+        assert.throws(() => parseModePath('zeroBuild.regular.ranked.duo.extra'), /Invalid mode path/);
+    });
+});
+
+describe('getModePathStats', () => {
+    const nested = createFortniteStatObject(loadFixture('statsv2/partial-window.json'));
+
+    it('returns the stats of a full path with rates', () => {
+        const stats = getModePathStats(nested, ['zeroBuild', 'regular', 'ranked', 'duo']);
+        assert.equal(stats.matches, 3);
+        assert.equal(stats.winRate, 1);
+    });
+
+    it('sums every team size below a partial path', () => {
+        const all = getModePathStats(nested, []);
+        const solo = getModePathStats(nested, ['solo']);
+        const duo = getModePathStats(nested, ['duo']);
+        assert.equal(all.matches, (solo?.matches ?? 0) + (duo?.matches ?? 0));
+    });
+
+    it('returns null when the path has no matches', () => {
+        assert.equal(getModePathStats(nested, ['build', 'reload', 'pubs', 'squad']), null);
+    });
+});
+
+describe('rankPlayers', () => {
+    it('ranks higher values first for most metrics', () => {
+        const { entries } = rankPlayers([
+            { player: player('Alpha'), stats: { matches: 10, winRate: 0.1 } },
+            { player: player('Bravo'), stats: { matches: 10, winRate: 0.3 } }
+        ], 'winRate');
+        assert.deepEqual(entries.map(entry => [entry.rank, entry.displayName]), [[1, 'Bravo'], [2, 'Alpha']]);
+    });
+
+    it('ranks lower values first for minutes per kill', () => {
+        const { entries } = rankPlayers([
+            { player: player('Alpha'), stats: { matches: 5, minutesPerKill: 4 } },
+            { player: player('Bravo'), stats: { matches: 5, minutesPerKill: 2 } }
+        ], 'minutesPerKill');
+        assert.equal(entries[0].displayName, 'Bravo');
+    });
+
+    it('gives ties the same rank and skips the next one', () => {
+        const { entries } = rankPlayers([
+            { player: player('Alpha'), stats: { matches: 4, kills: 5 } },
+            { player: player('Bravo'), stats: { matches: 9, kills: 5 } },
+            { player: player('Charlie'), stats: { matches: 2, kills: 8 } },
+            { player: player('Delta'), stats: { matches: 2, kills: 1 } }
+        ], 'kills');
+        assert.deepEqual(entries.map(entry => [entry.rank, entry.displayName]),
+            [[1, 'Charlie'], [2, 'Bravo'], [2, 'Alpha'], [4, 'Delta']]);
+    });
+
+    it('excludes players below the minimum matches or without a value', () => {
+        const { entries, excluded } = rankPlayers([
+            { player: player('Alpha'), stats: { matches: 2, kills: 9 } },
+            { player: player('Bravo'), stats: null },
+            { player: player('Charlie'), stats: { matches: 5, kills: NaN } },
+            { player: player('Delta'), stats: { matches: 5, kills: 1 } }
+        ], 'kills', 3);
+        assert.deepEqual(entries.map(entry => entry.displayName), ['Delta']);
+        assert.deepEqual(excluded.map(entry => [entry.displayName, entry.reason]), [
+            ['Alpha', 'fewer than 3 matches'],
+            ['Bravo', 'no matches'],
+            ['Charlie', 'no kills value']
+        ]);
+    });
+});
+
+describe('leaderboard output', () => {
+    const leaderboard = rankPlayers([
+        { player: player('Alpha'), stats: { matches: 10, killsPerDeath: 1.5 } },
+        { player: player('Bravo'), stats: { matches: 4, killsPerDeath: 2.25 } }
+    ], 'killsPerDeath');
+
+    it('renders a ranked table', () => {
+        const lines = renderLeaderboardTable(leaderboard, 'killsPerDeath').split('\n');
+        assert.match(lines[0], /^Rank\s+Player\s+K\/D\s+Matches$/);
+        assert.match(lines[2], /^\s*1\s+Bravo\s+2\.25\s+4$/);
+    });
+
+    it('exports ranked players as CSV', () => {
+        assert.equal(exportLeaderboard(leaderboard, 'killsPerDeath', 'csv'),
+            'rank,player,accountId,killsPerDeath,matches\n1,Bravo,bravo,2.25,4\n2,Alpha,alpha,1.5,10\n');
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { appendMatchLog, loadMatchLog, getPlayerMatchLog, getMatchLogPath } from '../../src/matchLog.js';
+
+/**
+ * Builds a logged match record
+ * @param {string} accountId - Account ID
+ * @param {string} displayName - Display name
+ * @param {number} time - Event time
+ * @returns {Object} Match record
+ */
+function matchRecord(accountId, displayName, time) {
+    return {
+        type: 'match', accountId, displayName, time, modePath: 'zeroBuild.regular.pubs.solo',
+        matches: 1, wins: 0, kills: 2, minutes: 20, placement: 'top25', merged: false, aggregated: false
+    };
+}
+
+describe('matchLog', () => {
+    let homeDir;
+    const previousHome = process.env.FN_STATS_HOME;
+
+    before(() => {
+        homeDir = mkdtempSync(join(tmpdir(), 'fn-stats-matches-'));
+        process.env.FN_STATS_HOME = homeDir;
+    });
+
+    after(() => {
+        if (previousHome === undefined) delete process.env.FN_STATS_HOME;
+        else process.env.FN_STATS_HOME = previousHome;
+        rmSync(homeDir, { recursive: true, force: true });
+    });
+
+    it('starts with an empty log', () => {
+        assert.deepEqual(loadMatchLog(), []);
+    });
+
+    it('appends records and skips unreadable lines', () => {
+        appendMatchLog([matchRecord('acc1', 'Alpha', 2000), matchRecord('acc1', 'Alpha', 1000)]);
+        appendFileSync(getMatchLogPath(), '{"type":"match",\n');
+        appendMatchLog([
+            matchRecord('acc1', 'Alpha', 2000),
+            { type: 'gap', accountId: 'acc1', displayName: 'Alpha', from: 2500, to: 3000, reason: 'poll-failed' },
+            matchRecord('acc2', 'Bravo', 1500)
+        ]);
+        assert.equal(loadMatchLog().length, 5);
+    });
+
+    it('gets one player\'s deduplicated matches and gaps', () => {
+        const log = getPlayerMatchLog(loadMatchLog(), 'alpha');
+        assert.equal(log.accountId, 'acc1');
+        assert.deepEqual(log.matches.map(match => match.time), [1000, 2000]);
+        assert.deepEqual(log.gaps.map(gap => gap.reason), ['poll-failed']);
+        assert.equal(getPlayerMatchLog(loadMatchLog(), 'acc2').displayName, 'Bravo');
+    });
+
+    it('follows display name changes through the account ID', () => {
+        appendMatchLog([matchRecord('acc1', 'AlphaRenamed', 4000)]);
+        const log = getPlayerMatchLog(loadMatchLog(), 'Alpha');
+        assert.equal(log.displayName, 'AlphaRenamed');
+        assert.equal(log.matches.length, 3);
+        assert.equal(getPlayerMatchLog(loadMatchLog(), 'Charlie'), null);
+    });
+});
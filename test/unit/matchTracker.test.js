@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPlacementBucket, detectMatchEvents, formatMatchEvent } from '../../src/matchTracker.js';
+import { playlistStats } from '../fixtures/rawStats.js';
+
+const soloSuffix = 'keyboardmouse_m0_playlist_nobuildbr_solo';
+const squadSuffix = 'keyboardmouse_m0_playlist_nobuildbr_habanero_squad';
+
+const morning = {
+    stats: {
+        ...playlistStats(soloSuffix, { matchesplayed: 2, kills: 3, placetop10: 1, placetop25: 1, minutesplayed: 30, lastmodified: 1741790000 }),
+        ...playlistStats(squadSuffix, { matchesplayed: 1, kills: 1, minutesplayed: 10, lastmodified: 1741780000 })
+    }
+};
+
+describe('getPlacementBucket', () => {
+    it('returns the best placement reached', () => {
+        assert.equal(getPlacementBucket({ matches: 2, wins: 0, top10: 1, top25: 2 }), 'top10');
+        assert.equal(getPlacementBucket({ matches: 1, wins: 1, top10: 1, top25: 1 }), 'wins');
+        assert.equal(getPlacementBucket({ matches: 1, top3: 0, top6: 0 }), null);
+    });
+});
+
+describe('detectMatchEvents', () => {
+    it('reports nothing while lastmodified stays the same', () => {
+        assert.deepEqual(detectMatchEvents(morning, morning), []);
+    });
+
+    it('reports one match per changed mode', () => {
+        const afterMatch = {
+            stats: {
+                ...morning.stats,
+                ...playlistStats(soloSuffix, { matchesplayed: 3, kills: 7, placetop10: 2, placetop25: 2, minutesplayed: 52, lastmodified: 1741791500 })
+            }
+        };
+        assert.deepEqual(detectMatchEvents(morning, afterMatch), [{
+            time: 1741791500,
+            modePath: 'zeroBuild.regular.pubs.solo',
+            matches: 1,
+            wins: 0,
+            kills: 4,
+            minutes: 22,
+            placement: 'top10',
+            merged: false
+        }]);
+    });
+
+    it('flags batches of several matches as merged', () => {
+        const afterBatch = {
+            stats: {
+                ...morning.stats,
+                ...playlistStats(squadSuffix, { matchesplayed: 4, kills: 6, placetop1: 1, placetop3: 1, placetop6: 2, minutesplayed: 55, lastmodified: 1741795000 })
+            }
+        };
+        const [event] = detectMatchEvents(morning, afterBatch);
+        assert.equal(event.modePath, 'zeroBuild.regular.ranked.squad');
+        assert.equal(event.matches, 3);
+        assert.equal(event.wins, 1);
+        assert.equal(event.placement, 'wins');
+        assert.equal(event.merged, true);
+    });
+
+    it('treats an empty baseline as the start of the day', () => {
+        const events = detectMatchEvents({ stats: {} }, morning);
+        assert.deepEqual(events.map(event => [event.modePath, event.matches]), [
+            ['zeroBuild.regular.pubs.solo', 2],
+            ['zeroBuild.regular.ranked.squad', 1]
+        ]);
+    });
+});
+
+describe('formatMatchEvent', () => {
+    it('describes single matches and merged batches', () => {
+        assert.equal(formatMatchEvent({
+            time: 1741791500, modePath: 'zeroBuild.regular.pubs.solo', matches: 1, kills: 1, minutes: 22, placement: 'top10', merged: false
+        }), 'Mar 12, 2025, 14:58:20 GMT  zeroBuild.regular.pubs.solo  1 match  1 kill  Top 10  22 min');
+        assert.equal(formatMatchEvent({
+            time: 1741791500, modePath: 'zeroBuild.regular.pubs.solo', matches: 3, kills: 5, minutes: 40, placement: null, merged: true
+        }), 'Mar 12, 2025, 14:58:20 GMT  zeroBuild.regular.pubs.solo  3 matches (merged)  5 kills  best: No placement  40 min');
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startMockEpicServer } from '../../lib/mock-epic/server.js';
+import { createDefaultMockData } from '../../lib/mock-epic/data.js';
+import { EpicBaseUrls, setEpicBaseUrls } from '../../lib/epic-auth/endpoints.js';
+import { EpicClient } from '../../src/epicWrapper.js';
+import { authenticateClient, getFortniteStats, getRankedProgress } from '../../src/statsRetriever.js';
+
+const grantPath = fileURLToPath(new URL('../../lib/mock-epic/mockGrant.json', import.meta.url));
+
+describe('mock Epic server', () => {
+    const data = createDefaultMockData();
+    const player = data.players.find(entry => entry.displayName === 'MockPlayer');
+    const savedEnv = { home: process.env.FN_STATS_HOME, grant: process.env.FN_STATS_GRANT_FILE };
+    const savedBaseUrls = { ...EpicBaseUrls };
+    let server;
+    let tempHome;
+    let client;
+
+    before(async () => {
+        // A fresh home keeps the response cache from answering instead of the server
+        tempHome = mkdtempSync(join(tmpdir(), 'fn-stats-mock-'));
+        process.env.FN_STATS_HOME = tempHome;
+        process.env.FN_STATS_GRANT_FILE = grantPath;
+
+        let url;
+        ({ server, url } = await startMockEpicServer({ port: 0, data }));
+        setEpicBaseUrls(url);
+
+        client = new EpicClient();
+        await authenticateClient(client, true);
+    });
+
+    after(async () => {
+        setEpicBaseUrls(savedBaseUrls);
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        rmSync(tempHome, { recursive: true, force: true });
+        for (const [key, name] of [['home', 'FN_STATS_HOME'], ['grant', 'FN_STATS_GRANT_FILE']]) {
+            if (savedEnv[key] === undefined) delete process.env[name];
+            else process.env[name] = savedEnv[key];
+        }
+    });
+
+    it('authenticates with the mock grant', () => {
+        assert.equal(client.auth.accountId, player.accountId);
+    });
+
+    it('isolates a window with the triple call as the difference of two snapshots', async () => {
+        const start = player.snapshots[30];
+        const end = player.snapshots[90];
+        const expected = Object.fromEntries(Object.entries(end.stats).map(([key, value]) => [
+            key,
+            key.startsWith('br_lastmodified_') ? value : value - (start.stats[key] ?? 0)
+        ]));
+
+        const result = await getFortniteStats('MockPlayer', { startTime: start.time, endTime: end.time }, true, true, client);
+
+        assert.equal(result.accountId, player.accountId);
+        assert.equal(result.displayName, 'MockPlayer');
+        assert.deepEqual(result.stats, expected);
+    });
+
+    it('serves ranked tracks and the player\'s progress on them', async () => {
+        const ranked = await getRankedProgress('MockPlayer', true, client);
+
+        assert.deepEqual(ranked.tracks.map(track => track.trackguid), data.tracks.map(track => track.trackguid));
+        assert.deepEqual(ranked.progress, player.trackProgress);
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterLoggedMatches, groupPlaySessions, renderSessionTable } from '../../src/playSessions.js';
+
+/**
+ * Builds a logged match record
+ * @param {number} time - Event time (end of the match)
+ * @param {string} modePath - Mode path
+ * @param {Object} [values={}] - Overrides (matches, wins, kills, minutes, merged, aggregated)
+ * @returns {Object} Match record
+ */
+function match(time, modePath, values = {}) {
+    return { type: 'match', time, modePath, matches: 1, wins: 0, kills: 0, minutes: 20, merged: false, aggregated: false, ...values };
+}
+
+const matches = [
+    match(10000, 'zeroBuild.regular.pubs.solo', { kills: 3 }),
+    match(11500, 'zeroBuild.regular.pubs.solo', { wins: 1, kills: 5 }),
+    match(20000, 'build.regular.ranked.duo', { matches: 2, kills: 4, minutes: 40, merged: true }),
+    match(40000, 'zeroBuild.reload.pubs.squad', { kills: 1 })
+];
+
+describe('filterLoggedMatches', () => {
+    it('keeps every match without filters', () => {
+        assert.equal(filterLoggedMatches(matches).length, 4);
+    });
+
+    it('treats filters of the same kind as alternatives', () => {
+        assert.deepEqual(filterLoggedMatches(matches, ['zeroBuild']).map(m => m.time), [10000, 11500, 40000]);
+        assert.deepEqual(filterLoggedMatches(matches, ['solo', 'duo']).map(m => m.time), [10000, 11500, 20000]);
+        assert.deepEqual(filterLoggedMatches(matches, ['zeroBuild', 'squad']).map(m => m.time), [40000]);
+    });
+});
+
+describe('groupPlaySessions', () => {
+    it('starts a new session after the idle gap', () => {
+        const sessions = groupPlaySessions(matches, [], 1800);
+        assert.equal(sessions.length, 3);
+        assert.deepEqual(sessions[0], {
+            startTime: 8800,
+            endTime: 11500,
+            events: 2,
+            matches: 2,
+            wins: 1,
+            kills: 8,
+            minutes: 40,
+            winRate: 0.5,
+            killsPerDeath: 8,
+            aggregated: false
+        });
+        assert.equal(groupPlaySessions(matches, [], 20000).length, 1);
+    });
+
+    it('marks sessions with merged matches or overlapping gaps as aggregated', () => {
+        const sessions = groupPlaySessions(matches, [{ from: 39000, to: 39500 }], 1800);
+        assert.deepEqual(sessions.map(session => session.aggregated), [false, true, true]);
+    });
+});
+
+describe('renderSessionTable', () => {
+    it('marks aggregated match counts with an asterisk', () => {
+        const lines = renderSessionTable(groupPlaySessions(matches, [], 1800)).split('\n');
+        assert.match(lines[0], /^Started\s+Ended\s+Matches\s+Wins\s+Kills\s+K\/D\s+Time$/);
+        assert.match(lines[2], /\s2 {5}1 {6}8 {2}8\.00 {2}0:40$/);
+        assert.match(lines[3], /\s2\*\s/);
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadGroups, saveGroup, removeGroup, resolveGroupArg, parsePlayerList, getGroupsFilePath } from '../../src/playerGroups.js';
+
+describe('playerGroups', () => {
+    let homeDir;
+    const previousHome = process.env.FN_STATS_HOME;
+
+    before(() => {
+        homeDir = mkdtempSync(join(tmpdir(), 'fn-stats-groups-'));
+        process.env.FN_STATS_HOME = homeDir;
+    });
+
+    after(() => {
+        if (previousHome === undefined) delete process.env.FN_STATS_HOME;
+        else process.env.FN_STATS_HOME = previousHome;
+        rmSync(homeDir, { recursive: true, force: true });
+    });
+
+    it('parses comma-separated player lists', () => {
+        assert.deepEqual(parsePlayerList('Alpha, Bravo,,Charlie Delta'), ['Alpha', 'Bravo', 'Charlie Delta']);
+    });
+
+    it('starts with no saved groups', () => {
+        assert.deepEqual(loadGroups(), {});
+    });
+
+    it('saves groups and resolves them with @name', () => {
+        saveGroup('mysquad', ['Alpha', 'Bravo']);
+        saveGroup('duo-team', ['Charlie', 'Delta']);
+        assert.deepEqual(resolveGroupArg('@mysquad'), { groupName: 'mysquad', playerNames: ['Alpha', 'Bravo'] });
+        assert.deepEqual(Object.keys(loadGroups()), ['mysquad', 'duo-team']);
+    });
+
+    it('resolves ad-hoc player lists without a group name', () => {
+        assert.deepEqual(resolveGroupArg('Alpha,Echo'), { groupName: null, playerNames: ['Alpha', 'Echo'] });
+    });
+
+    it('rejects unknown groups and lists the saved ones', () => {
+        assert.throws(() => resolveGroupArg('@nope'), /Unknown group '@nope' \(saved groups: @mysquad, @duo-team\)/);
+    });
+
+    it('rejects invalid names and empty groups', () => {
+        assert.throws(() => saveGroup('my squad', ['Alpha']), /Invalid group name/);
+        assert.throws(() => saveGroup('empty', []), /at least one player/);
+    });
+
+    it('removes groups', () => {
+        assert.equal(removeGroup('duo-team'), true);
+        assert.equal(removeGroup('duo-team'), false);
+        assert.deepEqual(loadGroups(), { mysquad: ['Alpha', 'Bravo'] });
+    });
+
+    it('reports an unreadable groups file', () => {
+        writeFileSync(getGroupsFilePath(), '{ not json');
+        assert.throws(() => loadGroups(), /Could not read saved groups/);
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { compilePlaylistEntry, loadPlaylistRegistry, classifyPlaylist,
+         getUserPlaylistsFilePath } from '../../src/playlistRegistry.js';
+
+const reloadEntry = {
+    pattern: 'punchberry_{teamSize}', buildMode: 'build', gameMode: 'reload', compMode: 'pubs', teamSizes: ['solo', 'duo', 'squad']
+};
+
+describe('compilePlaylistEntry', () => {
+    it('matches the playlists of its pattern and team sizes', () => {
+        const entry = compilePlaylistEntry(reloadEntry);
+        assert.equal(entry.regex.exec('punchberry_duo')[1], 'duo');
+        assert.equal(entry.regex.test('punchberry_trio'), false);
+        assert.equal(entry.regex.test('punchberry_nobuild_duo'), false);
+    });
+
+    it('defaults to every team size and supports wildcards', () => {
+        const entry = compilePlaylistEntry({ pattern: 'figment_*_{teamSize}', buildMode: 'build', gameMode: 'regular', compMode: 'pubs' });
+        assert.deepEqual(entry.teamSizes, ['solo', 'duo', 'trio', 'squad']);
+        assert.equal(entry.regex.test('figment_playground_trio'), true);
+    });
+
+    it('rejects invalid entries', () => {
+        assert.throws(() => compilePlaylistEntry({ ...reloadEntry, pattern: 'punchberry' }), /one \{teamSize\} placeholder/);
+        assert.throws(() => compilePlaylistEntry({ ...reloadEntry, gameMode: 'creative' }), /gameMode of punchberry_\{teamSize\} must be one of/);
+        assert.throws(() => compilePlaylistEntry({ ...reloadEntry, teamSizes: ['quad'] }), /teamSizes of/);
+    });
+});
+
+describe('classifyPlaylist', () => {
+    it('uses the first matching entry', () => {
+        const registry = [
+            compilePlaylistEntry({ pattern: 'nobuildbr_habanero_{teamSize}', buildMode: 'zeroBuild', gameMode: 'regular', compMode: 'ranked' }),
+            compilePlaylistEntry({ pattern: 'nobuildbr_*{teamSize}', buildMode: 'zeroBuild', gameMode: 'regular', compMode: 'pubs' })
+        ];
+        assert.equal(classifyPlaylist('nobuildbr_habanero_squad', registry).compMode, 'ranked');
+        assert.equal(classifyPlaylist('nobuildbr_solo', registry).compMode, 'pubs');
+        assert.equal(classifyPlaylist('defaultsolo', registry), null);
+    });
+});
+
+describe('loadPlaylistRegistry', () => {
+    let dir;
+    let previousHome;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'fn-stats-playlists-'));
+        previousHome = process.env.FN_STATS_HOME;
+        process.env.FN_STATS_HOME = dir;
+    });
+
+    after(() => {
+        if (previousHome === undefined) delete process.env.FN_STATS_HOME;
+        else process.env.FN_STATS_HOME = previousHome;
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('loads the packaged registry', () => {
+        const registry = loadPlaylistRegistry();
+        assert.deepEqual(classifyPlaylist('punchberry_nobuild_squad', registry), {
+            buildMode: 'zeroBuild', gameMode: 'reload', compMode: 'pubs', teamSize: 'squad'
+        });
+        assert.equal(classifyPlaylist('punchberry_trio', registry), null);
+    });
+
+    it('classifies the ranked playlists of every mode', () => {
+        const registry = loadPlaylistRegistry();
+        assert.deepEqual(classifyPlaylist('habanero_duo', registry), {
+            buildMode: 'build', gameMode: 'regular', compMode: 'ranked', teamSize: 'duo'
+        });
+        assert.deepEqual(classifyPlaylist('nobuildbr_habanero_solo', registry), {
+            buildMode: 'zeroBuild', gameMode: 'regular', compMode: 'ranked', teamSize: 'solo'
+        });
+        assert.deepEqual(classifyPlaylist('blastberry_squad', registry), {
+            buildMode: 'build', gameMode: 'reload', compMode: 'ranked', teamSize: 'squad'
+        });
+        assert.deepEqual(classifyPlaylist('blastberry_nobuild_squad', registry), {
+            buildMode: 'zeroBuild', gameMode: 'reload', compMode: 'ranked', teamSize: 'squad'
+        });
+    });
+
+    it('tries user entries before the packaged ones', () => {
+        writeFileSync(getUserPlaylistsFilePath(), JSON.stringify({ playlists: [
+            { pattern: 'punchberry_{teamSize}', buildMode: 'build', gameMode: 'reload', compMode: 'pubs' },
+            { pattern: 'juno_{teamSize}', buildMode: 'build', gameMode: 'regular', compMode: 'pubs' }
+        ] }));
+        const registry = loadPlaylistRegistry();
+        assert.equal(classifyPlaylist('punchberry_trio', registry).teamSize, 'trio');
+        assert.equal(classifyPlaylist('juno_duo', registry).gameMode, 'regular');
+        assert.equal(classifyPlaylist('nobuildbr_duo', registry).buildMode, 'zeroBuild');
+    });
+
+    it('reports invalid user registries', () => {
+        writeFileSync(getUserPlaylistsFilePath(), JSON.stringify({ playlists: [{ pattern: 'juno_{teamSize}' }] }));
+        assert.throws(() => loadPlaylistRegistry(), /Invalid playlist entry 1 in .*playlists\.json: buildMode/);
+        writeFileSync(getUserPlaylistsFilePath(), '{');
+        assert.throws(() => loadPlaylistRegistry(), /Could not read playlist registry/);
+    });
+});
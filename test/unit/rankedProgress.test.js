@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { getDivisionName, getRankingTypeLabel, getRankingTypeModePath, getActiveTracks, buildRankedSummary,
+         renderRankedTable, renderRankedHistoryTable } from '../../src/rankedProgress.js';
+import { filterRawFortniteStats } from '../../src/fortniteRawStatOps.js';
+import { createFortniteStatObject } from '../../src/fortniteStructuredStatOps.js';
+import { getModePathStats } from '../../src/leaderboard.js';
+
+const tracks = JSON.parse(readFileSync(new URL('../tracks_output.json', import.meta.url), 'utf8'));
+
+describe('getDivisionName', () => {
+    it('maps division indexes to names', () => {
+        assert.equal(getDivisionName(0), 'Bronze I');
+        assert.equal(getDivisionName(8), 'Gold III');
+        assert.equal(getDivisionName(15), 'Elite');
+        assert.equal(getDivisionName(17), 'Unreal');
+    });
+
+    it('handles missing and unknown divisions', () => {
+        assert.equal(getDivisionName(null), 'Unranked');
+        assert.equal(getDivisionName(20), 'Division 21');
+    });
+});
+
+describe('getRankingTypeLabel', () => {
+    it('labels known ranking types and passes others through', () => {
+        assert.equal(getRankingTypeLabel('ranked-zb'), 'Zero Build');
+        assert.equal(getRankingTypeLabel('ranked-something-new'), 'ranked-something-new');
+    });
+});
+
+describe('getRankingTypeModePath', () => {
+    it('maps battle royale ranking types to their ranked stat mode path', () => {
+        assert.deepEqual(getRankingTypeModePath('ranked-zb'), ['zeroBuild', 'regular', 'ranked']);
+        assert.deepEqual(getRankingTypeModePath('ranked_blastberry_build'), ['build', 'reload', 'ranked']);
+    });
+
+    it('selects the ranked stats of each ranking type', () => {
+        const suffix = 'keyboardmouse_m0_playlist';
+        const rawStats = { stats: {
+            [`br_matchesplayed_${suffix}_habanero_squad`]: 12,
+            [`br_placetop1_${suffix}_habanero_squad`]: 3,
+            [`br_matchesplayed_${suffix}_nobuildbr_habanero_squad`]: 20,
+            [`br_matchesplayed_${suffix}_blastberry_nobuild_squad`]: 7,
+            [`br_matchesplayed_${suffix}_defaultsquad`]: 40
+        } };
+        const statsFor = rankingType => {
+            const modePath = getRankingTypeModePath(rankingType);
+            return getModePathStats(createFortniteStatObject(filterRawFortniteStats(rawStats, modePath)), modePath);
+        };
+
+        assert.equal(statsFor('ranked-br').matches, 12);
+        assert.equal(statsFor('ranked-br').wins, 3);
+        assert.equal(statsFor('ranked-zb').matches, 20);
+        assert.equal(statsFor('ranked_blastberry_nobuild').matches, 7);
+        assert.equal(statsFor('ranked_blastberry_build'), null);
+    });
+
+    it('returns null for ranking types without stat keys', () => {
+        assert.equal(getRankingTypeModePath('delmar-competitive'), null);
+    });
+});
+
+describe('getActiveTracks', () => {
+    it('finds the tracks whose season contains the time', () => {
+        const time = Date.parse('2025-03-01T00:00:00Z') / 1000;
+        assert.deepEqual(getActiveTracks(tracks, time).map(track => track.trackguid).sort(),
+            ['G0LD3N', 'G4RL1C', 'RU5T3D', 'S4ngu1', 'SP1C3', 'SUG4R', 'rr36y9', 'vidr1o'].sort());
+    });
+
+    it('treats the end time as exclusive', () => {
+        const time = Date.parse('2023-06-20T08:00:00Z') / 1000;
+        assert.deepEqual(getActiveTracks(tracks, time), []);
+    });
+});
+
+describe('buildRankedSummary', () => {
+    const active = tracks.filter(track => ['S4ngu1', 'vidr1o'].includes(track.trackguid));
+    const summary = buildRankedSummary(active, [
+        { trackguid: 'vidr1o', currentDivision: 17, highestDivision: 17, promotionProgress: 0, currentPlayerRanking: 1234 }
+    ]);
+
+    it('joins progress to tracks by guid and names the divisions', () => {
+        const zeroBuild = summary.find(entry => entry.rankingType === 'ranked-zb');
+        assert.equal(zeroBuild.division, 'Unreal');
+        assert.equal(zeroBuild.currentPlayerRanking, 1234);
+        assert.equal(zeroBuild.startTime, Date.parse('2025-02-21T09:00:00Z') / 1000);
+    });
+
+    it('reports tracks without progress as unranked', () => {
+        const battleRoyale = summary.find(entry => entry.rankingType === 'ranked-br');
+        assert.equal(battleRoyale.currentDivision, null);
+        assert.equal(battleRoyale.division, 'Unranked');
+    });
+
+    it('renders progress, or the placement for Unreal players', () => {
+        const rows = renderRankedTable([
+            ...summary,
+            { ...summary[0], label: 'Test', currentDivision: 4, division: 'Silver II', promotionProgress: 0.456 }
+        ]).split('\n').slice(2);
+        assert.match(rows.find(row => row.startsWith('Zero Build')), /Unreal\s+#1234/);
+        assert.match(rows.find(row => row.startsWith('Test')), /Silver II\s+46%/);
+        assert.match(rows.find(row => row.startsWith('Battle Royale')), /Unranked\s+Unranked/);
+    });
+});
+
+describe('renderRankedHistoryTable', () => {
+    const [season] = buildRankedSummary(tracks.filter(track => track.trackguid === 'vidr1o'), [
+        { trackguid: 'vidr1o', currentDivision: 9, highestDivision: 11, promotionProgress: 0.5 }
+    ]);
+
+    it('shows the final and highest division with the season\'s ranked stats', () => {
+        const lines = renderRankedHistoryTable([
+            { ...season, stats: { matches: 40, wins: 4, winRate: 0.1, killsPerDeath: 2.5 } }
+        ]).split('\n');
+        assert.match(lines[0], /^Season\s+Mode\s+Final\s+Highest\s+Matches\s+Wins\s+Win %\s+K\/D$/);
+        assert.match(lines[2], /^2025-02-21 to 2025-05-02\s+Zero Build\s+Platinum I\s+Platinum III\s+40\s+4\s+10\.0%\s+2\.50$/);
+    });
+
+    it('leaves the stat columns empty without stats', () => {
+        const [, , row] = renderRankedHistoryTable([{ ...season, stats: null }]).split('\n');
+        assert.match(row, /Platinum III\s*$/);
+    });
+});
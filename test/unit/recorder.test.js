@@ -0,0 +1,73 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readdirSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { REDACTED, recordExchange, replayExchange } from '../../lib/epic-auth/recorder.js';
+
+const bearerToken = 'eg1~secret-bearer-token';
+const statsUrl = 'https://statsproxy.example/statsproxy/api/statsv2/account/account-alpha?startTime=0&endTime=100';
+const tokenUrl = 'https://account.example/account/api/oauth/token';
+
+/**
+ * Reads the single fixture file recorded in a directory
+ * @param {string} dir - Fixture directory
+ * @returns {string} Raw fixture text
+ */
+function readOnlyFixture(dir) {
+    const files = readdirSync(dir);
+    assert.equal(files.length, 1);
+    return readFileSync(join(dir, files[0]), 'utf8');
+}
+
+describe('recorded fixtures', () => {
+    let root;
+
+    before(() => {
+        root = mkdtempSync(join(tmpdir(), 'fn-stats-recorder-'));
+    });
+
+    after(() => {
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    it('leaves the Authorization header out of the fixture', async () => {
+        const dir = join(root, 'stats');
+        const init = { method: 'GET', headers: { Authorization: `bearer ${bearerToken}` } };
+        await recordExchange(dir, statsUrl, init, Response.json({ accountId: 'account-alpha', stats: { br_kills: 3 } }));
+
+        const fixture = readOnlyFixture(dir);
+        assert.ok(!fixture.includes(bearerToken));
+        assert.ok(!/authorization/i.test(fixture));
+
+        const replayed = await replayExchange(dir, statsUrl, init).json();
+        assert.deepEqual(replayed, { accountId: 'account-alpha', stats: { br_kills: 3 } });
+    });
+
+    it('redacts credentials in request bodies and tokens in responses', async () => {
+        const dir = join(root, 'token');
+        const init = {
+            method: 'POST',
+            headers: { Authorization: 'basic client-credentials' },
+            body: new URLSearchParams({ grant_type: 'device_auth', account_id: 'account-alpha', device_id: 'device-1', secret: 'device-secret' })
+        };
+        await recordExchange(dir, tokenUrl, init, Response.json({
+            access_token: bearerToken, refresh_token: 'refresh-secret', account_id: 'account-alpha'
+        }));
+
+        const fixture = readOnlyFixture(dir);
+        for (const secret of [bearerToken, 'refresh-secret', 'device-secret', 'device-1', 'client-credentials']) {
+            assert.ok(!fixture.includes(secret), `${secret} was recorded`);
+        }
+        const { request, responses } = JSON.parse(fixture);
+        assert.equal(request.body.secret, REDACTED);
+        assert.equal(request.body.grant_type, 'device_auth');
+        assert.equal(responses[0].json.access_token, REDACTED);
+        assert.equal(responses[0].json.account_id, 'account-alpha');
+    });
+
+    it('fails clearly when a request was never recorded', () => {
+        assert.throws(() => replayExchange(join(root, 'stats'), `${statsUrl}&other=1`, { method: 'GET' }),
+            /No recorded response for GET https:\/\/statsproxy\.example\/.*other=1 in /);
+    });
+});
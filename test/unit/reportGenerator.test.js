@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateReport } from '../../src/reportGenerator.js';
+
+/**
+ * Builds report data for a player
+ * @param {string} displayName - Player display name
+ * @returns {Object} Report data for generateReport
+ */
+function createReportData(displayName) {
+    return {
+        player: { displayName, accountId: '4735ce9132924caf8a5b17789b40f79c' },
+        timeWindow: { startTime: 1735689600, endTime: 1736294400 },
+        filters: ['zb'],
+        statPatternKeys: [],
+        useAdvancedMethod: true,
+        nestedStats: {
+            zeroBuild: {
+                br: {
+                    pubs: { solo: { matches: 10, kills: 12, winRate: 0.1 } },
+                    ranked: { duo: { matches: 4, kills: 3, winRate: 0 } }
+                }
+            }
+        },
+        trnStats: { solo: { matches: 10, kills: 12 }, duo: { matches: 4, kills: 3 } },
+        lastModified: { 'br_lastmodified_keyboardmouse_m0_playlist_nobuildbr_solo': 'Jan 5, 2025, 18:00:00' },
+        generatedAt: '2025-01-08T12:00:00.000Z'
+    };
+}
+
+describe('generateReport', () => {
+    it('includes the header, TRN, per-mode and last-modified sections in Markdown', () => {
+        const report = generateReport(createReportData('MockPlayer'), 'md');
+
+        assert.match(report, /^# Fortnite Stats Report: MockPlayer\n/);
+        assert.match(report, /- \*\*Player:\*\* MockPlayer \(4735ce9132924caf8a5b17789b40f79c\)/);
+        assert.match(report, /- \*\*Mode filters:\*\* zb/);
+        assert.match(report, /- \*\*Method:\*\* triple-call/);
+        assert.match(report, /## Summary \(TRN-style, bots excluded\)\n\n\| Team Size \| Matches \| Kills \|/);
+        assert.match(report, /## Stats by Mode/);
+        assert.match(report, /### zeroBuild \/ br \/ pubs\n\n\| Team Size \| Matches \| Kills \| Win % \|/);
+        assert.match(report, /\| solo \| 10 \| 12 \| 10\.0% \|/);
+        assert.match(report, /### zeroBuild \/ br \/ ranked/);
+        assert.match(report, /## Last Modified \(GMT\)\n\n- `br_lastmodified_keyboardmouse_m0_playlist_nobuildbr_solo`: Jan 5, 2025, 18:00:00/);
+    });
+
+    it('includes the header, TRN, per-mode and last-modified sections in HTML', () => {
+        const report = generateReport(createReportData('MockPlayer'), 'html');
+
+        assert.match(report, /^<!DOCTYPE html>/);
+        assert.match(report, /<h1>Fortnite Stats Report: MockPlayer<\/h1>/);
+        assert.match(report, /<dt>Player<\/dt><dd>MockPlayer \(4735ce9132924caf8a5b17789b40f79c\)<\/dd>/);
+        assert.match(report, /<h2>Summary \(TRN-style, bots excluded\)<\/h2>\n<table>/);
+        assert.match(report, /<h2>Stats by Mode<\/h2>\n<h3>zeroBuild \/ br \/ pubs<\/h3>\n<table>/);
+        assert.match(report, /<h3>zeroBuild \/ br \/ ranked<\/h3>/);
+        assert.match(report, /<h2>Last Modified \(GMT\)<\/h2>\n<ul class="modified">/);
+    });
+
+    it('writes HTML without external assets', () => {
+        const report = generateReport(createReportData('MockPlayer'), 'html');
+
+        assert.doesNotMatch(report, /<link/i);
+        assert.doesNotMatch(report, /<script src/i);
+        assert.doesNotMatch(report, /http/i);
+        assert.match(report, /<style>\n[^<]+<\/style>/);
+    });
+
+    it('escapes special characters in player names', () => {
+        const name = 'a<&"|b';
+        const html = generateReport(createReportData(name), 'html');
+        const markdown = generateReport(createReportData(name), 'md');
+
+        assert.match(html, /<h1>Fortnite Stats Report: a&lt;&amp;&quot;\|b<\/h1>/);
+        assert.ok(!html.includes(name));
+        assert.match(markdown, /^# Fortnite Stats Report: a&lt;&amp;"\\\|b\n/);
+        assert.match(markdown, /- \*\*Player:\*\* a&lt;&amp;"\\\|b \(/);
+        assert.ok(!markdown.includes(name));
+    });
+
+    it('notes when no stats match', () => {
+        const report = generateReport({ ...createReportData('MockPlayer'), nestedStats: {}, trnStats: {}, lastModified: {} }, 'md');
+
+        assert.match(report, /## Stats by Mode\n\n_No matching stats found_/);
+        assert.match(report, /_No lastmodified entries found_/);
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => generateReport(createReportData('MockPlayer'), 'pdf'), /Unsupported report format: pdf/);
+    });
+});
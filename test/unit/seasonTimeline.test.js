@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { getSeasonName, getTimelineSeason, mergeTimelineSeason } from '../../src/seasonTimeline.js';
+
+const timeline = JSON.parse(readFileSync(new URL('../timeline_output.json', import.meta.url), 'utf8'));
+
+/**
+ * Builds a timeline with one client-events state per season entry
+ * @param {Array<Object>} states - Entries {validFrom, seasonNumber, seasonBegin, seasonEnd}
+ * @param {string} currentTime - Timeline current time
+ * @returns {Object} Timeline response
+ */
+function buildTimeline(states, currentTime) {
+    return {
+        channels: {
+            'client-events': {
+                states: states.map(({ validFrom, ...state }) => ({ validFrom, activeEvents: [], state }))
+            }
+        },
+        currentTime
+    };
+}
+
+describe('getSeasonName', () => {
+    it('names seasons by chapter', () => {
+        assert.equal(getSeasonName(1), 'ch1s1');
+        assert.equal(getSeasonName(10), 'ch1sX');
+        assert.equal(getSeasonName(11), 'ch2s1');
+        assert.equal(getSeasonName(27), 'og');
+        assert.equal(getSeasonName(32), 'remix');
+        assert.equal(getSeasonName(34), 'ch6s2');
+    });
+
+    it('gives unknown season numbers a generic name', () => {
+        assert.equal(getSeasonName(99), 's99');
+    });
+});
+
+describe('getTimelineSeason', () => {
+    it('reads the current season from a recorded timeline', () => {
+        assert.deepEqual(getTimelineSeason(timeline), {
+            seasonNumber: 34,
+            name: 'ch6s2',
+            start: '2025-02-14T14:00:00Z',
+            end: '2025-05-09T13:00:00Z'
+        });
+    });
+
+    it('uses the state valid at the current time', () => {
+        const states = [
+            { validFrom: '2025-05-01T00:00:00Z', seasonNumber: 34, seasonBegin: '2025-02-14T14:00:00Z', seasonEnd: '2025-05-09T13:00:00Z' },
+            { validFrom: '2025-05-09T13:00:00Z', seasonNumber: 35, seasonBegin: '2025-05-09T13:00:00Z', seasonEnd: '2025-08-01T00:00:00Z' }
+        ];
+        assert.equal(getTimelineSeason(buildTimeline(states, '2025-05-08T00:00:00Z')).name, 'ch6s2');
+        assert.equal(getTimelineSeason(buildTimeline(states, '2025-05-10T00:00:00Z')).name, 'ch6s3');
+    });
+
+    it('rejects timelines without season information', () => {
+        assert.throws(() => getTimelineSeason({ channels: {} }), /no season information/);
+    });
+});
+
+describe('mergeTimelineSeason', () => {
+    const season = { name: 'ch6s3', start: '2025-06-07T06:00:00Z', end: '2025-08-02T06:00:00Z' };
+
+    it('adds new seasons without changing the others', () => {
+        const definitions = { ch6s2: { start: 'Feb 21, 2025 GMT', end: 'May 2, 2025 GMT' } };
+        const result = mergeTimelineSeason(definitions, season);
+        assert.equal(result.status, 'added');
+        assert.deepEqual(result.definitions, {
+            ch6s2: { start: 'Feb 21, 2025 GMT', end: 'May 2, 2025 GMT' },
+            ch6s3: { start: '2025-06-07T06:00:00Z', end: '2025-08-02T06:00:00Z' }
+        });
+        assert.deepEqual(Object.keys(definitions), ['ch6s2']);
+    });
+
+    it('updates changed boundaries and reports unchanged ones', () => {
+        const updated = mergeTimelineSeason({ ch6s3: { start: 'Jun 7 2025 GMT', end: 'Aug 2 2025 GMT' } }, season);
+        assert.equal(updated.status, 'updated');
+        assert.equal(mergeTimelineSeason(updated.definitions, season).status, 'unchanged');
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSeasonDate, getSeasonSeries, checkSeasonSequence, resolveSeasonLayers,
+         renderSeasonTable } from '../../src/seasonValidation.js';
+
+describe('parseSeasonDate', () => {
+    it('parses month-day-year dates as midnight GMT', () => {
+        assert.equal(parseSeasonDate('Sept. 27 2018 GMT'), 1538006400);
+        assert.equal(parseSeasonDate('Sep 27, 2018 GMT'), 1538006400);
+        assert.equal(parseSeasonDate('September 27 2018'), 1538006400);
+        assert.equal(parseSeasonDate('April 30, 2018 GMT'), 1525046400);
+        assert.equal(parseSeasonDate('June 6 2023 23:59:59 GMT'), 1686095999);
+    });
+
+    it('parses ISO 8601 timestamps', () => {
+        assert.equal(parseSeasonDate('2025-02-14T14:00:00Z'), 1739541600);
+    });
+
+    it('returns NaN for unparseable dates', () => {
+        assert.ok(isNaN(parseSeasonDate('Sometime 2018')));
+        assert.ok(isNaN(parseSeasonDate('Smarch 3 2018')));
+        assert.ok(isNaN(parseSeasonDate('Ma 3 2018')));
+        assert.ok(isNaN(parseSeasonDate('May 3 2018 25:00')));
+        assert.ok(isNaN(parseSeasonDate(undefined)));
+    });
+});
+
+describe('getSeasonSeries', () => {
+    it('separates Reload seasons and skips lifetime', () => {
+        assert.equal(getSeasonSeries('ch6s2'), 'main');
+        assert.equal(getSeasonSeries('Reloads1'), 'reload');
+        assert.equal(getSeasonSeries('lifetime'), null);
+    });
+});
+
+describe('checkSeasonSequence', () => {
+    const day = 86400;
+
+    it('accepts back-to-back seasons and short breaks', () => {
+        assert.deepEqual(checkSeasonSequence({
+            a: { startTime: 0, endTime: 10 * day },
+            b: { startTime: 12 * day, endTime: 20 * day },
+            Reloads1: { startTime: 5 * day, endTime: 15 * day },
+            lifetime: { startTime: 0, endTime: 100 * day }
+        }), []);
+    });
+
+    it('warns about overlaps and long gaps within a series', () => {
+        assert.deepEqual(checkSeasonSequence({
+            a: { startTime: 0, endTime: 10 * day },
+            b: { startTime: 9 * day, endTime: 20 * day },
+            c: { startTime: 25 * day, endTime: 30 * day }
+        }), [
+            { season: 'b', message: 'b starts 1 day before a ends' },
+            { season: 'c', message: '5 days gap between b and c' }
+        ]);
+    });
+});
+
+describe('resolveSeasonLayers', () => {
+    const packaged = {
+        source: 'packaged',
+        definitions: {
+            ch6s1: { start: 'Dec 1, 2024 GMT', end: 'Feb 21, 2025 GMT' },
+            ch6s2: { start: 'Feb 21, 2025 GMT', end: 'May 2, 2025 GMT' }
+        }
+    };
+
+    it('lets later layers replace seasons', () => {
+        const { seasons, errors, warnings } = resolveSeasonLayers([packaged, {
+            source: 'user',
+            definitions: { ch6s2: { start: 'Feb 21, 2025 GMT', end: 'May 9, 2025 GMT' } }
+        }]);
+        assert.deepEqual(seasons.ch6s2, {
+            start: 'Feb 21, 2025 GMT', end: 'May 9, 2025 GMT', startTime: 1740096000, endTime: 1746748800, source: 'user'
+        });
+        assert.equal(seasons.ch6s1.source, 'packaged');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(warnings, []);
+    });
+
+    it('rejects invalid entries and keeps the earlier definition', () => {
+        const { seasons, errors } = resolveSeasonLayers([packaged, {
+            source: 'user',
+            definitions: {
+                ch6s2: { start: 'May 2, 2025 GMT', end: 'Feb 21, 2025 GMT' },
+                ch6s3: { start: 'soon', end: 'later' },
+                ch6s4: 'June 2025'
+            }
+        }]);
+        assert.equal(seasons.ch6s2.source, 'packaged');
+        assert.deepEqual(Object.keys(seasons), ['ch6s1', 'ch6s2']);
+        assert.deepEqual(errors.map(error => error.message), [
+            "ch6s2 (user): end date 'Feb 21, 2025 GMT' is not after start date 'May 2, 2025 GMT'",
+            "ch6s3 (user): unparseable start date 'soon'",
+            'ch6s4 (user): expected an object with start and end dates'
+        ]);
+    });
+});
+
+describe('renderSeasonTable', () => {
+    it('lists seasons by start time', () => {
+        const { seasons } = resolveSeasonLayers([{
+            source: 'packaged',
+            definitions: {
+                ch6s2: { start: 'Feb 21, 2025 GMT', end: 'May 2, 2025 GMT' },
+                ch6s1: { start: 'Dec 1, 2024 GMT', end: 'Feb 21, 2025 GMT' }
+            }
+        }]);
+        assert.deepEqual(renderSeasonTable(seasons).split('\n').map(line => line.trimEnd()), [
+            'Season  Start (GMT)       End (GMT)         Days  Source',
+            '------  ----------------  ----------------  ----  --------',
+            'ch6s1   2024-12-01 00:00  2025-02-21 00:00    82  packaged',
+            'ch6s2   2025-02-21 00:00  2025-05-02 00:00    70  packaged'
+        ]);
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSeasonWindow, formatSeasonWindowReport } from '../../src/seasonWindow.js';
+import { createSnapshotReader } from '../fixtures/rawStats.js';
+
+const soloPadSuffix = 'gamepad_m0_playlist_nobuildbr_solo';
+const soloKbmSuffix = 'keyboardmouse_m0_playlist_nobuildbr_solo';
+
+// Season from Aug 1, 2023 14:00:00 GMT to Sep 15, 2023 13:00:00 GMT
+const season = { startTime: 1690898400, endTime: 1694782800 };
+const defaultWindow = { startTime: 1690934399, endTime: 1694822399 };
+const currentTime = Date.UTC(2024, 0, 1);
+const hour = 3600;
+const day = 86400;
+
+const stats = (kbm, pad) => ({ [`br_matchesplayed_${soloKbmSuffix}`]: kbm, [`br_matchesplayed_${soloPadSuffix}`]: pad });
+
+describe('findSeasonWindow', () => {
+    it('starts at the season start and ends at the latest end-of-season snapshot', async () => {
+        const padEnd = season.endTime + 2 * day + 5 * hour;
+        const { readSnapshot } = createSnapshotReader([
+            { time: season.startTime - 3 * day, stats: stats(10, 5) },
+            { time: season.startTime + 10 * day, stats: stats(20, 8) },
+            { time: season.endTime + 11 * hour, stats: stats(40, 8) },
+            { time: padEnd, stats: stats(40, 15) }
+        ]);
+
+        const result = await findSeasonWindow(readSnapshot, season, defaultWindow, { currentTime });
+        assert.equal(result.timeWindow.startTime, season.startTime);
+        assert.ok(result.timeWindow.endTime >= padEnd && result.timeWindow.endTime - padEnd <= hour);
+        assert.deepEqual(result.adjustments.map(adjustment => adjustment.bound), ['start', 'end']);
+        assert.match(result.adjustments[1].reason, /^zeroBuild\.regular\.pubs\.solo \(gamepad\) keeps its end-of-season snapshot 2\.2 days after/);
+        assert.deepEqual(result.notes, []);
+    });
+
+    it('notes modes without a start snapshot and play after an earlier end snapshot', async () => {
+        const { readSnapshot } = createSnapshotReader([
+            { time: season.startTime - 20 * day, stats: stats(10, 5) },
+            { time: season.endTime + 5 * hour, stats: stats(20, 5) },
+            { time: season.endTime + 2 * day, stats: stats(25, 5) },
+            { time: season.endTime + 3 * day, stats: stats(25, 12) }
+        ]);
+
+        const result = await findSeasonWindow(readSnapshot, season, defaultWindow, { currentTime });
+        const report = formatSeasonWindowReport(result);
+        assert.ok(report.some(line => /^zeroBuild\.regular\.pubs\.solo \(gamepad\): no snapshot within 7 days before/.test(line)));
+        assert.ok(report.some(line => /^zeroBuild\.regular\.pubs\.solo \(keyboardmouse\): includes play from a later snapshot/.test(line)));
+    });
+
+    it('keeps the end of a season that hasn\'t ended', async () => {
+        const { readSnapshot } = createSnapshotReader([{ time: season.startTime - day, stats: stats(1, 1) }]);
+        const window = { startTime: season.startTime, endTime: defaultWindow.endTime };
+        const result = await findSeasonWindow(readSnapshot, season, window, { currentTime: season.endTime * 1000 - day * 1000 });
+
+        assert.deepEqual(result.timeWindow, window);
+        assert.deepEqual(formatSeasonWindowReport(result), [
+            "The season window already brackets every mode's snapshots",
+            "The season hasn't ended yet, so the window end was kept"
+        ]);
+    });
+});
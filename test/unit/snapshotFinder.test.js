@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSnapshotChanges, renderSnapshotTable } from '../../src/snapshotFinder.js';
+import { createSnapshotReader } from '../fixtures/rawStats.js';
+
+const soloPadSuffix = 'gamepad_m0_playlist_nobuildbr_solo';
+const soloKbmSuffix = 'keyboardmouse_m0_playlist_nobuildbr_solo';
+
+// Nov 3, 2023 07:00:00 GMT and Dec 3, 2023 04:30:00 GMT
+const kbmSnapshot = 1698994800;
+const padSnapshot = 1701577800;
+
+const snapshots = [
+    { time: kbmSnapshot - 30 * 86400, stats: { [`br_kills_${soloKbmSuffix}`]: 10, [`br_kills_${soloPadSuffix}`]: 5 } },
+    { time: kbmSnapshot, stats: { [`br_kills_${soloKbmSuffix}`]: 14, [`br_kills_${soloPadSuffix}`]: 5 } },
+    { time: padSnapshot, stats: { [`br_kills_${soloKbmSuffix}`]: 14, [`br_kills_${soloPadSuffix}`]: 9, [`br_matchesplayed_${soloPadSuffix}`]: 2 } }
+];
+
+describe('findSnapshotChanges', () => {
+    it('locates each mode and input device\'s snapshot within the resolution', async () => {
+        const { readSnapshot } = createSnapshotReader(snapshots);
+        const { changes, probes } = await findSnapshotChanges(readSnapshot, kbmSnapshot - 5 * 86400, padSnapshot + 86400);
+
+        assert.deepEqual(changes.map(change => change.group), [
+            'zeroBuild.regular.pubs.solo (keyboardmouse)',
+            'zeroBuild.regular.pubs.solo (gamepad)'
+        ]);
+        for (const [change, snapshotTime] of [[changes[0], kbmSnapshot], [changes[1], padSnapshot]]) {
+            assert.ok(change.after < snapshotTime && snapshotTime <= change.atOrBefore);
+            assert.ok(change.atOrBefore - change.after <= 60);
+        }
+        assert.deepEqual(changes[1].stats, ['kills', 'matchesplayed']);
+        assert.ok(probes < 60);
+    });
+
+    it('groups per raw key', async () => {
+        const { readSnapshot } = createSnapshotReader(snapshots);
+        const { changes } = await findSnapshotChanges(readSnapshot, padSnapshot - 86400, padSnapshot + 86400,
+            { per: 'key', resolution: 3600 });
+        assert.deepEqual(changes.map(change => change.group),
+            [`br_kills_${soloPadSuffix}`, `br_matchesplayed_${soloPadSuffix}`]);
+    });
+
+    it('makes only the two bound queries when nothing changed', async () => {
+        const { readSnapshot, reads } = createSnapshotReader(snapshots);
+        const { changes, probes } = await findSnapshotChanges(readSnapshot, kbmSnapshot + 60, padSnapshot - 60);
+        assert.deepEqual(changes, []);
+        assert.equal(probes, 2);
+        assert.deepEqual(reads, [kbmSnapshot + 60, padSnapshot - 60]);
+    });
+
+    it('finds only each group\'s first or last snapshot', async () => {
+        const twice = [
+            { time: 0, stats: { [`br_kills_${soloPadSuffix}`]: 1 } },
+            { time: kbmSnapshot, stats: { [`br_kills_${soloPadSuffix}`]: 2 } },
+            { time: padSnapshot, stats: { [`br_kills_${soloPadSuffix}`]: 3 } }
+        ];
+        const from = kbmSnapshot - 86400;
+        const to = padSnapshot + 86400;
+        const first = await findSnapshotChanges(createSnapshotReader(twice).readSnapshot, from, to, { find: 'first', resolution: 3600 });
+        const last = await findSnapshotChanges(createSnapshotReader(twice).readSnapshot, from, to, { find: 'last', resolution: 3600 });
+        assert.equal(first.changes.length, 1);
+        assert.ok(first.changes[0].after < kbmSnapshot && kbmSnapshot <= first.changes[0].atOrBefore);
+        assert.equal(last.changes.length, 1);
+        assert.ok(last.changes[0].after < padSnapshot && padSnapshot <= last.changes[0].atOrBefore);
+    });
+
+    it('stops after the query limit', async () => {
+        const { readSnapshot } = createSnapshotReader(snapshots);
+        await assert.rejects(findSnapshotChanges(readSnapshot, kbmSnapshot - 86400, padSnapshot + 86400,
+            { resolution: 1, maxProbes: 5 }), /Stopped after 5 queries/);
+    });
+});
+
+describe('renderSnapshotTable', () => {
+    it('shows the interval holding each snapshot', async () => {
+        const { readSnapshot } = createSnapshotReader(snapshots);
+        const { changes } = await findSnapshotChanges(readSnapshot, padSnapshot - 3600, padSnapshot + 3600);
+        const lines = renderSnapshotTable(changes).split('\n');
+        assert.match(lines[0], /^Mode\s+After\s+At or before\s+Changed/);
+        assert.match(lines[2], /^zeroBuild\.regular\.pubs\.solo \(gamepad\)\s+Dec 3, 2023, 04:\d\d:\d\d GMT\s+Dec 3, 2023, 04:\d\d:\d\d GMT\s+kills, matchesplayed/);
+    });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildComparison, findBestIndexes, renderComparisonTable, exportComparison } from '../../src/statComparison.js';
+import { createFortniteStatObject, addFortniteRateStats, transformToTRNFormat } from '../../src/fortniteStructuredStatOps.js';
+import { loadFixture } from '../fixtures/loadFixture.js';
+
+/**
+ * Builds the TRN stats with rates for a fixture
+ * @param {string} name - Fixture name
+ * @returns {Object} TRN stats
+ */
+function trnStatsFor(name) {
+    return addFortniteRateStats(transformToTRNFormat(createFortniteStatObject(loadFixture(name))));
+}
+
+const playerResults = [
+    { player: { displayName: 'Alpha', accountId: 'a' }, stats: trnStatsFor('statsv2/lifetime.json') },
+    { player: { displayName: 'Bravo', accountId: 'b' }, stats: trnStatsFor('statsv2/season-start.json') }
+];
+
+describe('findBestIndexes', () => {
+    it('picks the highest value', () => {
+        assert.deepEqual(findBestIndexes('kills', [3, 7, 5]), [1]);
+    });
+
+    it('picks the lowest value for minutes per kill', () => {
+        assert.deepEqual(findBestIndexes('minutesPerKill', [3.5, 7, 2.25]), [2]);
+    });
+
+    it('marks every tied best value', () => {
+        assert.deepEqual(findBestIndexes('wins', [4, 1, 4]), [0, 2]);
+    });
+
+    it('marks nothing when all values are equal or only one player has a value', () => {
+        assert.deepEqual(findBestIndexes('wins', [2, 2]), []);
+        assert.deepEqual(findBestIndexes('top5', [undefined, 9]), []);
+    });
+});
+
+describe('buildComparison', () => {
+    const comparison = buildComparison(playerResults, true);
+
+    it('lists the players in order', () => {
+        assert.deepEqual(comparison.players.map(player => player.displayName), ['Alpha', 'Bravo']);
+    });
+
+    it('has one row per mode path and metric with a value per player', () => {
+        const soloMatches = comparison.rows.find(row => row.teamSize === 'solo' && row.stat === 'matches');
+        assert.deepEqual(soloMatches.values, [452, 394]);
+        assert.deepEqual(soloMatches.best, [0]);
+    });
+
+    it('leaves a value undefined for mode paths a player has no stats for', () => {
+        const nested = buildComparison([
+            { player: { displayName: 'Alpha' }, stats: addFortniteRateStats(createFortniteStatObject(loadFixture('statsv2/lifetime.json'))) },
+            { player: { displayName: 'Bravo' }, stats: addFortniteRateStats(createFortniteStatObject(loadFixture('statsv2/season-start.json'))) }
+        ]);
+        const rankedSquadMatches = nested.rows.find(row => row.compMode === 'ranked' && row.stat === 'matches');
+        assert.deepEqual(rankedSquadMatches.values, [96, undefined]);
+        assert.deepEqual(rankedSquadMatches.best, []);
+    });
+
+    it('skips metrics no player has for a mode path', () => {
+        assert.equal(comparison.rows.find(row => row.teamSize === 'solo' && row.stat === 'top3'), undefined);
+    });
+});
+
+describe('comparison output', () => {
+    const comparison = buildComparison(playerResults, true);
+
+    it('renders a column per player and marks the best values', () => {
+        const table = renderComparisonTable(comparison, true);
+        const [header, , firstRow] = table.split('\n');
+        assert.match(header, /Team Size\s+Stat\s+Alpha\s+Bravo/);
+        assert.match(firstRow, /^solo\s+Matches\s+452\*\s+394 $/);
+    });
+
+    it('exports CSV with the best player per row', () => {
+        const [header, firstRow] = exportComparison(comparison, 'csv').split('\n');
+        assert.equal(header, 'buildMode,gameMode,compMode,teamSize,stat,Alpha,Bravo,best');
+        assert.equal(firstRow, ',,,solo,matches,452,394,Alpha');
+    });
+});
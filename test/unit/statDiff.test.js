@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildStatDiff, getChangeTrend, formatChange, renderStatDiffTable, exportStatDiff } from '../../src/statDiff.js';
+import { addFortniteRateStats } from '../../src/fortniteStructuredStatOps.js';
+
+const firstWindow = addFortniteRateStats({
+    zeroBuild: { regular: { pubs: {
+        solo: { matches: 10, wins: 1, kills: 20, minutes: 100 },
+        duo: { matches: 4, wins: 0, kills: 2, minutes: 40 }
+    } } }
+});
+const secondWindow = addFortniteRateStats({
+    zeroBuild: { regular: { pubs: {
+        solo: { matches: 8, wins: 2, kills: 24, minutes: 80 }
+    } } },
+    build: { regular: { pubs: {
+        squad: { matches: 3, wins: 0, kills: 1, minutes: 30 }
+    } } }
+});
+
+/**
+ * Finds a diff row
+ * @param {Object} diff - Diff from buildStatDiff
+ * @param {string} teamSize - Team size of the row
+ * @param {string} stat - Metric name
+ * @returns {Object} Row
+ */
+function rowOf(diff, teamSize, stat) {
+    return diff.rows.find(row => row.teamSize === teamSize && row.stat === stat);
+}
+
+describe('buildStatDiff', () => {
+    it('subtracts counters and rates of the first window from the second', () => {
+        const diff = buildStatDiff(firstWindow, secondWindow);
+        assert.deepEqual(rowOf(diff, 'solo', 'kills'), {
+            buildMode: 'zeroBuild', gameMode: 'regular', compMode: 'pubs', teamSize: 'solo',
+            stat: 'kills', before: 20, after: 24, change: 4, percentChange: 20, trend: 'better'
+        });
+        const winRate = rowOf(diff, 'solo', 'winRate');
+        assert.ok(Math.abs(winRate.change - 0.15) < 1e-9);
+        assert.equal(winRate.trend, 'better');
+        assert.equal(rowOf(diff, 'solo', 'minutesPerKill').trend, 'better');
+        assert.equal(rowOf(diff, 'solo', 'matches').trend, 'worse');
+    });
+
+    it('counts mode paths missing from a window as 0', () => {
+        const diff = buildStatDiff(firstWindow, secondWindow);
+        assert.equal(rowOf(diff, 'duo', 'matches').after, 0);
+        assert.equal(rowOf(diff, 'duo', 'matches').change, -4);
+        assert.equal(rowOf(diff, 'squad', 'matches').before, 0);
+        assert.equal(rowOf(diff, 'squad', 'matches').percentChange, null);
+        assert.equal(rowOf(diff, 'squad', 'matches').trend, 'better');
+    });
+
+    it('handles TRN structures', () => {
+        const diff = buildStatDiff(
+            addFortniteRateStats({ solo: { matches: 2, wins: 0, kills: 1, minutes: 20 } }),
+            addFortniteRateStats({ solo: { matches: 2, wins: 0, kills: 1, minutes: 20 } }),
+            true);
+        assert.equal(rowOf(diff, 'solo', 'kills').change, 0);
+        assert.equal(rowOf(diff, 'solo', 'kills').trend, null);
+    });
+});
+
+describe('getChangeTrend', () => {
+    it('treats lower minutes per kill as better', () => {
+        assert.equal(getChangeTrend('minutesPerKill', -1), 'better');
+        assert.equal(getChangeTrend('kills', -1), 'worse');
+        assert.equal(getChangeTrend('kills', 0), null);
+    });
+});
+
+describe('formatChange', () => {
+    it('signs changes and shows rates in percentage points', () => {
+        assert.equal(formatChange('kills', 4), '+4');
+        assert.equal(formatChange('minutes', -45), '-0:45');
+        assert.equal(formatChange('winRate', 0.025), '+2.5 pts');
+        assert.equal(formatChange('killsPerDeath', 0), '0.00');
+    });
+});
+
+describe('renderStatDiffTable', () => {
+    it('shows both windows, the change and the trend', () => {
+        const diff = buildStatDiff(firstWindow, secondWindow);
+        const lines = renderStatDiffTable(diff, ['ch6s1', 'ch6s2']).split('\n');
+        assert.match(lines[0], /^Mode\s+Stat\s+ch6s1\s+ch6s2\s+Change\s+%\s+Trend/);
+        const kills = lines.find(line => /^\s+Kills\s+20\s/.test(line));
+        assert.match(kills, /Kills\s+20\s+24\s+\+4\s+\+20\.0%\s+better/);
+    });
+});
+
+describe('exportStatDiff', () => {
+    it('exports one row per mode path and metric', () => {
+        const diff = buildStatDiff(firstWindow, secondWindow);
+        const lines = exportStatDiff(diff, 'csv').trim().split('\n');
+        assert.equal(lines[0], 'buildMode,gameMode,compMode,teamSize,stat,before,after,change,percentChange,trend');
+        assert.ok(lines.includes('zeroBuild,regular,pubs,solo,kills,20,24,4,20,better'));
+        assert.ok(lines.includes('build,regular,pubs,squad,matches,0,3,3,,better'));
+    });
+});
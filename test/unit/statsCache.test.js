@@ -0,0 +1,115 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readdirSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { liveWindowTTL, isClosedWindow, getCachedStats, getStatsCacheDir, clearStatsCache,
+         getStatsCacheInfo } from '../../src/statsCache.js';
+import { setClockTime, resetClock } from '../../src/clock.js';
+
+// Oct 10, 2026 00:00:00 GMT; "now" is noon that day, so tonight's snapshot is Oct 11 00:00:00
+const oct10 = 1791590400;
+const now = oct10 + 12 * 3600;
+const closedWindow = { startTime: oct10 - 7 * 86400, endTime: oct10 };
+const liveWindow = { startTime: oct10 - 7 * 86400, endTime: oct10 + 86400 };
+
+/**
+ * Builds a fake Epic client that counts its statsproxy queries
+ * @returns {Object} Client with fortnite.getStats and the calls made
+ */
+function createClient() {
+    const calls = [];
+    return {
+        calls,
+        fortnite: {
+            getStats: async (accountId, timeWindow) => {
+                calls.push(timeWindow);
+                return { accountId, stats: { 'br_kills_gamepad_m0_playlist_nobuildbr_solo': calls.length } };
+            }
+        }
+    };
+}
+
+describe('isClosedWindow', () => {
+    it('treats windows ending before tonight\'s midnight as closed', () => {
+        assert.equal(isClosedWindow(closedWindow, now), true);
+        assert.equal(isClosedWindow({ startTime: 0, endTime: oct10 + 86400 - 1 }, now), true);
+    });
+
+    it('treats windows that reach tonight\'s snapshot as live', () => {
+        assert.equal(isClosedWindow(liveWindow, now), false);
+        assert.equal(isClosedWindow({ startTime: 0, endTime: oct10 + 30 * 86400 }, now), false);
+    });
+});
+
+describe('getCachedStats', () => {
+    let dir;
+    let previousHome;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'fn-stats-cache-'));
+        previousHome = process.env.FN_STATS_HOME;
+        process.env.FN_STATS_HOME = dir;
+    });
+
+    beforeEach(() => {
+        clearStatsCache();
+        setClockTime(now * 1000);
+    });
+
+    after(() => {
+        resetClock();
+        if (previousHome === undefined) delete process.env.FN_STATS_HOME;
+        else process.env.FN_STATS_HOME = previousHome;
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes responses under FN_STATS_HOME and reads them back', async () => {
+        const client = createClient();
+        const first = await getCachedStats(client, 'account-alpha', closedWindow);
+        const second = await getCachedStats(client, 'account-alpha', closedWindow);
+
+        assert.equal(client.calls.length, 1);
+        assert.deepEqual(second, first);
+        assert.ok(getStatsCacheDir().startsWith(dir));
+        assert.deepEqual(readdirSync(getStatsCacheDir()), [`account-alpha_${closedWindow.startTime}_${closedWindow.endTime}.json`]);
+    });
+
+    it('caches closed windows forever', async () => {
+        const client = createClient();
+        await getCachedStats(client, 'account-alpha', closedWindow);
+        const [file] = readdirSync(getStatsCacheDir());
+        assert.equal(JSON.parse(readFileSync(join(getStatsCacheDir(), file), 'utf8')).expiresAt, null);
+
+        setClockTime((now + 365 * 86400) * 1000);
+        await getCachedStats(client, 'account-alpha', closedWindow);
+        assert.equal(client.calls.length, 1);
+    });
+
+    it('expires live windows after the TTL', async () => {
+        const client = createClient();
+        await getCachedStats(client, 'account-alpha', liveWindow);
+
+        setClockTime((now + liveWindowTTL - 1) * 1000);
+        await getCachedStats(client, 'account-alpha', liveWindow);
+        assert.equal(client.calls.length, 1);
+        const { entries, closed, live, expired } = getStatsCacheInfo();
+        assert.deepEqual({ entries, closed, live, expired }, { entries: 1, closed: 0, live: 1, expired: 0 });
+
+        setClockTime((now + liveWindowTTL) * 1000);
+        assert.equal(getStatsCacheInfo().expired, 1);
+        const refreshed = await getCachedStats(client, 'account-alpha', liveWindow);
+        assert.equal(client.calls.length, 2);
+        assert.equal(refreshed.stats['br_kills_gamepad_m0_playlist_nobuildbr_solo'], 2);
+        assert.equal(getStatsCacheInfo().live, 1);
+    });
+
+    it('keeps accounts and windows apart', async () => {
+        const client = createClient();
+        await getCachedStats(client, 'account-alpha', closedWindow);
+        await getCachedStats(client, 'account-beta', closedWindow);
+        await getCachedStats(client, 'account-alpha', { ...closedWindow, startTime: closedWindow.startTime + 86400 });
+        assert.equal(client.calls.length, 3);
+        assert.equal(clearStatsCache(), 3);
+    });
+});
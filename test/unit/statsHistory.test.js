@@ -0,0 +1,155 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createStatsHistory, loadStatsHistory, saveStatsHistory, getNextHistoryEndTime,
+         summarizeHistoryDifferences, crawlStatsHistory } from '../../src/statsHistory.js';
+import { playlistStats, createSnapshotReader } from '../fixtures/rawStats.js';
+
+const soloSuffix = 'keyboardmouse_m0_playlist_nobuildbr_solo';
+const day = 86400;
+
+// Oct 1, 2026 00:00:00 GMT; "now" is Oct 10, 2026 12:00:00 GMT, so tonight's snapshot is Oct 11
+const oct1 = 1790812800;
+const currentTime = (oct1 + 9 * day + 12 * 3600) * 1000;
+
+/**
+ * Builds a cumulative stats reader whose stats changed at the given times
+ * @param {Array<Object>} changes - Changes {time, matches, kills}, ascending
+ * @returns {Object} Object with readSnapshot and the reads made (see createSnapshotReader)
+ */
+function createReader(changes) {
+    let matchesplayed = 0;
+    let kills = 0;
+    return createSnapshotReader(changes.map(change => {
+        matchesplayed += change.matches;
+        kills += change.kills;
+        return { time: change.time, stats: playlistStats(soloSuffix, { matchesplayed, kills, lastmodified: change.time }) };
+    }));
+}
+
+const changes = [
+    { time: oct1 - 20 * day + 3600, matches: 5, kills: 9 },
+    { time: oct1 + 2 * day + 7200, matches: 2, kills: 3 },
+    { time: oct1 + 6 * day + 50000, matches: 4, kills: 1 }
+];
+
+const player = { displayName: 'Alpha', accountId: 'account-alpha' };
+
+describe('getNextHistoryEndTime', () => {
+    it('ends the next step at midnight before the latest change', () => {
+        const stats = { [`br_lastmodified_${soloSuffix}`]: oct1 + 7200 };
+        assert.equal(getNextHistoryEndTime(stats, oct1 + 3 * day), oct1);
+    });
+
+    it('steps back a day when the latest change is at the step end', () => {
+        const stats = { [`br_lastmodified_${soloSuffix}`]: oct1 };
+        assert.equal(getNextHistoryEndTime(stats, oct1), oct1 - day);
+    });
+
+    it('stops when there are no changes', () => {
+        assert.equal(getNextHistoryEndTime({}, oct1), null);
+    });
+});
+
+describe('summarizeHistoryDifferences', () => {
+    it('sums counter changes per stat and skips lastmodified', () => {
+        assert.equal(summarizeHistoryDifferences({
+            [`br_kills_${soloSuffix}`]: 3,
+            'br_kills_gamepad_m0_playlist_nobuildbr_solo': 2,
+            [`br_matchesplayed_${soloSuffix}`]: 1,
+            [`br_lastmodified_${soloSuffix}`]: 'Oct 3, 2026, 02:00:00 GMT'
+        }), 'kills +5, matchesplayed +1');
+        assert.equal(summarizeHistoryDifferences({}), '');
+    });
+});
+
+describe('crawlStatsHistory', () => {
+    it('walks back one change at a time to the first step at or before since', async () => {
+        const { readSnapshot, reads } = createReader(changes);
+        const history = createStatsHistory({ player, filters: ['solo'], since: oct1 });
+        const slept = [];
+        const steps = [];
+
+        const added = await crawlStatsHistory(readSnapshot, history, {
+            currentTime,
+            sleep: async seconds => slept.push(seconds),
+            onStep: step => steps.push(step.step)
+        });
+
+        assert.equal(added, 4);
+        assert.deepEqual(reads, [oct1 + 10 * day, oct1 + 6 * day, oct1 + 2 * day, oct1 - 20 * day]);
+        assert.deepEqual(steps, [1, 2, 3, 4]);
+        assert.deepEqual(slept, [5, 5, 5]);
+        assert.equal(history.statDifferences.length, 3);
+        assert.equal(history.statDifferences[0].differences[`br_matchesplayed_${soloSuffix}`], 4);
+        assert.equal(history.statDifferences[1].differences[`br_kills_${soloSuffix}`], 3);
+        assert.equal(history.statDifferences[2].differences[`br_matchesplayed_${soloSuffix}`], 5);
+    });
+
+    it('resumes from the earliest saved step', async () => {
+        const history = createStatsHistory({ player, since: oct1 + 5 * day });
+        await crawlStatsHistory(createReader(changes).readSnapshot, history, { currentTime, delay: 0 });
+        assert.equal(history.accumulatedStats.length, 3);
+
+        const { readSnapshot, reads } = createReader(changes);
+        history.since = oct1 - 30 * day;
+        const added = await crawlStatsHistory(readSnapshot, history, { currentTime, delay: 0 });
+
+        assert.equal(added, 1);
+        assert.deepEqual(reads, [oct1 - 20 * day]);
+        assert.equal(history.accumulatedStats.length, 4);
+        assert.equal(history.statDifferences.length, 3);
+    });
+
+    it('adds nothing to a history that already reaches since', async () => {
+        const history = createStatsHistory({ player, since: oct1 + 5 * day });
+        await crawlStatsHistory(createReader(changes).readSnapshot, history, { currentTime, delay: 0 });
+        const { readSnapshot, reads } = createReader(changes);
+        assert.equal(await crawlStatsHistory(readSnapshot, history, { currentTime, delay: 0 }), 0);
+        assert.deepEqual(reads, []);
+    });
+});
+
+describe('saved histories', () => {
+    let dir;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'fn-stats-history-'));
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('round-trips a saved history', async () => {
+        const history = createStatsHistory({ player, statPatternKeys: ['kills'], since: oct1 });
+        await crawlStatsHistory(createReader(changes).readSnapshot, history, { currentTime, delay: 0 });
+        const filePath = join(dir, 'history.json');
+        saveStatsHistory(filePath, history);
+
+        const loaded = loadStatsHistory(filePath);
+        assert.equal(loaded.playerId, 'account-alpha');
+        assert.deepEqual(loaded.statPatterns, ['kills']);
+        assert.deepEqual(loaded.accumulatedStats, history.accumulatedStats);
+    });
+
+    it('defaults the fields of older histories', () => {
+        const filePath = join(dir, 'old.json');
+        writeFileSync(filePath, JSON.stringify({
+            playerName: 'Alpha', playerId: 'account-alpha', filters: ['zeroBuild'],
+            accumulatedStats: [{ endTime: oct1, stats: {} }], statDifferences: []
+        }));
+        const loaded = loadStatsHistory(filePath);
+        assert.deepEqual(loaded.statPatterns, []);
+        assert.equal(loaded.since, null);
+    });
+
+    it('rejects files that are not histories', () => {
+        const filePath = join(dir, 'other.json');
+        writeFileSync(filePath, JSON.stringify({ players: [] }));
+        assert.throws(() => loadStatsHistory(filePath), /isn't a saved stats history/);
+        assert.throws(() => loadStatsHistory(join(dir, 'missing.json')), /History file not found/);
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatMinutes, formatStatValue, renderTable, shouldUseColor } from '../../src/tableRenderer.js';
+
+describe('formatMinutes', () => {
+    it('formats minutes as hours:minutes', () => {
+        assert.equal(formatMinutes(90), '1:30');
+        assert.equal(formatMinutes(5), '0:05');
+        assert.equal(formatMinutes(125.6), '2:06');
+    });
+
+    it('formats zero minutes', () => {
+        assert.equal(formatMinutes(0), '0:00');
+        assert.equal(formatMinutes(-0.2), '0:00');
+    });
+
+    it('puts the sign in front of negative durations', () => {
+        assert.equal(formatMinutes(-90), '-1:30');
+        assert.equal(formatMinutes(-30), '-0:30');
+        assert.equal(formatMinutes(-125), '-2:05');
+    });
+});
+
+describe('formatStatValue', () => {
+    it('shows rates as percentages', () => {
+        assert.equal(formatStatValue('winRate', 0.125), '12.5%');
+        assert.equal(formatStatValue('top10Rate', 1), '100.0%');
+    });
+
+    it('rounds K/D, kills per 20 and minutes per kill to two decimals', () => {
+        assert.equal(formatStatValue('killsPerDeath', 1.23456), '1.23');
+        assert.equal(formatStatValue('killsPer20', 2), '2.00');
+        assert.equal(formatStatValue('minutesPerKill', 7.005), '7.00');
+    });
+
+    it('shows minutes as hours:minutes', () => {
+        assert.equal(formatStatValue('minutes', 135), '2:15');
+    });
+
+    it('shows non-finite values as a dash', () => {
+        assert.equal(formatStatValue('winRate', NaN), '-');
+        assert.equal(formatStatValue('killsPerDeath', Infinity), '-');
+    });
+
+    it('passes counts through and leaves missing values empty', () => {
+        assert.equal(formatStatValue('kills', 42), '42');
+        assert.equal(formatStatValue('kills', undefined), '');
+        assert.equal(formatStatValue('teamSize', 'solo'), 'solo');
+    });
+});
+
+describe('renderTable', () => {
+    it('pads left-aligned and right-aligned columns to the widest cell', () => {
+        const columns = [{ label: 'Mode', align: 'left' }, { label: 'Kills', align: 'right' }];
+        const rows = [['solo', '5'], ['squad', '120']];
+
+        assert.equal(renderTable(columns, rows), [
+            'Mode   Kills',
+            '-----  -----',
+            'solo       5',
+            'squad    120'
+        ].join('\n'));
+    });
+
+    it('only adds escape codes when colour is enabled', () => {
+        const columns = [{ label: 'Mode', align: 'left' }];
+
+        assert.doesNotMatch(renderTable(columns, [['solo']]), /\x1b\[/);
+        assert.match(renderTable(columns, [['solo']], { color: true }), /\x1b\[36msolo\x1b\[0m/);
+    });
+});
+
+describe('shouldUseColor', () => {
+    const savedNoColor = process.env.NO_COLOR;
+
+    afterEach(() => {
+        if (savedNoColor === undefined) delete process.env.NO_COLOR;
+        else process.env.NO_COLOR = savedNoColor;
+    });
+
+    it('uses colour on a TTY without NO_COLOR', () => {
+        delete process.env.NO_COLOR;
+        assert.equal(shouldUseColor({ isTTY: true }), true);
+    });
+
+    it('disables colour when NO_COLOR is set, even to an empty value', () => {
+        process.env.NO_COLOR = '';
+        assert.equal(shouldUseColor({ isTTY: true }), false);
+    });
+
+    it('disables colour on a non-TTY stream', () => {
+        delete process.env.NO_COLOR;
+        assert.equal(shouldUseColor({ isTTY: false }), false);
+        assert.equal(shouldUseColor({}), false);
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTimeSeriesBoundaries, buildTimeSeries, renderTimeSeriesTable, exportTimeSeries,
+         maxTimeSeriesBuckets } from '../../src/timeSeries.js';
+import { playlistStats } from '../fixtures/rawStats.js';
+
+const soloSuffix = 'keyboardmouse_m0_playlist_nobuildbr_solo';
+const duoSuffix = 'gamepad_m0_playlist_nobuildbr_duo';
+
+// Mar 10, 2025 00:00:00 GMT
+const march10 = 1741564800;
+const day = 86400;
+
+// Cumulative snapshots at three consecutive midnights
+const snapshots = [
+    { time: march10, stats: playlistStats(soloSuffix, { matchesplayed: 10, kills: 20, placetop1: 1, minutesplayed: 200 }) },
+    {
+        time: march10 + day,
+        stats: {
+            ...playlistStats(soloSuffix, { matchesplayed: 13, kills: 26, placetop1: 2, minutesplayed: 260 }),
+            ...playlistStats(duoSuffix, { matchesplayed: 0, kills: 0, minutesplayed: 0 })
+        }
+    },
+    {
+        time: march10 + 2 * day,
+        stats: {
+            ...playlistStats(soloSuffix, { matchesplayed: 13, kills: 26, placetop1: 2, minutesplayed: 260 }),
+            ...playlistStats(duoSuffix, { matchesplayed: 2, kills: 5, minutesplayed: 40 })
+        }
+    }
+];
+
+describe('getTimeSeriesBoundaries', () => {
+    const currentTime = (march10 + 120 * day) * 1000;
+
+    it('splits a window into midnight-aligned days', () => {
+        const timeWindow = { startTime: march10 + 86399, endTime: march10 + 3 * day + 86399 };
+        assert.deepEqual(getTimeSeriesBoundaries(timeWindow, 'day', currentTime),
+            [march10, march10 + day, march10 + 2 * day, march10 + 3 * day]);
+    });
+
+    it('counts weeks from the window start and clips the last bucket', () => {
+        const timeWindow = { startTime: march10, endTime: march10 + 10 * day };
+        assert.deepEqual(getTimeSeriesBoundaries(timeWindow, 'week', currentTime),
+            [march10, march10 + 7 * day, march10 + 10 * day]);
+    });
+
+    it('ends months on the 1st of the next month', () => {
+        const timeWindow = { startTime: march10, endTime: Date.UTC(2025, 4, 15) / 1000 };
+        assert.deepEqual(getTimeSeriesBoundaries(timeWindow, 'month', currentTime),
+            [march10, Date.UTC(2025, 3, 1) / 1000, Date.UTC(2025, 4, 1) / 1000, Date.UTC(2025, 4, 15) / 1000]);
+    });
+
+    it('stops at tonight\'s snapshot', () => {
+        const timeWindow = { startTime: march10, endTime: march10 + 30 * day };
+        const boundaries = getTimeSeriesBoundaries(timeWindow, 'day', (march10 + 2 * day + 3600) * 1000);
+        assert.deepEqual(boundaries, [march10, march10 + day, march10 + 2 * day, march10 + 3 * day]);
+    });
+
+    it('rejects windows without a full bucket or with too many buckets', () => {
+        assert.throws(() => getTimeSeriesBoundaries({ startTime: march10 + 60, endTime: march10 + 3600 }, 'day', currentTime),
+            /doesn't span a midnight/);
+        const longWindow = { startTime: march10 - (maxTimeSeriesBuckets + 1) * day, endTime: march10 };
+        assert.throws(() => getTimeSeriesBoundaries(longWindow, 'day', currentTime), /more than 400 day buckets/);
+        assert.throws(() => getTimeSeriesBoundaries({ startTime: march10, endTime: march10 + day }, 'year', currentTime),
+            /Unsupported time unit/);
+    });
+});
+
+describe('buildTimeSeries', () => {
+    it('subtracts consecutive snapshots into one point per bucket and mode path', () => {
+        const { buckets, series } = buildTimeSeries(snapshots);
+        assert.deepEqual(buckets, [
+            { startTime: march10, endTime: march10 + day },
+            { startTime: march10 + day, endTime: march10 + 2 * day }
+        ]);
+        assert.deepEqual(series.map(entry => entry.modePath), ['zeroBuild.regular.pubs.solo', 'zeroBuild.regular.pubs.duo']);
+
+        const [solo, duo] = series;
+        assert.equal(solo.teamSize, 'solo');
+        assert.deepEqual(solo.points.map(point => [point.matches, point.wins, point.kills]), [[3, 1, 6], [0, 0, 0]]);
+        assert.equal(solo.points[0].killsPerDeath, 3);
+        assert.equal(solo.points[1].winRate, 0);
+        assert.deepEqual(duo.points.map(point => [point.matches, point.kills]), [[0, 0], [2, 5]]);
+    });
+
+    it('applies mode filters to every bucket', () => {
+        const { series } = buildTimeSeries(snapshots, ['duo']);
+        assert.deepEqual(series.map(entry => entry.modePath), ['zeroBuild.regular.pubs.duo']);
+    });
+});
+
+describe('time series output', () => {
+    const timeSeries = buildTimeSeries(snapshots);
+
+    it('renders the mode path once per series', () => {
+        const lines = renderTimeSeriesTable(timeSeries, 'day').split('\n');
+        assert.match(lines[0], /^Mode\s+Day\s+Matches\s+Wins\s+Kills\s+Win %\s+K\/D\s+Time$/);
+        assert.match(lines[2], /^zeroBuild \/ regular \/ pubs \/ solo\s+2025-03-10\s+3\s+1\s+6\s+33\.3%\s+3\.00\s+1:00$/);
+        assert.match(lines[3], /^\s+2025-03-11\s+0\s+0\s+0\s+0\.0%/);
+    });
+
+    it('exports one CSV row per mode path and bucket', () => {
+        const lines = exportTimeSeries(timeSeries, 'csv').trim().split('\n');
+        assert.equal(lines.length, 5);
+        assert.match(lines[0], /^start,end,buildMode,gameMode,compMode,teamSize,matches,kills,wins,minutes,winRate,/);
+        assert.match(lines[1], /^2025-03-10T00:00:00\.000Z,2025-03-11T00:00:00\.000Z,zeroBuild,regular,pubs,solo,3,6,1,60,/);
+    });
+});